@@ -1,30 +1,60 @@
-import { useRef, useState, useCallback, useMemo, useEffect, lazy, Suspense } from 'react';
+import {
+  useRef,
+  useState,
+  useCallback,
+  useMemo,
+  useEffect,
+  useDeferredValue,
+  lazy,
+  Suspense,
+} from 'react';
 import { useBikeStore } from './hooks/useBikeStore';
+import { useStableValue } from './hooks/useStableValue';
 import { useCalibration } from './hooks/useCalibration';
 import { useMarkers, MARKER_TYPES } from './hooks/useMarkers';
 import { useRiderProfile } from './hooks/useRiderProfile';
 import { useMeasurementMode } from './hooks/useMeasurementMode';
 import { useOnboarding } from './hooks/useOnboarding';
 import { useTheme } from './hooks/useTheme';
-import { useImage } from './hooks/useImage';
+import { useImages, useBikeImageUrls } from './hooks/useImage';
 import { useInstallPrompt } from './hooks/useInstallPrompt';
 import { usePinchZoom } from './hooks/usePinchZoom';
 import { useEditMode } from './hooks/useEditMode';
+import { useComparisonState } from './hooks/useComparisonState';
+import { useSharedLink } from './hooks/useSharedLink';
+import { useStorageWarnings } from './hooks/useStorageUsage';
 import { Marker } from './components/Marker';
 import { CalibrationMarker } from './components/CalibrationMarker';
+import { CalibrationCheck } from './components/CalibrationCheck';
 import { ClickGuide } from './components/ClickGuide';
 import { BikeCard } from './components/BikeCard';
 import { ImageUpload } from './components/ImageUpload';
+import { BikeSearch } from './components/BikeSearch';
 import { RiderProfile } from './components/RiderProfile';
 import { ManualMeasurements } from './components/ManualMeasurements';
 import { AngleDisplay, RidingStyleSelector } from './components/AngleDisplay';
 import { SkeletonOverlay } from './components/SkeletonOverlay';
 import { CollapsiblePanel } from './components/CollapsiblePanel';
+import { FitRangeChart } from './components/FitRangeChart';
+import { RecommendationPanel } from './components/RecommendationPanel';
+import { AdjusterControls } from './components/AdjusterControls';
 import { LoadingSpinner } from './components/LoadingSpinner';
 import { TouchLoupe } from './components/TouchLoupe';
 import { EditMode } from './components/EditMode';
 import { VersionBadge } from './components/VersionBadge';
-import { TOOL_SEQUENCE, TOOL_LABELS, TOUCH, ZOOM, STAGE_MIN_HEIGHT_PX } from './constants';
+import {
+  TOOL_SEQUENCE,
+  TWO_WHEEL_TOOL_SEQUENCE,
+  TOOL_LABELS,
+  FRONT_WHEEL_POINTS,
+  LEVEL_POINTS,
+  TOUCH,
+  ZOOM,
+  STAGE_MIN_HEIGHT_PX,
+  MAX_ACTIVE_BIKES,
+  CALIBRATION,
+  FIT_RECOMMENDATION,
+} from './constants';
 
 // Lazy load ExportButton (includes html2canvas which is heavy)
 const ExportButton = lazy(() =>
@@ -32,31 +62,69 @@ const ExportButton = lazy(() =>
 );
 import { OnboardingOverlay } from './components/OnboardingOverlay';
 import { InstallBanner } from './components/InstallBanner';
-import { calculateAllAngles, calculateAllAnglesFromDistances } from './utils/ergonomics';
-import { hapticMedium, hapticSuccess } from './utils/haptics';
+import { SharedLinkBanner } from './components/SharedLinkBanner';
+import { SessionsPanel } from './components/SessionsPanel';
+import { BackupPanel } from './components/BackupPanel';
+import { StorageSettings } from './components/StorageSettings';
+import {
+  calculateAllAngles,
+  calculateAllAnglesFromDistances,
+  calculateAngleUncertainty,
+  manualMeasurementsToMarkers,
+} from './utils/ergonomics';
+import { scaleUncertainty } from './utils/calibrationCheck';
+import { buildReportData } from './utils/report';
+import { getSavedSessions, importSessions } from './utils/export';
+import { moveInlineImages } from './utils/bikeImages';
+import { hapticMedium, hapticSuccess, hapticError } from './utils/haptics';
+import { detectWheelInImage, detectedWheelPoints } from './utils/wheelDetection';
+import { correctMarkers, uncorrectPoint, perspectiveGrid } from './utils/perspective';
+import { levelMarkers, unlevelPoint } from './utils/level';
+import { invertSimilarity } from './utils/geometry';
+import { sweepFit, sweepRiders } from './utils/fitRange';
+import { adjustMarkers, bestAdjustment, offsetMarkers } from './utils/adjusters';
+import { recommendFit, hasChanges } from './utils/recommendations';
 
 export default function App() {
   // Bike store for dynamic bike management
   const bikeStore = useBikeStore();
   const { activeBikes, activeSlots, bikes } = bikeStore;
 
-  // Get bike keys from active slots
-  const bikeKeys = useMemo(() => {
-    return activeSlots.filter((id) => id && activeBikes[id]);
-  }, [activeSlots, activeBikes]);
+  // Get bike keys from active slots (kept while bike records change for other reasons)
+  const bikeKeys = useStableValue(activeSlots.filter((id) => id && activeBikes[id]));
 
-  const [primaryBike, secondaryBike] = bikeKeys;
+  // Adjuster ranges per bike, stable while records change for other reasons
+  const bikeAdjusters = useStableValue(
+    Object.fromEntries(bikeKeys.map((key) => [key, activeBikes[key]?.adjusters ?? null]))
+  );
+
+  // First active bike is the reference the others are aligned to
+  const primaryBike = bikeKeys[0];
+
+  // Check if we have at least two bikes to compare
+  const hasComparison = bikeKeys.length >= 2;
 
   // UI state
-  const [opacityB, setOpacityB] = useState(0.5);
+  const [layerOpacity, setLayerOpacity] = useState({}); // Per-bike opacity, defaults below
   const [showBikes, setShowBikes] = useState(
     bikeKeys.reduce((acc, key) => ({ ...acc, [key]: true }), {})
   );
   const [activeBike, setActiveBike] = useState(null); // Synced by useEffect below
   const [activeTool, setActiveTool] = useState('calibTop');
+  const [wheelSuggestion, setWheelSuggestion] = useState(null); // Last auto-detected wheel
+  const [detectTarget, setDetectTarget] = useState('rear'); // Wheel to detect on two-wheel bikes
+  const levelReturnTool = useRef(TOOL_SEQUENCE[0]); // Tool to go back to after the level line
   const [showBikeManager, setShowBikeManager] = useState(false);
   const [ridingStyle, setRidingStyle] = useState('commute');
+  // Adjuster slider positions (0..1) per bike and touch point; stock when unset
+  const [adjusterPositions, setAdjusterPositions] = useState({});
+  // Fit range sweep over evenly spaced heights or stature percentiles
+  const [fitRangeMode, setFitRangeMode] = useState('height');
+  // Bikes showing the recommended position as a ghost skeleton
+  const [ghostPreviews, setGhostPreviews] = useState({});
   const [showSkeleton, setShowSkeleton] = useState(true);
+  const [showPerspectiveGrid, setShowPerspectiveGrid] = useState(false);
+  const [placementPx, setPlacementPx] = useState(CALIBRATION.PLACEMENT_UNCERTAINTY_PX);
   const [showSkeletonAngles, setShowSkeletonAngles] = useState(true);
   const containerRef = useRef(null);
 
@@ -69,6 +137,8 @@ export default function App() {
     measurement: false,
     rider: false,
     angles: false,
+    recommendations: false,
+    fitRange: false,
   });
 
   const togglePanel = useCallback((panelId) => {
@@ -84,6 +154,8 @@ export default function App() {
       measurement: true,
       rider: true,
       angles: true,
+      recommendations: true,
+      fitRange: true,
     });
   }, []);
 
@@ -96,18 +168,100 @@ export default function App() {
       measurement: false,
       rider: false,
       angles: false,
+      recommendations: false,
+      fitRange: false,
     });
   }, []);
 
   // Calibration and markers hooks - pass activeBikes
   const calibration = useCalibration(activeBikes);
-  const markersHook = useMarkers(bikeKeys);
+  const markersHook = useMarkers(bikeKeys, activeBikes);
+
+  // Wheel the auto-detect tool looks for: the calibrated one, or the chosen one on both
+  const detectedWheel = (bikeKey) =>
+    calibration.wheelChoice[bikeKey] === 'both'
+      ? detectTarget
+      : calibration.wheelChoice[bikeKey] || 'rear';
+
+  // Tools to step through for the active bike (front wheel tools when calibrating on both wheels)
+  const toolSequence =
+    calibration.wheelChoice[activeBike] === 'both' ? TWO_WHEEL_TOOL_SEQUENCE : TOOL_SEQUENCE;
+
+  // Leave front wheel tools when the active bike isn't calibrated on both wheels
+  useEffect(() => {
+    if (FRONT_WHEEL_POINTS.includes(activeTool) && !toolSequence.includes(activeTool)) {
+      setActiveTool('seat');
+    }
+  }, [activeTool, toolSequence]);
 
   // Rider profile hook
   const riderProfile = useRiderProfile();
 
   // Measurement mode hook (photo vs manual)
-  const measurementMode = useMeasurementMode();
+  const measurementMode = useMeasurementMode(activeBikes);
+  const { getMode, isComplete, getMeasurements, getDistances } = measurementMode;
+
+  // Full comparison state for sharing and sessions (excludes images due to size)
+  const comparison = useComparisonState({
+    bikeStore,
+    bikeKeys,
+    calibration,
+    markersHook,
+    measurementMode,
+    riderProfile,
+    ridingStyle,
+    setRidingStyle,
+  });
+
+  // Import comparison from a shared link, if any
+  const sharedLink = useSharedLink({
+    comparison,
+    bikeStore,
+    calibration,
+    markersHook,
+    measurementMode,
+    riderProfile,
+    setRidingStyle,
+  });
+
+  // Persist calibration, markers and measurement mode with each active bike.
+  // Paused while a shared link is pending so an import isn't saved before it's kept.
+  const { updateBikePlacement } = bikeStore;
+  useEffect(() => {
+    if (sharedLink.isPending) return;
+    bikeKeys.forEach((key) => {
+      // Not restored yet; saving now would wipe the stored placement
+      if (!(key in calibration.calibPts) || !(key in markersHook.markers)) return;
+      const placement = {
+        calibration: {
+          wheelChoice: calibration.wheelChoice[key],
+          calibPts: calibration.calibPts[key],
+          axle: calibration.axle[key],
+          perspective: calibration.perspective[key],
+        },
+        markers: markersHook.markers[key],
+      };
+      // Only bikes whose mode was chosen or restored; others keep their record
+      if (key in measurementMode.modes) {
+        placement.measurement = {
+          mode: measurementMode.modes[key],
+          values: measurementMode.manualMeasurements[key] || {},
+        };
+      }
+      updateBikePlacement(key, placement);
+    });
+  }, [
+    bikeKeys,
+    calibration.wheelChoice,
+    calibration.calibPts,
+    calibration.perspective,
+    calibration.axle,
+    markersHook.markers,
+    measurementMode.modes,
+    measurementMode.manualMeasurements,
+    sharedLink.isPending,
+    updateBikePlacement,
+  ]);
 
   // Onboarding for first-time users
   const onboarding = useOnboarding();
@@ -115,6 +269,10 @@ export default function App() {
   // Theme (dark/light mode)
   const { isDark, toggleTheme } = useTheme();
 
+  // Storage settings dialog, and a warning before storage runs out
+  const [showStorage, setShowStorage] = useState(false);
+  const storageWarnings = useStorageWarnings(bikes);
+
   // PWA install prompt
   const installPrompt = useInstallPrompt();
 
@@ -128,6 +286,7 @@ export default function App() {
   // Immersive Edit Mode for precise mobile marker placement
   const editMode = useEditMode({
     initialTool: activeTool,
+    toolSequence,
     onToolChange: setActiveTool,
     onExit: () => {
       // Reset zoom when exiting edit mode
@@ -149,13 +308,9 @@ export default function App() {
   });
   const loupeTimerRef = useRef(null);
 
-  // Image hooks - create for each active bike
-  const primaryImg = useImage(activeBikes[primaryBike]?.img);
-  const secondaryImg = useImage(activeBikes[secondaryBike]?.img);
-  const images = {
-    [primaryBike]: primaryImg,
-    [secondaryBike]: secondaryImg,
-  };
+  // Image load tracking for each active bike
+  const images = useImages(bikeKeys);
+  const imageUrls = useBikeImageUrls(activeBikes);
 
   // Sync activeBike when bikeKeys change
   useEffect(() => {
@@ -165,60 +320,290 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [bikeKeys, primaryBike]);
 
-  // Calculate ergonomic angles for each bike
-  const bikeAngles = useMemo(() => {
+  // Markers as measured: rectified for perspective where a bike has a two-wheel calibration,
+  // then turned so the level reference is horizontal
+  const measuredMarkers = useMemo(() => {
+    const result = {};
+    bikeKeys.forEach((key) => {
+      const correction = calibration.corrections[key];
+      const line = calibration.levelLines[key];
+      result[key] = levelMarkers(
+        correctMarkers(markersHook.markers[key], correction),
+        line && correctMarkers({ from: line.from, to: line.to }, correction)
+      );
+    });
+    return result;
+  }, [bikeKeys, markersHook.markers, calibration.corrections, calibration.levelLines]);
+
+  // Map from measured px back onto each photo, so overlays drawn from measured markers
+  // show the pose the angles come from
+  const measuredToImage = useMemo(() => {
+    const result = {};
+    bikeKeys.forEach((key) => {
+      const correction = calibration.corrections[key];
+      const line = calibration.levelLines[key];
+      const levelledBy = line && correctMarkers({ from: line.from, to: line.to }, correction);
+      result[key] = (point) => uncorrectPoint(unlevelPoint(point, levelledBy), correction);
+    });
+    return result;
+  }, [bikeKeys, calibration.corrections, calibration.levelLines]);
+
+  // Measured markers moved by the adjuster sliders, for drawing on the photos
+  const photoAdjustedMarkers = useMemo(() => {
+    const result = {};
+    bikeKeys.forEach((key) => {
+      result[key] = adjustMarkers(
+        measuredMarkers[key],
+        bikeAdjusters[key],
+        adjusterPositions[key],
+        {
+          pxPerMM: calibration.pxPerMM[key],
+        }
+      );
+    });
+    return result;
+  }, [bikeKeys, measuredMarkers, bikeAdjusters, adjusterPositions, calibration.pxPerMM]);
+
+  // What each bike's angles are solved from: levelled markers in px, manual markers in mm,
+  // or only manual distances; null until the bike can be measured
+  const angleInputs = useMemo(() => {
     const result = {};
-    const riderMeasurements = riderProfile.measurements;
 
     bikeKeys.forEach((key) => {
-      const mode = measurementMode.getMode(key);
+      const mode = getMode(key);
 
-      if (mode === 'manual' && measurementMode.isComplete(key)) {
+      if (mode === 'manual' && isComplete(key)) {
         // Use manual measurements
-        const distances = measurementMode.getDistances(key);
-        const manualInputs = measurementMode.getMeasurements(key);
-        result[key] = calculateAllAnglesFromDistances(distances, manualInputs, riderMeasurements);
+        const manualInputs = getMeasurements(key);
+        const markers = manualMeasurementsToMarkers(manualInputs);
+        result[key] = markers
+          ? { markers, pxPerMM: 1 }
+          : { distances: getDistances(key), manualInputs };
       } else {
         // Use photo-based calibration
-        const markers = markersHook.markers[key];
+        const markers = measuredMarkers[key];
         const pxPerMM = calibration.pxPerMM[key];
+        result[key] = markers && pxPerMM ? { markers, pxPerMM } : null;
+      }
+    });
 
-        if (markers && pxPerMM && riderMeasurements) {
-          result[key] = calculateAllAngles(markers, riderMeasurements, pxPerMM);
-        } else {
-          result[key] = { knee: null, hip: null, back: null, arm: null };
-        }
+    return result;
+  }, [
+    bikeKeys,
+    measuredMarkers,
+    calibration.pxPerMM,
+    getMode,
+    isComplete,
+    getMeasurements,
+    getDistances,
+  ]);
+
+  // Touch points moved by the seat, peg and bar adjuster sliders
+  const adjustedMarkers = useMemo(() => {
+    const result = {};
+    bikeKeys.forEach((key) => {
+      const inputs = angleInputs[key];
+      result[key] = inputs?.markers
+        ? adjustMarkers(inputs.markers, bikeAdjusters[key], adjusterPositions[key], {
+            pxPerMM: inputs.pxPerMM,
+          })
+        : null;
+    });
+    return result;
+  }, [bikeKeys, angleInputs, bikeAdjusters, adjusterPositions]);
+
+  // Angle solver per bike, given rider measurements; null until the bike can be measured
+  const angleCalculators = useMemo(() => {
+    const result = {};
+    bikeKeys.forEach((key) => {
+      const inputs = angleInputs[key];
+      const markers = adjustedMarkers[key];
+      if (markers) {
+        result[key] = (riderMeasurements) =>
+          calculateAllAngles(markers, riderMeasurements, inputs.pxPerMM);
+      } else if (inputs?.distances) {
+        result[key] = (riderMeasurements) =>
+          calculateAllAnglesFromDistances(inputs.distances, inputs.manualInputs, riderMeasurements);
+      } else {
+        result[key] = null;
       }
     });
+    return result;
+  }, [bikeKeys, angleInputs, adjustedMarkers]);
 
+  // Adjuster setting with the best comfort for the rider, only while the angles panel is open.
+  // The search runs a few hundred pose solves, so it follows marker drags at low priority.
+  const deferredAngleInputs = useDeferredValue(angleInputs);
+  const bestAdjustments = useMemo(() => {
+    const result = {};
+    if (!openPanels.angles || !riderProfile.measurements) return result;
+    bikeKeys.forEach((key) => {
+      const inputs = deferredAngleInputs[key];
+      result[key] = inputs?.markers
+        ? bestAdjustment({
+            markers: inputs.markers,
+            adjusters: bikeAdjusters[key],
+            pxPerMM: inputs.pxPerMM,
+            calculateAngles: (markers) =>
+              calculateAllAngles(markers, riderProfile.measurements, inputs.pxPerMM),
+            ridingStyle,
+          })
+        : null;
+    });
     return result;
   }, [
+    openPanels.angles,
     bikeKeys,
-    markersHook.markers,
+    deferredAngleInputs,
+    bikeAdjusters,
+    riderProfile.measurements,
+    ridingStyle,
+  ]);
+
+  const setAdjusterPosition = useCallback((bikeKey, type, position) => {
+    setAdjusterPositions((prev) => ({
+      ...prev,
+      [bikeKey]: { ...prev[bikeKey], [type]: position },
+    }));
+  }, []);
+
+  const applyAdjusterPositions = useCallback((bikeKey, positions) => {
+    setAdjusterPositions((prev) => ({ ...prev, [bikeKey]: positions }));
+  }, []);
+
+  // Calculate ergonomic angles for each bike
+  const bikeAngles = useMemo(() => {
+    const result = {};
+    const riderMeasurements = riderProfile.measurements;
+
+    bikeKeys.forEach((key) => {
+      const calculate = angleCalculators[key];
+      result[key] =
+        calculate && riderMeasurements
+          ? calculate(riderMeasurements)
+          : { knee: null, hip: null, back: null, arm: null };
+    });
+
+    return result;
+  }, [bikeKeys, angleCalculators, riderProfile.measurements]);
+
+  // Touch point moves that centre the rider's angles, only while the recommendations panel is open
+  const recommendations = useMemo(() => {
+    const result = {};
+    if (!openPanels.recommendations || !riderProfile.measurements) return result;
+    bikeKeys.forEach((key) => {
+      const inputs = angleInputs[key];
+      result[key] = adjustedMarkers[key]
+        ? recommendFit({
+            markers: adjustedMarkers[key],
+            pxPerMM: inputs.pxPerMM,
+            calculateAngles: (markers) =>
+              calculateAllAngles(markers, riderProfile.measurements, inputs.pxPerMM),
+            ridingStyle,
+          })
+        : null;
+    });
+    return result;
+  }, [
+    openPanels.recommendations,
+    bikeKeys,
+    angleInputs,
+    adjustedMarkers,
+    riderProfile.measurements,
+    ridingStyle,
+  ]);
+
+  const toggleGhostPreview = useCallback((bikeKey) => {
+    setGhostPreviews((prev) => ({ ...prev, [bikeKey]: !prev[bikeKey] }));
+  }, []);
+
+  // Recommended position of each previewed bike, in measured px like the recommendation itself
+  const ghostMarkers = useMemo(() => {
+    const result = {};
+    bikeKeys.forEach((key) => {
+      const recommendation = recommendations[key];
+      result[key] =
+        ghostPreviews[key] && hasChanges(recommendation) && photoAdjustedMarkers[key]
+          ? offsetMarkers(photoAdjustedMarkers[key], recommendation.offsets, {
+              pxPerMM: calibration.pxPerMM[key],
+            })
+          : null;
+    });
+    return result;
+  }, [bikeKeys, recommendations, ghostPreviews, photoAdjustedMarkers, calibration.pxPerMM]);
+
+  // Angles across rider sizes, only while the fit range panel is open
+  const fitRange = useMemo(() => {
+    if (!openPanels.fitRange || !riderProfile.activeProfile) return [];
+    const riders = sweepRiders(riderProfile.activeProfile, fitRangeMode);
+    return bikeKeys
+      .filter((key) => angleCalculators[key])
+      .map((key) => ({
+        key,
+        rows: sweepFit({
+          profile: riderProfile.activeProfile,
+          riders,
+          calculateAngles: angleCalculators[key],
+          ridingStyle,
+        }),
+      }));
+  }, [
+    openPanels.fitRange,
+    riderProfile.activeProfile,
+    fitRangeMode,
+    bikeKeys,
+    angleCalculators,
+    ridingStyle,
+  ]);
+
+  // ± range of each photo-based angle from point placement error, only while the angles panel
+  // is open; manual measurements have none
+  const angleUncertainty = useMemo(() => {
+    const result = {};
+    if (!openPanels.angles) return result;
+    bikeKeys.forEach((key) => {
+      const isManual = getMode(key) === 'manual' && isComplete(key);
+      const pxPerMM = calibration.pxPerMM[key];
+      result[key] =
+        isManual || !pxPerMM
+          ? null
+          : calculateAngleUncertainty(adjustedMarkers[key], riderProfile.measurements, pxPerMM, {
+              placementPx,
+              pxPerMMUncertainty: scaleUncertainty(calibration.checks[key], placementPx),
+            });
+    });
+    return result;
+  }, [
+    openPanels.angles,
+    bikeKeys,
+    adjustedMarkers,
     calibration.pxPerMM,
+    calibration.checks,
     riderProfile.measurements,
-    measurementMode,
+    getMode,
+    isComplete,
+    placementPx,
   ]);
 
   // Auto-advance to next tool
   const advanceToNextTool = useCallback(() => {
-    const currentIndex = TOOL_SEQUENCE.indexOf(activeTool);
-    if (currentIndex < TOOL_SEQUENCE.length - 1) {
-      setActiveTool(TOOL_SEQUENCE[currentIndex + 1]);
+    const currentIndex = toolSequence.indexOf(activeTool);
+    if (currentIndex < toolSequence.length - 1) {
+      setActiveTool(toolSequence[currentIndex + 1]);
     }
-  }, [activeTool]);
+  }, [activeTool, toolSequence]);
 
-  // Keyboard shortcuts for tool selection (1-6 keys)
+  // Keyboard shortcuts for tool selection (number keys)
   useEffect(() => {
     const handleKeyDown = (e) => {
       // Ignore if typing in an input field
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
       const key = e.key;
-      if (key >= '1' && key <= '6') {
+      if (key >= '1' && key <= '9') {
         const index = parseInt(key) - 1;
-        if (index < TOOL_SEQUENCE.length) {
-          setActiveTool(TOOL_SEQUENCE[index]);
+        if (index < toolSequence.length) {
+          setActiveTool(toolSequence[index]);
         }
       }
       // Tab to switch active bike
@@ -232,7 +617,7 @@ export default function App() {
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [bikeKeys, activeBike]);
+  }, [bikeKeys, activeBike, toolSequence]);
 
   // Extract coordinates from mouse or touch event (utility, kept for future use)
   const _getEventCoordinates = useCallback((e) => {
@@ -259,28 +644,57 @@ export default function App() {
   // Place marker at coordinates
   const placeMarker = useCallback(
     (bikeKey, clientX, clientY, rect) => {
-      let x = clientX - rect.left;
-      let y = clientY - rect.top;
-
-      // Account for pinch-zoom scale and position
-      // Use getter functions to get current ref values (not stale state)
+      // Stage coordinates: the primary layer sits at the stage origin, so its on-screen
+      // corner already includes the pinch-zoom pan; only the zoom scale is left to undo.
+      // Use the getter to get the current ref value (not stale state)
+      const origin =
+        containerRef.current
+          ?.querySelector(`[data-layer-id="${primaryBike}"]`)
+          ?.getBoundingClientRect() || rect;
       const currentScale = pinchZoom.getCurrentScale();
-      const currentPos = pinchZoom.getCurrentPosition();
-      if (currentScale !== 1) {
-        x = (x - currentPos.x) / currentScale;
-        y = (y - currentPos.y) / currentScale;
-      }
+      const stage = {
+        x: (clientX - origin.left) / currentScale,
+        y: (clientY - origin.top) / currentScale,
+      };
 
-      // For overlay bike, convert from visual (scaled) to local coordinates
-      if (bikeKey !== primaryBike) {
-        const scale = calibration.scales[bikeKey];
-        if (scale && scale !== 1) {
-          x = x / scale;
-          y = y / scale;
+      // For overlay bike, undo its rotation, scale and translation onto the stage
+      const { x, y } =
+        bikeKey === primaryBike ? stage : invertSimilarity(calibration.transforms[bikeKey], stage);
+
+      if (activeTool === 'detectWheel') {
+        const imgEl = containerRef.current?.querySelector(`img[data-bike-id="${bikeKey}"]`);
+        const result = imgEl ? detectWheelInImage(imgEl, { x, y }) : null;
+        if (!result) {
+          setWheelSuggestion({ bikeKey, failed: true });
+          hapticError();
+          return;
         }
-      }
-
-      if (activeTool === 'calibTop') {
+        const wheelChoice = calibration.wheelChoice[bikeKey];
+        const points = detectedWheelPoints(wheelChoice, detectTarget);
+        const current = (key) =>
+          (key === 'axle' ? calibration.axle[bikeKey] : calibration.calibPts[bikeKey]?.[key]) ||
+          null;
+        // Keep the previous points so the suggestion can be undone
+        setWheelSuggestion({
+          bikeKey,
+          confidence: result.confidence,
+          previous: Object.fromEntries(Object.values(points).map((key) => [key, current(key)])),
+        });
+        Object.entries(points).forEach(([point, key]) => {
+          if (key === 'axle') calibration.setAxlePosition(bikeKey, result[point]);
+          else calibration.setCalibPoint(bikeKey, key, result[point]);
+        });
+        hapticSuccess();
+        // On to the next point; with only the front wheel calibrated, the rear axle is
+        // still placed by hand
+        const nextTool =
+          wheelChoice === 'front'
+            ? calibration.axle[bikeKey]
+              ? 'seat'
+              : 'axle'
+            : toolSequence[toolSequence.indexOf(points.axle) + 1];
+        setActiveTool(nextTool);
+      } else if (activeTool === 'calibTop') {
         calibration.setCalibPoint(bikeKey, 'top', { x, y });
         hapticMedium();
         advanceToNextTool();
@@ -292,6 +706,14 @@ export default function App() {
         calibration.setAxlePosition(bikeKey, { x, y });
         hapticMedium();
         advanceToNextTool();
+      } else if (FRONT_WHEEL_POINTS.includes(activeTool)) {
+        calibration.setCalibPoint(bikeKey, activeTool, { x, y });
+        hapticMedium();
+        advanceToNextTool();
+      } else if (LEVEL_POINTS.includes(activeTool)) {
+        calibration.setCalibPoint(bikeKey, activeTool, { x, y });
+        hapticMedium();
+        setActiveTool(activeTool === 'levelStart' ? 'levelEnd' : levelReturnTool.current);
       } else if (MARKER_TYPES.includes(activeTool)) {
         markersHook.setMarker(bikeKey, activeTool, { x, y });
         // Success haptic on last marker (bar)
@@ -299,7 +721,16 @@ export default function App() {
         advanceToNextTool();
       }
     },
-    [activeTool, calibration, markersHook, advanceToNextTool, primaryBike, pinchZoom]
+    [
+      activeTool,
+      detectTarget,
+      toolSequence,
+      calibration,
+      markersHook,
+      advanceToNextTool,
+      primaryBike,
+      pinchZoom,
+    ]
   );
 
   // Handle touch start - record for tap detection, init panning, and start loupe timer
@@ -474,13 +905,51 @@ export default function App() {
       calibration.resetBike(bikeKey);
       markersHook.resetBike(bikeKey);
       setActiveTool('calibTop');
+      setWheelSuggestion(null);
     },
     [calibration, markersHook]
   );
 
+  // Put back the wheel points from before auto-detection
+  const undoWheelSuggestion = useCallback(() => {
+    if (!wheelSuggestion?.previous) return;
+    const { bikeKey, previous } = wheelSuggestion;
+    Object.entries(previous).forEach(([key, value]) => {
+      if (key === 'axle') calibration.setAxlePosition(bikeKey, value);
+      else calibration.setCalibPoint(bikeKey, key, value);
+    });
+    setWheelSuggestion(null);
+    setActiveTool('detectWheel');
+  }, [wheelSuggestion, calibration]);
+
+  // Mark a level line, then go back to the tool in use
+  const startLevelLine = useCallback(() => {
+    if (toolSequence.includes(activeTool)) levelReturnTool.current = activeTool;
+    setActiveTool('levelStart');
+  }, [activeTool, toolSequence]);
+
+  const clearLevelLine = useCallback(
+    (bikeKey) => LEVEL_POINTS.forEach((point) => calibration.setCalibPoint(bikeKey, point, null)),
+    [calibration]
+  );
+
+  // Reset bike collection, dropping saved calibration and markers
+  const handleResetToDefaults = useCallback(() => {
+    bikeStore.resetToDefaults();
+    calibration.resetAll();
+    markersHook.resetAll();
+  }, [bikeStore, calibration, markersHook]);
+
   // Toggle bike visibility
   const toggleBikeVisibility = useCallback((bikeKey) => {
-    setShowBikes((s) => ({ ...s, [bikeKey]: !s[bikeKey] }));
+    setShowBikes((s) => ({ ...s, [bikeKey]: s[bikeKey] === false }));
+  }, []);
+
+  // Layer opacity: reference bike opaque, overlays half transparent unless changed
+  const getLayerOpacity = (bikeKey) => layerOpacity[bikeKey] ?? (bikeKey === primaryBike ? 1 : 0.5);
+
+  const setBikeOpacity = useCallback((bikeKey, value) => {
+    setLayerOpacity((s) => ({ ...s, [bikeKey]: value }));
   }, []);
 
   // Get distances for results table
@@ -493,35 +962,138 @@ export default function App() {
     }
 
     // Use photo-based calibration
-    return markersHook.getDistances(bikeKey, calibration.pxPerMM[calibration.primaryBike]);
+    return markersHook.getDistances(
+      bikeKey,
+      calibration.pxPerMM[bikeKey],
+      calibration.corrections[bikeKey]
+    );
   };
 
-  // Get state for sharing (excludes images due to size)
-  const getShareState = useCallback(() => {
-    return {
-      markers: markersHook.markers,
-      calibPts: calibration.calibPts,
-      axle: calibration.axle,
-      wheelChoice: calibration.wheelChoice,
-      rider: riderProfile.profile,
+  // Collect the comparison for the PDF report, using the same source as the angles
+  const getReportData = () =>
+    buildReportData({
+      bikes: bikeKeys.map((key) => ({
+        label: activeBikes[key]?.label,
+        color: activeBikes[key]?.color,
+        angles: bikeAngles[key],
+        distances: getDistancesForBike(key),
+        markers: adjustedMarkers[key],
+        pxPerMM: angleInputs[key]?.pxPerMM ?? calibration.pxPerMM[key],
+      })),
+      profile: riderProfile.activeProfile,
+      measurements: riderProfile.measurements,
       ridingStyle,
-      manualMeasurements: measurementMode.manualMeasurements,
-      modes: measurementMode.modes,
-    };
-  }, [markersHook.markers, calibration, riderProfile.profile, ridingStyle, measurementMode]);
+    });
+
+  // Collect the stage layers for SVG export, in the same local pixels as on screen
+  const getSvgData = () => ({
+    layers: (hasComparison ? bikeKeys : []).map((key, index) => {
+      const bike = activeBikes[key];
+      const imgEl = containerRef.current?.querySelector(`img[data-bike-id="${key}"]`);
+      return {
+        id: key,
+        label: bike?.label,
+        color: bike?.color,
+        opacity: getLayerOpacity(key),
+        visible: showBikes[key] !== false,
+        scale: index > 0 ? calibration.scales[key] : 1,
+        rotation: index > 0 ? calibration.rotations[key] : 0,
+        translation: index > 0 ? calibration.translations[key] : { x: 0, y: 0 },
+        image:
+          imageUrls[key] && imgEl?.offsetWidth
+            ? { href: imageUrls[key], width: imgEl.offsetWidth, height: imgEl.offsetHeight }
+            : null,
+        calibPts: calibration.calibPts[key] || {},
+        axle: calibration.axle[key],
+        markers: markersHook.markers[key] || {},
+        pxPerMM: calibration.pxPerMM[key],
+        tilt: calibration.tilts[key],
+        angles: bikeAngles[key],
+      };
+    }),
+    measurements: riderProfile.measurements,
+    ridingStyle,
+    showSkeleton,
+    showAngles: showSkeletonAngles,
+  });
+
+  // Restore a saved session
+  const handleRestoreSession = useCallback(
+    (state) => {
+      const { state: restored } = comparison.applyState(state);
+      if (restored.rider) {
+        riderProfile.restoreProfile(restored.rider);
+      }
+    },
+    [comparison, riderProfile]
+  );
+
+  // Collect everything for a full data backup
+  const getBackupData = useCallback(
+    () => ({
+      bikes,
+      activeSlots,
+      profiles: riderProfile.profiles,
+      activeProfileId: riderProfile.activeId,
+      sessions: getSavedSessions(),
+    }),
+    [bikes, activeSlots, riderProfile.profiles, riderProfile.activeId]
+  );
+
+  // Apply a backup. Placement of replaced bikes is dropped from memory first,
+  // so it's restored from the imported records rather than saved over them.
+  const handleImportBackup = useCallback(
+    async (backup, mode) => {
+      const overwrite = mode === 'overwrite';
+      // Store photos before touching any state, so the steps below apply together
+      const importedBikes = { ...backup.bikes, ...(await moveInlineImages(backup.bikes)) };
+
+      const keys = overwrite
+        ? [...new Set([...bikeKeys, ...Object.keys(backup.bikes)])]
+        : Object.keys(backup.bikes);
+      calibration.unloadBikes(keys);
+      markersHook.unloadBikes(keys);
+      keys.forEach((key) => measurementMode.resetBike(key));
+
+      riderProfile.importProfiles(backup.profiles, {
+        overwrite,
+        activeId: backup.activeProfileId,
+      });
+      importSessions(backup.sessions, { overwrite });
+      await bikeStore.importBikes(importedBikes, { overwrite, activeSlots: backup.activeSlots });
+    },
+    [bikeKeys, bikeStore, calibration, markersHook, measurementMode, riderProfile]
+  );
+
+  // Put a new bike in an empty slot, or add a slot if there's room
+  const activateNewBike = useCallback(
+    (id) => {
+      const emptySlot = activeSlots.findIndex((slotId) => !slotId || !bikes[slotId]);
+      if (emptySlot !== -1) {
+        bikeStore.setActiveSlot(emptySlot, id);
+      } else {
+        bikeStore.addActiveSlot(id);
+      }
+    },
+    [bikeStore, activeSlots, bikes]
+  );
 
   // Handle adding a new bike
   const handleAddBike = useCallback(
     async (file, label) => {
       const id = await bikeStore.addBike(file, label);
-      // If we have an empty slot, put the new bike there
-      if (!activeSlots[0]) {
-        bikeStore.setActiveSlot(0, id);
-      } else if (!activeSlots[1]) {
-        bikeStore.setActiveSlot(1, id);
-      }
+      activateNewBike(id);
     },
-    [bikeStore, activeSlots]
+    [bikeStore, activateNewBike]
+  );
+
+  // Handle picking a bike from the geometry database
+  const handlePickDatabaseBike = useCallback(
+    (entry) => {
+      const id = bikeStore.addBikeFromDatabase(entry);
+      activateNewBike(id);
+    },
+    [bikeStore, activateNewBike]
   );
 
   // Render bike layer
@@ -534,32 +1106,60 @@ export default function App() {
     const markers = markersHook.markers[bikeKey] || {};
     const axle = calibration.axle[bikeKey];
     const calibPts = calibration.calibPts[bikeKey] || {};
-    const scale = isOverlay ? calibration.scales[bikeKey] : 1;
-    const translation = calibration.translations[bikeKey] || { x: 0, y: 0 };
+    const { scale, rotation, translation } = isOverlay
+      ? calibration.transforms[bikeKey]
+      : { scale: 1, rotation: 0, translation: { x: 0, y: 0 } };
 
+    // Overlays only take clicks while they're the active bike, so layers below stay reachable
     const style = isOverlay
       ? {
-          transform: `translate(${translation.x}px, ${translation.y}px) scale(${scale})`,
+          transform: `translate(${translation.x}px, ${translation.y}px) rotate(${rotation}deg) scale(${scale})`,
           transformOrigin: 'top left',
-          opacity: isVisible ? opacityB : 0,
-          pointerEvents: isVisible ? 'auto' : 'none',
+          opacity: isVisible ? getLayerOpacity(bikeKey) : 0,
+          pointerEvents: isVisible && activeBike === bikeKey ? 'auto' : 'none',
         }
       : {
-          display: isVisible ? 'inline-block' : 'none',
+          opacity: getLayerOpacity(bikeKey),
+          visibility: isVisible ? 'visible' : 'hidden',
         };
 
+    const twoWheel = calibration.wheelChoice[bikeKey] === 'both';
+    const checks = calibration.checks[bikeKey];
+    // Touch points as set on the adjusters, measured and in image px
+    const measured = photoAdjustedMarkers[bikeKey];
+    const toImage = measuredToImage[bikeKey];
+    const adjusted = Object.fromEntries(
+      MARKER_TYPES.map((type) => [type, measured?.[type] ? toImage(measured[type]) : null])
+    );
+    // Recommended position, drawn as a ghost skeleton while previewed
+    const recommendation = recommendations[bikeKey];
+    const ghost = ghostMarkers[bikeKey];
+    const movedTypes = MARKER_TYPES.filter(
+      (type) =>
+        markers[type] &&
+        adjusted[type] &&
+        Math.hypot(adjusted[type].x - markers[type].x, adjusted[type].y - markers[type].y) > 0.5
+    );
+    const grid = showPerspectiveGrid
+      ? perspectiveGrid(calibration.corrections[bikeKey], axle, calibration.pxPerMM[bikeKey])
+      : [];
     const toolLabel =
-      activeTool === 'calibTop'
-        ? 'wheel TOP'
-        : activeTool === 'calibBot'
-          ? 'wheel BOTTOM'
-          : activeTool === 'axle'
-            ? 'rear axle'
-            : activeTool;
+      {
+        calibTop: twoWheel ? 'rear wheel TOP' : 'wheel TOP',
+        calibBot: twoWheel ? 'rear wheel BOTTOM' : 'wheel BOTTOM',
+        axle: 'rear axle',
+        frontTop: 'front wheel TOP',
+        frontBot: 'front wheel BOTTOM',
+        frontAxle: 'front axle',
+        detectWheel: `${detectedWheel(bikeKey)} wheel (auto-detect)`,
+        levelStart: 'one end of a level line',
+        levelEnd: 'the other end of the level line',
+      }[activeTool] || activeTool;
 
     return (
       <div
         key={bikeKey}
+        data-layer-id={bikeKey}
         className={isOverlay ? 'absolute top-0 left-0' : 'relative inline-block'}
         style={style}
         onClick={(e) => handleMouseClick(e, bikeKey)}
@@ -567,10 +1167,11 @@ export default function App() {
         onTouchMove={handleTouchMove}
         onTouchEnd={(e) => handleTouchEnd(e, bikeKey)}
       >
-        {bike.img ? (
+        {imageUrls[bikeKey] ? (
           <img
-            src={bike.img}
+            src={imageUrls[bikeKey]}
             alt={bike.label}
+            data-bike-id={bikeKey}
             className="block max-w-full h-auto select-none"
             onLoad={img?.onLoad}
             draggable={false}
@@ -583,6 +1184,19 @@ export default function App() {
 
         {/* Calibration line with measurement label */}
         <svg className="absolute inset-0 w-full h-full pointer-events-none">
+          {/* Bike-plane grid warped back onto the photo */}
+          {grid.map((line, i) => (
+            <line
+              key={`grid-${i}`}
+              x1={line.x1}
+              y1={line.y1}
+              x2={line.x2}
+              y2={line.y2}
+              stroke={bike.color}
+              strokeWidth={line.major ? 1.5 : 0.5}
+              strokeOpacity={line.major ? 0.9 : 0.5}
+            />
+          ))}
           {calibPts.top && calibPts.bot && (
             <>
               <line
@@ -611,6 +1225,67 @@ export default function App() {
               )}
             </>
           )}
+          {twoWheel && calibPts.frontTop && calibPts.frontBot && (
+            <>
+              <line
+                x1={calibPts.frontTop.x}
+                y1={calibPts.frontTop.y}
+                x2={calibPts.frontBot.x}
+                y2={calibPts.frontBot.y}
+                stroke={bike.color}
+                strokeWidth={2}
+                strokeDasharray="4 3"
+              />
+              {checks.diameters.front > 0 && (
+                <text
+                  x={(calibPts.frontTop.x + calibPts.frontBot.x) / 2 + 10}
+                  y={(calibPts.frontTop.y + calibPts.frontBot.y) / 2}
+                  fill={bike.color}
+                  fontSize={11}
+                  fontWeight="bold"
+                  stroke="var(--bg-card)"
+                  strokeWidth={3}
+                  paintOrder="stroke fill"
+                >
+                  {Math.round(checks.diameters.front)} mm
+                </text>
+              )}
+            </>
+          )}
+          {calibPts.levelStart && calibPts.levelEnd && (
+            <line
+              x1={calibPts.levelStart.x}
+              y1={calibPts.levelStart.y}
+              x2={calibPts.levelEnd.x}
+              y2={calibPts.levelEnd.y}
+              stroke={bike.color}
+              strokeWidth={1.5}
+              strokeDasharray="8 4"
+            />
+          )}
+          {/* Touch points moved by the adjusters */}
+          {movedTypes.map((type) => (
+            <g key={`adjusted-${type}`}>
+              <line
+                x1={markers[type].x}
+                y1={markers[type].y}
+                x2={adjusted[type].x}
+                y2={adjusted[type].y}
+                stroke={bike.color}
+                strokeWidth={1.5}
+                strokeDasharray="3 2"
+              />
+              <circle
+                cx={adjusted[type].x}
+                cy={adjusted[type].y}
+                r={6}
+                fill="none"
+                stroke={bike.color}
+                strokeWidth={2}
+                strokeDasharray="3 2"
+              />
+            </g>
+          ))}
         </svg>
 
         {/* Calibration point markers (TOP/BOTTOM) */}
@@ -621,6 +1296,7 @@ export default function App() {
             color={bike.color}
             label="TOP"
             scale={scale}
+            rotation={rotation}
             onDrag={(nx, ny) => calibration.setCalibPoint(bikeKey, 'top', { x: nx, y: ny })}
           />
         )}
@@ -631,6 +1307,7 @@ export default function App() {
             color={bike.color}
             label="BOT"
             scale={scale}
+            rotation={rotation}
             onDrag={(nx, ny) => calibration.setCalibPoint(bikeKey, 'bot', { x: nx, y: ny })}
           />
         )}
@@ -643,10 +1320,63 @@ export default function App() {
             color={bike.color}
             label="Rear axle"
             scale={scale}
+            rotation={rotation}
             onDrag={(nx, ny) => calibration.setAxlePosition(bikeKey, { x: nx, y: ny })}
           />
         )}
 
+        {/* Front wheel points (two-wheel calibration) */}
+        {twoWheel && calibPts.frontTop && (
+          <CalibrationMarker
+            x={calibPts.frontTop.x}
+            y={calibPts.frontTop.y}
+            color={bike.color}
+            label="F-TOP"
+            scale={scale}
+            rotation={rotation}
+            onDrag={(nx, ny) => calibration.setCalibPoint(bikeKey, 'frontTop', { x: nx, y: ny })}
+          />
+        )}
+        {twoWheel && calibPts.frontBot && (
+          <CalibrationMarker
+            x={calibPts.frontBot.x}
+            y={calibPts.frontBot.y}
+            color={bike.color}
+            label="F-BOT"
+            scale={scale}
+            rotation={rotation}
+            onDrag={(nx, ny) => calibration.setCalibPoint(bikeKey, 'frontBot', { x: nx, y: ny })}
+          />
+        )}
+        {twoWheel && calibPts.frontAxle && (
+          <Marker
+            x={calibPts.frontAxle.x}
+            y={calibPts.frontAxle.y}
+            color={bike.color}
+            label="Front axle"
+            scale={scale}
+            rotation={rotation}
+            onDrag={(nx, ny) => calibration.setCalibPoint(bikeKey, 'frontAxle', { x: nx, y: ny })}
+          />
+        )}
+
+        {/* Level line ends */}
+        {LEVEL_POINTS.map(
+          (point) =>
+            calibPts[point] && (
+              <CalibrationMarker
+                key={point}
+                x={calibPts[point].x}
+                y={calibPts[point].y}
+                color={bike.color}
+                label="LEVEL"
+                scale={scale}
+                rotation={rotation}
+                onDrag={(nx, ny) => calibration.setCalibPoint(bikeKey, point, { x: nx, y: ny })}
+              />
+            )
+        )}
+
         {/* Rider triangle markers */}
         {markers.seat && (
           <Marker
@@ -655,6 +1385,7 @@ export default function App() {
             color={bike.color}
             label="Seat"
             scale={scale}
+            rotation={rotation}
             onDrag={(nx, ny) => markersHook.setMarker(bikeKey, 'seat', { x: nx, y: ny })}
           />
         )}
@@ -665,6 +1396,7 @@ export default function App() {
             color={bike.color}
             label="Footpeg"
             scale={scale}
+            rotation={rotation}
             onDrag={(nx, ny) => markersHook.setMarker(bikeKey, 'peg', { x: nx, y: ny })}
           />
         )}
@@ -675,6 +1407,7 @@ export default function App() {
             color={bike.color}
             label="Handlebar"
             scale={scale}
+            rotation={rotation}
             onDrag={(nx, ny) => markersHook.setMarker(bikeKey, 'bar', { x: nx, y: ny })}
           />
         )}
@@ -682,7 +1415,7 @@ export default function App() {
         {/* Skeleton overlay */}
         {showSkeleton && markers.seat && markers.peg && markers.bar && (
           <SkeletonOverlay
-            markers={markers}
+            markers={measured}
             measurements={riderProfile.measurements}
             pxPerMM={calibration.pxPerMM[bikeKey]}
             angles={bikeAngles[bikeKey]}
@@ -690,6 +1423,23 @@ export default function App() {
             ridingStyle={ridingStyle}
             showAngles={showSkeletonAngles}
             scale={scale}
+            toImage={toImage}
+          />
+        )}
+
+        {/* Ghost skeleton in the recommended position */}
+        {ghost && (
+          <SkeletonOverlay
+            markers={ghost}
+            measurements={riderProfile.measurements}
+            pxPerMM={calibration.pxPerMM[bikeKey]}
+            angles={recommendation.after}
+            color={bike.color}
+            ridingStyle={ridingStyle}
+            showAngles={false}
+            scale={scale}
+            toImage={toImage}
+            ghost
           />
         )}
 
@@ -703,8 +1453,7 @@ export default function App() {
     );
   };
 
-  // Check if we have two bikes to compare
-  const hasTwoBikes = bikeKeys.length === 2;
+  const inactiveBikes = Object.values(bikes).filter((b) => !bikeKeys.includes(b.id));
 
   return (
     <div className="min-h-screen w-full container-responsive py-3 sm:py-4">
@@ -713,6 +1462,28 @@ export default function App() {
         <div className="flex items-center justify-between gap-2 mb-2">
           <h1 className="text-xl sm:text-2xl font-semibold">Riding Position Comparison</h1>
           <div className="flex items-center gap-2 flex-shrink-0">
+            {/* Storage settings */}
+            <button
+              onClick={() => setShowStorage(true)}
+              className="btn-ghost p-2"
+              title="Storage settings"
+              aria-label="Storage settings"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"
+                />
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"
+                />
+              </svg>
+            </button>
             {/* Dark mode toggle */}
             <button
               onClick={toggleTheme}
@@ -758,13 +1529,24 @@ export default function App() {
               </button>
             )}
             <Suspense fallback={<LoadingSpinner size="sm" />}>
-              <ExportButton containerRef={containerRef} getShareState={getShareState} />
+              <ExportButton
+                containerRef={containerRef}
+                getShareState={comparison.getState}
+                getReport={getReportData}
+                getSvg={getSvgData}
+              />
             </Suspense>
+            <SessionsPanel
+              containerRef={containerRef}
+              getSessionState={comparison.getState}
+              onRestore={handleRestoreSession}
+            />
+            <BackupPanel getBackupData={getBackupData} onImport={handleImportBackup} />
           </div>
         </div>
-        {hasTwoBikes && (
+        {hasComparison && (
           <p className="text-base sm:text-lg text-secondary">
-            {activeBikes[secondaryBike]?.label} vs {activeBikes[primaryBike]?.label}
+            {bikeKeys.map((key) => activeBikes[key]?.label).join(' vs ')}
           </p>
         )}
         <p className="text-sm text-muted mt-1">
@@ -772,6 +1554,33 @@ export default function App() {
         </p>
       </div>
 
+      {/* Storage nearly full */}
+      {storageWarnings.warnings.length > 0 && (
+        <div
+          className="mb-4 p-3 rounded-lg border border-amber-200 bg-amber-50 text-sm text-amber-800 flex flex-wrap items-center gap-2"
+          role="alert"
+        >
+          <span className="flex-1 min-w-0">{storageWarnings.warnings[0]}</span>
+          <button onClick={() => setShowStorage(true)} className="btn-secondary text-sm">
+            Manage storage
+          </button>
+          <button onClick={storageWarnings.dismiss} className="btn-ghost text-sm">
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {/* Shared link import */}
+      {(sharedLink.isPending || sharedLink.error) && (
+        <SharedLinkBanner
+          riderName={sharedLink.sharedRiderName}
+          error={sharedLink.error}
+          onKeep={sharedLink.keep}
+          onDiscard={sharedLink.discard}
+          onDismiss={sharedLink.dismissError}
+        />
+      )}
+
       <div className="grid grid-cols-1 xl:grid-cols-3 gap-4">
         {/* Controls */}
         <div className="xl:col-span-1 space-y-4">
@@ -803,6 +1612,7 @@ export default function App() {
                   <BikeCard
                     key={key}
                     bike={activeBikes[key]}
+                    imageUrl={imageUrls[key]}
                     onUpdate={bikeStore.updateBike}
                     onUpdateImage={bikeStore.updateBikeImage}
                     onUpdateTire={bikeStore.updateBikeTire}
@@ -814,33 +1624,66 @@ export default function App() {
                 {/* Add new bike */}
                 <ImageUpload onUpload={handleAddBike} />
 
-                {/* Bike selector for slots if more than 2 bikes exist */}
-                {Object.keys(bikes).length > 2 && (
+                {/* Or pick one from the geometry database */}
+                <BikeSearch onPick={handlePickDatabaseBike} />
+
+                {/* Bike selector for slots if there are bikes to choose from */}
+                {Object.keys(bikes).length > 1 && (
                   <div className="pt-2 border-t text-sm">
-                    <p className="text-secondary mb-2">Select bikes to compare:</p>
-                    {[0, 1].map((slot) => (
+                    <p className="text-secondary mb-2">
+                      Select bikes to compare (up to {MAX_ACTIVE_BIKES}):
+                    </p>
+                    {activeSlots.map((slotId, slot) => (
                       <div key={slot} className="flex items-center gap-2 mb-1">
-                        <span className="w-16">Slot {slot + 1}:</span>
+                        <span className="w-16">
+                          {slot === 0 ? 'Reference' : `Slot ${slot + 1}`}:
+                        </span>
                         <select
-                          value={activeSlots[slot] || ''}
+                          value={slotId || ''}
                           onChange={(e) => bikeStore.setActiveSlot(slot, e.target.value)}
                           className="flex-1 px-2 py-1 border border-[--border-color] bg-[--bg-card] rounded text-sm"
                         >
-                          <option value="">Select...</option>
+                          {!slotId && <option value="">Select...</option>}
                           {Object.values(bikes).map((b) => (
-                            <option key={b.id} value={b.id}>
+                            <option
+                              key={b.id}
+                              value={b.id}
+                              disabled={b.id !== slotId && activeSlots.includes(b.id)}
+                            >
                               {b.label}
                             </option>
                           ))}
                         </select>
+                        <button
+                          onClick={() => bikeStore.removeActiveSlot(slot)}
+                          disabled={activeSlots.length <= 1}
+                          className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                          title="Remove from comparison"
+                        >
+                          Remove
+                        </button>
                       </div>
                     ))}
+                    {activeSlots.length < MAX_ACTIVE_BIKES && inactiveBikes.length > 0 && (
+                      <select
+                        value=""
+                        onChange={(e) => e.target.value && bikeStore.addActiveSlot(e.target.value)}
+                        className="w-full mt-1 px-2 py-1 border border-[--border-color] bg-[--bg-card] rounded text-sm"
+                      >
+                        <option value="">Add bike to comparison...</option>
+                        {inactiveBikes.map((b) => (
+                          <option key={b.id} value={b.id}>
+                            {b.label}
+                          </option>
+                        ))}
+                      </select>
+                    )}
                   </div>
                 )}
 
                 {/* Reset to defaults */}
                 <button
-                  onClick={bikeStore.resetToDefaults}
+                  onClick={handleResetToDefaults}
                   className="w-full text-xs text-muted hover:text-primary py-1"
                 >
                   Reset to default bikes
@@ -906,11 +1749,46 @@ export default function App() {
                     >
                       Rear {bike.tires?.rear ? `(${bike.tires.rear})` : ''}
                     </button>
+                    <button
+                      className={
+                        calibration.wheelChoice[key] === 'both'
+                          ? 'btn-toggle-neutral-active'
+                          : 'btn-toggle-inactive'
+                      }
+                      onClick={() => calibration.setWheel(key, 'both')}
+                      disabled={!bike.tires?.front || !bike.tires?.rear}
+                      title="Mark both wheels and axles to cross-check the scale"
+                    >
+                      Both
+                    </button>
                   </div>
-                  {calibration.outerDiameters[key] > 0 && (
-                    <div className="text-xs text-muted mt-1">
-                      Estimated outer diameter: {calibration.outerDiameters[key]?.toFixed(1)} mm
-                    </div>
+                  {calibration.wheelChoice[key] === 'both' ? (
+                    <>
+                      <CalibrationCheck check={calibration.checks[key]} />
+                      <label className="flex items-center gap-2 text-xs mt-1">
+                        <input
+                          type="checkbox"
+                          checked={calibration.perspective[key] !== false}
+                          onChange={(e) =>
+                            calibration.setPerspectiveCorrection(key, e.target.checked)
+                          }
+                        />
+                        Correct perspective
+                        <span className="text-muted">
+                          {calibration.perspective[key] === false
+                            ? ''
+                            : calibration.corrections[key]
+                              ? '· applied to angles and distances'
+                              : '· needs both contact patches and axles'}
+                        </span>
+                      </label>
+                    </>
+                  ) : (
+                    calibration.outerDiameters[key] > 0 && (
+                      <div className="text-xs text-muted mt-1">
+                        Estimated outer diameter: {calibration.outerDiameters[key]?.toFixed(1)} mm
+                      </div>
+                    )
                   )}
                   {(!bike.tires?.front || !bike.tires?.rear) && (
                     <div className="text-xs text-amber-600 mt-1">
@@ -920,6 +1798,16 @@ export default function App() {
                 </div>
               );
             })}
+            {bikeKeys.some((key) => calibration.corrections[key]) && (
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={showPerspectiveGrid}
+                  onChange={(e) => setShowPerspectiveGrid(e.target.checked)}
+                />
+                Show correction grid
+              </label>
+            )}
           </CollapsiblePanel>
 
           {/* Step 2: Tool selection */}
@@ -930,7 +1818,7 @@ export default function App() {
             onToggle={() => togglePanel('tool')}
           >
             <div className="grid grid-cols-2 gap-2 text-sm">
-              {TOOL_SEQUENCE.map((tool, index) => (
+              {toolSequence.map((tool, index) => (
                 <button
                   key={tool}
                   className={`flex items-center justify-between ${activeTool === tool ? 'btn-toggle-active' : 'btn-toggle-inactive'}`}
@@ -945,8 +1833,117 @@ export default function App() {
                 </button>
               ))}
             </div>
+            <button
+              className={`w-full mt-2 text-sm flex items-center justify-center gap-2 ${activeTool === 'detectWheel' ? 'btn-toggle-active' : 'btn-toggle-inactive'}`}
+              onClick={() => {
+                setActiveTool('detectWheel');
+                setWheelSuggestion(null);
+              }}
+              disabled={!activeBike || !imageUrls[activeBike]}
+              title={`Tap the ${detectedWheel(activeBike)} wheel to find its top, bottom and axle`}
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <circle cx="12" cy="12" r="9" strokeWidth={2} />
+                <circle cx="12" cy="12" r="2" strokeWidth={2} />
+              </svg>
+              {TOOL_LABELS.detectWheel}
+            </button>
+            {calibration.wheelChoice[activeBike] === 'both' && (
+              <div className="mt-1 flex items-center gap-2 text-xs">
+                <span className="text-muted">Wheel to detect:</span>
+                {['rear', 'front'].map((wheel) => (
+                  <button
+                    key={wheel}
+                    onClick={() => {
+                      setDetectTarget(wheel);
+                      setActiveTool('detectWheel');
+                      setWheelSuggestion(null);
+                    }}
+                    className={
+                      detectTarget === wheel ? 'btn-toggle-neutral-active' : 'btn-toggle-inactive'
+                    }
+                    aria-pressed={detectTarget === wheel}
+                  >
+                    {wheel === 'rear' ? 'Rear' : 'Front'}
+                  </button>
+                ))}
+              </div>
+            )}
+            <button
+              className={`w-full mt-2 text-sm flex items-center justify-center gap-2 ${LEVEL_POINTS.includes(activeTool) ? 'btn-toggle-active' : 'btn-toggle-inactive'}`}
+              onClick={startLevelLine}
+              disabled={!activeBike}
+              title="Mark two points that should be level, such as the ground under both tires or the horizon"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeWidth={2} d="M3 16h18M7 16V9m10 7V9" />
+              </svg>
+              Mark level line
+            </button>
+            {activeBike && (
+              <div className="mt-1 text-xs text-muted flex items-center gap-2">
+                {calibration.levelLines[activeBike] ? (
+                  <>
+                    <span>
+                      Level: {Math.abs(calibration.tilts[activeBike]).toFixed(1)}° tilt corrected,
+                      from{' '}
+                      {calibration.levelLines[activeBike].source === 'line'
+                        ? 'the marked line'
+                        : 'the tire contact patches'}
+                    </span>
+                    {calibration.levelLines[activeBike].source === 'line' && (
+                      <button
+                        className="ml-auto text-red-600 hover:text-red-800"
+                        onClick={() => clearLevelLine(activeBike)}
+                      >
+                        Clear
+                      </button>
+                    )}
+                  </>
+                ) : (
+                  <span>
+                    No level reference: angles are measured against the photo&apos;s edges.
+                  </span>
+                )}
+              </div>
+            )}
+            {wheelSuggestion && (
+              <div
+                className={`mt-2 p-2 rounded-lg border text-xs ${wheelSuggestion.failed ? 'border-amber-200 bg-amber-50 text-amber-800' : 'border-[--border-color] bg-[--bg-card-hover]'}`}
+                role="status"
+              >
+                {wheelSuggestion.failed ? (
+                  <>
+                    No wheel found there. Tap again nearer the wheel centre, or pick the TOP, BOTTOM
+                    and axle tools to place them by hand.
+                  </>
+                ) : (
+                  <>
+                    <div>
+                      Wheel found on {activeBikes[wheelSuggestion.bikeKey]?.label} (
+                      {Math.round(wheelSuggestion.confidence * 100)}% of the tyre edge matched).
+                      Drag TOP, BOT or the axle to adjust.
+                    </div>
+                    <div className="flex gap-2 mt-2">
+                      <button
+                        onClick={() => setWheelSuggestion(null)}
+                        className="btn-primary text-xs px-2 py-1"
+                      >
+                        Accept
+                      </button>
+                      <button
+                        onClick={undoWheelSuggestion}
+                        className="btn-secondary text-xs px-2 py-1"
+                      >
+                        Undo
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
             <div className="mt-2 text-xs text-muted">
-              Press 1-6 to select tool, Tab to switch bike
+              Press 1-{toolSequence.length} to select tool, Tab to switch bike
             </div>
             <div className="mt-3 text-sm">
               Active on:{' '}
@@ -969,8 +1966,11 @@ export default function App() {
             {/* Action buttons */}
             <div className="flex gap-2 mt-4 pt-3 border-t border-[--border-color]">
               <button
-                onClick={() => activeBike && editMode.enter(activeTool)}
-                disabled={!activeBike || !activeBikes[activeBike]?.img}
+                onClick={() =>
+                  activeBike &&
+                  editMode.enter(toolSequence.includes(activeTool) ? activeTool : 'calibTop')
+                }
+                disabled={!activeBike || !imageUrls[activeBike]}
                 className="flex-1 btn-primary flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -1012,35 +2012,42 @@ export default function App() {
           </CollapsiblePanel>
 
           {/* Step 3: Overlay controls */}
-          {hasTwoBikes && (
+          {hasComparison && (
             <CollapsiblePanel
               title="Overlay & visibility"
               stepNumber={3}
               isOpen={openPanels.overlay}
               onToggle={() => togglePanel('overlay')}
             >
-              <div className="flex items-center gap-3 mb-2">
-                <label className="text-sm">{activeBikes[secondaryBike]?.label} Opacity</label>
-                <input
-                  type="range"
-                  min={0}
-                  max={1}
-                  step={0.01}
-                  value={opacityB}
-                  onChange={(e) => setOpacityB(parseFloat(e.target.value))}
-                  className="flex-1"
-                />
-              </div>
-              <div className="flex items-center gap-3 text-sm">
+              <div className="space-y-2 text-sm">
                 {bikeKeys.map((key) => (
-                  <label key={key} className="flex items-center gap-2">
+                  <div key={key} className="flex items-center gap-3">
+                    <label className="flex items-center gap-2 w-32 min-w-0">
+                      <input
+                        type="checkbox"
+                        checked={showBikes[key] !== false}
+                        onChange={() => toggleBikeVisibility(key)}
+                      />
+                      <span
+                        className="w-3 h-3 rounded-full flex-shrink-0"
+                        style={{ background: activeBikes[key]?.color }}
+                      />
+                      <span className="truncate" title={activeBikes[key]?.label}>
+                        {activeBikes[key]?.label}
+                      </span>
+                    </label>
                     <input
-                      type="checkbox"
-                      checked={showBikes[key] !== false}
-                      onChange={() => toggleBikeVisibility(key)}
+                      type="range"
+                      min={0}
+                      max={1}
+                      step={0.01}
+                      value={getLayerOpacity(key)}
+                      onChange={(e) => setBikeOpacity(key, parseFloat(e.target.value))}
+                      disabled={showBikes[key] === false}
+                      className="flex-1"
+                      aria-label={`${activeBikes[key]?.label} opacity`}
                     />
-                    Show {activeBikes[key]?.label.split(' ')[0]}
-                  </label>
+                  </div>
                 ))}
               </div>
               <div className="flex items-center gap-3 text-sm mt-2 pt-2 border-t">
@@ -1064,7 +2071,7 @@ export default function App() {
               </div>
               <div className="mt-2 text-xs text-secondary">
                 Tip: calibrate TOP/BOTTOM on the outer tire profile, then mark the rear axle center
-                on both bikes. Alignment is applied automatically.
+                on every bike. Overlays are aligned to the first bike automatically.
               </div>
             </CollapsiblePanel>
           )}
@@ -1072,7 +2079,7 @@ export default function App() {
           {/* Step 4: Results */}
           <CollapsiblePanel
             title="Rider triangle distances (mm)"
-            stepNumber={hasTwoBikes ? 4 : 3}
+            stepNumber={hasComparison ? 4 : 3}
             isOpen={openPanels.distances}
             onToggle={() => togglePanel('distances')}
           >
@@ -1117,7 +2124,7 @@ export default function App() {
             </table>
             {!calibration.isCalibrated && (
               <div className="mt-2 text-xs text-amber-700">
-                Complete calibration (TOP/BOTTOM wheel + rear axle for both bikes) to enable
+                Complete calibration (TOP/BOTTOM wheel + rear axle for every bike) to enable
                 accurate measurements.
               </div>
             )}
@@ -1126,7 +2133,7 @@ export default function App() {
           {/* Step 5: Measurement Mode */}
           <CollapsiblePanel
             title="Measurement Mode"
-            stepNumber={hasTwoBikes ? 5 : 4}
+            stepNumber={hasComparison ? 5 : 4}
             isOpen={openPanels.measurement}
             onToggle={() => togglePanel('measurement')}
           >
@@ -1150,7 +2157,7 @@ export default function App() {
           {/* Step 6: Rider Profile */}
           <CollapsiblePanel
             title="Rider Profile"
-            stepNumber={hasTwoBikes ? 6 : 5}
+            stepNumber={hasComparison ? 6 : 5}
             isOpen={openPanels.rider}
             onToggle={() => togglePanel('rider')}
           >
@@ -1160,7 +2167,7 @@ export default function App() {
           {/* Step 7: Ergonomic Angles */}
           <CollapsiblePanel
             title="Ergonomic Angles"
-            stepNumber={hasTwoBikes ? 7 : 6}
+            stepNumber={hasComparison ? 7 : 6}
             isOpen={openPanels.angles}
             onToggle={() => togglePanel('angles')}
           >
@@ -1168,30 +2175,135 @@ export default function App() {
               <div className="text-xs text-muted mb-1">Riding style:</div>
               <RidingStyleSelector value={ridingStyle} onChange={setRidingStyle} />
             </div>
-            {hasTwoBikes ? (
-              <AngleDisplay
-                angles={bikeAngles[primaryBike]}
-                anglesB={bikeAngles[secondaryBike]}
-                label={activeBikes[primaryBike]?.label}
-                labelB={activeBikes[secondaryBike]?.label}
-                color={activeBikes[primaryBike]?.color}
-                colorB={activeBikes[secondaryBike]?.color}
-                ridingStyle={ridingStyle}
-                showComparison={true}
+            <label
+              className="flex items-center gap-2 text-xs text-muted mb-3"
+              title="How far a marked point may be off, in image pixels. Sets the ± range of each angle."
+            >
+              Point placement ±
+              <input
+                type="number"
+                min={0}
+                max={CALIBRATION.MAX_PLACEMENT_UNCERTAINTY_PX}
+                step={0.5}
+                value={placementPx}
+                onChange={(e) =>
+                  setPlacementPx(
+                    Math.min(
+                      CALIBRATION.MAX_PLACEMENT_UNCERTAINTY_PX,
+                      Math.max(0, Number(e.target.value) || 0)
+                    )
+                  )
+                }
+                className="w-14 px-1 py-0.5 border border-[--border-color] bg-[--bg-card] rounded text-xs"
               />
-            ) : (
-              <AngleDisplay
-                angles={bikeAngles[primaryBike]}
-                label={activeBikes[primaryBike]?.label}
-                color={activeBikes[primaryBike]?.color}
-                ridingStyle={ridingStyle}
+              px
+            </label>
+            <div className="mb-3">
+              <AdjusterControls
+                bikes={bikeKeys.map((key) => ({
+                  key,
+                  label: activeBikes[key]?.label,
+                  color: activeBikes[key]?.color,
+                  adjusters: angleInputs[key]?.markers ? activeBikes[key]?.adjusters : null,
+                  positions: adjusterPositions[key],
+                  best: bestAdjustments[key],
+                }))}
+                onChange={setAdjusterPosition}
+                onApply={applyAdjusterPositions}
               />
-            )}
+            </div>
+            <AngleDisplay
+              bikes={bikeKeys.map((key) => ({
+                key,
+                label: activeBikes[key]?.label,
+                color: activeBikes[key]?.color,
+                angles: bikeAngles[key],
+                uncertainty: angleUncertainty[key],
+              }))}
+              ridingStyle={ridingStyle}
+            />
             {!calibration.isCalibrated && (
               <div className="mt-2 text-xs text-amber-700">
                 Complete calibration and place all markers (seat, peg, bar) to calculate angles.
               </div>
             )}
+            {bikeKeys
+              .filter((key) => calibration.checks[key]?.warnings.length > 0)
+              .map((key) => (
+                <div key={key} className="mt-2 text-xs text-amber-700">
+                  {activeBikes[key]?.label}: calibration cross-check failed, so these angles may be
+                  off. See step 1.
+                </div>
+              ))}
+          </CollapsiblePanel>
+
+          {/* Step 8: Fit recommendations */}
+          <CollapsiblePanel
+            title="Recommendations"
+            stepNumber={hasComparison ? 8 : 7}
+            isOpen={openPanels.recommendations}
+            onToggle={() => togglePanel('recommendations')}
+          >
+            <RecommendationPanel
+              bikes={bikeKeys.map((key) => ({
+                key,
+                label: activeBikes[key]?.label,
+                color: activeBikes[key]?.color,
+                recommendation: recommendations[key],
+                previewing: !!ghostPreviews[key],
+              }))}
+              ridingStyle={ridingStyle}
+              onTogglePreview={toggleGhostPreview}
+            />
+            <div className="mt-2 text-xs text-muted">
+              Moves of up to {FIT_RECOMMENDATION.MAX_OFFSET_MM} mm from the current position that
+              bring each angle towards the middle of its comfort zone, for the riding style in step{' '}
+              {hasComparison ? 7 : 6}. Preview shows the rider in the new position as a ghost.
+            </div>
+          </CollapsiblePanel>
+
+          {/* Step 9: Fit range across rider sizes */}
+          <CollapsiblePanel
+            title="Fit Range"
+            stepNumber={hasComparison ? 9 : 8}
+            isOpen={openPanels.fitRange}
+            onToggle={() => togglePanel('fitRange')}
+          >
+            <div className="flex items-center gap-2 mb-3">
+              <span className="text-xs text-muted">Sweep:</span>
+              <button
+                onClick={() => setFitRangeMode('height')}
+                className={
+                  fitRangeMode === 'height' ? 'btn-toggle-neutral-active' : 'btn-toggle-inactive'
+                }
+              >
+                Heights
+              </button>
+              <button
+                onClick={() => setFitRangeMode('percentile')}
+                className={
+                  fitRangeMode === 'percentile'
+                    ? 'btn-toggle-neutral-active'
+                    : 'btn-toggle-inactive'
+                }
+                title="Stature percentiles of the rider profile's body model"
+              >
+                Percentiles
+              </button>
+            </div>
+            <FitRangeChart
+              bikes={fitRange.map((range) => ({
+                ...range,
+                label: activeBikes[range.key]?.label,
+                color: activeBikes[range.key]?.color,
+              }))}
+              ridingStyle={ridingStyle}
+            />
+            <div className="mt-2 text-xs text-muted">
+              Riders of each height are estimated with the rider profile&apos;s body model, seat
+              offset and boot sole; measured overrides are left out. Comfort zones follow the riding
+              style in step {hasComparison ? 7 : 6}.
+            </div>
           </CollapsiblePanel>
         </div>
 
@@ -1222,14 +2334,9 @@ export default function App() {
           >
             {/* Zoomable content wrapper - ref for direct DOM manipulation during gestures */}
             <div ref={pinchZoom.setTransformRef} style={pinchZoom.zoomStyle}>
-              {hasTwoBikes ? (
-                <>
-                  {/* Base layer: primary bike */}
-                  {renderBikeLayer(primaryBike, false)}
-
-                  {/* Overlay layer: secondary bike */}
-                  {renderBikeLayer(secondaryBike, true)}
-                </>
+              {hasComparison ? (
+                // Base layer is the reference bike, the rest are overlays on top
+                bikeKeys.map((key, index) => renderBikeLayer(key, index > 0))
               ) : (
                 <div className="empty-state">
                   <svg
@@ -1266,7 +2373,7 @@ export default function App() {
                 visible={loupeState.visible}
                 touchX={loupeState.touchX}
                 touchY={loupeState.touchY}
-                imageSrc={activeBikes[loupeState.bikeKey].img}
+                imageSrc={imageUrls[loupeState.bikeKey]}
                 containerRect={loupeState.containerRect}
               />
             )}
@@ -1284,7 +2391,7 @@ export default function App() {
       <EditMode
         isActive={editMode.isActive}
         isAnimating={editMode.isAnimating}
-        imageSrc={activeBike ? activeBikes[activeBike]?.img : null}
+        imageSrc={activeBike ? imageUrls[activeBike] : null}
         imageAlt={activeBike ? activeBikes[activeBike]?.label : ''}
         toolLabel={editMode.getCurrentToolLabel()}
         progress={editMode.getProgress()}
@@ -1296,6 +2403,11 @@ export default function App() {
                 calibTop: calibration.calibPts[activeBike]?.top,
                 calibBot: calibration.calibPts[activeBike]?.bot,
                 axle: calibration.axle[activeBike],
+                ...(calibration.wheelChoice[activeBike] === 'both' && {
+                  frontTop: calibration.calibPts[activeBike]?.frontTop,
+                  frontBot: calibration.calibPts[activeBike]?.frontBot,
+                  frontAxle: calibration.calibPts[activeBike]?.frontAxle,
+                }),
               }
             : null
         }
@@ -1310,6 +2422,8 @@ export default function App() {
             calibration.setCalibPoint(activeBike, 'bot', { x, y });
           } else if (tool === 'axle') {
             calibration.setAxlePosition(activeBike, { x, y });
+          } else if (FRONT_WHEEL_POINTS.includes(tool)) {
+            calibration.setCalibPoint(activeBike, tool, { x, y });
           } else if (MARKER_TYPES.includes(tool)) {
             markersHook.setMarker(activeBike, tool, { x, y });
           }
@@ -1334,6 +2448,15 @@ export default function App() {
         onSwipeEnd={editMode.handleSwipeEnd}
       />
 
+      {/* Storage usage and cleanup */}
+      <StorageSettings
+        isOpen={showStorage}
+        onClose={() => setShowStorage(false)}
+        bikes={bikes}
+        onDeleteImage={bikeStore.clearBikeImage}
+        onRecompressImage={bikeStore.recompressBikeImage}
+      />
+
       {/* Onboarding overlay for first-time users */}
       <OnboardingOverlay
         isVisible={onboarding.isVisible}
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { toManualMeasurements, getDatabaseBike } from './data/bikeDatabase';
+
+vi.mock('./utils/adjusters', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, bestAdjustment: vi.fn(actual.bestAdjustment) };
+});
+
+vi.mock('./utils/recommendations', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, recommendFit: vi.fn(actual.recommendFit) };
+});
+
+vi.mock('./utils/fitRange', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, sweepFit: vi.fn(actual.sweepFit) };
+});
+
+const { bestAdjustment } = await import('./utils/adjusters');
+const { recommendFit } = await import('./utils/recommendations');
+const { sweepFit } = await import('./utils/fitRange');
+const { default: App } = await import('./App');
+
+// A database bike measured in manual mode, with a seat height adjuster
+function seedBike() {
+  const entry = getDatabaseBike('yamaha-mt-07-2021');
+  localStorage.setItem(
+    'rider-triangle-state',
+    JSON.stringify({
+      bikes: {
+        mt07: {
+          id: 'mt07',
+          label: 'MT-07',
+          color: '#ef6c00',
+          img: null,
+          tires: { ...entry.tires },
+          measurement: { mode: 'manual', values: toManualMeasurements(entry) },
+          adjusters: { seat: { from: { x: 0, y: -20 }, to: { x: 0, y: 20 } } },
+        },
+      },
+      activeSlots: ['mt07'],
+    })
+  );
+  localStorage.setItem('rider-triangle-onboarding', JSON.stringify({ completed: true }));
+}
+
+describe('App derived analyses', () => {
+  beforeEach(() => {
+    globalThis.__APP_VERSION__ = 'test';
+    globalThis.__BUILD_TIME__ = 'test';
+    globalThis.__GIT_HASH__ = 'test';
+    window.matchMedia ??= (query) => ({
+      matches: false,
+      media: query,
+      addEventListener() {},
+      removeEventListener() {},
+      addListener() {},
+      removeListener() {},
+    });
+    localStorage.clear();
+    seedBike();
+    vi.clearAllMocks();
+  });
+
+  it('does not rerun the adjuster search when a re-render leaves its inputs alone', async () => {
+    render(<App />);
+    await act(async () => {
+      fireEvent.click(screen.getByText('Ergonomic Angles'));
+    });
+    const calls = bestAdjustment.mock.calls.length;
+    expect(calls).toBeGreaterThan(0);
+
+    // Unrelated UI state: opening another panel re-renders the app
+    await act(async () => {
+      fireEvent.click(screen.getByText('Fit Range'));
+    });
+    expect(bestAdjustment.mock.calls.length).toBe(calls);
+  });
+
+  it('does not rerun the fit recommendations when a re-render leaves their inputs alone', async () => {
+    render(<App />);
+    await act(async () => {
+      fireEvent.click(screen.getByText('Recommendations'));
+    });
+    const calls = recommendFit.mock.calls.length;
+    expect(calls).toBeGreaterThan(0);
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Fit Range'));
+    });
+    expect(recommendFit.mock.calls.length).toBe(calls);
+  });
+
+  it('does not rerun the fit range sweep when only the bike label changes', async () => {
+    render(<App />);
+    await act(async () => {
+      fireEvent.click(screen.getByText('Fit Range'));
+    });
+    const calls = sweepFit.mock.calls.length;
+    expect(calls).toBeGreaterThan(0);
+
+    await act(async () => {
+      fireEvent.click(screen.getAllByText('Manage bikes')[0]);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByTitle('Click to edit'));
+    });
+    const input = screen.getByDisplayValue('MT-07');
+    await act(async () => {
+      fireEvent.change(input, { target: { value: 'Street bike' } });
+      fireEvent.keyDown(input, { key: 'Enter' });
+    });
+    expect(screen.getAllByText('Street bike').length).toBeGreaterThan(0);
+    expect(sweepFit.mock.calls.length).toBe(calls);
+  });
+});
@@ -0,0 +1,101 @@
+import { ADJUSTER_LABELS } from '../constants';
+import { adjusterOffset, isAdjustable, stockPosition } from '../utils/adjusters';
+import { formatAngle } from '../utils/ergonomics';
+
+const SLIDER_STEPS = 100;
+
+/**
+ * Describe an offset, e.g. "10 mm up, 5 mm back".
+ */
+function formatOffset({ x, y }) {
+  const parts = [];
+  if (Math.round(y)) parts.push(`${Math.abs(Math.round(y))} mm ${y > 0 ? 'up' : 'down'}`);
+  if (Math.round(x)) parts.push(`${Math.abs(Math.round(x))} mm ${x > 0 ? 'forward' : 'back'}`);
+  return parts.length ? parts.join(', ') : 'stock';
+}
+
+/**
+ * Summarise how far the best setting stays from comfort.
+ */
+function describeDeviation(deviation) {
+  return deviation === 0
+    ? 'all angles in comfort'
+    : `${formatAngle(deviation, 1)} outside comfort in total`;
+}
+
+/**
+ * Sliders for one bike's adjustable touch points, with the best setting for the rider.
+ */
+function BikeAdjusters({ bike, onChange, onApply }) {
+  const { adjusters, positions = {}, best } = bike;
+  const types = Object.keys(ADJUSTER_LABELS).filter((type) => isAdjustable(adjusters?.[type]));
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center gap-1.5 text-xs font-medium">
+        <span className="w-2.5 h-2.5 rounded-full" style={{ background: bike.color }} />
+        {bike.label}
+      </div>
+      {types.map((type) => {
+        const range = adjusters[type];
+        const position = positions[type] ?? stockPosition(range);
+        return (
+          <label key={type} className="flex items-center gap-2 text-xs">
+            <span className="w-16 text-secondary">{ADJUSTER_LABELS[type]}</span>
+            <input
+              type="range"
+              min={0}
+              max={SLIDER_STEPS}
+              value={Math.round(position * SLIDER_STEPS)}
+              onChange={(e) => onChange(bike.key, type, Number(e.target.value) / SLIDER_STEPS)}
+              className="flex-1"
+              aria-label={`${bike.label} ${ADJUSTER_LABELS[type]}`}
+            />
+            <span className="w-28 text-muted">{formatOffset(adjusterOffset(range, position))}</span>
+          </label>
+        );
+      })}
+      {best && (
+        <div className="flex items-center gap-2 text-xs text-muted">
+          <span className="flex-1">
+            Best for this rider:{' '}
+            {types
+              .map(
+                (type) =>
+                  `${ADJUSTER_LABELS[type]} ${formatOffset(adjusterOffset(adjusters[type], best.positions[type]))}`
+              )
+              .join(' · ')}{' '}
+            ({describeDeviation(best.deviation)})
+          </span>
+          <button onClick={() => onApply(bike.key, best.positions)} className="btn-toggle-inactive">
+            Apply
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Adjustable touch points for every bike that has adjusters set up in Manage bikes.
+ *
+ * @param {Array<{key: string, label: string, color: string, adjusters: Object, positions: Object,
+ *   best: Object|null}>} bikes - `positions` are the slider settings (0..1) per touch point,
+ *   `best` comes from bestAdjustment()
+ * @param {function} onChange - (bikeKey, type, position) for a slider
+ * @param {function} onApply - (bikeKey, positions) to apply a setting
+ */
+export function AdjusterControls({ bikes = [], onChange, onApply }) {
+  const adjustable = bikes.filter((bike) =>
+    Object.keys(ADJUSTER_LABELS).some((type) => isAdjustable(bike.adjusters?.[type]))
+  );
+  if (adjustable.length === 0) return null;
+
+  return (
+    <div className="space-y-3">
+      {adjustable.map((bike) => (
+        <BikeAdjusters key={bike.key} bike={bike} onChange={onChange} onApply={onApply} />
+      ))}
+    </div>
+  );
+}
@@ -2,23 +2,38 @@ import { useMemo } from 'react';
 import { COMFORT_ZONES, RIDING_STYLES, getAngleZone, getAnglesSummary } from '../data/comfortZones';
 import { formatAngle } from '../utils/ergonomics';
 
+const UNCERTAIN_TITLE = 'Uncertain: the ± range crosses a zone boundary';
+
+/**
+ * ± range of an angle from point placement error.
+ */
+function AngleRange({ value, uncertainty }) {
+  if (value == null || isNaN(value) || !(uncertainty >= 0.05)) return null;
+  return <span className="ml-1 font-mono text-xs text-muted">±{formatAngle(uncertainty, 1)}</span>;
+}
+
 /**
  * Single angle row with value and zone indicator.
  */
-function AngleRow({ angleType, value, ridingStyle }) {
-  const zone = getAngleZone(angleType, value, ridingStyle);
+function AngleRow({ angleType, value, uncertainty, ridingStyle }) {
+  const zone = getAngleZone(angleType, value, ridingStyle, uncertainty);
   const config = COMFORT_ZONES[angleType];
+  const message = zone.uncertain ? `Uncertain · ${zone.message}` : zone.message;
 
   return (
     <div className="flex items-center gap-2 py-1.5">
       <div className="w-16 text-sm font-medium">{config.label}</div>
       <div
-        className={`w-16 text-right font-mono text-sm px-2 py-0.5 rounded ${zone.colorClass || 'bg-gray-100'}`}
+        className={`w-16 text-right font-mono text-sm px-2 py-0.5 rounded ${zone.colorClass || 'bg-gray-100'} ${zone.uncertain ? 'border border-dashed border-current' : ''}`}
+        title={zone.uncertain ? UNCERTAIN_TITLE : undefined}
       >
         {formatAngle(value)}
       </div>
-      <div className="flex-1 text-xs text-muted truncate" title={zone.message}>
-        {zone.message}
+      <div className="w-12 -ml-1">
+        <AngleRange value={value} uncertainty={uncertainty} />
+      </div>
+      <div className="flex-1 text-xs text-muted truncate" title={message}>
+        {message}
       </div>
     </div>
   );
@@ -47,96 +62,96 @@ function ZoneLegend() {
 }
 
 /**
- * Angle comparison table for two bikes.
+ * Signed angle difference against the reference bike.
  */
-function AngleComparisonTable({ anglesA, anglesB, labelA, labelB, colorA, colorB, ridingStyle }) {
-  const angleTypes = ['knee', 'hip', 'back', 'arm'];
+function AngleDelta({ value, reference }) {
+  if (value == null || reference == null || isNaN(value) || isNaN(reference)) return null;
+  const delta = value - reference;
 
   return (
-    <table className="w-full text-sm">
-      <thead>
-        <tr className="text-left border-b">
-          <th className="py-1.5 w-16">Angle</th>
-          <th className="py-1.5">
-            <span className="flex items-center gap-1.5">
-              <span className="w-2.5 h-2.5 rounded-full" style={{ background: colorA }} />
-              {labelA}
-            </span>
-          </th>
-          <th className="py-1.5">
-            <span className="flex items-center gap-1.5">
-              <span className="w-2.5 h-2.5 rounded-full" style={{ background: colorB }} />
-              {labelB}
-            </span>
-          </th>
-          <th className="py-1.5 w-16 text-right">Delta</th>
-        </tr>
-      </thead>
-      <tbody>
-        {angleTypes.map((type) => {
-          const valA = anglesA?.[type];
-          const valB = anglesB?.[type];
-          const zoneA = getAngleZone(type, valA, ridingStyle);
-          const zoneB = getAngleZone(type, valB, ridingStyle);
+    <span
+      className={`ml-1 font-mono text-xs ${delta > 0 ? 'text-blue-600' : delta < 0 ? 'text-orange-600' : 'text-muted'}`}
+    >
+      {delta > 0 ? '+' : ''}
+      {delta.toFixed(0)}°
+    </span>
+  );
+}
 
-          const delta =
-            valA !== null && valB !== null && !isNaN(valA) && !isNaN(valB) ? valB - valA : null;
+/**
+ * Angle comparison table with one column per bike.
+ * Deltas are shown against the first (reference) bike.
+ */
+function AngleComparisonTable({ bikes, ridingStyle }) {
+  const angleTypes = ['knee', 'hip', 'back', 'arm'];
+  const [reference] = bikes;
 
-          return (
-            <tr key={type} className="border-b border-[--border-color]">
-              <td className="py-1.5 font-medium">{COMFORT_ZONES[type].label}</td>
-              <td className="py-1.5">
-                <span className={`px-1.5 py-0.5 rounded text-xs ${zoneA.colorClass || ''}`}>
-                  {formatAngle(valA)}
-                </span>
-              </td>
-              <td className="py-1.5">
-                <span className={`px-1.5 py-0.5 rounded text-xs ${zoneB.colorClass || ''}`}>
-                  {formatAngle(valB)}
-                </span>
-              </td>
-              <td className="py-1.5 text-right font-mono text-xs">
-                {delta !== null ? (
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left border-b">
+            <th className="py-1.5 w-16">Angle</th>
+            {bikes.map((bike) => (
+              <th key={bike.key} className="py-1.5 pr-2">
+                <span className="flex items-center gap-1.5">
                   <span
-                    className={delta > 0 ? 'text-blue-600' : delta < 0 ? 'text-orange-600' : ''}
-                  >
-                    {delta > 0 ? '+' : ''}
-                    {delta.toFixed(0)}°
+                    className="w-2.5 h-2.5 rounded-full flex-shrink-0"
+                    style={{ background: bike.color }}
+                  />
+                  <span className="truncate" title={bike.label}>
+                    {bike.label}
                   </span>
-                ) : (
-                  '–'
-                )}
-              </td>
+                </span>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {angleTypes.map((type) => (
+            <tr key={type} className="border-b border-[--border-color]">
+              <td className="py-1.5 font-medium">{COMFORT_ZONES[type].label}</td>
+              {bikes.map((bike, index) => {
+                const value = bike.angles?.[type];
+                const uncertainty = bike.uncertainty?.[type];
+                const zone = getAngleZone(type, value, ridingStyle, uncertainty);
+                return (
+                  <td key={bike.key} className="py-1.5 pr-2 whitespace-nowrap">
+                    <span
+                      className={`px-1.5 py-0.5 rounded text-xs ${zone.colorClass || ''} ${zone.uncertain ? 'border border-dashed border-current' : ''}`}
+                      title={zone.uncertain ? UNCERTAIN_TITLE : undefined}
+                    >
+                      {formatAngle(value)}
+                      {zone.uncertain && '?'}
+                    </span>
+                    <AngleRange value={value} uncertainty={uncertainty} />
+                    {index > 0 && <AngleDelta value={value} reference={reference.angles?.[type]} />}
+                  </td>
+                );
+              })}
             </tr>
-          );
-        })}
-      </tbody>
-    </table>
+          ))}
+        </tbody>
+      </table>
+      {bikes.length > 2 && (
+        <div className="text-xs text-muted mt-1">Deltas are relative to {reference.label}.</div>
+      )}
+    </div>
   );
 }
 
 /**
  * Main angle display component.
+ * Shows a single bike's angles, or a comparison table when given several bikes.
  *
- * @param {Object} angles - Single bike angles {knee, hip, back, arm}
- * @param {Object} anglesB - Optional second bike angles for comparison
- * @param {string} label - Bike label
- * @param {string} labelB - Second bike label (for comparison)
- * @param {string} color - Bike color
- * @param {string} colorB - Second bike color
+ * @param {Array<{key: string, label: string, color: string, angles: Object, uncertainty: Object}>}
+ *   bikes - Bikes to show, first is the reference. Angles and their ± uncertainty (optional) are
+ *   {knee, hip, back, arm}.
  * @param {string} ridingStyle - Riding style for zone calculation
- * @param {boolean} showComparison - Whether to show comparison view
  */
-export function AngleDisplay({
-  angles,
-  anglesB,
-  label = 'Bike',
-  labelB = 'Bike B',
-  color = '#666',
-  colorB = '#999',
-  ridingStyle = 'commute',
-  showComparison = false,
-}) {
+export function AngleDisplay({ bikes = [], ridingStyle = 'commute' }) {
+  const angles = bikes[0]?.angles;
+  const uncertainty = bikes[0]?.uncertainty;
   const _summary = useMemo(
     () => getAnglesSummary(angles || {}, ridingStyle),
     [angles, ridingStyle]
@@ -144,28 +159,20 @@ export function AngleDisplay({
 
   const hasAngles = angles && (angles.knee || angles.hip || angles.back || angles.arm);
 
-  if (!hasAngles && !showComparison) {
+  // Comparison mode
+  if (bikes.length > 1) {
     return (
-      <div className="text-sm text-muted py-2">
-        Place all markers (seat, peg, bar) and complete calibration to see angles.
+      <div className="space-y-3">
+        <AngleComparisonTable bikes={bikes} ridingStyle={ridingStyle} />
+        <ZoneLegend />
       </div>
     );
   }
 
-  // Comparison mode
-  if (showComparison && anglesB) {
+  if (!hasAngles) {
     return (
-      <div className="space-y-3">
-        <AngleComparisonTable
-          anglesA={angles}
-          anglesB={anglesB}
-          labelA={label}
-          labelB={labelB}
-          colorA={color}
-          colorB={colorB}
-          ridingStyle={ridingStyle}
-        />
-        <ZoneLegend />
+      <div className="text-sm text-muted py-2">
+        Place all markers (seat, peg, bar) and complete calibration to see angles.
       </div>
     );
   }
@@ -173,10 +180,30 @@ export function AngleDisplay({
   // Single bike mode
   return (
     <div className="space-y-1">
-      <AngleRow angleType="knee" value={angles?.knee} ridingStyle={ridingStyle} />
-      <AngleRow angleType="hip" value={angles?.hip} ridingStyle={ridingStyle} />
-      <AngleRow angleType="back" value={angles?.back} ridingStyle={ridingStyle} />
-      <AngleRow angleType="arm" value={angles?.arm} ridingStyle={ridingStyle} />
+      <AngleRow
+        angleType="knee"
+        value={angles?.knee}
+        uncertainty={uncertainty?.knee}
+        ridingStyle={ridingStyle}
+      />
+      <AngleRow
+        angleType="hip"
+        value={angles?.hip}
+        uncertainty={uncertainty?.hip}
+        ridingStyle={ridingStyle}
+      />
+      <AngleRow
+        angleType="back"
+        value={angles?.back}
+        uncertainty={uncertainty?.back}
+        ridingStyle={ridingStyle}
+      />
+      <AngleRow
+        angleType="arm"
+        value={angles?.arm}
+        uncertainty={uncertainty?.arm}
+        ridingStyle={ridingStyle}
+      />
       <div className="pt-2 border-t mt-2">
         <ZoneLegend />
       </div>
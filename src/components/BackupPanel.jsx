@@ -0,0 +1,235 @@
+import { useState, useCallback, useRef, useMemo } from 'react';
+import { exportBackup, readBackupArchive, planBackupImport } from '../utils/backup';
+import { LoadingSpinner } from './LoadingSpinner';
+
+const SECTIONS = [
+  ['bikes', 'Bikes'],
+  ['profiles', 'Rider profiles'],
+  ['sessions', 'Sessions'],
+];
+
+/**
+ * One line of the import preview, e.g. "Added: Bike A, Bike B".
+ */
+function ChangeLine({ label, names, className }) {
+  if (names.length === 0) return null;
+  return (
+    <div className={className}>
+      {label} ({names.length}): <span className="text-secondary">{names.join(', ')}</span>
+    </div>
+  );
+}
+
+/**
+ * Data button with dropdown to export all app data and import a backup.
+ *
+ * @param {function} getBackupData - Returns { bikes, activeSlots, profiles, activeProfileId, sessions }
+ * @param {function} onImport - Called with (backup, mode) to apply a backup; may return a promise
+ */
+export function BackupPanel({ getBackupData, onImport }) {
+  const fileInputRef = useRef(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [pending, setPending] = useState(null);
+  const [mode, setMode] = useState('merge');
+
+  const plan = useMemo(() => {
+    if (!pending || !isOpen) return null;
+    return planBackupImport(pending.backup, getBackupData(), mode);
+  }, [pending, isOpen, mode, getBackupData]);
+
+  const handleExport = useCallback(async () => {
+    setIsBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await exportBackup(getBackupData());
+      setMessage('Backup downloaded.');
+    } catch (e) {
+      console.warn('Backup export failed:', e);
+      setError('Export failed. Please try again.');
+    }
+    setIsBusy(false);
+  }, [getBackupData]);
+
+  const handleFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setMessage(null);
+    setPending(null);
+    const { backup, error: readError } = readBackupArchive(await file.arrayBuffer());
+    if (readError) {
+      setError(readError);
+      return;
+    }
+    setMode('merge');
+    setPending({ backup, fileName: file.name });
+  }, []);
+
+  const handleImport = useCallback(async () => {
+    if (!pending) return;
+    setIsBusy(true);
+    try {
+      await onImport(pending.backup, mode);
+      setMessage(`Imported ${pending.fileName}.`);
+      setPending(null);
+    } catch (e) {
+      console.warn('Backup import failed:', e);
+      setError('Import failed - storage may be full');
+    }
+    setIsBusy(false);
+  }, [pending, mode, onImport]);
+
+  const hasChanges =
+    plan &&
+    SECTIONS.some(([key]) =>
+      ['added', 'replaced', 'removed'].some((change) => plan[key][change].length > 0)
+    );
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="btn-secondary text-sm flex items-center gap-1.5"
+        aria-expanded={isOpen}
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4"
+          />
+        </svg>
+        Data
+      </button>
+
+      {isOpen && (
+        <>
+          {/* Backdrop */}
+          <div className="fixed inset-0 z-10" onClick={() => setIsOpen(false)} />
+
+          {/* Panel */}
+          <div className="absolute right-0 mt-1 w-80 max-w-[calc(100vw-2rem)] card border border-[--border-color] z-20 p-3">
+            <div className="text-sm font-medium mb-1">Backup</div>
+            <p className="text-xs text-muted mb-2">
+              Move bikes, photos, rider profiles and sessions between devices as one file.
+            </p>
+            <div className="flex gap-2">
+              <button
+                onClick={handleExport}
+                disabled={isBusy}
+                className="btn-primary text-sm px-3 py-1 flex-1 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isBusy && !pending ? <LoadingSpinner size="sm" /> : 'Export all data'}
+              </button>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isBusy}
+                className="btn-secondary text-sm px-3 py-1 flex-1 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Import backup…
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".zip,application/zip"
+                onChange={handleFile}
+                className="hidden"
+              />
+            </div>
+
+            {error && (
+              <div className="text-xs text-red-600 mt-2" role="alert">
+                {error}
+              </div>
+            )}
+            {message && !error && <div className="text-xs text-green-600 mt-2">{message}</div>}
+
+            {pending && plan && (
+              <div className="mt-3 pt-2 border-t border-[--border-color] text-xs space-y-2">
+                <div className="text-sm font-medium truncate" title={pending.fileName}>
+                  {pending.fileName}
+                </div>
+                {pending.backup.exportedAt && (
+                  <div className="text-muted">
+                    Exported {new Date(pending.backup.exportedAt).toLocaleString()}
+                  </div>
+                )}
+
+                <div className="flex gap-1">
+                  {[
+                    ['merge', 'Merge'],
+                    ['overwrite', 'Overwrite'],
+                  ].map(([value, text]) => (
+                    <button
+                      key={value}
+                      onClick={() => setMode(value)}
+                      className={`flex-1 ${mode === value ? 'btn-toggle-active' : 'btn-toggle-inactive'}`}
+                      aria-pressed={mode === value}
+                    >
+                      {text}
+                    </button>
+                  ))}
+                </div>
+                <p className="text-muted">
+                  {mode === 'merge'
+                    ? 'Adds everything from the backup and replaces items that exist in both.'
+                    : 'Replaces your bikes, profiles and sessions with the backup.'}
+                </p>
+
+                <div className="max-h-48 overflow-y-auto space-y-1.5">
+                  {SECTIONS.map(([key, title]) => (
+                    <div key={key}>
+                      <div className="font-medium">{title}</div>
+                      <ChangeLine
+                        label="Added"
+                        names={plan[key].added}
+                        className="text-green-600"
+                      />
+                      <ChangeLine
+                        label="Replaced"
+                        names={plan[key].replaced}
+                        className="text-amber-600"
+                      />
+                      <ChangeLine
+                        label="Removed"
+                        names={plan[key].removed}
+                        className="text-red-600"
+                      />
+                      {['added', 'replaced', 'removed'].every(
+                        (change) => plan[key][change].length === 0
+                      ) && <div className="text-muted">No changes</div>}
+                    </div>
+                  ))}
+                </div>
+
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleImport}
+                    disabled={isBusy || !hasChanges}
+                    className="btn-primary text-sm px-3 py-1 flex-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isBusy ? <LoadingSpinner size="sm" /> : 'Import'}
+                  </button>
+                  <button
+                    onClick={() => setPending(null)}
+                    disabled={isBusy}
+                    className="btn-ghost text-sm px-3 py-1"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
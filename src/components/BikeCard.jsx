@@ -1,9 +1,56 @@
 import { useState, useCallback, useRef } from 'react';
+import { ADJUSTER_LABELS } from '../constants';
+
+const ORIGIN = { x: 0, y: 0 };
 
 /**
- * Bike configuration card with image preview, label, tire specs, and actions.
+ * Adjustment range of one touch point: offsets in mm from the marked position at
+ * either end of the range, x forward and y up.
+ */
+function AdjusterRangeInputs({ label, range, onChange }) {
+  const from = range?.from || ORIGIN;
+  const to = range?.to || ORIGIN;
+
+  const update = (end, axis, value) => {
+    const next = {
+      from,
+      to,
+      [end]: { ...(end === 'from' ? from : to), [axis]: Number(value) || 0 },
+    };
+    const isEmpty = [next.from, next.to].every((p) => p.x === 0 && p.y === 0);
+    onChange(isEmpty ? null : next);
+  };
+
+  const input = (end, axis, title) => (
+    <input
+      type="number"
+      value={(end === 'from' ? from : to)[axis] || ''}
+      onChange={(e) => update(end, axis, e.target.value)}
+      placeholder="0"
+      title={title}
+      aria-label={`${label} ${end} ${axis === 'x' ? 'forward' : 'up'}`}
+      className="w-12 px-1 py-1 border border-[--border-color] bg-[--bg-card] rounded text-xs text-right"
+    />
+  );
+
+  return (
+    <div className="flex items-center gap-1 text-xs">
+      <span className="w-16 text-secondary">{label}</span>
+      {input('from', 'x', 'Forward (mm) at one end')}
+      {input('from', 'y', 'Up (mm) at one end')}
+      <span className="text-muted">→</span>
+      {input('to', 'x', 'Forward (mm) at the other end')}
+      {input('to', 'y', 'Up (mm) at the other end')}
+    </div>
+  );
+}
+
+/**
+ * Bike configuration card with image preview, label, tire specs, wheelbase, adjusters, and
+ * actions.
  *
  * @param {Object} bike - Bike data
+ * @param {string|null} imageUrl - Photo URL (see useBikeImageUrls)
  * @param {function} onUpdate - Callback to update bike properties
  * @param {function} onUpdateImage - Callback to update bike image
  * @param {function} onUpdateTire - Callback to update tire spec
@@ -12,6 +59,7 @@ import { useState, useCallback, useRef } from 'react';
  */
 export function BikeCard({
   bike,
+  imageUrl,
   onUpdate,
   onUpdateImage,
   onUpdateTire,
@@ -106,8 +154,8 @@ export function BikeCard({
 
       {/* Image preview */}
       <div className="relative mb-2 bg-[--bg-card-hover] rounded-lg overflow-hidden aspect-video">
-        {bike.img ? (
-          <img src={bike.img} alt={bike.label} className="w-full h-full object-contain" />
+        {imageUrl ? (
+          <img src={imageUrl} alt={bike.label} className="w-full h-full object-contain" />
         ) : (
           <div className="flex items-center justify-center h-full text-muted text-sm">No image</div>
         )}
@@ -141,8 +189,41 @@ export function BikeCard({
             className="flex-1 px-2 py-1 border border-[--border-color] bg-[--bg-card] rounded text-xs"
           />
         </div>
+        <div className="flex items-center gap-2 text-xs">
+          <label className="w-12 text-secondary" title="Axle to axle, used to check calibration">
+            Base:
+          </label>
+          <input
+            type="number"
+            min="0"
+            value={bike.wheelbase || ''}
+            onChange={(e) => onUpdate(bike.id, { wheelbase: Number(e.target.value) || null })}
+            placeholder="Wheelbase in mm (optional)"
+            className="flex-1 px-2 py-1 border border-[--border-color] bg-[--bg-card] rounded text-xs"
+          />
+        </div>
       </div>
 
+      {/* Adjustable touch points */}
+      <details className="mt-2">
+        <summary className="text-xs text-secondary cursor-pointer">Adjusters (optional)</summary>
+        <div className="mt-1 space-y-1">
+          <div className="text-xs text-muted">
+            Offsets in mm from the marked point at each end of the range: forward, up.
+          </div>
+          {Object.entries(ADJUSTER_LABELS).map(([type, label]) => (
+            <AdjusterRangeInputs
+              key={type}
+              label={label}
+              range={bike.adjusters?.[type]}
+              onChange={(range) =>
+                onUpdate(bike.id, { adjusters: { ...bike.adjusters, [type]: range } })
+              }
+            />
+          ))}
+        </div>
+      </details>
+
       {/* Warning if tires not set */}
       {(!bike.tires.front || !bike.tires.rear) && (
         <p className="mt-2 text-xs text-amber-600">Enter tire specs for calibration</p>
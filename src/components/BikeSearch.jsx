@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { useBikeDatabase } from '../hooks/useBikeDatabase';
+import { BIKE_CATEGORIES, getDatabaseBikeLabel } from '../data/bikeDatabase';
+
+const selectClass =
+  'w-full px-2 py-1 border border-[--border-color] bg-[--bg-card] rounded text-sm';
+
+/**
+ * Searchable picker for the built-in bike geometry database.
+ * Picked bikes are added without a photo and use manual measurement mode.
+ *
+ * @param {function} onPick - Called with the selected database entry
+ */
+export function BikeSearch({ onPick }) {
+  const { filters, setFilter, resetFilters, isFiltered, results, options } = useBikeDatabase();
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="w-full btn-secondary text-sm flex items-center justify-center gap-1.5"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"
+          />
+        </svg>
+        Pick from bike database
+      </button>
+    );
+  }
+
+  return (
+    <div className="border border-[--border-color] rounded p-3 space-y-2 text-sm">
+      <div className="flex items-center justify-between">
+        <span className="font-medium">Bike database</span>
+        <button onClick={() => setIsOpen(false)} className="text-xs text-muted hover:text-primary">
+          Close
+        </button>
+      </div>
+
+      <input
+        type="search"
+        value={filters.query}
+        onChange={(e) => setFilter('query', e.target.value)}
+        placeholder="Search brand or model"
+        className={selectClass}
+        aria-label="Search bikes"
+      />
+
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          value={filters.brand}
+          onChange={(e) => setFilter('brand', e.target.value)}
+          className={selectClass}
+          aria-label="Brand"
+        >
+          <option value="">All brands</option>
+          {options.brands.map((brand) => (
+            <option key={brand} value={brand}>
+              {brand}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.category}
+          onChange={(e) => setFilter('category', e.target.value)}
+          className={selectClass}
+          aria-label="Category"
+        >
+          <option value="">All categories</option>
+          {Object.entries(options.categories).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.minYear ?? ''}
+          onChange={(e) => setFilter('minYear', e.target.value && Number(e.target.value))}
+          className={selectClass}
+          aria-label="Minimum year"
+        >
+          <option value="">Any year</option>
+          {options.years.map((year) => (
+            <option key={year} value={year}>
+              {year} or newer
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1">
+          <input
+            type="number"
+            value={filters.maxSeatHeight ?? ''}
+            onChange={(e) => setFilter('maxSeatHeight', e.target.value && Number(e.target.value))}
+            placeholder={`Seat ≤ ${options.seatHeights.max}`}
+            min={options.seatHeights.min}
+            step={5}
+            className={selectClass}
+            aria-label="Maximum seat height in mm"
+          />
+          <span className="text-xs text-muted">mm</span>
+        </label>
+      </div>
+
+      <div className="flex items-center justify-between text-xs text-muted">
+        <span>
+          {results.length} {results.length === 1 ? 'bike' : 'bikes'}
+        </span>
+        {isFiltered && (
+          <button onClick={resetFilters} className="hover:text-primary">
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      <div className="max-h-60 overflow-y-auto">
+        {results.length === 0 ? (
+          <div className="text-xs text-muted py-2">No bikes match these filters.</div>
+        ) : (
+          results.map((entry) => (
+            <div
+              key={entry.id}
+              className="flex items-center gap-2 py-1.5 border-t border-[--border-color]"
+            >
+              <div className="flex-1 min-w-0">
+                <div className="truncate" title={getDatabaseBikeLabel(entry)}>
+                  {getDatabaseBikeLabel(entry)}
+                </div>
+                <div className="text-xs text-muted">
+                  {BIKE_CATEGORIES[entry.category]} · seat {entry.seatHeight} mm
+                  {entry.verified ? ' · verified' : ''}
+                </div>
+              </div>
+              <button
+                onClick={() => onPick(entry)}
+                className="text-xs text-blue-600 hover:text-blue-800"
+              >
+                Add
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+
+      <p className="text-xs text-muted">
+        Geometry is estimated from published specs. Bikes are added in Manual mode, so no photo is
+        needed; edit the values if you measure your own bike.
+      </p>
+    </div>
+  );
+}
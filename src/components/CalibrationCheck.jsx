@@ -0,0 +1,56 @@
+import { CALIBRATION } from '../constants';
+
+const formatPercent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+
+/**
+ * Summary of a two-wheel calibration: per-wheel tire diameters, how well the
+ * two scale estimates agree, the measured vs. known wheelbase, and warnings
+ * when either is off.
+ *
+ * @param {Object} check - Result of checkCalibration() for one bike
+ */
+export function CalibrationCheck({ check }) {
+  const { diameters, disagreement, wheelbase, warnings } = check;
+
+  return (
+    <div className="text-xs mt-1 space-y-0.5">
+      <div className="text-muted">
+        Rear: {diameters.rear ? `${diameters.rear.toFixed(1)} mm` : '–'} · Front:{' '}
+        {diameters.front ? `${diameters.front.toFixed(1)} mm` : '–'}
+      </div>
+
+      {disagreement === null ? (
+        <div className="text-muted">Mark both wheels to compare their scales.</div>
+      ) : (
+        <div
+          className={
+            disagreement > CALIBRATION.WHEEL_DISAGREEMENT_WARN ? 'text-muted' : 'text-green-600'
+          }
+        >
+          Wheel scales differ by {formatPercent(disagreement)}
+        </div>
+      )}
+
+      {wheelbase && (
+        <div
+          className={
+            wheelbase.error != null && Math.abs(wheelbase.error) <= CALIBRATION.WHEELBASE_ERROR_WARN
+              ? 'text-green-600'
+              : 'text-muted'
+          }
+        >
+          Wheelbase: {Math.round(wheelbase.measured)} mm measured
+          {wheelbase.expected
+            ? ` vs. ${Math.round(wheelbase.expected)} mm (${wheelbase.error > 0 ? '+' : '−'}${formatPercent(Math.abs(wheelbase.error))})`
+            : ' · enter the wheelbase in Manage bikes to check it'}
+        </div>
+      )}
+
+      {warnings.map((warning) => (
+        <div key={warning} className="text-amber-700" role="alert">
+          {warning}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,10 +1,11 @@
 import { useEffect, useRef } from 'react';
+import { rotatePoint } from '../utils/geometry';
 
 /**
  * Small draggable marker for calibration points (TOP/BOTTOM of wheel).
  * Similar to Marker but smaller and with different styling.
  */
-export function CalibrationMarker({ x, y, color, label, onDrag, scale = 1 }) {
+export function CalibrationMarker({ x, y, color, label, onDrag, scale = 1, rotation = 0 }) {
   const ref = useRef(null);
   const dragState = useRef({
     dragging: false,
@@ -55,8 +56,9 @@ export function CalibrationMarker({ x, y, color, label, onDrag, scale = 1 }) {
       const deltaX = clientX - startMouseX;
       const deltaY = clientY - startMouseY;
 
-      const localDeltaX = deltaX / scale;
-      const localDeltaY = deltaY / scale;
+      const unrotated = rotatePoint({ x: deltaX, y: deltaY }, -rotation);
+      const localDeltaX = unrotated.x / scale;
+      const localDeltaY = unrotated.y / scale;
 
       const newX = startX + localDeltaX;
       const newY = startY + localDeltaY;
@@ -83,7 +85,7 @@ export function CalibrationMarker({ x, y, color, label, onDrag, scale = 1 }) {
       window.removeEventListener('touchmove', move);
       window.removeEventListener('touchend', up);
     };
-  }, [x, y, onDrag, scale]);
+  }, [x, y, onDrag, scale, rotation]);
 
   return (
     <div
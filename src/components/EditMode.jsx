@@ -415,6 +415,20 @@ export function EditMode({
                 isActive={currentTool === 'axle'}
               />
             )}
+            {calibration?.frontTop && (
+              <CalibrationMarker position={calibration.frontTop} label="F-TOP" scale={1} />
+            )}
+            {calibration?.frontBot && (
+              <CalibrationMarker position={calibration.frontBot} label="F-BOT" scale={1} />
+            )}
+            {calibration?.frontAxle && (
+              <Marker
+                type="axle"
+                position={calibration.frontAxle}
+                scale={1}
+                isActive={currentTool === 'frontAxle'}
+              />
+            )}
           </div>
         </div>
 
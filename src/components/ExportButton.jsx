@@ -1,11 +1,18 @@
 import { useState, useCallback } from 'react';
 import { exportAsPNG, generateShareableURL, copyToClipboard } from '../utils/export';
+import { exportAsPDF } from '../utils/report';
+import { exportAsSVG } from '../utils/svgExport';
 import { LoadingSpinner } from './LoadingSpinner';
 
 /**
  * Export and share button with dropdown menu.
+ *
+ * @param {Object} containerRef - Ref to the overlay stage
+ * @param {function} getShareState - Returns the comparison state for share links
+ * @param {function} getReport - Returns report data (see utils/report.buildReportData)
+ * @param {function} getSvg - Returns SVG export options (see utils/svgExport.buildOverlaySVG)
  */
-export function ExportButton({ containerRef, getShareState }) {
+export function ExportButton({ containerRef, getShareState, getReport, getSvg }) {
   const [isOpen, setIsOpen] = useState(false);
   const [status, setStatus] = useState(null); // 'loading' | 'success' | 'error'
   const [statusMessage, setStatusMessage] = useState('');
@@ -39,6 +46,45 @@ export function ExportButton({ containerRef, getShareState }) {
     setIsOpen(false);
   }, [containerRef]);
 
+  const handleExportPDF = useCallback(async () => {
+    if (!getReport) {
+      showStatus('error', 'Nothing to export');
+      return;
+    }
+
+    setStatus('loading');
+    setStatusMessage('Generating report...');
+
+    try {
+      await exportAsPDF(getReport(), containerRef?.current, 'rider-triangle-report');
+      showStatus('success', 'Report downloaded!');
+    } catch (e) {
+      console.error('Report export failed:', e);
+      showStatus('error', 'Export failed');
+    }
+
+    setIsOpen(false);
+  }, [containerRef, getReport]);
+
+  const handleExportSVG = useCallback(async () => {
+    const options = getSvg?.();
+    if (!options?.layers.some((layer) => layer.image)) {
+      showStatus('error', 'Nothing to export');
+      setIsOpen(false);
+      return;
+    }
+
+    try {
+      await exportAsSVG(options, 'rider-triangle-overlay');
+      showStatus('success', 'SVG downloaded!');
+    } catch (e) {
+      console.error('SVG export failed:', e);
+      showStatus('error', 'Export failed');
+    }
+
+    setIsOpen(false);
+  }, [getSvg]);
+
   const handleCopyLink = useCallback(async () => {
     if (!getShareState) {
       showStatus('error', 'Nothing to share');
@@ -112,6 +158,44 @@ export function ExportButton({ containerRef, getShareState }) {
               </svg>
               Save as PNG
             </button>
+            <button
+              onClick={handleExportPDF}
+              className="w-full px-4 py-2 text-left text-sm card-hover flex items-center gap-2 border-t border-[--border-color]"
+            >
+              <svg
+                className="w-4 h-4 text-muted"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+                />
+              </svg>
+              Save PDF report
+            </button>
+            <button
+              onClick={handleExportSVG}
+              className="w-full px-4 py-2 text-left text-sm card-hover flex items-center gap-2 border-t border-[--border-color]"
+            >
+              <svg
+                className="w-4 h-4 text-muted"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10"
+                />
+              </svg>
+              Export SVG
+            </button>
             <button
               onClick={handleCopyLink}
               className="w-full px-4 py-2 text-left text-sm card-hover flex items-center gap-2 border-t border-[--border-color]"
@@ -0,0 +1,179 @@
+import { COMFORT_ZONES, getZoneBounds } from '../data/comfortZones';
+import { comfortRanges } from '../utils/fitRange';
+
+const ANGLE_TYPES = ['knee', 'hip', 'back', 'arm'];
+
+// Chart geometry in SVG units
+const WIDTH = 320;
+const HEIGHT = 96;
+const MARGIN = { top: 6, right: 8, bottom: 16, left: 30 };
+
+/**
+ * Polyline points for one bike's angle, split where the angle couldn't be solved.
+ */
+function lineSegments(rows, type, x, y) {
+  const segments = [];
+  let current = [];
+  rows.forEach((row) => {
+    const value = row.angles?.[type];
+    if (value == null || isNaN(value)) {
+      if (current.length) segments.push(current);
+      current = [];
+      return;
+    }
+    current.push(`${x(row.heightCm).toFixed(1)},${y(value).toFixed(1)}`);
+  });
+  if (current.length) segments.push(current);
+  return segments;
+}
+
+/**
+ * One angle against rider height, with the comfort and warning bands shaded.
+ */
+function AngleChart({ type, bikes, ridingStyle, domain }) {
+  const { comfort, warning } = getZoneBounds(type, ridingStyle);
+  const values = bikes.flatMap((bike) =>
+    bike.rows.map((row) => row.angles?.[type]).filter((v) => v != null && !isNaN(v))
+  );
+  const minY = Math.floor(Math.min(warning.min - 10, ...values) / 10) * 10;
+  const maxY = Math.ceil(Math.max(warning.max + 10, ...values) / 10) * 10;
+
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const x = (heightCm) =>
+    MARGIN.left + ((heightCm - domain.min) / (domain.max - domain.min || 1)) * plotWidth;
+  const y = (angle) => MARGIN.top + ((maxY - angle) / (maxY - minY)) * plotHeight;
+  const band = ({ min, max }) => ({
+    x: MARGIN.left,
+    y: y(Math.min(max, maxY)),
+    width: plotWidth,
+    height: Math.max(0, y(Math.max(min, minY)) - y(Math.min(max, maxY))),
+  });
+
+  const ticks = [];
+  for (let tick = Math.ceil(domain.min / 10) * 10; tick <= domain.max; tick += 10) {
+    ticks.push(tick);
+  }
+
+  return (
+    <div>
+      <div className="text-xs font-medium">{COMFORT_ZONES[type].label}</div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto text-muted"
+        role="img"
+        aria-label={`${COMFORT_ZONES[type].label} angle against rider height`}
+      >
+        <rect {...band(warning)} fill="#f59e0b" opacity={0.15} />
+        <rect {...band(comfort)} fill="#22c55e" opacity={0.25} />
+        {[comfort.min, comfort.max].map((value) => (
+          <text
+            key={value}
+            x={MARGIN.left - 3}
+            y={y(value) + 3}
+            textAnchor="end"
+            fontSize={8}
+            fill="currentColor"
+          >
+            {value}°
+          </text>
+        ))}
+        {ticks.map((tick) => (
+          <g key={tick}>
+            <line
+              x1={x(tick)}
+              x2={x(tick)}
+              y1={MARGIN.top}
+              y2={HEIGHT - MARGIN.bottom}
+              stroke="currentColor"
+              strokeOpacity={0.15}
+            />
+            <text x={x(tick)} y={HEIGHT - 4} textAnchor="middle" fontSize={8} fill="currentColor">
+              {tick}
+            </text>
+          </g>
+        ))}
+        {bikes.map((bike) =>
+          lineSegments(bike.rows, type, x, y).map((points, i) => (
+            <polyline
+              key={`${bike.key}-${i}`}
+              points={points.join(' ')}
+              fill="none"
+              stroke={bike.color}
+              strokeWidth={1.5}
+            />
+          ))
+        )}
+      </svg>
+    </div>
+  );
+}
+
+/**
+ * Describe the comfort ranges of one bike, with percentiles when known.
+ */
+function describeRanges(rows) {
+  const ranges = comfortRanges(rows);
+  if (ranges.length === 0) return 'No rider height keeps all four angles in comfort';
+
+  const percentileAt = (heightCm) => rows.find((row) => row.heightCm === heightCm)?.percentile;
+  return ranges
+    .map(({ fromCm, toCm }) => {
+      const from = percentileAt(fromCm);
+      const to = percentileAt(toCm);
+      const heights = fromCm === toCm ? `${fromCm} cm` : `${fromCm}–${toCm} cm`;
+      if (from == null || to == null) return heights;
+      return `${heights} (P${from}${from === to ? '' : `–P${to}`})`;
+    })
+    .join(', ');
+}
+
+/**
+ * Fit range view: each angle charted against rider height for every bike, and the
+ * height range where all four angles stay in comfort.
+ *
+ * @param {Array<{key: string, label: string, color: string, rows: Array<Object>}>} bikes -
+ *   Rows from sweepFit(), one set per bike
+ * @param {string} ridingStyle - Riding style for the comfort zones
+ */
+export function FitRangeChart({ bikes = [], ridingStyle = 'commute' }) {
+  const heights = bikes.flatMap((bike) => bike.rows.map((row) => row.heightCm));
+  if (heights.length === 0) {
+    return (
+      <div className="text-sm text-muted py-2">
+        Place all markers (seat, peg, bar) and complete calibration to see the fit range.
+      </div>
+    );
+  }
+  const domain = { min: Math.min(...heights), max: Math.max(...heights) };
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {ANGLE_TYPES.map((type) => (
+          <AngleChart
+            key={type}
+            type={type}
+            bikes={bikes}
+            ridingStyle={ridingStyle}
+            domain={domain}
+          />
+        ))}
+      </div>
+      <div className="text-xs text-muted">Rider height (cm)</div>
+      <div className="space-y-1">
+        {bikes.map((bike) => (
+          <div key={bike.key} className="flex items-start gap-1.5 text-xs">
+            <span
+              className="w-2.5 h-2.5 mt-0.5 rounded-full flex-shrink-0"
+              style={{ background: bike.color }}
+            />
+            <span>
+              <span className="font-medium">{bike.label}:</span> {describeRanges(bike.rows)}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
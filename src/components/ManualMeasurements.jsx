@@ -19,7 +19,6 @@ function MeasurementInput({ label, hint, value, onChange, unit = 'mm' }) {
           onChange={(e) => onChange(e.target.value)}
           className="w-20 px-2 py-1 border border-[--border-color] bg-[--bg-card] rounded text-sm text-right"
           placeholder="—"
-          min={0}
           step={1}
         />
         <span className="text-xs text-muted w-6">{unit}</span>
@@ -74,7 +73,7 @@ export function ManualMeasurements({ bikeKey, measurementHook, bikeLabel, bikeCo
 
           <MeasurementInput
             label="Seat → Peg (horizontal)"
-            hint="Behind seat"
+            hint="Behind seat (− if peg is forward)"
             value={measurements.seatToPegHorizontal}
             onChange={handleChange('seatToPegHorizontal')}
           />
@@ -95,7 +94,7 @@ export function ManualMeasurements({ bikeKey, measurementHook, bikeLabel, bikeCo
 
           <MeasurementInput
             label="Seat → Bar (vertical)"
-            hint="Bar drop (+ if bar below seat)"
+            hint="Bar rise (+ if bar above seat)"
             value={measurements.seatToBarVertical}
             onChange={handleChange('seatToBarVertical')}
           />
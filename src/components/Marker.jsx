@@ -1,8 +1,9 @@
 import { useEffect, useRef } from 'react';
+import { rotatePoint } from '../utils/geometry';
 
 /**
  * Draggable marker component for placing points on images.
- * Supports scaled containers via the scale prop.
+ * Supports scaled and rotated containers via the scale and rotation props.
  *
  * @param {number} x - X position in local coordinates
  * @param {number} y - Y position in local coordinates
@@ -10,8 +11,9 @@ import { useEffect, useRef } from 'react';
  * @param {string} label - Marker label
  * @param {function} onDrag - Callback with (newX, newY) in local coordinates
  * @param {number} scale - Scale factor of the parent container (default 1)
+ * @param {number} rotation - Clockwise rotation of the parent container in degrees (default 0)
  */
-export function Marker({ x, y, color, label, onDrag, scale = 1 }) {
+export function Marker({ x, y, color, label, onDrag, scale = 1, rotation = 0 }) {
   const ref = useRef(null);
   const dragState = useRef({
     dragging: false,
@@ -63,9 +65,10 @@ export function Marker({ x, y, color, label, onDrag, scale = 1 }) {
       const deltaX = clientX - startMouseX;
       const deltaY = clientY - startMouseY;
 
-      // Convert screen delta to local coordinates by dividing by scale
-      const localDeltaX = deltaX / scale;
-      const localDeltaY = deltaY / scale;
+      // Convert screen delta to local coordinates by undoing rotation and scale
+      const unrotated = rotatePoint({ x: deltaX, y: deltaY }, -rotation);
+      const localDeltaX = unrotated.x / scale;
+      const localDeltaY = unrotated.y / scale;
 
       // New position = start position + local delta
       const newX = startX + localDeltaX;
@@ -93,7 +96,7 @@ export function Marker({ x, y, color, label, onDrag, scale = 1 }) {
       window.removeEventListener('touchmove', move);
       window.removeEventListener('touchend', up);
     };
-  }, [x, y, onDrag, scale]);
+  }, [x, y, onDrag, scale, rotation]);
 
   return (
     <div
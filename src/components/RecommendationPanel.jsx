@@ -0,0 +1,116 @@
+import { COMFORT_ZONES, getAngleZone } from '../data/comfortZones';
+import { formatAngle } from '../utils/ergonomics';
+import { describeRecommendation, hasChanges } from '../utils/recommendations';
+
+const ANGLE_TYPES = ['knee', 'hip', 'back', 'arm'];
+
+/**
+ * Angle value tinted by its comfort zone.
+ */
+function ZonedAngle({ type, value, ridingStyle }) {
+  const zone = getAngleZone(type, value, ridingStyle);
+  return (
+    <span
+      className={`inline-block w-12 text-right font-mono px-1 rounded ${zone.colorClass || 'bg-gray-100'}`}
+    >
+      {formatAngle(value)}
+    </span>
+  );
+}
+
+/**
+ * Suggested moves and predicted angles for one bike.
+ */
+function BikeRecommendation({ bike, ridingStyle, onTogglePreview }) {
+  const { recommendation, previewing } = bike;
+  const suggestions = describeRecommendation(recommendation);
+
+  return (
+    <div className="space-y-1.5">
+      <div className="flex items-center gap-1.5 text-xs font-medium">
+        <span className="w-2.5 h-2.5 rounded-full" style={{ background: bike.color }} />
+        <span className="flex-1">{bike.label}</span>
+        {hasChanges(recommendation) && (
+          <button
+            onClick={() => onTogglePreview(bike.key)}
+            className={previewing ? 'btn-toggle-neutral-active' : 'btn-toggle-inactive'}
+            aria-pressed={previewing}
+          >
+            Preview
+          </button>
+        )}
+      </div>
+      {!recommendation ? (
+        <div className="text-xs text-muted">
+          Place all markers (seat, peg, bar) and complete calibration to get recommendations.
+        </div>
+      ) : suggestions.length === 0 ? (
+        <div className="text-xs text-muted">
+          No small change brings the angles closer to their comfort zones.
+        </div>
+      ) : (
+        <>
+          <ul className="text-sm list-disc pl-5">
+            {suggestions.map(({ type, text }) => (
+              <li key={type}>{text}</li>
+            ))}
+          </ul>
+          <table className="text-xs">
+            <thead>
+              <tr className="text-muted">
+                <th />
+                <th className="font-normal text-right px-1">Now</th>
+                <th className="font-normal text-right px-1">After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ANGLE_TYPES.map((type) => (
+                <tr key={type}>
+                  <td className="pr-2 text-secondary">{COMFORT_ZONES[type].label}</td>
+                  <td className="px-1">
+                    <ZonedAngle
+                      type={type}
+                      value={recommendation.before[type]}
+                      ridingStyle={ridingStyle}
+                    />
+                  </td>
+                  <td className="px-1">
+                    <ZonedAngle
+                      type={type}
+                      value={recommendation.after[type]}
+                      ridingStyle={ridingStyle}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Fit recommendations: small seat, peg and bar moves per bike that centre the rider's
+ * angles in their comfort zones, with a ghost skeleton preview on the photo.
+ *
+ * @param {Array<{key: string, label: string, color: string, recommendation: Object|null,
+ *   previewing: boolean}>} bikes - `recommendation` comes from recommendFit()
+ * @param {string} ridingStyle - Riding style for the comfort zones
+ * @param {function} onTogglePreview - (bikeKey) to show or hide the ghost skeleton
+ */
+export function RecommendationPanel({ bikes = [], ridingStyle = 'commute', onTogglePreview }) {
+  return (
+    <div className="space-y-3">
+      {bikes.map((bike) => (
+        <BikeRecommendation
+          key={bike.key}
+          bike={bike}
+          ridingStyle={ridingStyle}
+          onTogglePreview={onTogglePreview}
+        />
+      ))}
+    </div>
+  );
+}
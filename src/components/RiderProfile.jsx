@@ -1,15 +1,48 @@
 import { useState, useCallback } from 'react';
-import { SEAT_POSITIONS, estimateFromHeight } from '../data/bodyProportions';
+import {
+  SEAT_POSITIONS,
+  SEAT_OFFSET_LIMITS,
+  BOOT_SOLE_LIMITS,
+  OVERRIDABLE_MEASUREMENTS,
+  SEGMENT_PARENTS,
+  WEIGHT_LIMITS,
+  estimateFromHeight,
+  getDataset,
+  getSeatOffset,
+} from '../data/bodyProportions';
+import { ANTHROPOMETRIC_DATASETS } from '../data/anthropometry';
+import { expectedWeight, segmentPercentile } from '../utils/anthropometry';
+
+/**
+ * Format a seat offset for display, e.g. "+20 mm" or "center".
+ */
+function formatSeatOffset(offsetMM) {
+  if (!offsetMM) return 'center';
+  return `${offsetMM > 0 ? '+' : ''}${offsetMM} mm`;
+}
 
 /**
  * Measurement input row with override capability.
+ * Shows the height estimate next to the value used, which differs when the value is
+ * overridden or scaled from an overridden overall length, and the value's percentile.
  */
-function MeasurementRow({ label, estimatedMM, overrideMM, onOverride, onClear }) {
+function MeasurementRow({
+  label,
+  estimatedMM,
+  effectiveMM,
+  overrideMM,
+  percentile,
+  percentileTitle,
+  indent,
+  onOverride,
+  onClear,
+}) {
   const [isEditing, setIsEditing] = useState(false);
   const [inputValue, setInputValue] = useState('');
 
-  const effectiveValue = overrideMM ?? estimatedMM;
+  const effectiveValue = overrideMM ?? effectiveMM ?? estimatedMM;
   const isOverridden = overrideMM !== null && overrideMM !== undefined;
+  const isScaled = !isOverridden && effectiveValue !== estimatedMM;
 
   const handleEditStart = () => {
     setInputValue(String(effectiveValue));
@@ -31,7 +64,10 @@ function MeasurementRow({ label, estimatedMM, overrideMM, onOverride, onClear })
 
   return (
     <div className="flex items-center gap-2 text-sm py-1">
-      <span className="w-24 text-secondary">{label}</span>
+      <span className={`w-28 text-secondary ${indent ? 'pl-3' : ''}`}>{label}</span>
+      <span className="w-16 text-right text-xs text-muted" title="Estimated from height and weight">
+        {estimatedMM} mm
+      </span>
       {isEditing ? (
         <input
           type="number"
@@ -40,6 +76,7 @@ function MeasurementRow({ label, estimatedMM, overrideMM, onOverride, onClear })
           onBlur={handleEditSave}
           onKeyDown={handleKeyDown}
           className="w-20 px-2 py-0.5 border border-[--border-color] bg-[--bg-card] rounded text-right"
+          aria-label={label}
           autoFocus
         />
       ) : (
@@ -51,6 +88,9 @@ function MeasurementRow({ label, estimatedMM, overrideMM, onOverride, onClear })
           {effectiveValue} mm
         </span>
       )}
+      <span className="w-10 text-right text-xs text-muted" title={percentileTitle}>
+        {percentile != null ? `P${percentile}` : '–'}
+      </span>
       {isOverridden && (
         <button
           onClick={onClear}
@@ -60,11 +100,47 @@ function MeasurementRow({ label, estimatedMM, overrideMM, onOverride, onClear })
           reset
         </button>
       )}
-      {!isOverridden && <span className="text-xs text-muted">(est.)</span>}
+      {isScaled && (
+        <span className="text-xs text-muted" title="Scaled with the overall length">
+          (scaled)
+        </span>
+      )}
     </div>
   );
 }
 
+/**
+ * Weight input, committed on blur or Enter so typing isn't clamped midway.
+ * Left empty, the estimates use the typical weight for the rider's height.
+ */
+function WeightInput({ weightKg, placeholder, onChange }) {
+  const [inputValue, setInputValue] = useState(null);
+
+  const commit = () => {
+    if (inputValue === null) return;
+    onChange(parseFloat(inputValue) || null);
+    setInputValue(null);
+  };
+
+  return (
+    <input
+      type="number"
+      value={inputValue ?? weightKg ?? ''}
+      placeholder={placeholder}
+      onChange={(e) => setInputValue(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') setInputValue(null);
+      }}
+      className="w-20 px-2 py-1 border border-[--border-color] bg-[--bg-card] rounded text-sm text-right"
+      min={WEIGHT_LIMITS.min}
+      max={WEIGHT_LIMITS.max}
+      aria-label="Weight"
+    />
+  );
+}
+
 /**
  * Rider profile form component.
  *
@@ -77,12 +153,17 @@ export function RiderProfile({ riderHook }) {
     activeProfile,
     measurements,
     profileIds,
+    isSharedProfile,
     createProfile,
     updateProfile,
     setOverride,
     clearOverride,
+    setSeatOffset,
     setSeatPosition,
+    setBootSole,
     setHeight,
+    setWeight,
+    setDataset,
     setActiveProfile,
     deleteProfile,
   } = riderHook;
@@ -103,19 +184,28 @@ export function RiderProfile({ riderHook }) {
     setIsEditingName(false);
   }, [nameInput, updateProfile]);
 
-  const estimated = activeProfile ? estimateFromHeight(activeProfile.heightCm) : null;
+  const estimated = activeProfile
+    ? estimateFromHeight(activeProfile.heightCm, activeProfile)
+    : null;
+  const seatOffset = getSeatOffset(activeProfile);
 
   if (!activeProfile) return null;
 
+  const dataset = getDataset(activeProfile.dataset);
+  const percentileTitle = `Percentile among ${dataset.label}`;
+  const percentile = (key, valueMM) => segmentPercentile(dataset, key, valueMM);
+  const heightPercentile = percentile('height', activeProfile.heightCm * 10);
+
   return (
     <div className="space-y-3">
       {/* Profile selector */}
       <div className="flex items-center gap-2">
         <select
-          value={activeId}
+          value={isSharedProfile ? '' : activeId}
           onChange={(e) => setActiveProfile(e.target.value)}
           className="flex-1 px-2 py-1 border border-[--border-color] bg-[--bg-card] rounded text-sm"
         >
+          {isSharedProfile && <option value="">{activeProfile.name} (shared)</option>}
           {profileIds.map((id) => (
             <option key={id} value={id}>
               {profiles[id].name}
@@ -129,7 +219,7 @@ export function RiderProfile({ riderHook }) {
         >
           + New
         </button>
-        {profileIds.length > 1 && (
+        {profileIds.length > 1 && !isSharedProfile && (
           <button
             onClick={() => deleteProfile(activeId)}
             className="px-2 py-1 text-sm text-red-600 hover:text-red-800"
@@ -178,54 +268,142 @@ export function RiderProfile({ riderHook }) {
           max={250}
         />
         <span className="text-sm text-muted">cm</span>
+        {heightPercentile != null && (
+          <span className="text-xs text-muted" title={percentileTitle}>
+            P{heightPercentile}
+          </span>
+        )}
+      </div>
+
+      {/* Weight input */}
+      <div className="flex items-center gap-2">
+        <label className="text-sm text-secondary">Weight:</label>
+        <WeightInput
+          key={activeId}
+          weightKg={activeProfile.weightKg}
+          placeholder={String(Math.round(expectedWeight(dataset, activeProfile.heightCm * 10)))}
+          onChange={setWeight}
+        />
+        <span className="text-sm text-muted">kg</span>
+        {activeProfile.weightKg == null && <span className="text-xs text-muted">(typical)</span>}
+      </div>
+
+      {/* Anthropometric dataset */}
+      <div>
+        <div className="flex items-center gap-2">
+          <label htmlFor="rider-dataset" className="text-sm text-secondary">
+            Body model:
+          </label>
+          <select
+            id="rider-dataset"
+            value={dataset.id}
+            onChange={(e) => setDataset(e.target.value)}
+            className="flex-1 px-2 py-1 border border-[--border-color] bg-[--bg-card] rounded text-sm"
+          >
+            {Object.values(ANTHROPOMETRIC_DATASETS).map(({ id, label }) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="text-xs text-muted mt-1">
+          Estimates segments from height and weight. Source: {dataset.source}
+        </div>
       </div>
 
       {/* Body measurements */}
       <div className="border-t border-[--border-color] pt-2">
-        <div className="text-xs text-muted mb-1">Click values to override, or use estimates:</div>
-        <MeasurementRow
-          label="Inseam"
-          estimatedMM={estimated?.inseam}
-          overrideMM={activeProfile.overrides?.inseam}
-          onOverride={(v) => setOverride('inseam', v)}
-          onClear={() => clearOverride('inseam')}
-        />
-        <MeasurementRow
-          label="Torso"
-          estimatedMM={estimated?.torso}
-          overrideMM={activeProfile.overrides?.torso}
-          onOverride={(v) => setOverride('torso', v)}
-          onClear={() => clearOverride('torso')}
-        />
-        <MeasurementRow
-          label="Arm length"
-          estimatedMM={estimated?.armLength}
-          overrideMM={activeProfile.overrides?.armLength}
-          onOverride={(v) => setOverride('armLength', v)}
-          onClear={() => clearOverride('armLength')}
-        />
+        <div className="text-xs text-muted mb-1">
+          Click values to override. Segments follow an overridden inseam or arm length unless set
+          themselves.
+        </div>
+        <div className="flex items-center gap-2 text-xs text-muted">
+          <span className="w-28" />
+          <span className="w-16 text-right">Estimated</span>
+          <span className="w-20 text-right">Used</span>
+          <span className="w-10 text-right" title={percentileTitle}>
+            %ile
+          </span>
+        </div>
+        {OVERRIDABLE_MEASUREMENTS.map(([key, label]) => (
+          <MeasurementRow
+            key={key}
+            label={label}
+            estimatedMM={estimated?.[key]}
+            effectiveMM={measurements?.[key]}
+            overrideMM={activeProfile.overrides?.[key]}
+            percentile={percentile(key, measurements?.[key] ?? estimated?.[key])}
+            percentileTitle={percentileTitle}
+            indent={Boolean(SEGMENT_PARENTS[key])}
+            onOverride={(v) => setOverride(key, v)}
+            onClear={() => clearOverride(key)}
+          />
+        ))}
       </div>
 
       {/* Seat position */}
       <div className="border-t border-[--border-color] pt-2">
         <div className="text-sm text-secondary mb-1">Seat position:</div>
         <div className="flex gap-2">
-          {Object.entries(SEAT_POSITIONS).map(([key, { label }]) => (
+          {Object.entries(SEAT_POSITIONS).map(([key, { label, offset }]) => (
             <button
               key={key}
               onClick={() => setSeatPosition(key)}
               className={
-                activeProfile.seatPosition === key
-                  ? 'btn-toggle-neutral-active'
-                  : 'btn-toggle-inactive'
+                seatOffset === offset ? 'btn-toggle-neutral-active' : 'btn-toggle-inactive'
               }
             >
               {label}
             </button>
           ))}
         </div>
+        <div className="flex items-center gap-2 mt-2">
+          <input
+            type="range"
+            min={SEAT_OFFSET_LIMITS.min}
+            max={SEAT_OFFSET_LIMITS.max}
+            step={5}
+            value={seatOffset}
+            onChange={(e) => setSeatOffset(parseInt(e.target.value, 10))}
+            className="flex-1"
+            aria-label="Seat offset"
+          />
+          <input
+            type="number"
+            value={seatOffset}
+            onChange={(e) => setSeatOffset(parseInt(e.target.value, 10) || 0)}
+            className="w-20 px-2 py-1 border border-[--border-color] bg-[--bg-card] rounded text-sm text-right"
+            min={SEAT_OFFSET_LIMITS.min}
+            max={SEAT_OFFSET_LIMITS.max}
+          />
+          <span className="text-sm text-muted">mm</span>
+        </div>
+        <div className="text-xs text-muted mt-1">
+          Where you sit relative to the seat marker (+ forward, − back). Moves the hip point used
+          for all angles and the skeleton.
+        </div>
+      </div>
+
+      {/* Boot sole */}
+      <div className="border-t border-[--border-color] pt-2">
+        <div className="flex items-center gap-2">
+          <span className="text-sm text-secondary flex-1">Boot sole:</span>
+          <input
+            type="number"
+            value={measurements?.bootSole ?? 0}
+            onChange={(e) => setBootSole(parseInt(e.target.value, 10) || 0)}
+            className="w-20 px-2 py-1 border border-[--border-color] bg-[--bg-card] rounded text-sm text-right"
+            min={BOOT_SOLE_LIMITS.min}
+            max={BOOT_SOLE_LIMITS.max}
+            step={5}
+            aria-label="Boot sole thickness"
+          />
+          <span className="text-sm text-muted">mm</span>
+        </div>
         <div className="text-xs text-muted mt-1">
-          Affects hip angle calculation based on seat rail position
+          Raises the ankle above the peg. The knee angle is measured at the ankle joint, with the
+          ball of the foot on the peg.
         </div>
       </div>
 
@@ -237,7 +415,8 @@ export function RiderProfile({ riderHook }) {
             <span>Inseam: {measurements.inseam} mm</span>
             <span>Torso: {measurements.torso} mm</span>
             <span>Arm: {measurements.armLength} mm</span>
-            <span>Seat: {measurements.seatPosition}</span>
+            <span>Seat: {formatSeatOffset(measurements.seatOffset)}</span>
+            <span>Boot sole: {measurements.bootSole} mm</span>
           </div>
         </div>
       )}
@@ -0,0 +1,251 @@
+import { useState, useCallback } from 'react';
+import { useSessions } from '../hooks/useSessions';
+import { createThumbnail } from '../utils/export';
+import { LoadingSpinner } from './LoadingSpinner';
+
+/**
+ * Format an ISO timestamp for the session list.
+ */
+function formatSavedAt(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return isNaN(date) ? '' : date.toLocaleString();
+}
+
+/**
+ * Single saved session row with thumbnail and actions.
+ */
+function SessionRow({ session, onRestore, onRename, onDuplicate, onDelete }) {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [nameInput, setNameInput] = useState(session.name);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [renameError, setRenameError] = useState(false);
+
+  const handleRenameSave = () => {
+    const trimmed = nameInput.trim();
+    if (!trimmed || trimmed === session.name) {
+      setIsRenaming(false);
+      setRenameError(false);
+      return;
+    }
+    if (onRename(session.name, trimmed)) {
+      setIsRenaming(false);
+      setRenameError(false);
+    } else {
+      setRenameError(true);
+    }
+  };
+
+  return (
+    <div className="flex gap-2 py-2 border-t border-[--border-color]">
+      {session.thumbnail ? (
+        <img
+          src={session.thumbnail}
+          alt=""
+          className="w-16 h-12 object-cover rounded flex-shrink-0 bg-[--bg-card-hover]"
+        />
+      ) : (
+        <div className="w-16 h-12 rounded flex-shrink-0 bg-[--bg-card-hover]" />
+      )}
+
+      <div className="flex-1 min-w-0">
+        {isRenaming ? (
+          <input
+            type="text"
+            value={nameInput}
+            onChange={(e) => {
+              setNameInput(e.target.value);
+              setRenameError(false);
+            }}
+            onBlur={handleRenameSave}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleRenameSave();
+              if (e.key === 'Escape') {
+                setIsRenaming(false);
+                setNameInput(session.name);
+                setRenameError(false);
+              }
+            }}
+            className={`w-full px-1 py-0.5 text-sm border bg-[--bg-card] rounded ${renameError ? 'border-red-500' : 'border-[--border-color]'}`}
+            autoFocus
+          />
+        ) : (
+          <div className="text-sm font-medium truncate" title={session.name}>
+            {session.name}
+          </div>
+        )}
+        <div className="text-xs text-muted">{formatSavedAt(session.savedAt)}</div>
+
+        <div className="flex flex-wrap gap-x-2 text-xs mt-0.5">
+          <button
+            onClick={() => onRestore(session.name)}
+            className="text-blue-600 hover:text-blue-800"
+          >
+            Restore
+          </button>
+          <button
+            onClick={() => {
+              setNameInput(session.name);
+              setIsRenaming(true);
+            }}
+            className="text-muted hover:text-primary"
+          >
+            Rename
+          </button>
+          <button
+            onClick={() => onDuplicate(session.name)}
+            className="text-muted hover:text-primary"
+          >
+            Duplicate
+          </button>
+          {confirmDelete ? (
+            <button
+              onClick={() => onDelete(session.name)}
+              onBlur={() => setConfirmDelete(false)}
+              className="text-red-600 hover:text-red-800 font-medium"
+              autoFocus
+            >
+              Confirm delete
+            </button>
+          ) : (
+            <button
+              onClick={() => setConfirmDelete(true)}
+              className="text-red-600 hover:text-red-800"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Sessions button with dropdown to save, restore and manage named comparisons.
+ *
+ * @param {Object} containerRef - Ref to the overlay stage, used for thumbnails
+ * @param {function} getSessionState - Returns the current comparison state
+ * @param {function} onRestore - Called with a saved state to apply it
+ */
+export function SessionsPanel({ containerRef, getSessionState, onRestore }) {
+  const sessionsHook = useSessions();
+  const { sessions, exists } = sessionsHook;
+  const [isOpen, setIsOpen] = useState(false);
+  const [nameInput, setNameInput] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const trimmedName = nameInput.trim();
+  const willOverwrite = trimmedName && exists(trimmedName);
+
+  const handleSave = useCallback(async () => {
+    if (!trimmedName || !getSessionState) return;
+
+    setIsSaving(true);
+    setError(null);
+    const state = getSessionState();
+    const thumbnail = await createThumbnail(containerRef?.current);
+    const ok = sessionsHook.save(trimmedName, state, thumbnail);
+    setIsSaving(false);
+
+    if (ok) {
+      setNameInput('');
+    } else {
+      setError('Save failed - storage may be full');
+    }
+  }, [trimmedName, getSessionState, containerRef, sessionsHook]);
+
+  const handleRestore = useCallback(
+    (name) => {
+      const state = sessionsHook.load(name);
+      if (state) {
+        onRestore(state);
+        setIsOpen(false);
+      } else {
+        setError('Session could not be loaded');
+      }
+    },
+    [sessionsHook, onRestore]
+  );
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => {
+          // Sessions may have been changed elsewhere, e.g. by a backup import
+          if (!isOpen) sessionsHook.refresh();
+          setIsOpen(!isOpen);
+        }}
+        className="btn-secondary text-sm flex items-center gap-1.5"
+        aria-expanded={isOpen}
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z"
+          />
+        </svg>
+        Sessions
+      </button>
+
+      {isOpen && (
+        <>
+          {/* Backdrop */}
+          <div className="fixed inset-0 z-10" onClick={() => setIsOpen(false)} />
+
+          {/* Panel */}
+          <div className="absolute right-0 mt-1 w-80 max-w-[calc(100vw-2rem)] card border border-[--border-color] z-20 p-3">
+            <div className="text-sm font-medium mb-2">Save current comparison</div>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={nameInput}
+                onChange={(e) => setNameInput(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleSave();
+                }}
+                placeholder="Session name"
+                className="flex-1 min-w-0 px-2 py-1 border border-[--border-color] bg-[--bg-card] rounded text-sm"
+              />
+              <button
+                onClick={handleSave}
+                disabled={!trimmedName || isSaving}
+                className="btn-primary text-sm px-3 py-1 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSaving ? <LoadingSpinner size="sm" /> : willOverwrite ? 'Overwrite' : 'Save'}
+              </button>
+            </div>
+            {willOverwrite && (
+              <div className="text-xs text-amber-600 mt-1">
+                A session with this name exists and will be replaced.
+              </div>
+            )}
+            {error && <div className="text-xs text-red-600 mt-1">{error}</div>}
+
+            <div className="mt-3 max-h-80 overflow-y-auto">
+              {sessions.length === 0 ? (
+                <div className="text-xs text-muted py-2 border-t border-[--border-color]">
+                  No saved sessions yet.
+                </div>
+              ) : (
+                sessions.map((session) => (
+                  <SessionRow
+                    key={session.name}
+                    session={session}
+                    onRestore={handleRestore}
+                    onRename={sessionsHook.rename}
+                    onDuplicate={sessionsHook.duplicate}
+                    onDelete={sessionsHook.remove}
+                  />
+                ))
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
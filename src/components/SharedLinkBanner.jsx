@@ -0,0 +1,70 @@
+/**
+ * Banner shown after a comparison was loaded from a shared link.
+ *
+ * Lets the recipient keep the shared state or discard it and return to
+ * their own setup. Nothing from the link is saved until they keep it.
+ * If the link couldn't be read, shows the error instead.
+ *
+ * @param {string|null} riderName - Name of the shared rider profile, if any
+ * @param {string|null} error - Decode error message
+ * @param {function} onKeep - Keep the shared state
+ * @param {function} onDiscard - Discard the shared state
+ * @param {function} onDismiss - Dismiss the error
+ */
+export function SharedLinkBanner({ riderName, error, onKeep, onDiscard, onDismiss }) {
+  if (error) {
+    return (
+      <div
+        className="card p-3 mb-4 border border-red-400 flex flex-col sm:flex-row sm:items-center gap-3"
+        role="alert"
+      >
+        <div className="flex-1 min-w-0">
+          <div className="font-medium text-primary">Could not open the shared comparison</div>
+          <p className="text-sm text-secondary">{error}</p>
+        </div>
+        <button onClick={onDismiss} className="btn-secondary text-sm flex-shrink-0">
+          Dismiss
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="card p-3 mb-4 border border-[--accent] flex flex-col sm:flex-row sm:items-center gap-3"
+      role="status"
+    >
+      <div className="flex items-start gap-2 flex-1 min-w-0">
+        <svg
+          className="w-5 h-5 text-[--accent] flex-shrink-0 mt-0.5"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1"
+          />
+        </svg>
+        <div className="min-w-0">
+          <div className="font-medium text-primary">Viewing a shared comparison</div>
+          <p className="text-sm text-secondary">
+            {riderName
+              ? `Rider profile "${riderName}" will be added to your profiles if you keep it.`
+              : 'Keep it to continue from here, or discard to return to your own setup.'}
+          </p>
+        </div>
+      </div>
+      <div className="flex items-center gap-2 flex-shrink-0">
+        <button onClick={onDiscard} className="btn-secondary text-sm">
+          Discard
+        </button>
+        <button onClick={onKeep} className="btn-primary text-sm">
+          Keep
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,10 @@
 import { useMemo } from 'react';
-import { calculateSkeletonJoints, getSegmentColor } from '../utils/skeleton';
+import {
+  calculateSkeletonJoints,
+  getSegmentColor,
+  getAngleArc,
+  mapJoints,
+} from '../utils/skeleton';
 import { getAngleZone } from '../data/comfortZones';
 
 /**
@@ -34,37 +39,16 @@ function Joint({ point, radius = 4, color = '#6b7280' }) {
  * Angle arc indicator.
  */
 function AngleArc({ vertex, point1, point2, radius = 20, color = '#6b7280', label }) {
-  if (!vertex || !point1 || !point2) return null;
-
-  // Calculate angles
-  const angle1 = Math.atan2(point1.y - vertex.y, point1.x - vertex.x);
-  const angle2 = Math.atan2(point2.y - vertex.y, point2.x - vertex.x);
-
-  // Create arc path
-  const startX = vertex.x + radius * Math.cos(angle1);
-  const startY = vertex.y + radius * Math.sin(angle1);
-  const endX = vertex.x + radius * Math.cos(angle2);
-  const endY = vertex.y + radius * Math.sin(angle2);
-
-  // Determine if large arc
-  let angleDiff = angle2 - angle1;
-  if (angleDiff < 0) angleDiff += 2 * Math.PI;
-  const largeArc = angleDiff > Math.PI ? 1 : 0;
-
-  const pathD = `M ${startX} ${startY} A ${radius} ${radius} 0 ${largeArc} 1 ${endX} ${endY}`;
-
-  // Label position at midpoint of arc
-  const midAngle = angle1 + angleDiff / 2;
-  const labelX = vertex.x + (radius + 12) * Math.cos(midAngle);
-  const labelY = vertex.y + (radius + 12) * Math.sin(midAngle);
+  const arc = getAngleArc(vertex, point1, point2, radius);
+  if (!arc) return null;
 
   return (
     <g>
-      <path d={pathD} fill="none" stroke={color} strokeWidth={2} strokeDasharray="3 2" />
+      <path d={arc.path} fill="none" stroke={color} strokeWidth={2} strokeDasharray="3 2" />
       {label && (
         <text
-          x={labelX}
-          y={labelY}
+          x={arc.labelX}
+          y={arc.labelY}
           fill={color}
           fontSize={10}
           fontWeight="bold"
@@ -89,6 +73,10 @@ function AngleArc({ vertex, point1, point2, radius = 20, color = '#6b7280', labe
  * @param {string} ridingStyle - Riding style for comfort zone colors
  * @param {boolean} showAngles - Whether to show angle arcs
  * @param {number} scale - Scale factor for overlay bikes
+ * @param {number} tilt - Photo tilt in degrees from the level reference (default 0)
+ * @param {Function} toImage - Maps measured px onto the photo; with it, `markers` are the
+ *   measured (perspective-corrected, levelled) markers the angles come from and `tilt` is unused
+ * @param {boolean} ghost - Draw faint and dashed, e.g. to preview a recommended position
  */
 export function SkeletonOverlay({
   markers,
@@ -99,10 +87,14 @@ export function SkeletonOverlay({
   ridingStyle = 'commute',
   showAngles = true,
   scale: _scale = 1,
+  tilt = 0,
+  toImage = null,
+  ghost = false,
 }) {
   const joints = useMemo(() => {
-    return calculateSkeletonJoints(markers, measurements, pxPerMM);
-  }, [markers, measurements, pxPerMM]);
+    if (toImage) return mapJoints(calculateSkeletonJoints(markers, measurements, pxPerMM), toImage);
+    return calculateSkeletonJoints(markers, measurements, pxPerMM, tilt);
+  }, [markers, measurements, pxPerMM, tilt, toImage]);
 
   // Get zone colors for each segment
   const zones = useMemo(() => {
@@ -117,7 +109,7 @@ export function SkeletonOverlay({
 
   if (!joints) return null;
 
-  const { hip, knee, foot, shoulder, elbow, hand, head } = joints;
+  const { hip, knee, ankle, foot, shoulder, elbow, hand, head } = joints;
 
   // Segment colors based on comfort zones
   const thighColor = getSegmentColor(zones.knee?.status);
@@ -131,10 +123,11 @@ export function SkeletonOverlay({
       className="absolute inset-0 w-full h-full pointer-events-none"
       style={{ overflow: 'visible' }}
     >
-      <g opacity={0.85}>
+      <g opacity={ghost ? 0.45 : 0.85} strokeDasharray={ghost ? '6 4' : undefined}>
         {/* Leg segments */}
         <Segment from={hip} to={knee} color={thighColor} strokeWidth={4} />
-        <Segment from={knee} to={foot} color={lowerLegColor} strokeWidth={4} />
+        <Segment from={knee} to={ankle} color={lowerLegColor} strokeWidth={4} />
+        <Segment from={ankle} to={foot} color={lowerLegColor} strokeWidth={3} />
 
         {/* Torso */}
         <Segment from={hip} to={shoulder} color={torsoColor} strokeWidth={5} />
@@ -146,7 +139,8 @@ export function SkeletonOverlay({
         {/* Joints */}
         <Joint point={hip} radius={6} color={color} />
         <Joint point={knee} radius={5} color={thighColor} />
-        <Joint point={foot} radius={4} color={lowerLegColor} />
+        <Joint point={ankle} radius={4} color={lowerLegColor} />
+        <Joint point={foot} radius={3} color={lowerLegColor} />
         <Joint point={shoulder} radius={5} color={torsoColor} />
         <Joint point={elbow} radius={4} color={upperArmColor} />
         <Joint point={hand} radius={4} color={forearmColor} />
@@ -171,7 +165,7 @@ export function SkeletonOverlay({
               <AngleArc
                 vertex={knee}
                 point1={hip}
-                point2={foot}
+                point2={ankle}
                 radius={15}
                 color={getSegmentColor(zones.knee?.status)}
                 label={`${Math.round(angles.knee)}°`}
@@ -0,0 +1,288 @@
+import { useState, useCallback } from 'react';
+import { useStorageUsage } from '../hooks/useStorageUsage';
+import { formatBytes } from '../utils/storage';
+import { STORAGE } from '../constants';
+import { LoadingSpinner } from './LoadingSpinner';
+
+const LOCATION_LABELS = {
+  indexedDB: 'Stored',
+  inline: 'Inline',
+  external: 'Web link',
+  none: 'No photo',
+  missing: 'Missing',
+};
+
+// Friendly names for the app's localStorage keys
+const KEY_LABELS = {
+  'rider-triangle-state': 'Bikes',
+  'rider-triangle-profiles': 'Rider profiles',
+  'rider-triangle-sessions': 'Sessions',
+  'rider-triangle-onboarding': 'Tutorial progress',
+  'rider-triangle-theme': 'Theme',
+};
+
+/**
+ * One storage total with an optional usage bar.
+ */
+function UsageRow({ label, used, limit, detail }) {
+  const ratio = limit ? Math.min(1, used / limit) : null;
+  const barColor = ratio >= STORAGE.WARN_RATIO ? 'bg-red-500' : 'bg-[--accent]';
+  return (
+    <div>
+      <div className="flex justify-between text-sm">
+        <span>{label}</span>
+        <span className="font-mono text-xs">
+          {formatBytes(used)}
+          {limit ? ` of ${formatBytes(limit)}` : ''}
+        </span>
+      </div>
+      {ratio !== null && (
+        <div className="h-1.5 mt-1 rounded bg-[--bg-card-hover] overflow-hidden">
+          <div className={`h-full ${barColor}`} style={{ width: `${ratio * 100}%` }} />
+        </div>
+      )}
+      {detail && <div className="text-xs text-muted mt-0.5">{detail}</div>}
+    </div>
+  );
+}
+
+/**
+ * Storage settings dialog: usage per store and per bike photo, quota warnings,
+ * and bulk deletion or recompression of photos.
+ *
+ * @param {boolean} isOpen - Whether the dialog is shown
+ * @param {function} onClose - Close the dialog
+ * @param {Object} bikes - All bike records by ID
+ * @param {function} onDeleteImage - Called with a bike ID to delete its photo
+ * @param {function} onRecompressImage - Called with (bike ID, quality); resolves to bytes saved
+ */
+export function StorageSettings({ isOpen, onClose, bikes, onDeleteImage, onRecompressImage }) {
+  const { summary, isLoading, refresh, deleteOrphans } = useStorageUsage(bikes, isOpen);
+  const [selected, setSelected] = useState({});
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const toggle = useCallback((key) => {
+    setSelected((s) => ({ ...s, [key]: !s[key] }));
+    setConfirmDelete(false);
+  }, []);
+
+  if (!isOpen) return null;
+
+  // Rows that hold a photo we can act on: bike photos and orphaned entries
+  const photoRows = summary
+    ? [
+        ...summary.bikes
+          .filter((row) => row.location === 'indexedDB' || row.location === 'inline')
+          .map((row) => ({ ...row, rowKey: `bike:${row.id}` })),
+        ...summary.orphans.map((orphan) => ({
+          ...orphan,
+          rowKey: `orphan:${orphan.key}`,
+          label: 'Unused photo',
+          location: 'orphan',
+        })),
+      ]
+    : [];
+  const selectedRows = photoRows.filter((row) => selected[row.rowKey]);
+  const selectedBikes = selectedRows.filter((row) => row.id);
+  const selectedOrphans = selectedRows.filter((row) => !row.id);
+
+  const handleDelete = async () => {
+    setIsWorking(true);
+    await Promise.all(selectedBikes.map((row) => onDeleteImage(row.id)));
+    await deleteOrphans(selectedOrphans.map((row) => row.key));
+    setMessage(`Deleted ${selectedRows.length} photo${selectedRows.length === 1 ? '' : 's'}.`);
+    setSelected({});
+    setConfirmDelete(false);
+    setIsWorking(false);
+  };
+
+  const handleRecompress = async () => {
+    setIsWorking(true);
+    let saved = 0;
+    for (const row of selectedBikes) {
+      saved += await onRecompressImage(row.id, STORAGE.RECOMPRESS_QUALITY);
+    }
+    await refresh();
+    setMessage(
+      saved > 0 ? `Recompressed, saving ${formatBytes(saved)}.` : 'Photos are already compact.'
+    );
+    setSelected({});
+    setIsWorking(false);
+  };
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div className="fixed inset-0 bg-black/50 z-40" onClick={onClose} aria-hidden="true" />
+
+      {/* Dialog */}
+      <div
+        className="fixed left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 z-50 w-[90vw] max-w-lg"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="storage-title"
+      >
+        <div className="bg-[--bg-card] rounded-2xl shadow-xl overflow-hidden max-h-[85vh] flex flex-col">
+          <div className="p-4 border-b border-[--border-color] flex items-center justify-between">
+            <h2 id="storage-title" className="text-lg font-semibold">
+              Storage
+            </h2>
+            <button onClick={onClose} className="btn-ghost p-1" aria-label="Close storage settings">
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M6 18L18 6M6 6l12 12"
+                />
+              </svg>
+            </button>
+          </div>
+
+          <div className="p-4 overflow-y-auto space-y-4">
+            {!summary ? (
+              <div className="flex justify-center py-6">
+                <LoadingSpinner />
+              </div>
+            ) : (
+              <>
+                {summary.warnings.map((warning) => (
+                  <div
+                    key={warning}
+                    className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-2"
+                    role="alert"
+                  >
+                    {warning}
+                  </div>
+                ))}
+
+                <div className="space-y-3">
+                  <UsageRow
+                    label="Local storage"
+                    used={summary.localStorage.total}
+                    limit={STORAGE.LOCAL_STORAGE_LIMIT_BYTES}
+                    detail={Object.entries(summary.localStorage.byKey)
+                      .map(([key, size]) => `${KEY_LABELS[key] || key}: ${formatBytes(size)}`)
+                      .join(' · ')}
+                  />
+                  <UsageRow
+                    label="Photo storage (IndexedDB)"
+                    used={summary.indexedDB.total}
+                    detail={`${summary.indexedDB.count} photo${summary.indexedDB.count === 1 ? '' : 's'}`}
+                  />
+                  {summary.quota ? (
+                    <UsageRow
+                      label="Browser quota for this site"
+                      used={summary.quota.usage}
+                      limit={summary.quota.quota}
+                    />
+                  ) : (
+                    <div className="text-xs text-muted">
+                      This browser does not report its storage quota.
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <div className="text-sm font-medium mb-1">Photos</div>
+                  {summary.bikes.length === 0 && summary.orphans.length === 0 && (
+                    <div className="text-xs text-muted">No bikes yet.</div>
+                  )}
+                  <div className="divide-y divide-[--border-color] text-sm">
+                    {summary.bikes
+                      .filter((row) => row.location !== 'indexedDB' && row.location !== 'inline')
+                      .concat(photoRows)
+                      .sort((a, b) => b.size - a.size)
+                      .map((row) => {
+                        const selectable = Boolean(row.rowKey);
+                        return (
+                          <label
+                            key={row.rowKey || row.id}
+                            className={`flex items-center gap-2 py-1.5 ${selectable ? 'cursor-pointer' : ''}`}
+                          >
+                            <input
+                              type="checkbox"
+                              checked={Boolean(selected[row.rowKey])}
+                              onChange={() => toggle(row.rowKey)}
+                              disabled={!selectable || isWorking}
+                              className={selectable ? '' : 'invisible'}
+                            />
+                            <span className="flex-1 min-w-0 truncate" title={row.key || row.label}>
+                              {row.label}
+                            </span>
+                            <span
+                              className={`text-xs ${row.location === 'orphan' || row.location === 'missing' ? 'text-amber-600' : 'text-muted'}`}
+                            >
+                              {row.location === 'orphan'
+                                ? 'No matching bike'
+                                : LOCATION_LABELS[row.location]}
+                            </span>
+                            <span className="font-mono text-xs w-16 text-right">
+                              {row.size ? formatBytes(row.size) : '–'}
+                            </span>
+                          </label>
+                        );
+                      })}
+                  </div>
+                </div>
+
+                {message && <div className="text-xs text-green-600">{message}</div>}
+
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={() =>
+                      setSelected(
+                        Object.fromEntries(summary.orphans.map((o) => [`orphan:${o.key}`, true]))
+                      )
+                    }
+                    disabled={summary.orphans.length === 0 || isWorking}
+                    className="btn-secondary text-sm px-3 py-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Select unused ({summary.orphans.length})
+                  </button>
+                  <button
+                    onClick={handleRecompress}
+                    disabled={selectedBikes.length === 0 || isWorking}
+                    className="btn-secondary text-sm px-3 py-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Re-encode at lower quality; photo size and markers stay the same"
+                  >
+                    Recompress selected
+                  </button>
+                  {confirmDelete ? (
+                    <button
+                      onClick={handleDelete}
+                      disabled={isWorking}
+                      className="text-sm px-3 py-1 rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+                    >
+                      {isWorking ? (
+                        <LoadingSpinner size="sm" />
+                      ) : (
+                        `Delete ${selectedRows.length} photo${selectedRows.length === 1 ? '' : 's'}`
+                      )}
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => setConfirmDelete(true)}
+                      disabled={selectedRows.length === 0 || isWorking}
+                      className="text-sm px-3 py-1 text-red-600 hover:text-red-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Delete selected
+                    </button>
+                  )}
+                  {isLoading && <LoadingSpinner size="sm" />}
+                </div>
+                {confirmDelete && selectedBikes.length > 0 && (
+                  <div className="text-xs text-amber-600">
+                    Deleting a bike&apos;s photo keeps the bike and its measurements.
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
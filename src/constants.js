@@ -41,6 +41,19 @@ export const ZOOM = {
 // Tool sequence for auto-advance during calibration
 export const TOOL_SEQUENCE = ['calibTop', 'calibBot', 'axle', 'seat', 'peg', 'bar'];
 
+// Tool sequence when calibrating on both wheels (rear first, then front)
+export const TWO_WHEEL_TOOL_SEQUENCE = [
+  'calibTop',
+  'calibBot',
+  'axle',
+  'frontTop',
+  'frontBot',
+  'frontAxle',
+  'seat',
+  'peg',
+  'bar',
+];
+
 // Human-readable tool labels
 export const TOOL_LABELS = {
   calibTop: 'Calib. TOP wheel',
@@ -49,10 +62,62 @@ export const TOOL_LABELS = {
   seat: 'Seat',
   peg: 'Footpeg',
   bar: 'Handlebar',
+  frontTop: 'Calib. TOP front',
+  frontBot: 'Calib. BOTTOM front',
+  frontAxle: 'Front axle center',
+  detectWheel: 'Auto-detect wheel',
+  levelStart: 'Level line start',
+  levelEnd: 'Level line end',
 };
 
 // Marker types (subset of tool sequence for body position markers)
 export const MARKER_TYPES = ['seat', 'peg', 'bar'];
 
+// Adjustable touch points (see utils/adjusters.js)
+export const ADJUSTER_LABELS = {
+  seat: 'Seat height',
+  peg: 'Peg kit',
+  bar: 'Bar riser',
+};
+
+// Front wheel points placed during two-wheel calibration (keys in calibPts)
+export const FRONT_WHEEL_POINTS = ['frontTop', 'frontBot', 'frontAxle'];
+
+// Ends of a marked level line (keys in calibPts), placed outside the tool sequence
+export const LEVEL_POINTS = ['levelStart', 'levelEnd'];
+
 // Stage minimum height
 export const STAGE_MIN_HEIGHT_PX = 520;
+
+// Maximum number of bikes compared at once
+export const MAX_ACTIVE_BIKES = 4;
+
+// Storage usage warnings
+export const STORAGE = {
+  LOCAL_STORAGE_LIMIT_BYTES: 5 * 1024 * 1024, // Typical per-site localStorage limit
+  WARN_RATIO: 0.8, // Warn when this share of a limit is used
+  RECOMPRESS_QUALITY: 0.6, // JPEG quality when recompressing stored photos
+};
+
+// Calibration cross-checks (two-wheel calibration and known wheelbase)
+export const CALIBRATION = {
+  WHEEL_DISAGREEMENT_WARN: 0.03, // Front/rear scale difference worth a warning (3%)
+  WHEELBASE_ERROR_WARN: 0.03, // Measured vs. known wheelbase difference worth a warning (3%)
+  PLACEMENT_UNCERTAINTY_PX: 2, // Default point placement error (one standard deviation per axis)
+  MAX_PLACEMENT_UNCERTAINTY_PX: 20,
+};
+
+// Fit range sweep across rider sizes
+export const FIT_RANGE = {
+  MIN_HEIGHT_CM: 150,
+  MAX_HEIGHT_CM: 200,
+  HEIGHT_STEP_CM: 2,
+  PERCENTILES: [1, 5, 10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 99], // Stature percentiles to sweep
+};
+
+// Fit recommendation search (see utils/recommendations.js)
+export const FIT_RECOMMENDATION = {
+  MAX_OFFSET_MM: 50, // Furthest a touch point may move each way, forward and up
+  STEPS_MM: [20, 10, 5], // Search step sizes, coarse to fine
+  MOVEMENT_COST: 0.005, // Cost per mm moved, so small gains don't suggest big changes
+};
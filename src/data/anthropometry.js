@@ -0,0 +1,193 @@
+/**
+ * Anthropometric datasets for estimating body segments.
+ *
+ * Each dataset describes a population: stature (mm) and weight (kg) as normal
+ * distributions with their correlation, and a linear regression per segment,
+ * centred on the population means:
+ *
+ *   segment = mean + height * (stature - stature.mean) + weight * (weight - weight.mean)
+ *
+ * `sd` is the residual spread around the regression. The marginal distribution of
+ * each segment, used for percentiles, follows from these (see utils/anthropometry.js).
+ *
+ * The ANSUR II models are fitted to published summary statistics of the 2012 US
+ * Army survey, rounded; they are estimates, not the survey's own regressions.
+ * Regional datasets reuse the ANSUR II regressions with the region's stature and
+ * weight, so body proportions are assumed to match.
+ */
+
+// Average body segment ratios (as fraction of height)
+// Sources: NASA-STD-3000, Dreyfuss Associates, ANSUR II
+export const BODY_RATIOS = {
+  // Leg measurements
+  inseam: 0.47, // Floor to crotch (leg length)
+  thigh: 0.245, // Crotch to knee center
+  lowerLeg: 0.225, // Knee center to ankle
+
+  // Torso measurements
+  torso: 0.3, // Crotch to shoulder
+  sittingHeight: 0.52, // Floor to top of head when seated
+
+  // Arm measurements
+  armLength: 0.44, // Shoulder to fingertip
+  upperArm: 0.186, // Shoulder to elbow
+  forearm: 0.146, // Elbow to wrist
+  hand: 0.108, // Wrist to fingertip
+
+  // Other useful measurements
+  shoulderWidth: 0.26, // Bideltoid breadth
+  hipWidth: 0.17, // Hip breadth
+  footLength: 0.15, // Heel to toe
+  ankleHeight: 0.039, // Floor to ankle joint
+  hipAboveSeat: 0.05, // Seat surface to hip joint center when seated
+};
+
+// Segments modelled by every dataset
+export const MODELLED_SEGMENTS = [
+  'inseam',
+  'thigh',
+  'lowerLeg',
+  'torso',
+  'armLength',
+  'upperArm',
+  'forearm',
+  'footLength',
+  'shoulderWidth',
+];
+
+const AVERAGE_STATURE = { mean: 1700, sd: 95 };
+
+/**
+ * Fixed fractions of height, as before datasets were selectable.
+ */
+const AVERAGE = {
+  id: 'average',
+  label: 'Average adult (fixed ratios)',
+  source: 'NASA-STD-3000, Dreyfuss Associates',
+  stature: AVERAGE_STATURE,
+  weight: { mean: 75, sd: 15 },
+  correlation: 0.5,
+  segments: Object.fromEntries(
+    MODELLED_SEGMENTS.map((key) => [
+      key,
+      { mean: BODY_RATIOS[key] * AVERAGE_STATURE.mean, height: BODY_RATIOS[key], weight: 0, sd: 0 },
+    ])
+  ),
+};
+
+const ANSUR_MALE = {
+  id: 'ansur-male',
+  label: 'Male (ANSUR II)',
+  source: 'ANSUR II, US Army 2012',
+  stature: { mean: 1756, sd: 69 },
+  weight: { mean: 85.5, sd: 14.2 },
+  correlation: 0.5,
+  segments: {
+    inseam: { mean: 856, height: 0.52, weight: -1.0, sd: 25 },
+    thigh: { mean: 430, height: 0.25, weight: -0.3, sd: 18 },
+    lowerLeg: { mean: 395, height: 0.24, weight: -0.2, sd: 16 },
+    torso: { mean: 527, height: 0.26, weight: 0.5, sd: 20 },
+    armLength: { mean: 773, height: 0.43, weight: 0.2, sd: 25 },
+    upperArm: { mean: 327, height: 0.18, weight: 0.1, sd: 13 },
+    forearm: { mean: 256, height: 0.14, weight: 0.05, sd: 11 },
+    footLength: { mean: 270, height: 0.13, weight: 0.15, sd: 10 },
+    shoulderWidth: { mean: 510, height: 0.12, weight: 1.5, sd: 18 },
+  },
+};
+
+const ANSUR_FEMALE = {
+  id: 'ansur-female',
+  label: 'Female (ANSUR II)',
+  source: 'ANSUR II, US Army 2012',
+  stature: { mean: 1629, sd: 64 },
+  weight: { mean: 67.8, sd: 11.2 },
+  correlation: 0.5,
+  segments: {
+    inseam: { mean: 777, height: 0.52, weight: -1.0, sd: 23 },
+    thigh: { mean: 400, height: 0.25, weight: -0.3, sd: 17 },
+    lowerLeg: { mean: 368, height: 0.24, weight: -0.2, sd: 15 },
+    torso: { mean: 490, height: 0.26, weight: 0.5, sd: 18 },
+    armLength: { mean: 712, height: 0.43, weight: 0.2, sd: 23 },
+    upperArm: { mean: 300, height: 0.18, weight: 0.1, sd: 12 },
+    forearm: { mean: 232, height: 0.14, weight: 0.05, sd: 10 },
+    footLength: { mean: 245, height: 0.13, weight: 0.15, sd: 9 },
+    shoulderWidth: { mean: 430, height: 0.12, weight: 1.5, sd: 16 },
+  },
+};
+
+/**
+ * A regional population with the regressions of a base dataset, moved to the
+ * region's mean stature and weight.
+ */
+function regional(base, { id, label, source, stature, weight }) {
+  const dStature = stature.mean - base.stature.mean;
+  const dWeight = weight.mean - base.weight.mean;
+  return {
+    ...base,
+    id,
+    label,
+    source,
+    stature,
+    weight,
+    segments: Object.fromEntries(
+      Object.entries(base.segments).map(([key, model]) => [
+        key,
+        { ...model, mean: model.mean + model.height * dStature + model.weight * dWeight },
+      ])
+    ),
+  };
+}
+
+const REGIONAL = [
+  regional(ANSUR_MALE, {
+    id: 'nl-male',
+    label: 'Male, Netherlands',
+    source: 'ANSUR II regressions, Dutch stature and weight',
+    stature: { mean: 1838, sd: 71 },
+    weight: { mean: 87, sd: 13.5 },
+  }),
+  regional(ANSUR_FEMALE, {
+    id: 'nl-female',
+    label: 'Female, Netherlands',
+    source: 'ANSUR II regressions, Dutch stature and weight',
+    stature: { mean: 1705, sd: 65 },
+    weight: { mean: 73, sd: 13 },
+  }),
+  regional(ANSUR_MALE, {
+    id: 'jp-male',
+    label: 'Male, Japan',
+    source: 'ANSUR II regressions, Japanese stature and weight',
+    stature: { mean: 1715, sd: 58 },
+    weight: { mean: 69, sd: 11 },
+  }),
+  regional(ANSUR_FEMALE, {
+    id: 'jp-female',
+    label: 'Female, Japan',
+    source: 'ANSUR II regressions, Japanese stature and weight',
+    stature: { mean: 1582, sd: 53 },
+    weight: { mean: 54, sd: 8.5 },
+  }),
+  regional(ANSUR_MALE, {
+    id: 'in-male',
+    label: 'Male, India',
+    source: 'ANSUR II regressions, Indian stature and weight',
+    stature: { mean: 1650, sd: 68 },
+    weight: { mean: 62, sd: 11 },
+  }),
+  regional(ANSUR_FEMALE, {
+    id: 'in-female',
+    label: 'Female, India',
+    source: 'ANSUR II regressions, Indian stature and weight',
+    stature: { mean: 1525, sd: 60 },
+    weight: { mean: 53, sd: 10 },
+  }),
+];
+
+/**
+ * All datasets by ID, in display order.
+ */
+export const ANTHROPOMETRIC_DATASETS = Object.fromEntries(
+  [AVERAGE, ANSUR_MALE, ANSUR_FEMALE, ...REGIONAL].map((dataset) => [dataset.id, dataset])
+);
+
+export const DEFAULT_DATASET = AVERAGE.id;
@@ -0,0 +1,344 @@
+/**
+ * Built-in motorcycle geometry database.
+ *
+ * Peg and bar positions are relative to the seat contact point, in mm:
+ * - x: forward positive
+ * - y: up positive
+ *
+ * Values are estimates from manufacturer spec sheets and published reviews,
+ * not factory measurements. Entries marked `verified` were checked on a real bike.
+ */
+
+export const BIKE_CATEGORIES = {
+  sport: 'Sport',
+  naked: 'Naked',
+  adventure: 'Adventure',
+  touring: 'Touring',
+  cruiser: 'Cruiser',
+};
+
+export const BIKE_DATABASE = [
+  // Sport
+  {
+    id: 'yamaha-yzf-r1-2020',
+    brand: 'Yamaha',
+    model: 'YZF-R1',
+    year: 2020,
+    category: 'sport',
+    seatHeight: 855,
+    tires: { front: '120/70 ZR17', rear: '190/55 ZR17' },
+    peg: { x: 60, y: -390 },
+    bar: { x: 560, y: 60 },
+    verified: false,
+  },
+  {
+    id: 'honda-cbr1000rr-r-2020',
+    brand: 'Honda',
+    model: 'CBR1000RR-R Fireblade',
+    year: 2020,
+    category: 'sport',
+    seatHeight: 830,
+    tires: { front: '120/70 ZR17', rear: '200/55 ZR17' },
+    peg: { x: 50, y: -380 },
+    bar: { x: 570, y: 40 },
+    verified: false,
+  },
+  {
+    id: 'honda-cbr650r-2019',
+    brand: 'Honda',
+    model: 'CBR650R',
+    year: 2019,
+    category: 'sport',
+    seatHeight: 810,
+    tires: { front: '120/70 ZR17', rear: '180/55 ZR17' },
+    peg: { x: 110, y: -400 },
+    bar: { x: 520, y: 130 },
+    verified: false,
+  },
+  {
+    id: 'kawasaki-zx-10r-2021',
+    brand: 'Kawasaki',
+    model: 'Ninja ZX-10R',
+    year: 2021,
+    category: 'sport',
+    seatHeight: 835,
+    tires: { front: '120/70 ZR17', rear: '190/55 ZR17' },
+    peg: { x: 70, y: -385 },
+    bar: { x: 555, y: 70 },
+    verified: false,
+  },
+  {
+    id: 'suzuki-gsx-r1000-2017',
+    brand: 'Suzuki',
+    model: 'GSX-R1000',
+    year: 2017,
+    category: 'sport',
+    seatHeight: 825,
+    tires: { front: '120/70 ZR17', rear: '190/55 ZR17' },
+    peg: { x: 60, y: -375 },
+    bar: { x: 550, y: 60 },
+    verified: false,
+  },
+
+  // Naked
+  {
+    id: 'yamaha-mt-07-2021',
+    brand: 'Yamaha',
+    model: 'MT-07',
+    year: 2021,
+    category: 'naked',
+    seatHeight: 805,
+    tires: { front: '120/70 ZR17', rear: '180/55 ZR17' },
+    peg: { x: 140, y: -420 },
+    bar: { x: 450, y: 250 },
+    verified: false,
+  },
+  {
+    id: 'yamaha-mt-09-2021',
+    brand: 'Yamaha',
+    model: 'MT-09',
+    year: 2021,
+    category: 'naked',
+    seatHeight: 825,
+    tires: { front: '120/70 ZR17', rear: '180/55 ZR17' },
+    peg: { x: 130, y: -425 },
+    bar: { x: 455, y: 240 },
+    verified: false,
+  },
+  {
+    id: 'kawasaki-z900-2020',
+    brand: 'Kawasaki',
+    model: 'Z900',
+    year: 2020,
+    category: 'naked',
+    seatHeight: 820,
+    tires: { front: '120/70 ZR17', rear: '180/55 ZR17' },
+    peg: { x: 135, y: -415 },
+    bar: { x: 460, y: 230 },
+    verified: false,
+  },
+  {
+    id: 'triumph-street-triple-rs-2020',
+    brand: 'Triumph',
+    model: 'Street Triple RS',
+    year: 2020,
+    category: 'naked',
+    seatHeight: 825,
+    tires: { front: '120/70 ZR17', rear: '180/55 ZR17' },
+    peg: { x: 110, y: -405 },
+    bar: { x: 480, y: 190 },
+    verified: false,
+  },
+  {
+    id: 'ducati-monster-2021',
+    brand: 'Ducati',
+    model: 'Monster',
+    year: 2021,
+    category: 'naked',
+    seatHeight: 820,
+    tires: { front: '120/70 ZR17', rear: '180/55 ZR17' },
+    peg: { x: 130, y: -410 },
+    bar: { x: 470, y: 210 },
+    verified: false,
+  },
+
+  // Adventure
+  {
+    id: 'bmw-r1250gs-2019',
+    brand: 'BMW',
+    model: 'R 1250 GS',
+    year: 2019,
+    category: 'adventure',
+    seatHeight: 850,
+    tires: { front: '120/70 R19', rear: '170/60 R17' },
+    peg: { x: 160, y: -470 },
+    bar: { x: 470, y: 310 },
+    verified: false,
+  },
+  {
+    id: 'ktm-1290-super-adventure-s-2021',
+    brand: 'KTM',
+    model: '1290 Super Adventure S',
+    year: 2021,
+    category: 'adventure',
+    seatHeight: 849,
+    tires: { front: '120/70 ZR19', rear: '170/60 ZR17' },
+    peg: { x: 150, y: -480 },
+    bar: { x: 480, y: 300 },
+    verified: false,
+  },
+  {
+    id: 'honda-africa-twin-2020',
+    brand: 'Honda',
+    model: 'CRF1100L Africa Twin',
+    year: 2020,
+    category: 'adventure',
+    seatHeight: 850,
+    tires: { front: '90/90-21', rear: '150/70 R18' },
+    peg: { x: 150, y: -490 },
+    bar: { x: 460, y: 330 },
+    verified: false,
+  },
+  {
+    id: 'suzuki-v-strom-1050-2020',
+    brand: 'Suzuki',
+    model: 'V-Strom 1050',
+    year: 2020,
+    category: 'adventure',
+    seatHeight: 855,
+    tires: { front: '110/80 R19', rear: '150/70 R17' },
+    peg: { x: 170, y: -465 },
+    bar: { x: 470, y: 300 },
+    verified: false,
+  },
+
+  // Touring
+  {
+    id: 'suzuki-gsx-s1000gx-2024',
+    brand: 'Suzuki',
+    model: 'GSX-S1000GX',
+    year: 2024,
+    category: 'touring',
+    seatHeight: 845,
+    tires: { front: '120/70 ZR17', rear: '190/50 ZR17' },
+    peg: { x: 150, y: -440 },
+    bar: { x: 460, y: 270 },
+    verified: false,
+  },
+  {
+    id: 'honda-gold-wing-2018',
+    brand: 'Honda',
+    model: 'Gold Wing',
+    year: 2018,
+    category: 'touring',
+    seatHeight: 745,
+    tires: { front: '130/70 R18', rear: '200/55 R16' },
+    peg: { x: 260, y: -380 },
+    bar: { x: 430, y: 330 },
+    verified: false,
+  },
+  {
+    id: 'bmw-k1600gt-2017',
+    brand: 'BMW',
+    model: 'K 1600 GT',
+    year: 2017,
+    category: 'touring',
+    seatHeight: 810,
+    tires: { front: '120/70 ZR17', rear: '190/55 ZR17' },
+    peg: { x: 190, y: -430 },
+    bar: { x: 440, y: 300 },
+    verified: false,
+  },
+  {
+    id: 'yamaha-fjr1300-2016',
+    brand: 'Yamaha',
+    model: 'FJR1300',
+    year: 2016,
+    category: 'touring',
+    seatHeight: 805,
+    tires: { front: '120/70 ZR17', rear: '180/55 ZR17' },
+    peg: { x: 170, y: -430 },
+    bar: { x: 450, y: 270 },
+    verified: false,
+  },
+
+  // Cruiser
+  {
+    id: 'harley-davidson-street-glide-2021',
+    brand: 'Harley-Davidson',
+    model: 'Street Glide',
+    year: 2021,
+    category: 'cruiser',
+    seatHeight: 690,
+    tires: { front: '130/60B19', rear: '180/55B18' },
+    peg: { x: 430, y: -330 },
+    bar: { x: 420, y: 360 },
+    verified: false,
+  },
+  {
+    id: 'indian-scout-2022',
+    brand: 'Indian',
+    model: 'Scout',
+    year: 2022,
+    category: 'cruiser',
+    seatHeight: 649,
+    tires: { front: '130/90-16', rear: '150/80-16' },
+    peg: { x: 470, y: -300 },
+    bar: { x: 400, y: 330 },
+    verified: false,
+  },
+  {
+    id: 'honda-rebel-500-2020',
+    brand: 'Honda',
+    model: 'Rebel 500',
+    year: 2020,
+    category: 'cruiser',
+    seatHeight: 690,
+    tires: { front: '130/90-16', rear: '150/80-16' },
+    peg: { x: 350, y: -320 },
+    bar: { x: 400, y: 340 },
+    verified: false,
+  },
+];
+
+/**
+ * Find a database entry by ID.
+ *
+ * @param {string} id - Entry ID
+ * @returns {Object|null}
+ */
+export function getDatabaseBike(id) {
+  return BIKE_DATABASE.find((entry) => entry.id === id) || null;
+}
+
+/**
+ * Display label for a database entry, e.g. "Yamaha MT-07 (2021)".
+ */
+export function getDatabaseBikeLabel(entry) {
+  return `${entry.brand} ${entry.model} (${entry.year})`;
+}
+
+/**
+ * Convert an entry's peg and bar coordinates to the fields used by manual
+ * measurement mode (see useMeasurementMode.getVirtualMarkers).
+ *
+ * @param {Object} entry - Database entry
+ * @returns {Object} { seatHeight, seatToPegHorizontal, seatToPegVertical, seatToBarHorizontal, seatToBarVertical }
+ */
+export function toManualMeasurements(entry) {
+  return {
+    seatHeight: entry.seatHeight,
+    seatToPegHorizontal: -entry.peg.x,
+    seatToPegVertical: -entry.peg.y,
+    seatToBarHorizontal: entry.bar.x,
+    seatToBarVertical: entry.bar.y,
+  };
+}
+
+/**
+ * Filter database entries.
+ *
+ * @param {Object} filters - { query, brand, category, minYear, maxSeatHeight }, all optional
+ * @param {Object[]} entries - Entries to search (defaults to the full database)
+ * @returns {Object[]} Matching entries, sorted by brand, model and year
+ */
+export function searchBikeDatabase(filters = {}, entries = BIKE_DATABASE) {
+  const { query, brand, category, minYear, maxSeatHeight } = filters;
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+  return entries
+    .filter((entry) => {
+      if (brand && entry.brand !== brand) return false;
+      if (category && entry.category !== category) return false;
+      if (minYear && entry.year < minYear) return false;
+      if (maxSeatHeight && entry.seatHeight > maxSeatHeight) return false;
+      if (terms.length > 0) {
+        const text = `${entry.brand} ${entry.model} ${entry.year}`.toLowerCase();
+        return terms.every((term) => text.includes(term));
+      }
+      return true;
+    })
+    .sort(
+      (a, b) => a.brand.localeCompare(b.brand) || a.model.localeCompare(b.model) || a.year - b.year
+    );
+}
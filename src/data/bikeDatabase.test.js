@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { renderHook } from '@testing-library/react';
+import {
+  BIKE_DATABASE,
+  BIKE_CATEGORIES,
+  getDatabaseBike,
+  getDatabaseBikeLabel,
+  searchBikeDatabase,
+  toManualMeasurements,
+} from './bikeDatabase';
+import { manualMeasurementsToMarkers } from '../utils/ergonomics';
+import { useMeasurementMode } from '../hooks/useMeasurementMode';
+
+const entry = (overrides) => ({
+  seatHeight: 820,
+  tires: { front: '120/70 ZR17', rear: '180/55 ZR17' },
+  peg: { x: 100, y: -400 },
+  bar: { x: 480, y: 200 },
+  verified: false,
+  ...overrides,
+});
+
+const entries = [
+  entry({ id: 'mt07', brand: 'Yamaha', model: 'MT-07', year: 2021, category: 'naked' }),
+  entry({ id: 'r1', brand: 'Yamaha', model: 'YZF-R1', year: 2020, category: 'sport' }),
+  entry({
+    id: 'goldwing',
+    brand: 'Honda',
+    model: 'Gold Wing',
+    year: 2018,
+    category: 'touring',
+    seatHeight: 745,
+  }),
+  entry({
+    id: 'africa',
+    brand: 'Honda',
+    model: 'Africa Twin',
+    year: 2020,
+    category: 'adventure',
+    seatHeight: 850,
+  }),
+];
+const ids = (result) => result.map((e) => e.id);
+
+describe('toManualMeasurements', () => {
+  it('converts database coordinates (x forward, y up) to manual fields', () => {
+    const fields = toManualMeasurements(
+      entry({ seatHeight: 805, peg: { x: 140, y: -420 }, bar: { x: 450, y: 250 } })
+    );
+    expect(fields).toEqual({
+      seatHeight: 805,
+      seatToPegHorizontal: -140,
+      seatToPegVertical: 420,
+      seatToBarHorizontal: 450,
+      seatToBarVertical: 250,
+    });
+  });
+
+  it('places the peg below and ahead of the seat and the bar above and ahead', () => {
+    const markers = manualMeasurementsToMarkers(
+      toManualMeasurements(entry({ peg: { x: 140, y: -420 }, bar: { x: 450, y: 250 } }))
+    );
+    // Screen-style markers: x forward, y down
+    expect(markers).toEqual({
+      seat: { x: 0, y: 0 },
+      peg: { x: 140, y: 420 },
+      bar: { x: 450, y: -250 },
+    });
+  });
+
+  it('gives plausible markers for every database entry', () => {
+    BIKE_DATABASE.forEach((bike) => {
+      const markers = manualMeasurementsToMarkers(toManualMeasurements(bike));
+      // Pegs below the seat, bars ahead of it and above the pegs (cruisers have forward controls)
+      expect(markers.peg.y).toBeGreaterThan(0);
+      expect(markers.bar.x).toBeGreaterThan(0);
+      expect(markers.bar.y).toBeLessThan(markers.peg.y);
+      expect(BIKE_CATEGORIES[bike.category]).toBeTruthy();
+    });
+  });
+});
+
+describe('searchBikeDatabase', () => {
+  it('returns everything sorted by brand, model and year without filters', () => {
+    expect(ids(searchBikeDatabase({}, entries))).toEqual(['africa', 'goldwing', 'mt07', 'r1']);
+  });
+
+  it('filters by brand, category, minimum year and maximum seat height', () => {
+    expect(ids(searchBikeDatabase({ brand: 'Yamaha' }, entries))).toEqual(['mt07', 'r1']);
+    expect(ids(searchBikeDatabase({ category: 'touring' }, entries))).toEqual(['goldwing']);
+    expect(ids(searchBikeDatabase({ minYear: 2020 }, entries))).toEqual(['africa', 'mt07', 'r1']);
+    expect(ids(searchBikeDatabase({ maxSeatHeight: 820 }, entries))).toEqual([
+      'goldwing',
+      'mt07',
+      'r1',
+    ]);
+    expect(ids(searchBikeDatabase({ brand: 'Honda', maxSeatHeight: 800 }, entries))).toEqual([
+      'goldwing',
+    ]);
+  });
+
+  it('matches every query term across brand, model and year, ignoring case', () => {
+    expect(ids(searchBikeDatabase({ query: 'yamaha 2021' }, entries))).toEqual(['mt07']);
+    expect(ids(searchBikeDatabase({ query: 'HONDA twin' }, entries))).toEqual(['africa']);
+    expect(ids(searchBikeDatabase({ query: '  wing   2018 ' }, entries))).toEqual(['goldwing']);
+    expect(searchBikeDatabase({ query: 'yamaha 2018' }, entries)).toEqual([]);
+  });
+
+  it('searches the built-in database by default', () => {
+    const result = searchBikeDatabase({ query: 'mt-07' });
+    expect(result.map(getDatabaseBikeLabel)).toContain('Yamaha MT-07 (2021)');
+    expect(getDatabaseBike(result[0].id)).toBe(result[0]);
+    expect(getDatabaseBike('no-such-bike')).toBeNull();
+  });
+});
+
+describe('picked bike in manual mode', () => {
+  it('restores the saved measurements and feeds them to the markers', () => {
+    const picked = getDatabaseBike('yamaha-mt-07-2021');
+    const bikes = {
+      a: { id: 'a', measurement: { mode: 'manual', values: toManualMeasurements(picked) } },
+      b: { id: 'b' },
+    };
+    const { result } = renderHook(() => useMeasurementMode(bikes));
+
+    expect(result.current.getMode('a')).toBe('manual');
+    expect(result.current.getMode('b')).toBe('photo');
+    expect(result.current.isComplete('a')).toBe(true);
+    expect(manualMeasurementsToMarkers(result.current.getMeasurements('a'))).toEqual({
+      seat: { x: 0, y: 0 },
+      peg: { x: picked.peg.x, y: -picked.peg.y },
+      bar: { x: picked.bar.x, y: -picked.bar.y },
+    });
+  });
+});
@@ -1,54 +1,84 @@
 /**
- * Body proportion data for estimating measurements from height.
- * Based on anthropometric studies and ergonomic standards.
- *
- * All ratios are expressed as fraction of total height.
+ * Rider body measurements: estimates from height (and weight) with the profile's
+ * anthropometric dataset, and the rider's own overrides on top.
  * These are statistical averages and vary by individual.
  */
 
-// Average body segment ratios (as fraction of height)
-// Sources: NASA-STD-3000, Dreyfuss Associates, ANSUR II
-export const BODY_RATIOS = {
-  // Leg measurements
-  inseam: 0.47, // Floor to crotch (leg length)
-  thigh: 0.245, // Crotch to knee center
-  lowerLeg: 0.225, // Knee center to ankle
-
-  // Torso measurements
-  torso: 0.3, // Crotch to shoulder
-  sittingHeight: 0.52, // Floor to top of head when seated
-
-  // Arm measurements
-  armLength: 0.44, // Shoulder to fingertip
-  upperArm: 0.186, // Shoulder to elbow
-  forearm: 0.146, // Elbow to wrist
-  hand: 0.108, // Wrist to fingertip
-
-  // Other useful measurements
-  shoulderWidth: 0.26, // Bideltoid breadth
-  hipWidth: 0.17, // Hip breadth
-  footLength: 0.15, // Heel to toe
+import { ANTHROPOMETRIC_DATASETS, BODY_RATIOS, DEFAULT_DATASET } from './anthropometry';
+import { predictSegment } from '../utils/anthropometry';
+
+export { BODY_RATIOS };
+
+// Horizontal distance from ankle joint to ball of foot, as fraction of foot length
+const ANKLE_TO_BALL_RATIO = 0.52;
+
+/**
+ * Measurements the rider can override, as [key, label], in display order.
+ */
+export const OVERRIDABLE_MEASUREMENTS = [
+  ['inseam', 'Inseam'],
+  ['thigh', 'Thigh'],
+  ['lowerLeg', 'Lower leg'],
+  ['torso', 'Torso'],
+  ['armLength', 'Arm length'],
+  ['upperArm', 'Upper arm'],
+  ['forearm', 'Forearm'],
+  ['footLength', 'Foot length'],
+  ['shoulderWidth', 'Shoulder width'],
+];
+
+/**
+ * Segments that follow an overall length: a measured inseam rescales the thigh and
+ * lower leg by the same factor, unless they are overridden themselves.
+ */
+export const SEGMENT_PARENTS = {
+  thigh: 'inseam',
+  lowerLeg: 'inseam',
+  upperArm: 'armLength',
+  forearm: 'armLength',
 };
 
 /**
- * Calculate estimated body measurements from height.
+ * Look up an anthropometric dataset, falling back to the fixed-ratio average.
+ *
+ * @param {string} id - Dataset ID from a rider profile
+ * @returns {Object} Dataset from ANTHROPOMETRIC_DATASETS
+ */
+export function getDataset(id) {
+  return ANTHROPOMETRIC_DATASETS[id] || ANTHROPOMETRIC_DATASETS[DEFAULT_DATASET];
+}
+
+/**
+ * Calculate estimated body measurements from height, with the regression model of
+ * an anthropometric dataset. Segments it doesn't model use the average ratios.
  *
  * @param {number} heightCm - Total height in centimeters
+ * @param {Object} options
+ * @param {string} options.dataset - Dataset ID (default: fixed average ratios)
+ * @param {number|null} options.weightKg - Rider weight; typical for the height if missing
  * @returns {Object} Estimated measurements in mm
  */
-export function estimateFromHeight(heightCm) {
+export function estimateFromHeight(heightCm, { dataset, weightKg = null } = {}) {
   const heightMM = heightCm * 10;
+  const model = getDataset(dataset);
+  const estimate = (key) =>
+    Math.round(predictSegment(model, key, heightMM, weightKg) ?? heightMM * BODY_RATIOS[key]);
+  const footLength = estimate('footLength');
 
   return {
     height: heightMM,
-    inseam: Math.round(heightMM * BODY_RATIOS.inseam),
-    thigh: Math.round(heightMM * BODY_RATIOS.thigh),
-    lowerLeg: Math.round(heightMM * BODY_RATIOS.lowerLeg),
-    torso: Math.round(heightMM * BODY_RATIOS.torso),
-    armLength: Math.round(heightMM * BODY_RATIOS.armLength),
-    upperArm: Math.round(heightMM * BODY_RATIOS.upperArm),
-    forearm: Math.round(heightMM * BODY_RATIOS.forearm),
-    shoulderWidth: Math.round(heightMM * BODY_RATIOS.shoulderWidth),
+    inseam: estimate('inseam'),
+    thigh: estimate('thigh'),
+    lowerLeg: estimate('lowerLeg'),
+    torso: estimate('torso'),
+    armLength: estimate('armLength'),
+    upperArm: estimate('upperArm'),
+    forearm: estimate('forearm'),
+    shoulderWidth: estimate('shoulderWidth'),
+    footLength,
+    ankleToBall: Math.round(footLength * ANKLE_TO_BALL_RATIO),
+    ankleHeight: estimate('ankleHeight'),
+    hipAboveSeat: estimate('hipAboveSeat'),
   };
 }
 
@@ -58,18 +88,30 @@ export function estimateFromHeight(heightCm) {
 export const DEFAULT_RIDER = {
   name: 'Default Rider',
   heightCm: 175, // Average adult height
+  // Weight in kg, refines the regression estimates (null = typical for the height)
+  weightKg: null,
+  // Anthropometric dataset the estimates come from
+  dataset: DEFAULT_DATASET,
   // Individual overrides (null = use estimated)
-  overrides: {
-    inseam: null,
-    torso: null,
-    armLength: null,
-  },
-  // Seat position affects hip angle calculation
-  seatPosition: 'center', // 'forward', 'center', 'back'
+  overrides: Object.fromEntries(OVERRIDABLE_MEASUREMENTS.map(([key]) => [key, null])),
+  // Where the rider sits relative to the seat marker, in mm (forward positive)
+  seatOffset: 0,
+  // Boot sole thickness in mm, raises the ankle above the peg
+  bootSole: 20,
 };
 
 /**
- * Seat position offsets in mm (relative to center).
+ * Allowed range for rider weight in kg.
+ */
+export const WEIGHT_LIMITS = { min: 30, max: 250 };
+
+/**
+ * Allowed range for boot sole thickness in mm.
+ */
+export const BOOT_SOLE_LIMITS = { min: 0, max: 60 };
+
+/**
+ * Seat position presets in mm (relative to center).
  * Positive = forward, negative = back.
  */
 export const SEAT_POSITIONS = {
@@ -78,24 +120,59 @@ export const SEAT_POSITIONS = {
   back: { offset: -30, label: 'Back' },
 };
 
+/**
+ * Allowed range for the free-form seat offset in mm.
+ */
+export const SEAT_OFFSET_LIMITS = { min: -150, max: 150 };
+
+/**
+ * Get a profile's seat offset in mm.
+ * Older profiles only store a `seatPosition` preset, which is mapped to its offset.
+ *
+ * @param {Object} profile - Rider profile
+ * @returns {number} Offset in mm, forward positive
+ */
+export function getSeatOffset(profile) {
+  if (typeof profile?.seatOffset === 'number') return profile.seatOffset;
+  return SEAT_POSITIONS[profile?.seatPosition]?.offset ?? 0;
+}
+
 /**
  * Get effective measurements for a rider profile.
- * Uses overrides if provided, otherwise estimates from height.
+ * Uses overrides if provided, otherwise estimates from height. Segments not overridden
+ * are scaled with their overall length (see SEGMENT_PARENTS), and the ankle-to-ball
+ * offset with the foot length.
  *
  * @param {Object} profile - Rider profile
  * @returns {Object} Effective measurements in mm
  */
 export function getEffectiveMeasurements(profile) {
-  const estimated = estimateFromHeight(profile.heightCm);
+  const estimated = estimateFromHeight(profile.heightCm, profile);
+  const override = (key) => profile.overrides?.[key] ?? null;
+  const effective = (key) => override(key) ?? estimated[key];
+
+  const segment = (key) => {
+    if (override(key) !== null) return override(key);
+    const parent = SEGMENT_PARENTS[key];
+    return Math.round((estimated[key] * effective(parent)) / estimated[parent]);
+  };
+  const footLength = effective('footLength');
 
   return {
     ...estimated,
     // Apply overrides if set
-    inseam: profile.overrides?.inseam ?? estimated.inseam,
-    torso: profile.overrides?.torso ?? estimated.torso,
-    armLength: profile.overrides?.armLength ?? estimated.armLength,
-    // Include seat position
-    seatPosition: profile.seatPosition || 'center',
-    seatOffset: SEAT_POSITIONS[profile.seatPosition || 'center'].offset,
+    inseam: effective('inseam'),
+    torso: effective('torso'),
+    armLength: effective('armLength'),
+    thigh: segment('thigh'),
+    lowerLeg: segment('lowerLeg'),
+    upperArm: segment('upperArm'),
+    forearm: segment('forearm'),
+    footLength,
+    ankleToBall: Math.round(footLength * ANKLE_TO_BALL_RATIO),
+    shoulderWidth: effective('shoulderWidth'),
+    // Hip position along the seat
+    seatOffset: getSeatOffset(profile),
+    bootSole: profile.bootSole ?? DEFAULT_RIDER.bootSole,
   };
 }
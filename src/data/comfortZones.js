@@ -92,15 +92,35 @@ export const RIDING_STYLES = {
   },
 };
 
+/**
+ * Comfort and warning ranges for an angle, with the riding style's adjustments.
+ *
+ * @param {string} angleType - One of: knee, hip, back, arm
+ * @param {string} ridingStyle - Optional riding style for adjusted zones
+ * @returns {{comfort: Object, warning: Object}|null} { min, max } in degrees per zone
+ */
+export function getZoneBounds(angleType, ridingStyle = 'commute') {
+  const baseZone = COMFORT_ZONES[angleType];
+  if (!baseZone) return null;
+
+  const adjustments = RIDING_STYLES[ridingStyle]?.adjustments?.[angleType] || {};
+  return {
+    comfort: adjustments.comfort || baseZone.comfort,
+    warning: adjustments.warning || baseZone.warning,
+  };
+}
+
 /**
  * Get the zone status for an angle value.
  *
  * @param {string} angleType - One of: knee, hip, back, arm
  * @param {number|null} value - Angle value in degrees
  * @param {string} ridingStyle - Optional riding style for adjusted zones
+ * @param {number} uncertainty - Optional ± range in degrees; sets `uncertain` when it crosses a
+ *   zone boundary
  * @returns {Object} Zone status with color and message
  */
-export function getAngleZone(angleType, value, ridingStyle = 'commute') {
+export function getAngleZone(angleType, value, ridingStyle = 'commute', uncertainty = 0) {
   if (value === null || value === undefined || isNaN(value)) {
     return {
       status: 'unknown',
@@ -109,16 +129,25 @@ export function getAngleZone(angleType, value, ridingStyle = 'commute') {
     };
   }
 
+  // A verdict is uncertain when the ± range reaches into another zone
+  if (uncertainty > 0) {
+    const zone = getAngleZone(angleType, value, ridingStyle);
+    const sameZone = (other) => {
+      const { status, message } = getAngleZone(angleType, other, ridingStyle);
+      return status === zone.status && message === zone.message;
+    };
+    return sameZone(value - uncertainty) && sameZone(value + uncertainty)
+      ? zone
+      : { ...zone, uncertain: true };
+  }
+
   const baseZone = COMFORT_ZONES[angleType];
   if (!baseZone) {
     return { status: 'unknown', color: 'gray', message: 'Unknown angle type' };
   }
 
   // Apply riding style adjustments if any
-  const style = RIDING_STYLES[ridingStyle];
-  const adjustments = style?.adjustments?.[angleType] || {};
-  const comfort = adjustments.comfort || baseZone.comfort;
-  const warning = adjustments.warning || baseZone.warning;
+  const { comfort, warning } = getZoneBounds(angleType, ridingStyle);
 
   // Check zones
   if (value >= comfort.min && value <= comfort.max) {
@@ -188,3 +217,45 @@ export function getAnglesSummary(angles, ridingStyle = 'commute') {
     overall,
   };
 }
+
+/**
+ * How far a set of angles is from comfort: the degrees each angle lies outside its
+ * comfort zone, summed. 0 means all angles are in comfort.
+ *
+ * @param {Object} angles - Object with knee, hip, back, arm values
+ * @param {string} ridingStyle - Riding style for zone calculation
+ * @returns {number|null} Degrees outside comfort, or null if no angle is known
+ */
+export function getComfortDeviation(angles, ridingStyle = 'commute') {
+  let known = 0;
+  const deviation = Object.keys(COMFORT_ZONES).reduce((sum, type) => {
+    const value = angles?.[type];
+    if (value == null || isNaN(value)) return sum;
+    known++;
+    const { comfort } = getZoneBounds(type, ridingStyle);
+    return sum + Math.max(0, comfort.min - value, value - comfort.max);
+  }, 0);
+  return known > 0 ? deviation : null;
+}
+
+/**
+ * How far a set of angles is from the middle of comfort: each angle's distance from the
+ * centre of its comfort zone in half-widths of the zone (1 at the zone's edge), squared
+ * and summed. 0 means every angle sits at its centre.
+ *
+ * @param {Object} angles - Object with knee, hip, back, arm values
+ * @param {string} ridingStyle - Riding style for zone calculation
+ * @returns {number|null} Summed squared distance, or null if no angle is known
+ */
+export function getComfortCentreDistance(angles, ridingStyle = 'commute') {
+  let known = 0;
+  const distance = Object.keys(COMFORT_ZONES).reduce((sum, type) => {
+    const value = angles?.[type];
+    if (value == null || isNaN(value)) return sum;
+    known++;
+    const { comfort } = getZoneBounds(type, ridingStyle);
+    const halfWidth = (comfort.max - comfort.min) / 2;
+    return sum + ((value - (comfort.min + halfWidth)) / halfWidth) ** 2;
+  }, 0);
+  return known > 0 ? distance : null;
+}
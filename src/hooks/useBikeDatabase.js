@@ -0,0 +1,57 @@
+import { useState, useCallback, useMemo } from 'react';
+import { BIKE_DATABASE, BIKE_CATEGORIES, searchBikeDatabase } from '../data/bikeDatabase';
+
+const DEFAULT_FILTERS = {
+  query: '',
+  brand: '',
+  category: '',
+  minYear: null,
+  maxSeatHeight: null,
+};
+
+/**
+ * Hook for searching the built-in bike geometry database.
+ *
+ * @returns {Object} Filters, matching entries and filter options
+ */
+export function useBikeDatabase() {
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+
+  // Set a single filter, empty values clear it
+  const setFilter = useCallback((field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value === '' ? DEFAULT_FILTERS[field] : value }));
+  }, []);
+
+  const resetFilters = useCallback(() => {
+    setFilters(DEFAULT_FILTERS);
+  }, []);
+
+  const results = useMemo(() => searchBikeDatabase(filters), [filters]);
+
+  // Filter options derived from the data
+  const options = useMemo(
+    () => ({
+      brands: [...new Set(BIKE_DATABASE.map((entry) => entry.brand))].sort(),
+      categories: BIKE_CATEGORIES,
+      years: [...new Set(BIKE_DATABASE.map((entry) => entry.year))].sort((a, b) => a - b),
+      seatHeights: {
+        min: Math.min(...BIKE_DATABASE.map((entry) => entry.seatHeight)),
+        max: Math.max(...BIKE_DATABASE.map((entry) => entry.seatHeight)),
+      },
+    }),
+    []
+  );
+
+  const isFiltered = Object.keys(DEFAULT_FILTERS).some(
+    (field) => filters[field] !== DEFAULT_FILTERS[field]
+  );
+
+  return {
+    filters,
+    setFilter,
+    resetFilters,
+    isFiltered,
+    results,
+    options,
+  };
+}
@@ -1,8 +1,16 @@
-import { useState, useCallback, useEffect } from 'react';
-import { loadState, saveState } from '../utils/storage';
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { loadState, saveState, isDataURL } from '../utils/storage';
 import { getImageUrl } from '../data/imageProvider';
 import { compressImage } from '../utils/imageCompression';
-import * as imageDB from '../utils/indexedDB';
+import {
+  storeBikeImage,
+  loadBikeImage,
+  removeBikeImage,
+  moveInlineImages,
+  dataURLToBlob,
+} from '../utils/bikeImages';
+import { MAX_ACTIVE_BIKES } from '../constants';
+import { getDatabaseBikeLabel, toManualMeasurements } from '../data/bikeDatabase';
 
 // Default bikes to show on first load (without uploaded images)
 const DEFAULT_BIKES = {
@@ -60,6 +68,8 @@ function getNextColor(bikes) {
 /**
  * Hook for managing dynamic bike collection with persistence.
  * Supports adding, removing, updating bikes and uploading images.
+ * Photos are stored in IndexedDB; records only keep their `imageKey`
+ * (see utils/bikeImages and useBikeImageUrls).
  *
  * @returns {Object} Bike store state and methods
  */
@@ -74,8 +84,8 @@ export function useBikeStore() {
 
   const [activeSlots, setActiveSlots] = useState(() => {
     const saved = loadState();
-    if (saved?.activeSlots?.length === 2) {
-      return saved.activeSlots;
+    if (Array.isArray(saved?.activeSlots) && saved.activeSlots.length > 0) {
+      return saved.activeSlots.slice(0, MAX_ACTIVE_BIKES);
     }
     return ['vstrom', 'gsx'];
   });
@@ -85,31 +95,49 @@ export function useBikeStore() {
     saveState({ bikes, activeSlots });
   }, [bikes, activeSlots]);
 
-  // Get the two bikes currently being compared
-  const activeBikes = activeSlots.reduce((acc, id) => {
-    if (bikes[id]) {
-      acc[id] = bikes[id];
-    }
-    return acc;
-  }, {});
+  // Move photos that older versions kept inline in localStorage into IndexedDB
+  useEffect(() => {
+    let cancelled = false;
+    moveInlineImages(bikes, { legacyKeys: true }).then((moved) => {
+      if (cancelled || Object.keys(moved).length === 0) return;
+      setBikes((prev) => {
+        const next = { ...prev };
+        Object.values(moved).forEach((bike) => {
+          // Skip bikes whose photo changed while migrating
+          if (next[bike.id]?.img === bikes[bike.id].img) {
+            next[bike.id] = { ...next[bike.id], imageKey: bike.imageKey, img: null };
+          }
+        });
+        return next;
+      });
+    });
+    return () => {
+      cancelled = true;
+    };
+    // Only the records loaded at startup need migrating
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Get the bikes currently being compared, in slot order
+  const activeBikes = useMemo(
+    () =>
+      activeSlots.reduce((acc, id) => {
+        if (bikes[id]) {
+          acc[id] = bikes[id];
+        }
+        return acc;
+      }, {}),
+    [activeSlots, bikes]
+  );
 
   // Add a new bike
   const addBike = useCallback(async (file, label) => {
     const id = generateId();
-    let img = null;
+    let image = { imageKey: null, img: null };
 
     if (file) {
       // Compress image before storing
-      img = await compressImage(file);
-
-      // Store in IndexedDB if supported
-      if (imageDB.isSupported()) {
-        try {
-          await imageDB.setItem(`img_${id}`, img);
-        } catch (e) {
-          console.warn('IndexedDB storage failed, using inline:', e);
-        }
-      }
+      image = await storeBikeImage(id, await compressImage(file));
     }
 
     setBikes((prev) => ({
@@ -118,7 +146,7 @@ export function useBikeStore() {
         id,
         label: label || 'New Bike',
         color: getNextColor(prev),
-        img,
+        ...image,
         tires: {
           front: '',
           rear: '',
@@ -130,6 +158,30 @@ export function useBikeStore() {
     return id;
   }, []);
 
+  // Add a bike from the geometry database, measured in manual mode (no photo)
+  const addBikeFromDatabase = useCallback((entry) => {
+    const id = generateId();
+
+    setBikes((prev) => ({
+      ...prev,
+      [id]: {
+        id,
+        label: getDatabaseBikeLabel(entry),
+        color: getNextColor(prev),
+        img: null,
+        tires: { ...entry.tires },
+        isDefault: false,
+        databaseId: entry.id,
+        measurement: {
+          mode: 'manual',
+          values: toManualMeasurements(entry),
+        },
+      },
+    }));
+
+    return id;
+  }, []);
+
   // Update bike properties
   const updateBike = useCallback((id, updates) => {
     setBikes((prev) => {
@@ -147,21 +199,54 @@ export function useBikeStore() {
   // Update bike image
   const updateBikeImage = useCallback(
     async (id, file) => {
+      const previousKey = bikes[id]?.imageKey;
+
       // Compress image before storing
-      const img = await compressImage(file);
-
-      // Store in IndexedDB if supported
-      if (imageDB.isSupported()) {
-        try {
-          await imageDB.setItem(`img_${id}`, img);
-        } catch (e) {
-          console.warn('IndexedDB storage failed, using inline:', e);
-        }
+      const image = await storeBikeImage(id, await compressImage(file));
+      updateBike(id, image);
+
+      if (previousKey && previousKey !== image.imageKey) {
+        await removeBikeImage(previousKey);
       }
+    },
+    [bikes, updateBike]
+  );
+
+  // Delete a bike's photo, keeping the bike
+  const clearBikeImage = useCallback(
+    async (id) => {
+      const previousKey = bikes[id]?.imageKey;
+      updateBike(id, { imageKey: null, img: null });
+      await removeBikeImage(previousKey);
+    },
+    [bikes, updateBike]
+  );
+
+  // Re-encode a bike's photo at lower quality, keeping its dimensions so
+  // markers stay in place. Returns the bytes saved (0 if not smaller).
+  const recompressBikeImage = useCallback(
+    async (id, quality) => {
+      const bike = bikes[id];
+      const original = bike?.imageKey
+        ? await loadBikeImage(bike.imageKey)
+        : isDataURL(bike?.img)
+          ? dataURLToBlob(bike.img)
+          : null;
+      if (!original) return 0;
 
-      updateBike(id, { img });
+      const recompressed = dataURLToBlob(
+        await compressImage(original, { maxWidth: Infinity, maxHeight: Infinity, quality })
+      );
+      if (recompressed.size >= original.size) return 0;
+
+      const image = await storeBikeImage(id, recompressed);
+      updateBike(id, image);
+      if (bike.imageKey && bike.imageKey !== image.imageKey) {
+        await removeBikeImage(bike.imageKey);
+      }
+      return original.size - recompressed.size;
     },
-    [updateBike]
+    [bikes, updateBike]
   );
 
   // Update bike tire spec
@@ -181,29 +266,45 @@ export function useBikeStore() {
     });
   }, []);
 
-  // Remove a bike
-  const removeBike = useCallback(async (id) => {
-    // Remove image from IndexedDB
-    if (imageDB.isSupported()) {
-      try {
-        await imageDB.removeItem(`img_${id}`);
-      } catch (e) {
-        console.warn('Failed to remove image from IndexedDB:', e);
-      }
-    }
-
+  // Save placement on a bike record: any of calibration, markers and measurement
+  const updateBikePlacement = useCallback((id, placement) => {
     setBikes((prev) => {
-      const next = { ...prev };
-      delete next[id];
-      return next;
+      if (!prev[id]) return prev;
+      const unchanged = Object.entries(placement).every(
+        ([field, value]) => JSON.stringify(prev[id][field]) === JSON.stringify(value)
+      );
+      if (unchanged) return prev;
+      return {
+        ...prev,
+        [id]: {
+          ...prev[id],
+          ...placement,
+        },
+      };
     });
-
-    // If removed bike was in active slots, clear that slot
-    setActiveSlots((prev) => prev.map((slotId) => (slotId === id ? null : slotId)));
   }, []);
 
-  // Set active slot (which bike goes in slot 0 or 1)
+  // Remove a bike
+  const removeBike = useCallback(
+    async (id) => {
+      // Remove image from IndexedDB
+      await removeBikeImage(bikes[id]?.imageKey);
+
+      setBikes((prev) => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+
+      // If removed bike was in active slots, drop that slot
+      setActiveSlots((prev) => prev.filter((slotId) => slotId !== id));
+    },
+    [bikes]
+  );
+
+  // Set active slot (which bike goes in a given slot; slot 0 is the reference)
   const setActiveSlot = useCallback((slotIndex, bikeId) => {
+    if (slotIndex >= MAX_ACTIVE_BIKES) return;
     setActiveSlots((prev) => {
       const next = [...prev];
       next[slotIndex] = bikeId;
@@ -211,11 +312,52 @@ export function useBikeStore() {
     });
   }, []);
 
+  // Replace all active slots at once
+  const setAllActiveSlots = useCallback((bikeIds) => {
+    setActiveSlots(bikeIds.slice(0, MAX_ACTIVE_BIKES));
+  }, []);
+
+  // Add a bike in a new slot at the end
+  const addActiveSlot = useCallback((bikeId) => {
+    setActiveSlots((prev) => {
+      if (prev.length >= MAX_ACTIVE_BIKES || prev.includes(bikeId)) return prev;
+      return [...prev, bikeId];
+    });
+  }, []);
+
+  // Remove a slot, shifting later bikes forward
+  const removeActiveSlot = useCallback((slotIndex) => {
+    setActiveSlots((prev) => prev.filter((_, i) => i !== slotIndex));
+  }, []);
+
+  // Import bikes from a backup, with photos already stored (see moveInlineImages).
+  // Merging replaces bikes with the same ID; overwriting replaces the whole
+  // collection and takes the backup's slots.
+  const importBikes = useCallback(
+    async (imported, { overwrite = false, activeSlots: importedSlots = [] } = {}) => {
+      const next = overwrite ? { ...imported } : { ...bikes, ...imported };
+
+      setBikes(next);
+      if (overwrite) {
+        const slots = importedSlots.length > 0 ? importedSlots : Object.keys(imported);
+        setActiveSlots(slots.slice(0, MAX_ACTIVE_BIKES));
+      }
+
+      // Drop photos no longer referenced by any bike
+      const orphaned = Object.values(bikes).filter(
+        (bike) => bike.imageKey && next[bike.id]?.imageKey !== bike.imageKey
+      );
+      await Promise.all(orphaned.map((bike) => removeBikeImage(bike.imageKey)));
+    },
+    [bikes]
+  );
+
   // Reset to default bikes
   const resetToDefaults = useCallback(() => {
+    Object.values(bikes).forEach((bike) => removeBikeImage(bike.imageKey));
     setBikes(DEFAULT_BIKES);
     setActiveSlots(['vstrom', 'gsx']);
-  }, []);
+  }, [bikes]);
 
   // Get all bike IDs
   const bikeIds = Object.keys(bikes);
@@ -229,11 +371,19 @@ export function useBikeStore() {
 
     // Actions
     addBike,
+    addBikeFromDatabase,
     updateBike,
     updateBikeImage,
+    clearBikeImage,
+    recompressBikeImage,
     updateBikeTire,
+    updateBikePlacement,
     removeBike,
     setActiveSlot,
+    setAllActiveSlots,
+    addActiveSlot,
+    removeActiveSlot,
+    importBikes,
     resetToDefaults,
   };
 }
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useBikeStore } from './useBikeStore';
+import { MAX_ACTIVE_BIKES } from '../constants';
+
+const bike = (id) => ({ id, label: id, color: '#388e3c', img: null, tires: {} });
+
+// Five bikes, more than fit in the comparison, with the first two active
+function seedBikes() {
+  const ids = ['vstrom', 'gsx', 'mt07', 'r1', 'africa'];
+  localStorage.setItem(
+    'rider-triangle-state',
+    JSON.stringify({
+      bikes: Object.fromEntries(ids.map((id) => [id, bike(id)])),
+      activeSlots: ['vstrom', 'gsx'],
+    })
+  );
+}
+
+describe('useBikeStore active slots', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    seedBikes();
+  });
+
+  it('adds bikes in new slots up to the limit, skipping bikes already shown', () => {
+    const { result } = renderHook(() => useBikeStore());
+
+    act(() => result.current.addActiveSlot('mt07'));
+    act(() => result.current.addActiveSlot('gsx'));
+    expect(result.current.activeSlots).toEqual(['vstrom', 'gsx', 'mt07']);
+
+    act(() => result.current.addActiveSlot('r1'));
+    act(() => result.current.addActiveSlot('africa'));
+    expect(result.current.activeSlots).toHaveLength(MAX_ACTIVE_BIKES);
+    expect(result.current.activeSlots).not.toContain('africa');
+  });
+
+  it('removes a slot and shifts later bikes forward', () => {
+    const { result } = renderHook(() => useBikeStore());
+    act(() => result.current.addActiveSlot('mt07'));
+
+    act(() => result.current.removeActiveSlot(1));
+    expect(result.current.activeSlots).toEqual(['vstrom', 'mt07']);
+    expect(Object.keys(result.current.activeBikes)).toEqual(['vstrom', 'mt07']);
+  });
+
+  it('swaps the bike in a slot and ignores slots past the limit', () => {
+    const { result } = renderHook(() => useBikeStore());
+
+    act(() => result.current.setActiveSlot(0, 'r1'));
+    act(() => result.current.setActiveSlot(MAX_ACTIVE_BIKES, 'africa'));
+    expect(result.current.activeSlots).toEqual(['r1', 'gsx']);
+  });
+
+  it('keeps the active bikes while their records are unchanged', () => {
+    const { result, rerender } = renderHook(() => useBikeStore());
+    const activeBikes = result.current.activeBikes;
+
+    rerender();
+    expect(result.current.activeBikes).toBe(activeBikes);
+  });
+});
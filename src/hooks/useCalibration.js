@@ -1,48 +1,188 @@
-import { useState, useMemo, useCallback } from 'react';
-import { calculatePxPerMM, calculateScale, calculateTranslation } from '../utils/geometry';
+import { useState, useMemo, useCallback, useEffect } from 'react';
+import { calculateScale, calculateTranslation, lineTilt } from '../utils/geometry';
 import { outerDiameterMM } from '../utils/tire';
+import { checkCalibration } from '../utils/calibrationCheck';
+import { perspectiveCorrection } from '../utils/perspective';
+import { levelLine, axleLineTilt } from '../utils/level';
+import { useStableValue } from './useStableValue';
+
+/**
+ * Get the calibration saved on a bike record, or empty defaults.
+ *
+ * @param {Object} bike - Bike record
+ * @returns {Object} { wheelChoice, calibPts, axle, perspective }
+ */
+function savedCalibration(bike) {
+  const saved = bike?.calibration || {};
+  return {
+    wheelChoice: saved.wheelChoice || 'rear',
+    calibPts: saved.calibPts || { top: null, bot: null },
+    axle: saved.axle || null,
+    perspective: saved.perspective ?? true,
+  };
+}
 
 /**
  * Hook for managing calibration state for multiple bikes.
  * Handles wheel selection, calibration points, axle positions, and derived calculations.
+ * Initial values are restored from each bike's saved `calibration` record.
+ *
+ * With wheel choice 'both', `top`/`bot` are on the rear tire and `frontTop`/`frontBot`/
+ * `frontAxle` on the front; px/mm is then the mean of both wheels (see checkCalibration),
+ * and markers can be rectified for perspective (see perspectiveCorrection).
+ * A level line (`levelStart`/`levelEnd`, or the contact patches with 'both') gives the
+ * photo's tilt (see levelLine). Overlays are placed on the primary bike by a similarity
+ * transform: scaled to its px/mm, rotated to its tilt (from both axles where marked) and
+ * translated onto its rear axle.
  *
- * @param {Object} bikes - Bike configurations with tire specs
+ * @param {Object} bikes - Bike configurations with tire specs and saved calibration
  * @returns {Object} Calibration state and methods
  */
 export function useCalibration(bikes) {
-  const bikeKeys = Object.keys(bikes);
+  const bikeKeys = useStableValue(Object.keys(bikes));
+  // Tire specs and wheelbase per bike, stable while records change for other reasons
+  // (such as saving markers), so the derived calibration isn't recomputed
+  const specs = useStableValue(
+    Object.fromEntries(
+      bikeKeys.map((key) => [
+        key,
+        { tires: bikes[key]?.tires ?? null, wheelbase: bikes[key]?.wheelbase ?? null },
+      ])
+    )
+  );
   const [primaryBike] = bikeKeys; // First bike is the reference
 
-  // Wheel choice per bike (front or rear)
-  const [wheelChoice, setWheelChoice] = useState(
-    bikeKeys.reduce((acc, key) => ({ ...acc, [key]: 'rear' }), {})
+  // Wheel choice per bike (front, rear or both)
+  const [wheelChoice, setWheelChoice] = useState(() =>
+    bikeKeys.reduce((acc, key) => ({ ...acc, [key]: savedCalibration(bikes[key]).wheelChoice }), {})
   );
 
   // Calibration points (top and bottom of wheel) per bike
-  const [calibPts, setCalibPts] = useState(
-    bikeKeys.reduce((acc, key) => ({ ...acc, [key]: { top: null, bot: null } }), {})
+  const [calibPts, setCalibPts] = useState(() =>
+    bikeKeys.reduce((acc, key) => ({ ...acc, [key]: savedCalibration(bikes[key]).calibPts }), {})
   );
 
   // Rear axle center position per bike
-  const [axle, setAxle] = useState(bikeKeys.reduce((acc, key) => ({ ...acc, [key]: null }), {}));
+  const [axle, setAxle] = useState(() =>
+    bikeKeys.reduce((acc, key) => ({ ...acc, [key]: savedCalibration(bikes[key]).axle }), {})
+  );
+
+  // Whether to correct perspective per bike (applies once both wheels are calibrated)
+  const [perspective, setPerspective] = useState(() =>
+    bikeKeys.reduce((acc, key) => ({ ...acc, [key]: savedCalibration(bikes[key]).perspective }), {})
+  );
+
+  // Restore saved calibration when a bike is put into an active slot
+  useEffect(() => {
+    const missing = bikeKeys.filter((key) => !(key in calibPts));
+    if (missing.length === 0) return;
+
+    const restored = missing.map((key) => [key, savedCalibration(bikes[key])]);
+    setWheelChoice((s) => ({
+      ...s,
+      ...Object.fromEntries(restored.map(([key, c]) => [key, c.wheelChoice])),
+    }));
+    setCalibPts((s) => ({
+      ...s,
+      ...Object.fromEntries(restored.map(([key, c]) => [key, c.calibPts])),
+    }));
+    setAxle((s) => ({ ...s, ...Object.fromEntries(restored.map(([key, c]) => [key, c.axle])) }));
+    setPerspective((s) => ({
+      ...s,
+      ...Object.fromEntries(restored.map(([key, c]) => [key, c.perspective])),
+    }));
+  }, [bikes, bikeKeys, calibPts]);
 
-  // Calculate outer diameter for each bike based on wheel choice
+  // Calculate outer diameter for each bike based on wheel choice (rear tire when using both)
   const outerDiameters = useMemo(() => {
     return bikeKeys.reduce((acc, key) => {
-      const wheel = wheelChoice[key];
-      const tireSpec = bikes[key]?.tires?.[wheel];
+      const wheel = wheelChoice[key] === 'both' ? 'rear' : wheelChoice[key];
+      const tireSpec = specs[key]?.tires?.[wheel];
       acc[key] = tireSpec ? (outerDiameterMM(tireSpec) ?? 0) : 0;
       return acc;
     }, {});
-  }, [bikes, wheelChoice, bikeKeys]);
+  }, [specs, wheelChoice, bikeKeys]);
+
+  // Scale and cross-checks (wheel agreement, wheelbase) for each bike
+  const checks = useMemo(() => {
+    return bikeKeys.reduce((acc, key) => {
+      acc[key] = checkCalibration({
+        wheelChoice: wheelChoice[key],
+        calibPts: calibPts[key] || {},
+        axle: axle[key],
+        tires: specs[key]?.tires,
+        wheelbase: specs[key]?.wheelbase,
+      });
+      return acc;
+    }, {});
+  }, [specs, wheelChoice, calibPts, axle, bikeKeys]);
 
   // Calculate px/mm ratio for each bike
   const pxPerMM = useMemo(() => {
     return bikeKeys.reduce((acc, key) => {
-      acc[key] = calculatePxPerMM(calibPts[key], outerDiameters[key]);
+      acc[key] = checks[key].pxPerMM;
       return acc;
     }, {});
-  }, [calibPts, outerDiameters, bikeKeys]);
+  }, [checks, bikeKeys]);
+
+  // Perspective correction per bike, or null (needs both wheels, and not switched off)
+  const corrections = useMemo(() => {
+    return bikeKeys.reduce((acc, key) => {
+      acc[key] =
+        wheelChoice[key] === 'both' && perspective[key] !== false
+          ? perspectiveCorrection({
+              calibPts: calibPts[key],
+              axle: axle[key],
+              diameters: checks[key].diameters,
+              pxPerMM: checks[key].pxPerMM,
+              wheelbase: specs[key]?.wheelbase,
+            })
+          : null;
+      return acc;
+    }, {});
+  }, [specs, wheelChoice, perspective, calibPts, axle, checks, bikeKeys]);
+
+  // Level reference per bike, and the photo tilt it implies (0 without one)
+  const levelLines = useMemo(() => {
+    return bikeKeys.reduce((acc, key) => {
+      acc[key] = levelLine(calibPts[key], wheelChoice[key]);
+      return acc;
+    }, {});
+  }, [calibPts, wheelChoice, bikeKeys]);
+
+  const tilts = useMemo(() => {
+    return bikeKeys.reduce((acc, key) => {
+      const line = levelLines[key];
+      acc[key] = line ? lineTilt(line.from, line.to) : 0;
+      return acc;
+    }, {});
+  }, [levelLines, bikeKeys]);
+
+  // Tilt overlays are aligned by: a marked level line, else both axles (marked more
+  // precisely than the contact patches), else the level reference
+  const alignmentTilts = useMemo(() => {
+    return bikeKeys.reduce((acc, key) => {
+      const fromAxles =
+        levelLines[key]?.source !== 'line' && wheelChoice[key] === 'both'
+          ? axleLineTilt({
+              axle: axle[key],
+              frontAxle: calibPts[key]?.frontAxle,
+              diameters: checks[key].diameters,
+              pxPerMM: checks[key].pxPerMM,
+            })
+          : null;
+      acc[key] = fromAxles ?? tilts[key];
+      return acc;
+    }, {});
+  }, [levelLines, tilts, wheelChoice, axle, calibPts, checks, bikeKeys]);
+
+  // Rotation that gives each overlay the primary bike's tilt
+  const rotations = useMemo(() => {
+    return bikeKeys.reduce((acc, key) => {
+      acc[key] = key === primaryBike ? 0 : alignmentTilts[primaryBike] - alignmentTilts[key];
+      return acc;
+    }, {});
+  }, [alignmentTilts, primaryBike, bikeKeys]);
 
   // Calculate scale factors relative to primary bike
   const scales = useMemo(() => {
@@ -58,23 +198,63 @@ export function useCalibration(bikes) {
       if (key === primaryBike) {
         acc[key] = { x: 0, y: 0 };
       } else {
-        acc[key] = calculateTranslation(axle[primaryBike], axle[key], scales[key]);
+        acc[key] = calculateTranslation(axle[primaryBike], axle[key], scales[key], rotations[key]);
       }
       return acc;
     }, {});
-  }, [axle, scales, primaryBike, bikeKeys]);
+  }, [axle, scales, rotations, primaryBike, bikeKeys]);
+
+  // Similarity transform from each bike's image onto the stage (identity for the primary)
+  const transforms = useMemo(() => {
+    return bikeKeys.reduce((acc, key) => {
+      acc[key] = {
+        scale: scales[key],
+        rotation: rotations[key],
+        translation: translations[key],
+      };
+      return acc;
+    }, {});
+  }, [scales, rotations, translations, bikeKeys]);
 
   // Check if calibration is complete for all bikes
   const isCalibrated = useMemo(() => {
-    return bikeKeys.every((key) => calibPts[key].top && calibPts[key].bot && axle[key]);
+    return bikeKeys.every((key) => calibPts[key]?.top && calibPts[key]?.bot && axle[key]);
   }, [calibPts, axle, bikeKeys]);
 
   // Set wheel choice for a bike
-  const setWheel = useCallback((bikeKey, wheel) => {
-    setWheelChoice((s) => ({ ...s, [bikeKey]: wheel }));
-  }, []);
+  const setWheel = useCallback(
+    (bikeKey, wheel) => {
+      const previous = wheelChoice[bikeKey];
+      setWheelChoice((s) => ({ ...s, [bikeKey]: wheel }));
+
+      // `top`/`bot` mean the front tire with 'front' but the rear one with 'both'; keep
+      // points on the wheel they were placed on
+      if (previous === 'front' && wheel === 'both') {
+        setCalibPts((s) => ({
+          ...s,
+          [bikeKey]: {
+            ...s[bikeKey],
+            top: null,
+            bot: null,
+            frontTop: s[bikeKey]?.top || null,
+            frontBot: s[bikeKey]?.bot || null,
+          },
+        }));
+      } else if (previous === 'both' && wheel === 'front') {
+        setCalibPts((s) => ({
+          ...s,
+          [bikeKey]: {
+            ...s[bikeKey],
+            top: s[bikeKey]?.frontTop || null,
+            bot: s[bikeKey]?.frontBot || null,
+          },
+        }));
+      }
+    },
+    [wheelChoice]
+  );
 
-  // Set calibration point (top or bottom)
+  // Set calibration point (top, bot, or frontTop/frontBot/frontAxle for two-wheel calibration)
   const setCalibPoint = useCallback((bikeKey, pointType, position) => {
     setCalibPts((s) => ({
       ...s,
@@ -82,6 +262,11 @@ export function useCalibration(bikes) {
     }));
   }, []);
 
+  // Switch perspective correction on or off for a bike
+  const setPerspectiveCorrection = useCallback((bikeKey, enabled) => {
+    setPerspective((s) => ({ ...s, [bikeKey]: enabled }));
+  }, []);
+
   // Set axle position
   const setAxlePosition = useCallback((bikeKey, position) => {
     setAxle((s) => ({ ...s, [bikeKey]: position }));
@@ -93,6 +278,28 @@ export function useCalibration(bikes) {
     setAxle((s) => ({ ...s, [bikeKey]: null }));
   }, []);
 
+  // Merge externally provided calibration (e.g. from a shared link), keyed by bike
+  const hydrate = useCallback((data) => {
+    if (!data) return;
+    if (data.wheelChoice) setWheelChoice((s) => ({ ...s, ...data.wheelChoice }));
+    if (data.calibPts) setCalibPts((s) => ({ ...s, ...data.calibPts }));
+    if (data.axle) setAxle((s) => ({ ...s, ...data.axle }));
+    if (data.perspective) setPerspective((s) => ({ ...s, ...data.perspective }));
+  }, []);
+
+  // Drop in-memory calibration so it's restored from the bike record next time
+  const unloadBikes = useCallback((keys) => {
+    const drop = (s) => {
+      const next = { ...s };
+      keys.forEach((key) => delete next[key]);
+      return next;
+    };
+    setWheelChoice(drop);
+    setCalibPts(drop);
+    setAxle(drop);
+    setPerspective(drop);
+  }, []);
+
   // Reset all calibration
   const resetAll = useCallback(() => {
     setCalibPts(bikeKeys.reduce((acc, key) => ({ ...acc, [key]: { top: null, bot: null } }), {}));
@@ -104,12 +311,19 @@ export function useCalibration(bikes) {
     wheelChoice,
     calibPts,
     axle,
+    perspective,
 
     // Derived values
     outerDiameters,
     pxPerMM,
+    checks,
+    corrections,
+    levelLines,
+    tilts,
     scales,
+    rotations,
     translations,
+    transforms,
     isCalibrated,
     primaryBike,
 
@@ -117,7 +331,10 @@ export function useCalibration(bikes) {
     setWheel,
     setCalibPoint,
     setAxlePosition,
+    setPerspectiveCorrection,
     resetBike,
     resetAll,
+    hydrate,
+    unloadBikes,
   };
 }
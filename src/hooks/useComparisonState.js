@@ -0,0 +1,100 @@
+import { useCallback } from 'react';
+import { remapSharedState } from '../utils/export';
+import { RIDING_STYLES } from '../data/comfortZones';
+
+/**
+ * Hook for reading and applying the full comparison state as one object.
+ * Used by share links and saved sessions.
+ *
+ * The state contains active slots, calibration, markers, manual measurements,
+ * the active rider profile and riding style. Images are not included.
+ *
+ * @param {Object} hooks - App state hooks
+ * @param {Object} hooks.bikeStore - Result from useBikeStore
+ * @param {string[]} hooks.bikeKeys - Active bike IDs
+ * @param {Object} hooks.calibration - Result from useCalibration
+ * @param {Object} hooks.markersHook - Result from useMarkers
+ * @param {Object} hooks.measurementMode - Result from useMeasurementMode
+ * @param {Object} hooks.riderProfile - Result from useRiderProfile
+ * @param {string} hooks.ridingStyle - Current riding style
+ * @param {function} hooks.setRidingStyle - Riding style setter
+ * @returns {{ getState: function, applyState: function }}
+ */
+export function useComparisonState({
+  bikeStore,
+  bikeKeys,
+  calibration,
+  markersHook,
+  measurementMode,
+  riderProfile,
+  ridingStyle,
+  setRidingStyle,
+}) {
+  // Collect the current comparison
+  const getState = useCallback(() => {
+    return {
+      activeSlots: bikeKeys,
+      markers: markersHook.markers,
+      calibPts: calibration.calibPts,
+      axle: calibration.axle,
+      wheelChoice: calibration.wheelChoice,
+      perspective: calibration.perspective,
+      rider: riderProfile.activeProfile,
+      ridingStyle,
+      manualMeasurements: measurementMode.manualMeasurements,
+      modes: measurementMode.modes,
+    };
+  }, [
+    bikeKeys,
+    markersHook.markers,
+    calibration,
+    riderProfile.activeProfile,
+    ridingStyle,
+    measurementMode,
+  ]);
+
+  /**
+   * Apply a comparison state. Bikes the user doesn't have are left out. The
+   * rider profile is left to the caller, since shared links and sessions treat
+   * it differently.
+   *
+   * @param {Object} state - State from getState(), a share link or a session
+   * @returns {{ state: Object, keys: string[] }} Remapped state and the bike IDs it touched
+   */
+  const applyState = useCallback(
+    (state) => {
+      const { slots, state: mapped } = remapSharedState(state, bikeStore.bikes);
+
+      if (slots) {
+        bikeStore.setAllActiveSlots(slots);
+      }
+
+      const keys = Object.keys({
+        ...mapped.calibPts,
+        ...mapped.axle,
+        ...mapped.markers,
+        ...mapped.modes,
+        ...mapped.manualMeasurements,
+      });
+
+      // Start from a clean slate so nothing from the current state leaks through
+      keys.forEach((key) => {
+        calibration.resetBike(key);
+        markersHook.resetBike(key);
+        measurementMode.resetBike(key);
+      });
+      calibration.hydrate(mapped);
+      markersHook.hydrate(mapped.markers);
+      measurementMode.hydrate(mapped);
+
+      if (mapped.ridingStyle && RIDING_STYLES[mapped.ridingStyle]) {
+        setRidingStyle(mapped.ridingStyle);
+      }
+
+      return { state: mapped, keys };
+    },
+    [bikeStore, calibration, markersHook, measurementMode, setRidingStyle]
+  );
+
+  return { getState, applyState };
+}
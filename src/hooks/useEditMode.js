@@ -12,12 +12,18 @@ import { EDIT_MODE, TOOL_SEQUENCE, TOOL_LABELS } from '../constants';
  *
  * @param {Object} options - Configuration options
  * @param {string} options.initialTool - Initial tool to select (default: first in TOOL_SEQUENCE)
+ * @param {string[]} options.toolSequence - Tools to step through (default: TOOL_SEQUENCE)
  * @param {Function} options.onToolChange - Callback when tool changes
  * @param {Function} options.onExit - Callback when exiting edit mode
  * @returns {Object} Edit mode state and methods
  */
 export function useEditMode(options = {}) {
-  const { initialTool = TOOL_SEQUENCE[0], onToolChange, onExit } = options;
+  const {
+    initialTool = TOOL_SEQUENCE[0],
+    toolSequence = TOOL_SEQUENCE,
+    onToolChange,
+    onExit,
+  } = options;
 
   // Core state
   const [isActive, setIsActive] = useState(false);
@@ -81,11 +87,11 @@ export function useEditMode(options = {}) {
    * Returns true if advanced, false if already at last tool.
    */
   const advanceToNextTool = useCallback(() => {
-    const currentIndex = TOOL_SEQUENCE.indexOf(currentTool);
+    const currentIndex = toolSequence.indexOf(currentTool);
     const nextIndex = currentIndex + 1;
 
-    if (nextIndex < TOOL_SEQUENCE.length) {
-      const nextTool = TOOL_SEQUENCE[nextIndex];
+    if (nextIndex < toolSequence.length) {
+      const nextTool = toolSequence[nextIndex];
       setCurrentTool(nextTool);
       onToolChange?.(nextTool);
       return true;
@@ -94,19 +100,19 @@ export function useEditMode(options = {}) {
     // At last tool - exit edit mode
     exit();
     return false;
-  }, [currentTool, onToolChange, exit]);
+  }, [toolSequence, currentTool, onToolChange, exit]);
 
   /**
    * Go to a specific tool.
    */
   const goToTool = useCallback(
     (tool) => {
-      if (TOOL_SEQUENCE.includes(tool)) {
+      if (toolSequence.includes(tool)) {
         setCurrentTool(tool);
         onToolChange?.(tool);
       }
     },
-    [onToolChange]
+    [toolSequence, onToolChange]
   );
 
   /**
@@ -158,13 +164,13 @@ export function useEditMode(options = {}) {
    * Get progress info (current step / total steps).
    */
   const getProgress = useCallback(() => {
-    const currentIndex = TOOL_SEQUENCE.indexOf(currentTool);
+    const currentIndex = toolSequence.indexOf(currentTool);
     return {
       current: currentIndex + 1,
-      total: TOOL_SEQUENCE.length,
-      isLast: currentIndex === TOOL_SEQUENCE.length - 1,
+      total: toolSequence.length,
+      isLast: currentIndex === toolSequence.length - 1,
     };
-  }, [currentTool]);
+  }, [toolSequence, currentTool]);
 
   return {
     // State
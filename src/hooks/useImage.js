@@ -1,4 +1,5 @@
-import { useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { loadBikeImage } from '../utils/bikeImages';
 
 /**
  * Hook for loading images and tracking their natural dimensions
@@ -17,3 +18,102 @@ export function useImage(_src) {
     },
   };
 }
+
+const EMPTY_SIZE = { w: 0, h: 0 };
+
+/**
+ * Hook for tracking natural dimensions of several images at once
+ * @param {string[]} keys - Image identifiers (e.g. bike IDs)
+ * @returns {Object} Map of key to { size: { w: number, h: number }, onLoad: Function }
+ */
+export function useImages(keys) {
+  const [sizes, setSizes] = useState({});
+  // One handler per key, kept while other images load
+  const handlersRef = useRef({});
+
+  const getOnLoad = useCallback((key) => {
+    handlersRef.current[key] ??= (e) => {
+      const el = e.currentTarget;
+      setSizes((s) => ({ ...s, [key]: { w: el.naturalWidth, h: el.naturalHeight } }));
+    };
+    return handlersRef.current[key];
+  }, []);
+
+  return useMemo(
+    () =>
+      keys.reduce((acc, key) => {
+        acc[key] = {
+          size: sizes[key] || EMPTY_SIZE,
+          onLoad: getOnLoad(key),
+        };
+        return acc;
+      }, {}),
+    [keys, sizes, getOnLoad]
+  );
+}
+
+/**
+ * Hook for resolving bike photos to displayable URLs.
+ * Photos stored in IndexedDB are loaded into object URLs, which are revoked
+ * once no bike uses them; other bikes use their `img` URL directly.
+ *
+ * @param {Object} bikes - Bike records by ID
+ * @returns {Object} Map of bike ID to image URL, or null while loading or without a photo
+ */
+export function useBikeImageUrls(bikes) {
+  const [objectUrls, setObjectUrls] = useState({});
+  const urlsRef = useRef({});
+
+  const imageKeys = Object.values(bikes)
+    .map((bike) => bike.imageKey)
+    .filter(Boolean)
+    .sort()
+    .join('|');
+
+  useEffect(() => {
+    const wanted = new Set(imageKeys ? imageKeys.split('|') : []);
+    const urls = urlsRef.current;
+
+    Object.keys(urls)
+      .filter((key) => !wanted.has(key))
+      .forEach((key) => {
+        if (urls[key]) URL.revokeObjectURL(urls[key]);
+        delete urls[key];
+      });
+    setObjectUrls({ ...urls });
+
+    let cancelled = false;
+    const missing = [...wanted].filter((key) => !(key in urls));
+    Promise.all(missing.map(async (key) => [key, await loadBikeImage(key)])).then((loaded) => {
+      if (cancelled || loaded.length === 0) return;
+      loaded.forEach(([key, blob]) => {
+        urls[key] = blob ? URL.createObjectURL(blob) : null;
+      });
+      setObjectUrls({ ...urls });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [imageKeys]);
+
+  // Revoke everything on unmount
+  useEffect(
+    () => () => {
+      Object.values(urlsRef.current).forEach((url) => url && URL.revokeObjectURL(url));
+      urlsRef.current = {};
+    },
+    []
+  );
+
+  return useMemo(
+    () =>
+      Object.fromEntries(
+        Object.values(bikes).map((bike) => [
+          bike.id,
+          bike.imageKey ? objectUrls[bike.imageKey] || null : bike.img || null,
+        ])
+      ),
+    [bikes, objectUrls]
+  );
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useImages } from './useImage';
+
+const loadEvent = (w, h) => ({ currentTarget: { naturalWidth: w, naturalHeight: h } });
+
+describe('useImages', () => {
+  const keys = ['vstrom', 'gsx', 'mt07'];
+
+  it('tracks the natural size of each image', () => {
+    const { result } = renderHook(() => useImages(keys));
+    expect(result.current.vstrom.size).toEqual({ w: 0, h: 0 });
+
+    act(() => result.current.gsx.onLoad(loadEvent(1600, 900)));
+    expect(result.current.gsx.size).toEqual({ w: 1600, h: 900 });
+    expect(result.current.vstrom.size).toEqual({ w: 0, h: 0 });
+  });
+
+  it("does not reset another bike's size when an image loads", () => {
+    const { result } = renderHook(() => useImages(keys));
+    act(() => result.current.vstrom.onLoad(loadEvent(1200, 800)));
+    const vstrom = result.current.vstrom;
+
+    act(() => result.current.gsx.onLoad(loadEvent(1600, 900)));
+    act(() => result.current.mt07.onLoad(loadEvent(1024, 768)));
+
+    expect(result.current.vstrom.size).toBe(vstrom.size);
+    expect(result.current.vstrom.size).toEqual({ w: 1200, h: 800 });
+    expect(result.current.gsx.size).toEqual({ w: 1600, h: 900 });
+  });
+
+  it('keeps the load handlers while other images load', () => {
+    const { result } = renderHook(() => useImages(keys));
+    const handlers = keys.map((key) => result.current[key].onLoad);
+
+    act(() => result.current.gsx.onLoad(loadEvent(1600, 900)));
+
+    expect(keys.map((key) => result.current[key].onLoad)).toEqual(handlers);
+  });
+
+  it('follows added and removed keys', () => {
+    const { result, rerender } = renderHook(({ keys }) => useImages(keys), {
+      initialProps: { keys: ['vstrom'] },
+    });
+    act(() => result.current.vstrom.onLoad(loadEvent(1200, 800)));
+
+    rerender({ keys: ['vstrom', 'gsx'] });
+    expect(Object.keys(result.current)).toEqual(['vstrom', 'gsx']);
+    expect(result.current.vstrom.size).toEqual({ w: 1200, h: 800 });
+
+    rerender({ keys: ['gsx'] });
+    expect(Object.keys(result.current)).toEqual(['gsx']);
+  });
+});
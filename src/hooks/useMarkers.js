@@ -1,28 +1,51 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { distanceInMM } from '../utils/geometry';
+import { correctMarkers } from '../utils/perspective';
 import { MARKER_TYPES } from '../constants';
 
 // Re-export for backwards compatibility
 export { MARKER_TYPES };
 
+/**
+ * Get the markers saved on a bike record, or empty defaults.
+ *
+ * @param {Object} bike - Bike record
+ * @returns {Object} { seat, peg, bar }
+ */
+function savedMarkers(bike) {
+  return { seat: null, peg: null, bar: null, ...bike?.markers };
+}
+
 /**
  * Hook for managing rider triangle markers for multiple bikes.
+ * Initial positions are restored from each bike's saved `markers` record.
  *
  * @param {string[]} bikeKeys - Array of bike identifiers
+ * @param {Object} bikes - Bike records keyed by ID, with saved markers
  * @returns {Object} Markers state and methods
  */
-export function useMarkers(bikeKeys) {
+export function useMarkers(bikeKeys, bikes = {}) {
   // Markers (seat, peg, bar) per bike
-  const [markers, setMarkers] = useState(
+  const [markers, setMarkers] = useState(() =>
     bikeKeys.reduce(
       (acc, key) => ({
         ...acc,
-        [key]: { seat: null, peg: null, bar: null },
+        [key]: savedMarkers(bikes[key]),
       }),
       {}
     )
   );
 
+  // Restore saved markers when a bike is put into an active slot
+  useEffect(() => {
+    const missing = bikeKeys.filter((key) => !(key in markers));
+    if (missing.length === 0) return;
+    setMarkers((s) => ({
+      ...s,
+      ...Object.fromEntries(missing.map((key) => [key, savedMarkers(bikes[key])])),
+    }));
+  }, [bikes, bikeKeys, markers]);
+
   // Set a specific marker position
   const setMarker = useCallback((bikeKey, markerType, position) => {
     setMarkers((s) => ({
@@ -52,6 +75,21 @@ export function useMarkers(bikeKeys) {
     );
   }, [bikeKeys]);
 
+  // Merge externally provided markers (e.g. from a shared link), keyed by bike
+  const hydrate = useCallback((data) => {
+    if (!data) return;
+    setMarkers((s) => ({ ...s, ...data }));
+  }, []);
+
+  // Drop in-memory markers so they're restored from the bike record next time
+  const unloadBikes = useCallback((keys) => {
+    setMarkers((s) => {
+      const next = { ...s };
+      keys.forEach((key) => delete next[key]);
+      return next;
+    });
+  }, []);
+
   // Check if all markers are placed for a bike
   const hasAllMarkers = useCallback(
     (bikeKey) => {
@@ -61,10 +99,10 @@ export function useMarkers(bikeKeys) {
     [markers]
   );
 
-  // Calculate distances between markers in mm
+  // Calculate distances between markers in mm, rectified when a perspective correction is given
   const getDistances = useCallback(
-    (bikeKey, pxPerMM) => {
-      const m = markers[bikeKey];
+    (bikeKey, pxPerMM, correction = null) => {
+      const m = correctMarkers(markers[bikeKey], correction);
       if (!m) return { seatPeg: 0, seatBar: 0, pegBar: 0 };
 
       return {
@@ -81,6 +119,8 @@ export function useMarkers(bikeKeys) {
     setMarker,
     resetBike,
     resetAll,
+    hydrate,
+    unloadBikes,
     hasAllMarkers,
     getDistances,
   };
@@ -1,17 +1,59 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
+
+/**
+ * Get the measurement saved on a bike record, if any.
+ *
+ * @param {Object} bike - Bike record
+ * @returns {Object|null} { mode, values }
+ */
+function savedMeasurement(bike) {
+  return bike?.measurement?.mode ? bike.measurement : null;
+}
+
+/**
+ * Collect saved modes and measurements for the given bikes.
+ */
+function restoreSaved(bikes, keys) {
+  const modes = {};
+  const values = {};
+  keys.forEach((key) => {
+    const saved = savedMeasurement(bikes[key]);
+    if (!saved) return;
+    modes[key] = saved.mode;
+    values[key] = { ...saved.values };
+  });
+  return { modes, values };
+}
 
 /**
  * Hook to manage measurement mode (Photo vs Manual) per bike.
  *
  * Manual mode allows users to input exact measurements when they have
  * physical access to the bike, bypassing photo-based estimation.
+ * Bikes with a saved `measurement` record (e.g. picked from the bike
+ * database) start in their saved mode.
+ *
+ * @param {Object} bikes - Bike records keyed by ID
  */
-export function useMeasurementMode() {
+export function useMeasurementMode(bikes = {}) {
   // Mode per bike: 'photo' | 'manual'
-  const [modes, setModes] = useState({});
+  const [modes, setModes] = useState(() => restoreSaved(bikes, Object.keys(bikes)).modes);
 
   // Manual measurements per bike (all in mm)
-  const [manualMeasurements, setManualMeasurements] = useState({});
+  const [manualMeasurements, setManualMeasurements] = useState(
+    () => restoreSaved(bikes, Object.keys(bikes)).values
+  );
+
+  // Restore saved measurements for bikes that become active later
+  useEffect(() => {
+    const missing = Object.keys(bikes).filter(
+      (key) => !(key in modes) && savedMeasurement(bikes[key])
+    );
+    if (missing.length === 0) return;
+    const restored = restoreSaved(bikes, missing);
+    setModes((prev) => ({ ...prev, ...restored.modes }));
+    setManualMeasurements((prev) => ({ ...prev, ...restored.values }));
+  }, [bikes, modes]);
 
   /**
    * Set mode for a bike
@@ -38,7 +80,7 @@ export function useMeasurementMode() {
    * - seatToPegHorizontal: horizontal distance seat to peg
    * - seatToPegVertical: vertical distance seat to peg (seat higher = positive)
    * - seatToBarHorizontal: horizontal reach from seat to bar
-   * - seatToBarVertical: vertical drop from seat to bar (bar lower = positive)
+   * - seatToBarVertical: vertical rise from seat to bar (bar higher = positive)
    */
   const setMeasurement = useCallback((bikeKey, field, value) => {
     setManualMeasurements((prev) => ({
@@ -183,6 +225,17 @@ export function useMeasurementMode() {
     });
   }, []);
 
+  /**
+   * Merge externally provided modes and measurements (e.g. from a shared link)
+   */
+  const hydrate = useCallback((data) => {
+    if (!data) return;
+    if (data.modes) setModes((prev) => ({ ...prev, ...data.modes }));
+    if (data.manualMeasurements) {
+      setManualMeasurements((prev) => ({ ...prev, ...data.manualMeasurements }));
+    }
+  }, []);
+
   return {
     modes,
     manualMeasurements,
@@ -194,5 +247,6 @@ export function useMeasurementMode() {
     getDistances,
     isComplete,
     resetBike,
+    hydrate,
   };
 }
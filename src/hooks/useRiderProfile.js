@@ -1,5 +1,12 @@
 import { useState, useCallback, useEffect, useMemo } from 'react';
-import { DEFAULT_RIDER, getEffectiveMeasurements } from '../data/bodyProportions';
+import {
+  DEFAULT_RIDER,
+  SEAT_POSITIONS,
+  SEAT_OFFSET_LIMITS,
+  BOOT_SOLE_LIMITS,
+  WEIGHT_LIMITS,
+  getEffectiveMeasurements,
+} from '../data/bodyProportions';
 
 const STORAGE_KEY = 'rider-triangle-profiles';
 
@@ -62,6 +69,11 @@ export function useRiderProfile() {
     };
   });
 
+  // Profile received from a shared link. Shown in place of the active profile
+  // but never persisted unless the user keeps it.
+  const [sharedProfile, setSharedProfile] = useState(null);
+  const isSharedProfile = sharedProfile !== null;
+
   const { profiles, activeId } = state;
 
   // Persist state changes
@@ -70,7 +82,7 @@ export function useRiderProfile() {
   }, [state]);
 
   // Get active profile
-  const activeProfile = profiles[activeId] || Object.values(profiles)[0];
+  const activeProfile = sharedProfile || profiles[activeId] || Object.values(profiles)[0];
 
   // Get effective measurements for active profile
   const measurements = useMemo(() => {
@@ -81,6 +93,7 @@ export function useRiderProfile() {
   // Create a new profile
   const createProfile = useCallback((name = 'New Rider') => {
     const id = generateId();
+    setSharedProfile(null);
     setState((prev) => ({
       ...prev,
       profiles: {
@@ -97,45 +110,61 @@ export function useRiderProfile() {
   }, []);
 
   // Update active profile
-  const updateProfile = useCallback((updates) => {
-    setState((prev) => {
-      const id = prev.activeId;
-      if (!prev.profiles[id]) return prev;
+  const updateProfile = useCallback(
+    (updates) => {
+      if (isSharedProfile) {
+        setSharedProfile((prev) => prev && { ...prev, ...updates });
+        return;
+      }
+      setState((prev) => {
+        const id = prev.activeId;
+        if (!prev.profiles[id]) return prev;
 
-      return {
-        ...prev,
-        profiles: {
-          ...prev.profiles,
-          [id]: {
-            ...prev.profiles[id],
-            ...updates,
+        return {
+          ...prev,
+          profiles: {
+            ...prev.profiles,
+            [id]: {
+              ...prev.profiles[id],
+              ...updates,
+            },
           },
-        },
-      };
-    });
-  }, []);
+        };
+      });
+    },
+    [isSharedProfile]
+  );
 
   // Update a specific override
-  const setOverride = useCallback((key, value) => {
-    setState((prev) => {
-      const id = prev.activeId;
-      if (!prev.profiles[id]) return prev;
+  const setOverride = useCallback(
+    (key, value) => {
+      if (isSharedProfile) {
+        setSharedProfile(
+          (prev) => prev && { ...prev, overrides: { ...prev.overrides, [key]: value } }
+        );
+        return;
+      }
+      setState((prev) => {
+        const id = prev.activeId;
+        if (!prev.profiles[id]) return prev;
 
-      return {
-        ...prev,
-        profiles: {
-          ...prev.profiles,
-          [id]: {
-            ...prev.profiles[id],
-            overrides: {
-              ...prev.profiles[id].overrides,
-              [key]: value,
+        return {
+          ...prev,
+          profiles: {
+            ...prev.profiles,
+            [id]: {
+              ...prev.profiles[id],
+              overrides: {
+                ...prev.profiles[id].overrides,
+                [key]: value,
+              },
             },
           },
-        },
-      };
-    });
-  }, []);
+        };
+      });
+    },
+    [isSharedProfile]
+  );
 
   // Clear an override (use estimated value)
   const clearOverride = useCallback(
@@ -145,10 +174,30 @@ export function useRiderProfile() {
     [setOverride]
   );
 
-  // Set seat position
+  // Set seat offset in mm (forward positive), replacing any legacy preset
+  const setSeatOffset = useCallback(
+    (offsetMM) => {
+      const clamped = Math.max(SEAT_OFFSET_LIMITS.min, Math.min(SEAT_OFFSET_LIMITS.max, offsetMM));
+      updateProfile({ seatOffset: clamped, seatPosition: undefined });
+    },
+    [updateProfile]
+  );
+
+  // Set seat position from a preset (forward, center, back)
   const setSeatPosition = useCallback(
     (position) => {
-      updateProfile({ seatPosition: position });
+      const preset = SEAT_POSITIONS[position];
+      if (preset) setSeatOffset(preset.offset);
+    },
+    [setSeatOffset]
+  );
+
+  // Set boot sole thickness in mm
+  const setBootSole = useCallback(
+    (soleMM) => {
+      updateProfile({
+        bootSole: Math.max(BOOT_SOLE_LIMITS.min, Math.min(BOOT_SOLE_LIMITS.max, soleMM)),
+      });
     },
     [updateProfile]
   );
@@ -161,8 +210,28 @@ export function useRiderProfile() {
     [updateProfile]
   );
 
+  // Set weight in kg, or null to use the typical weight for the height
+  const setWeight = useCallback(
+    (weightKg) => {
+      updateProfile({
+        weightKg:
+          weightKg > 0 ? Math.max(WEIGHT_LIMITS.min, Math.min(WEIGHT_LIMITS.max, weightKg)) : null,
+      });
+    },
+    [updateProfile]
+  );
+
+  // Choose the anthropometric dataset the estimates come from
+  const setDataset = useCallback(
+    (dataset) => {
+      updateProfile({ dataset });
+    },
+    [updateProfile]
+  );
+
   // Set active profile
   const setActiveProfile = useCallback((id) => {
+    setSharedProfile(null);
     setState((prev) => {
       if (!prev.profiles[id]) return prev;
       return { ...prev, activeId: id };
@@ -207,6 +276,96 @@ export function useRiderProfile() {
     });
   }, []);
 
+  // Restore a saved profile snapshot (e.g. from a session) and make it active.
+  // Replaces the profile with the same ID, or adds it if it no longer exists.
+  const restoreProfile = useCallback((profile) => {
+    if (!profile || typeof profile.heightCm !== 'number') return;
+    const id = profile.id || generateId();
+    setSharedProfile(null);
+    setState((prev) => ({
+      ...prev,
+      profiles: {
+        ...prev.profiles,
+        [id]: {
+          ...DEFAULT_RIDER,
+          ...profile,
+          id,
+          overrides: { ...DEFAULT_RIDER.overrides, ...profile.overrides },
+        },
+      },
+      activeId: id,
+    }));
+  }, []);
+
+  // Import profiles from a backup. Merging replaces profiles with the same ID;
+  // overwriting replaces them all and selects the backup's active profile.
+  const importProfiles = useCallback(
+    (imported, { overwrite = false, activeId: importedActiveId } = {}) => {
+      const normalized = Object.fromEntries(
+        Object.entries(imported).map(([id, profile]) => [
+          id,
+          {
+            ...DEFAULT_RIDER,
+            ...profile,
+            id,
+            overrides: { ...DEFAULT_RIDER.overrides, ...profile.overrides },
+          },
+        ])
+      );
+      if (overwrite && Object.keys(normalized).length === 0) return;
+
+      setSharedProfile(null);
+      setState((prev) => {
+        if (!overwrite) {
+          return { ...prev, profiles: { ...prev.profiles, ...normalized } };
+        }
+        return {
+          profiles: normalized,
+          activeId: normalized[importedActiveId] ? importedActiveId : Object.keys(normalized)[0],
+        };
+      });
+    },
+    []
+  );
+
+  // Show a profile received from a shared link without saving it
+  const loadSharedProfile = useCallback((profile) => {
+    if (!profile || typeof profile.heightCm !== 'number') return;
+    setSharedProfile({
+      ...DEFAULT_RIDER,
+      ...profile,
+      id: null,
+      overrides: { ...DEFAULT_RIDER.overrides, ...profile.overrides },
+    });
+  }, []);
+
+  // Save the shared profile as a new profile and make it active
+  const keepSharedProfile = useCallback(() => {
+    if (!sharedProfile) return;
+    const id = generateId();
+    setState((prev) => {
+      const nameTaken = Object.values(prev.profiles).some((p) => p.name === sharedProfile.name);
+      return {
+        ...prev,
+        profiles: {
+          ...prev.profiles,
+          [id]: {
+            ...sharedProfile,
+            id,
+            name: nameTaken ? `${sharedProfile.name} (shared)` : sharedProfile.name,
+          },
+        },
+        activeId: id,
+      };
+    });
+    setSharedProfile(null);
+  }, [sharedProfile]);
+
+  // Drop the shared profile and return to the user's active profile
+  const discardSharedProfile = useCallback(() => {
+    setSharedProfile(null);
+  }, []);
+
   // Get all profile IDs
   const profileIds = Object.keys(profiles);
 
@@ -217,16 +376,26 @@ export function useRiderProfile() {
     activeProfile,
     measurements,
     profileIds,
+    isSharedProfile,
 
     // Actions
     createProfile,
     updateProfile,
     setOverride,
     clearOverride,
+    setSeatOffset,
     setSeatPosition,
+    setBootSole,
     setHeight,
+    setWeight,
+    setDataset,
     setActiveProfile,
     deleteProfile,
     duplicateProfile,
+    restoreProfile,
+    importProfiles,
+    loadSharedProfile,
+    keepSharedProfile,
+    discardSharedProfile,
   };
 }
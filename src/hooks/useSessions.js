@@ -0,0 +1,100 @@
+import { useState, useCallback } from 'react';
+import {
+  saveSession,
+  getSavedSessions,
+  loadSession,
+  renameSession,
+  duplicateSession,
+  deleteSession,
+} from '../utils/export';
+
+/**
+ * Read saved sessions as a list, newest first.
+ */
+function readSessions() {
+  return Object.entries(getSavedSessions())
+    .map(([name, session]) => ({
+      name,
+      savedAt: session.savedAt,
+      thumbnail: session.thumbnail || null,
+    }))
+    .sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+}
+
+/**
+ * Hook for managing named sessions saved in localStorage.
+ *
+ * @returns {Object} Session list and methods
+ */
+export function useSessions() {
+  const [sessions, setSessions] = useState(readSessions);
+
+  const refresh = useCallback(() => {
+    setSessions(readSessions());
+  }, []);
+
+  // Save (or overwrite) a session
+  const save = useCallback(
+    (name, state, thumbnail) => {
+      try {
+        saveSession(name, state, thumbnail);
+        refresh();
+        return true;
+      } catch (e) {
+        console.warn('Failed to save session:', e);
+        return false;
+      }
+    },
+    [refresh]
+  );
+
+  // Get the state stored in a session
+  const load = useCallback((name) => loadSession(name), []);
+
+  // Rename a session, fails if the new name is taken
+  const rename = useCallback(
+    (name, newName) => {
+      const ok = renameSession(name, newName);
+      refresh();
+      return ok;
+    },
+    [refresh]
+  );
+
+  // Duplicate a session
+  const duplicate = useCallback(
+    (name) => {
+      try {
+        const copyName = duplicateSession(name);
+        refresh();
+        return copyName;
+      } catch (e) {
+        console.warn('Failed to duplicate session:', e);
+        return null;
+      }
+    },
+    [refresh]
+  );
+
+  // Delete a session
+  const remove = useCallback(
+    (name) => {
+      deleteSession(name);
+      refresh();
+    },
+    [refresh]
+  );
+
+  const exists = useCallback((name) => sessions.some((s) => s.name === name), [sessions]);
+
+  return {
+    sessions,
+    exists,
+    save,
+    load,
+    rename,
+    duplicate,
+    remove,
+    refresh,
+  };
+}
@@ -0,0 +1,103 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { parseURLState, clearURLState } from '../utils/export';
+
+/**
+ * Hook for importing a comparison from a shared link (`?s=` parameter).
+ *
+ * On startup the shared state is applied to calibration, markers, measurement
+ * mode, rider profile and riding style. Nothing is saved to the recipient's
+ * bikes or profiles until they keep the import; discarding restores their
+ * previous state. Links that can't be decoded are reported through `error`.
+ *
+ * @param {Object} hooks - App state hooks
+ * @param {Object} hooks.comparison - Result from useComparisonState
+ * @param {Object} hooks.bikeStore - Result from useBikeStore
+ * @param {Object} hooks.calibration - Result from useCalibration
+ * @param {Object} hooks.markersHook - Result from useMarkers
+ * @param {Object} hooks.measurementMode - Result from useMeasurementMode
+ * @param {Object} hooks.riderProfile - Result from useRiderProfile
+ * @param {function} hooks.setRidingStyle - Riding style setter
+ * @returns {Object} Import state and keep/discard actions
+ */
+export function useSharedLink({
+  comparison,
+  bikeStore,
+  calibration,
+  markersHook,
+  measurementMode,
+  riderProfile,
+  setRidingStyle,
+}) {
+  // Read the URL once; later navigation doesn't re-import
+  const [parsed] = useState(() => parseURLState());
+  const sharedState = parsed?.state || null;
+  const [error, setError] = useState(() => parsed?.error || null);
+  const [isPending, setIsPending] = useState(false);
+  const snapshotRef = useRef(null);
+  const appliedRef = useRef(false);
+
+  // Apply shared state on first render
+  useEffect(() => {
+    if (!sharedState || appliedRef.current) return;
+    appliedRef.current = true;
+
+    // Calibration and markers are restored from the bike records on discard,
+    // everything else that isn't persisted per bike is kept here
+    const previous = comparison.getState();
+    const { state, keys } = comparison.applyState(sharedState);
+    snapshotRef.current = {
+      activeSlots: previous.activeSlots,
+      modes: previous.modes,
+      manualMeasurements: previous.manualMeasurements,
+      ridingStyle: previous.ridingStyle,
+      importedKeys: [...new Set([...keys, ...previous.activeSlots])],
+    };
+
+    if (state.rider) {
+      riderProfile.loadSharedProfile(state.rider);
+    }
+
+    setIsPending(true);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sharedState]);
+
+  // Keep the imported state, saving the shared rider as a new profile
+  const keep = useCallback(() => {
+    riderProfile.keepSharedProfile();
+    snapshotRef.current = null;
+    setIsPending(false);
+    clearURLState();
+  }, [riderProfile]);
+
+  // Throw away the imported state and restore the previous one
+  const discard = useCallback(() => {
+    const snapshot = snapshotRef.current;
+    if (snapshot) {
+      bikeStore.setAllActiveSlots(snapshot.activeSlots);
+      calibration.unloadBikes(snapshot.importedKeys);
+      markersHook.unloadBikes(snapshot.importedKeys);
+      snapshot.importedKeys.forEach((key) => measurementMode.resetBike(key));
+      measurementMode.hydrate(snapshot);
+      setRidingStyle(snapshot.ridingStyle);
+    }
+    riderProfile.discardSharedProfile();
+    snapshotRef.current = null;
+    setIsPending(false);
+    clearURLState();
+  }, [bikeStore, calibration, markersHook, measurementMode, riderProfile, setRidingStyle]);
+
+  // Hide the decode error and drop the broken link from the URL
+  const dismissError = useCallback(() => {
+    setError(null);
+    clearURLState();
+  }, []);
+
+  return {
+    isPending,
+    sharedRiderName: isPending ? sharedState?.rider?.name || null : null,
+    error,
+    keep,
+    discard,
+    dismissError,
+  };
+}
@@ -0,0 +1,13 @@
+import { useMemo } from 'react';
+
+/**
+ * Keep a value's identity while its content stays the same, so memos that depend on it
+ * only re-run when it really changes. Compares by JSON, so only for small plain data.
+ *
+ * @param {*} value - JSON-serialisable value, rebuilt on every render
+ * @returns {*} An equal value, the same object as last render if nothing changed
+ */
+export function useStableValue(value) {
+  const json = JSON.stringify(value);
+  return useMemo(() => (json === undefined ? undefined : JSON.parse(json)), [json]);
+}
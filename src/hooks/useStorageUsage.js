@@ -0,0 +1,82 @@
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { getLocalStorageUsage, estimateQuota } from '../utils/storage';
+import { listStoredImages, removeBikeImage } from '../utils/bikeImages';
+import { summarizeStorage } from '../utils/storageUsage';
+
+/**
+ * Hook for measuring app storage and cleaning up stored photos.
+ * Measurements are taken while `enabled` and on refresh().
+ *
+ * @param {Object} bikes - Bike records by ID
+ * @param {boolean} enabled - Measure now (e.g. while the settings screen is open)
+ * @returns {Object} Storage summary and methods
+ */
+export function useStorageUsage(bikes, enabled = true) {
+  const [measurements, setMeasurements] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    const [storedImages, quota] = await Promise.all([listStoredImages(), estimateQuota()]);
+    setMeasurements({ localUsage: getLocalStorageUsage(), storedImages, quota });
+    setIsLoading(false);
+  }, []);
+
+  // Measure when enabled and whenever bikes change (photos added or removed)
+  useEffect(() => {
+    if (enabled) refresh();
+  }, [enabled, bikes, refresh]);
+
+  const summary = useMemo(
+    () => (measurements ? summarizeStorage({ bikes, ...measurements }) : null),
+    [bikes, measurements]
+  );
+
+  // Delete photos no bike refers to
+  const deleteOrphans = useCallback(
+    async (keys) => {
+      await Promise.all(keys.map((key) => removeBikeImage(key)));
+      await refresh();
+    },
+    [refresh]
+  );
+
+  return {
+    summary,
+    isLoading,
+    refresh,
+    deleteOrphans,
+  };
+}
+
+/**
+ * Hook for a lightweight storage check, so the user is warned before the
+ * quota runs out. Re-checks when photos are added, changed or removed.
+ *
+ * @param {Object} bikes - Bike records by ID
+ * @returns {{ warnings: string[], dismiss: function }} Current warnings and a way to hide them
+ */
+export function useStorageWarnings(bikes) {
+  const [warnings, setWarnings] = useState([]);
+  const [dismissed, setDismissed] = useState(false);
+
+  const photos = Object.values(bikes)
+    .map((bike) => bike.imageKey || (bike.img ? bike.id : ''))
+    .join('|');
+
+  useEffect(() => {
+    let cancelled = false;
+    estimateQuota().then((quota) => {
+      if (cancelled) return;
+      const summary = summarizeStorage({ bikes: {}, localUsage: getLocalStorageUsage(), quota });
+      setWarnings(summary.warnings);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [photos]);
+
+  const dismiss = useCallback(() => setDismissed(true), []);
+
+  return { warnings: dismissed ? [] : warnings, dismiss };
+}
@@ -0,0 +1,172 @@
+/**
+ * Adjustable touch points: seat height, peg lowering kits and bar risers.
+ *
+ * A bike stores an optional range per touch point as two offsets in mm from the
+ * marked position, `{ from, to }`, with x forward and y up. A slider position
+ * between 0 and 1 picks a point on the line between them, so a seat adjustable
+ * 20 mm either way is `{ from: {x: 0, y: -20}, to: {x: 0, y: 20} }` and a riser
+ * that raises the bar 30 mm and brings it 15 mm back is `{ from: {x: 0, y: 0},
+ * to: {x: -15, y: 30} }`.
+ */
+
+import { MARKER_TYPES } from '../constants';
+import { getComfortDeviation } from '../data/comfortZones';
+import { rotatePoint } from './geometry';
+
+/**
+ * Whether an adjuster range moves its touch point at all.
+ *
+ * @param {Object|null} range - { from, to } in mm
+ * @returns {boolean}
+ */
+export function isAdjustable(range) {
+  if (!range?.from || !range?.to) return false;
+  return range.from.x !== range.to.x || range.from.y !== range.to.y;
+}
+
+/**
+ * Offset at a slider position.
+ *
+ * @param {Object} range - { from, to } in mm
+ * @param {number} position - 0 at `from`, 1 at `to`
+ * @returns {{x: number, y: number}} Offset in mm, x forward, y up
+ */
+export function adjusterOffset(range, position) {
+  const t = Math.max(0, Math.min(1, position));
+  return {
+    x: range.from.x + t * (range.to.x - range.from.x),
+    y: range.from.y + t * (range.to.y - range.from.y),
+  };
+}
+
+/**
+ * Slider position of the stock setting: the point of the range closest to the
+ * marked position.
+ *
+ * @param {Object} range - { from, to } in mm
+ * @returns {number} Position between 0 and 1
+ */
+export function stockPosition(range) {
+  const dx = range.to.x - range.from.x;
+  const dy = range.to.y - range.from.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (!lengthSq) return 0;
+  return Math.max(0, Math.min(1, -(range.from.x * dx + range.from.y * dy) / lengthSq));
+}
+
+/**
+ * Move markers by offsets in mm.
+ *
+ * @param {Object} markers - { seat, peg, bar } in px, y down
+ * @param {Object} offsets - { seat, peg, bar } offsets in mm, x forward, y up; missing ones
+ *   don't move
+ * @param {Object} options
+ * @param {number} options.pxPerMM - Scale of the markers
+ * @param {number} options.tilt - Photo tilt in degrees (see utils/level.js), so "up" follows
+ *   the bike rather than the screen; 0 for levelled markers
+ * @returns {Object} Moved markers
+ */
+export function offsetMarkers(markers, offsets, { pxPerMM, tilt = 0 } = {}) {
+  if (!markers?.seat || !markers?.bar || !offsets || !pxPerMM) return markers;
+  const forward = markers.bar.x >= markers.seat.x ? 1 : -1;
+
+  const result = { ...markers };
+  MARKER_TYPES.forEach((type) => {
+    const offset = offsets[type];
+    if (!markers[type] || !offset) return;
+    const shift = rotatePoint({ x: forward * offset.x * pxPerMM, y: -offset.y * pxPerMM }, tilt);
+    result[type] = { x: markers[type].x + shift.x, y: markers[type].y + shift.y };
+  });
+  return result;
+}
+
+/**
+ * Move markers by their adjuster settings.
+ *
+ * @param {Object} markers - { seat, peg, bar } in px, y down
+ * @param {Object} adjusters - { seat, peg, bar } ranges; missing ones don't move
+ * @param {Object} positions - { seat, peg, bar } slider positions; stock when missing
+ * @param {Object} options - { pxPerMM, tilt } as for offsetMarkers()
+ * @returns {Object} Adjusted markers
+ */
+export function adjustMarkers(markers, adjusters, positions = {}, options = {}) {
+  if (!adjusters) return markers;
+  const offsets = {};
+  MARKER_TYPES.forEach((type) => {
+    const range = adjusters[type];
+    if (isAdjustable(range)) {
+      offsets[type] = adjusterOffset(range, positions[type] ?? stockPosition(range));
+    }
+  });
+  return offsetMarkers(markers, offsets, options);
+}
+
+/**
+ * Find the adjuster setting that suits the rider best: the least total angle outside
+ * the comfort zones, then the least change from stock.
+ *
+ * @param {Object} options
+ * @param {Object} options.markers - Levelled { seat, peg, bar } in px
+ * @param {Object} options.adjusters - { seat, peg, bar } ranges
+ * @param {number} options.pxPerMM - Scale of the markers
+ * @param {Function} options.calculateAngles - (markers) => {knee, hip, back, arm}
+ * @param {string} options.ridingStyle - Riding style for the comfort zones
+ * @param {number} options.steps - Evenly spaced slider positions tried per adjuster, at least 2
+ *   (default 5); the stock setting is tried as well
+ * @returns {{positions: Object, angles: Object, deviation: number}|null} Null without adjusters
+ */
+export function bestAdjustment({
+  markers,
+  adjusters,
+  pxPerMM,
+  calculateAngles,
+  ridingStyle = 'commute',
+  steps = 5,
+}) {
+  const types = MARKER_TYPES.filter((type) => isAdjustable(adjusters?.[type]));
+  if (!markers || types.length === 0) return null;
+
+  const stock = Object.fromEntries(types.map((type) => [type, stockPosition(adjusters[type])]));
+  const movement = (positions) =>
+    types.reduce((sum, type) => {
+      const a = adjusterOffset(adjusters[type], positions[type]);
+      const b = adjusterOffset(adjusters[type], stock[type]);
+      return sum + Math.hypot(a.x - b.x, a.y - b.y);
+    }, 0);
+
+  let best = null;
+  const tryPositions = (positions) => {
+    const angles = calculateAngles(adjustMarkers(markers, adjusters, positions, { pxPerMM }));
+    const deviation = getComfortDeviation(angles, ridingStyle);
+    if (deviation === null) return;
+    const candidate = { positions, angles, deviation, movement: movement(positions) };
+    if (
+      !best ||
+      candidate.deviation < best.deviation - 1e-9 ||
+      (Math.abs(candidate.deviation - best.deviation) <= 1e-9 && candidate.movement < best.movement)
+    ) {
+      best = candidate;
+    }
+  };
+
+  // Every combination of slider steps and stock: at most (steps + 1)³ pose solves, fewer
+  // when stock lies on the grid
+  const count = Math.max(2, Math.round(steps));
+  const grid = Array.from({ length: count }, (_, i) => i / (count - 1));
+  const walk = (index, positions) => {
+    if (index === types.length) {
+      tryPositions(positions);
+      return;
+    }
+    const type = types[index];
+    const candidates = grid.some((position) => Math.abs(position - stock[type]) < 1e-9)
+      ? grid
+      : [stock[type], ...grid];
+    candidates.forEach((position) => walk(index + 1, { ...positions, [type]: position }));
+  };
+  walk(0, {});
+
+  if (!best) return null;
+  const { positions, angles, deviation } = best;
+  return { positions, angles, deviation };
+}
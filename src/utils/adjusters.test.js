@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isAdjustable,
+  adjusterOffset,
+  stockPosition,
+  adjustMarkers,
+  bestAdjustment,
+} from './adjusters';
+import { calculateAllAngles } from './ergonomics';
+import { getComfortDeviation } from '../data/comfortZones';
+import { DEFAULT_RIDER, getEffectiveMeasurements } from '../data/bodyProportions';
+
+const pxPerMM = 0.5;
+// Bike facing right, in px
+const markers = {
+  seat: { x: 0, y: 0 },
+  peg: { x: 100, y: 380 },
+  bar: { x: 360, y: -25 },
+};
+const seatRange = { from: { x: 0, y: -20 }, to: { x: 0, y: 20 } };
+const riser = { from: { x: 0, y: 0 }, to: { x: -15, y: 30 } };
+
+describe('adjuster ranges', () => {
+  it('ignores empty ranges', () => {
+    expect(isAdjustable(null)).toBe(false);
+    expect(isAdjustable({ from: { x: 0, y: 0 }, to: { x: 0, y: 0 } })).toBe(false);
+    expect(isAdjustable(riser)).toBe(true);
+  });
+
+  it('interpolates along the range and finds the stock setting', () => {
+    expect(adjusterOffset(riser, 0.5)).toEqual({ x: -7.5, y: 15 });
+    expect(stockPosition(seatRange)).toBeCloseTo(0.5);
+    expect(stockPosition(riser)).toBe(0);
+  });
+});
+
+describe('adjustMarkers', () => {
+  it('leaves markers at stock', () => {
+    expect(adjustMarkers(markers, { seat: seatRange, bar: riser }, {}, { pxPerMM })).toEqual(
+      markers
+    );
+  });
+
+  it('moves touch points up and back in px', () => {
+    const adjusted = adjustMarkers(
+      markers,
+      { seat: seatRange, bar: riser },
+      { seat: 1, bar: 1 },
+      {
+        pxPerMM,
+      }
+    );
+    expect(adjusted.seat).toEqual({ x: 0, y: -10 });
+    expect(adjusted.bar.x).toBeCloseTo(360 - 7.5);
+    expect(adjusted.bar.y).toBeCloseTo(-25 - 15);
+    expect(adjusted.peg).toBe(markers.peg);
+  });
+
+  it('mirrors forward for a bike facing left and follows the photo tilt', () => {
+    const mirrored = {
+      seat: { x: 0, y: 0 },
+      peg: { x: -100, y: 380 },
+      bar: { x: -360, y: -25 },
+    };
+    const adjusted = adjustMarkers(mirrored, { bar: riser }, { bar: 1 }, { pxPerMM });
+    expect(adjusted.bar.x).toBeCloseTo(-360 + 7.5);
+
+    const tilted = adjustMarkers(markers, { seat: seatRange }, { seat: 1 }, { pxPerMM, tilt: 90 });
+    // Up (−y on screen) turned a quarter clockwise points right
+    expect(tilted.seat.x).toBeCloseTo(10);
+    expect(tilted.seat.y).toBeCloseTo(0);
+  });
+});
+
+describe('bestAdjustment', () => {
+  const measurements = getEffectiveMeasurements(DEFAULT_RIDER);
+  const calculateAngles = (m) => calculateAllAngles(m, measurements, pxPerMM);
+
+  it('never does worse than stock', () => {
+    const adjusters = {
+      seat: seatRange,
+      bar: riser,
+      peg: { from: { x: 0, y: 0 }, to: { x: -10, y: -25 } },
+    };
+    const best = bestAdjustment({ markers, adjusters, pxPerMM, calculateAngles });
+    const stock = getComfortDeviation(calculateAngles(markers));
+
+    expect(best.deviation).toBeLessThanOrEqual(stock);
+    expect(Object.keys(best.positions).sort()).toEqual(['bar', 'peg', 'seat']);
+    expect(best.angles).toEqual(
+      calculateAngles(adjustMarkers(markers, adjusters, best.positions, { pxPerMM }))
+    );
+  });
+
+  it('solves each grid and stock combination once', () => {
+    const adjusters = { seat: seatRange, bar: riser };
+    let solves = 0;
+    const counting = (m) => {
+      solves++;
+      return calculateAngles(m);
+    };
+    bestAdjustment({ markers, adjusters, pxPerMM, calculateAngles: counting, steps: 4 });
+    // Seat stock (0.5) is off a 4-step grid, riser stock (0) is on it
+    expect(solves).toBe(5 * 4);
+  });
+
+  it('tries at least both ends of each range', () => {
+    const positions = [];
+    const recording = (m) => {
+      positions.push(m.seat.y);
+      return calculateAngles(m);
+    };
+    const best = bestAdjustment({
+      markers,
+      adjusters: { seat: seatRange },
+      pxPerMM,
+      calculateAngles: recording,
+      steps: 1,
+    });
+    expect(positions).toHaveLength(3);
+    expect(positions.every((y) => !isNaN(y))).toBe(true);
+    expect(best.positions.seat).not.toBeNaN();
+  });
+
+  it('returns null without adjusters', () => {
+    expect(bestAdjustment({ markers, adjusters: {}, pxPerMM, calculateAngles })).toBeNull();
+  });
+});
+
+describe('getComfortDeviation', () => {
+  it('sums the degrees outside the comfort zones', () => {
+    expect(getComfortDeviation({ knee: 145, hip: 100, back: 30, arm: 160 })).toBe(0);
+    expect(getComfortDeviation({ knee: 130, hip: 100, back: 30, arm: 175 })).toBe(15);
+    expect(getComfortDeviation({ knee: null, hip: null, back: null, arm: null })).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Regression estimates and percentiles from anthropometric datasets
+ * (see data/anthropometry.js for the model).
+ */
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 26.2.17,
+ * accurate to about 1e-7).
+ *
+ * @param {number} z
+ * @returns {number} Probability in 0..1
+ */
+export function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const poly =
+    t *
+    (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  const tail = (Math.exp((-z * z) / 2) / Math.sqrt(2 * Math.PI)) * poly;
+  return z >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Inverse of normalCdf, by bisection.
+ *
+ * @param {number} p - Probability, strictly between 0 and 1
+ * @returns {number} z with normalCdf(z) = p
+ */
+export function normalQuantile(p) {
+  let low = -8;
+  let high = 8;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (normalCdf(mid) < p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Typical weight for a stature in a dataset, when the rider's weight isn't known.
+ *
+ * @param {Object} dataset - From ANTHROPOMETRIC_DATASETS
+ * @param {number} heightMM - Stature in mm
+ * @returns {number} Weight in kg
+ */
+export function expectedWeight(dataset, heightMM) {
+  const { stature, weight, correlation } = dataset;
+  return weight.mean + ((correlation * weight.sd) / stature.sd) * (heightMM - stature.mean);
+}
+
+/**
+ * Estimate a segment from stature and weight.
+ *
+ * @param {Object} dataset - From ANTHROPOMETRIC_DATASETS
+ * @param {string} key - Segment key, e.g. 'inseam'
+ * @param {number} heightMM - Stature in mm
+ * @param {number|null} weightKg - Weight in kg; the typical weight for the stature if missing
+ * @returns {number|null} Segment length in mm, or null if the dataset doesn't model it
+ */
+export function predictSegment(dataset, key, heightMM, weightKg = null) {
+  const model = dataset.segments[key];
+  if (!model) return null;
+  const weight = weightKg > 0 ? weightKg : expectedWeight(dataset, heightMM);
+  return (
+    model.mean +
+    model.height * (heightMM - dataset.stature.mean) +
+    model.weight * (weight - dataset.weight.mean)
+  );
+}
+
+/**
+ * Spread of a segment across the whole population: the regression applied to the
+ * correlated stature and weight distributions, plus the residual.
+ *
+ * @param {Object} dataset - From ANTHROPOMETRIC_DATASETS
+ * @param {string} key - Segment key, or 'height' for stature
+ * @returns {{mean: number, sd: number}|null}
+ */
+export function segmentDistribution(dataset, key) {
+  if (key === 'height') return dataset.stature;
+  const model = dataset.segments[key];
+  if (!model) return null;
+
+  const { stature, weight, correlation } = dataset;
+  const variance =
+    (model.height * stature.sd) ** 2 +
+    (model.weight * weight.sd) ** 2 +
+    2 * model.height * model.weight * correlation * stature.sd * weight.sd +
+    model.sd ** 2;
+  return { mean: model.mean, sd: Math.sqrt(variance) };
+}
+
+/**
+ * Population percentile of a measurement.
+ *
+ * @param {Object} dataset - From ANTHROPOMETRIC_DATASETS
+ * @param {string} key - Segment key, or 'height' for stature
+ * @param {number} valueMM - The rider's measurement in mm
+ * @returns {number|null} Percentile, rounded and kept within 1..99
+ */
+export function segmentPercentile(dataset, key, valueMM) {
+  const distribution = segmentDistribution(dataset, key);
+  if (!distribution || !distribution.sd || !(valueMM > 0)) return null;
+  const percentile = Math.round(100 * normalCdf((valueMM - distribution.mean) / distribution.sd));
+  return Math.max(1, Math.min(99, percentile));
+}
+
+/**
+ * Measurement at a population percentile, the inverse of segmentPercentile().
+ *
+ * @param {Object} dataset - From ANTHROPOMETRIC_DATASETS
+ * @param {string} key - Segment key, or 'height' for stature
+ * @param {number} percentile - Percentile, between 0 and 100 exclusive
+ * @returns {number|null} Measurement in mm
+ */
+export function percentileValue(dataset, key, percentile) {
+  const distribution = segmentDistribution(dataset, key);
+  if (!distribution) return null;
+  return distribution.mean + distribution.sd * normalQuantile(percentile / 100);
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalCdf,
+  expectedWeight,
+  predictSegment,
+  segmentDistribution,
+  segmentPercentile,
+} from './anthropometry';
+import { ANTHROPOMETRIC_DATASETS } from '../data/anthropometry';
+import { estimateFromHeight } from '../data/bodyProportions';
+
+const male = ANTHROPOMETRIC_DATASETS['ansur-male'];
+const female = ANTHROPOMETRIC_DATASETS['ansur-female'];
+
+describe('normalCdf', () => {
+  it('matches known quantiles', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(normalCdf(1.96)).toBeCloseTo(0.975, 4);
+    expect(normalCdf(-1)).toBeCloseTo(0.1587, 4);
+  });
+});
+
+describe('predictSegment', () => {
+  it('gives the dataset mean for an average rider', () => {
+    expect(predictSegment(male, 'inseam', male.stature.mean, male.weight.mean)).toBeCloseTo(856);
+    expect(expectedWeight(male, male.stature.mean)).toBeCloseTo(male.weight.mean);
+  });
+
+  it('uses weight as a second predictor', () => {
+    const light = predictSegment(male, 'shoulderWidth', 1800, 70);
+    const heavy = predictSegment(male, 'shoulderWidth', 1800, 100);
+    expect(heavy - light).toBeCloseTo(45);
+  });
+
+  it('returns null for segments the dataset does not model', () => {
+    expect(predictSegment(male, 'ankleHeight', 1800)).toBeNull();
+  });
+});
+
+describe('segmentPercentile', () => {
+  it('places the mean at the 50th percentile', () => {
+    expect(segmentPercentile(male, 'height', male.stature.mean)).toBe(50);
+    expect(segmentPercentile(female, 'inseam', 777)).toBe(50);
+  });
+
+  it('ranks the same length differently per population', () => {
+    expect(segmentPercentile(female, 'inseam', 850)).toBeGreaterThan(
+      segmentPercentile(male, 'inseam', 850)
+    );
+  });
+
+  it('combines height, weight and residual spread', () => {
+    const { sd } = segmentDistribution(male, 'inseam');
+    expect(sd).toBeGreaterThan(male.segments.inseam.sd);
+    expect(sd).toBeLessThan(60);
+  });
+});
+
+describe('estimateFromHeight datasets', () => {
+  it('keeps the fixed ratios by default', () => {
+    expect(estimateFromHeight(180).inseam).toBe(Math.round(1800 * 0.47));
+  });
+
+  it('follows the chosen dataset', () => {
+    const ratios = estimateFromHeight(165);
+    const ansur = estimateFromHeight(165, { dataset: 'ansur-female' });
+    expect(ansur.inseam).not.toBe(ratios.inseam);
+    expect(ansur.ankleHeight).toBe(ratios.ankleHeight);
+  });
+});
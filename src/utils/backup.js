@@ -0,0 +1,270 @@
+/**
+ * Full app data backup.
+ *
+ * A backup is a zip archive holding:
+ *
+ *   backup.json        bikes, active slots, rider profiles and sessions
+ *   images/<id>.<ext>  each bike photo, referenced from `images` in backup.json
+ *
+ * Photos are stored as plain image files so the archive stays small and can be
+ * inspected with any zip tool.
+ */
+
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { isDataURL } from './storage';
+import { loadBikeImage } from './bikeImages';
+import { downloadBlob } from './export';
+
+export const BACKUP_FORMAT_VERSION = 1;
+
+const APP_ID = 'rider-triangle';
+const MANIFEST_FILE = 'backup.json';
+const IMAGE_DIR = 'images/';
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+const MIME_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([mime, ext]) => [ext, mime]));
+
+// User-facing import errors
+const ERRORS = {
+  notArchive: 'This file is not a Rider Triangle backup.',
+  damaged: 'This backup is damaged and could not be read.',
+  missingImage: 'This backup is incomplete: some bike photos are missing.',
+};
+
+/**
+ * Split a base64 data URL into its MIME type and bytes.
+ */
+function dataURLToBytes(dataURL) {
+  const match = /^data:([^;,]+)(;base64)?,(.*)$/s.exec(dataURL);
+  if (!match || !match[2]) return null;
+  const binary = atob(match[3]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return { mime: match[1], bytes };
+}
+
+function bytesToDataURL(bytes, mime) {
+  let binary = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return `data:${mime};base64,${btoa(binary)}`;
+}
+
+/**
+ * Get a bike's uploaded photo as bytes.
+ *
+ * @param {Object} bike - Bike record
+ * @returns {Promise<Object|null>} { mime, bytes }, or null for bikes without an uploaded photo
+ */
+async function readBikePhoto(bike) {
+  if (bike.imageKey) {
+    const blob = await loadBikeImage(bike.imageKey);
+    if (blob) {
+      return { mime: blob.type, bytes: new Uint8Array(await blob.arrayBuffer()) };
+    }
+  }
+  return isDataURL(bike.img) ? dataURLToBytes(bike.img) : null;
+}
+
+const isRecord = (value) => value != null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Build a backup archive of all app data.
+ *
+ * @param {Object} data
+ * @param {Object} data.bikes - Bike records by ID
+ * @param {string[]} data.activeSlots - Bike IDs in the comparison slots
+ * @param {Object} data.profiles - Rider profiles by ID
+ * @param {string} data.activeProfileId - Selected rider profile
+ * @param {Object} data.sessions - Saved sessions by name
+ * @param {Date} data.exportedAt - Export time (default now)
+ * @returns {Promise<Uint8Array>} Zip archive
+ */
+export async function createBackupArchive({
+  bikes,
+  activeSlots,
+  profiles,
+  activeProfileId,
+  sessions,
+  exportedAt = new Date(),
+}) {
+  const files = {};
+  const images = {};
+  const bikeRecords = {};
+
+  for (const [id, bike] of Object.entries(bikes)) {
+    const photo = await readBikePhoto(bike);
+    if (photo) {
+      const path = `${IMAGE_DIR}${id}.${EXTENSIONS[photo.mime] || 'bin'}`;
+      // Photos are already compressed
+      files[path] = [photo.bytes, { level: 0 }];
+      images[id] = path;
+    }
+    // Photos live in the archive and storage keys are local to this device;
+    // keep external URLs (default bikes) as they are
+    const { imageKey: _imageKey, ...record } = bike;
+    bikeRecords[id] = { ...record, img: photo || isDataURL(bike.img) ? null : bike.img };
+  }
+
+  const manifest = {
+    app: APP_ID,
+    version: BACKUP_FORMAT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    bikes: bikeRecords,
+    activeSlots,
+    profiles,
+    activeProfileId,
+    sessions,
+    images,
+  };
+  files[MANIFEST_FILE] = strToU8(JSON.stringify(manifest));
+
+  return zipSync(files);
+}
+
+/**
+ * Export all app data as a backup download.
+ *
+ * @param {Object} data - See createBackupArchive()
+ * @param {string} filename - Download filename (without extension)
+ */
+export async function exportBackup(data, filename) {
+  const archive = await createBackupArchive(data);
+  const date = new Date().toISOString().slice(0, 10);
+  downloadBlob(
+    new Blob([archive], { type: 'application/zip' }),
+    `${filename || `rider-triangle-backup-${date}`}.zip`
+  );
+}
+
+/**
+ * Read and validate a backup archive.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - Archive contents
+ * @returns {{ backup: Object|null, error: string|null }} Backup with photos restored
+ *   as data URLs on each bike (see bikeImages.moveInlineImages), or a user-facing error message
+ */
+export function readBackupArchive(buffer) {
+  let files;
+  try {
+    files = unzipSync(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer));
+  } catch {
+    return { backup: null, error: ERRORS.notArchive };
+  }
+  if (!files[MANIFEST_FILE]) {
+    return { backup: null, error: ERRORS.notArchive };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(strFromU8(files[MANIFEST_FILE]));
+  } catch {
+    return { backup: null, error: ERRORS.damaged };
+  }
+  if (!isRecord(manifest) || manifest.app !== APP_ID) {
+    return { backup: null, error: ERRORS.notArchive };
+  }
+  if (manifest.version > BACKUP_FORMAT_VERSION) {
+    return {
+      backup: null,
+      error: `This backup was made with a newer version of the app (format ${manifest.version}). Update the app to import it.`,
+    };
+  }
+
+  const { bikes = {}, profiles = {}, sessions = {}, images = {} } = manifest;
+  const valid =
+    isRecord(bikes) &&
+    isRecord(profiles) &&
+    isRecord(sessions) &&
+    isRecord(images) &&
+    Object.entries(bikes).every(
+      ([id, bike]) => isRecord(bike) && bike.id === id && typeof bike.label === 'string'
+    ) &&
+    Object.entries(profiles).every(
+      ([id, profile]) =>
+        isRecord(profile) && profile.id === id && typeof profile.heightCm === 'number'
+    ) &&
+    Object.values(sessions).every((session) => isRecord(session) && isRecord(session.state));
+  if (!valid) {
+    return { backup: null, error: ERRORS.damaged };
+  }
+
+  const restoredBikes = {};
+  for (const [id, bike] of Object.entries(bikes)) {
+    const path = images[id];
+    if (path && !files[path]) {
+      return { backup: null, error: ERRORS.missingImage };
+    }
+    const mime = path && MIME_TYPES[path.split('.').pop()];
+    restoredBikes[id] = path
+      ? { ...bike, img: bytesToDataURL(files[path], mime || 'image/jpeg') }
+      : bike;
+  }
+
+  return {
+    backup: {
+      version: manifest.version,
+      exportedAt: manifest.exportedAt || null,
+      bikes: restoredBikes,
+      activeSlots: Array.isArray(manifest.activeSlots)
+        ? manifest.activeSlots.filter((id) => restoredBikes[id])
+        : [],
+      profiles,
+      activeProfileId: profiles[manifest.activeProfileId] ? manifest.activeProfileId : null,
+      sessions,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Compare one collection in a backup with the local one.
+ */
+function planCollection(current, incoming, overwrite, getName) {
+  const names = (records, ids) => ids.map((id) => getName(records[id], id));
+  const incomingIds = Object.keys(incoming);
+  return {
+    added: names(
+      incoming,
+      incomingIds.filter((id) => !(id in current))
+    ),
+    replaced: names(
+      incoming,
+      incomingIds.filter((id) => id in current)
+    ),
+    removed: overwrite
+      ? names(
+          current,
+          Object.keys(current).filter((id) => !(id in incoming))
+        )
+      : [],
+  };
+}
+
+/**
+ * Describe what importing a backup will change.
+ *
+ * Merging adds everything from the backup and replaces records with the same
+ * ID (or session name). Overwriting also removes local records the backup
+ * doesn't have.
+ *
+ * @param {Object} backup - From readBackupArchive()
+ * @param {Object} current - Local { bikes, profiles, sessions }
+ * @param {'merge'|'overwrite'} mode - Import mode
+ * @returns {Object} { bikes, profiles, sessions }, each { added, replaced, removed } name lists
+ */
+export function planBackupImport(backup, current, mode = 'merge') {
+  const overwrite = mode === 'overwrite';
+  return {
+    bikes: planCollection(current.bikes, backup.bikes, overwrite, (bike) => bike.label),
+    profiles: planCollection(
+      current.profiles,
+      backup.profiles,
+      overwrite,
+      (profile) => profile.name || 'Unnamed rider'
+    ),
+    sessions: planCollection(current.sessions, backup.sessions, overwrite, (_, name) => name),
+  };
+}
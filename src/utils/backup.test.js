@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import {
+  createBackupArchive,
+  readBackupArchive,
+  planBackupImport,
+  BACKUP_FORMAT_VERSION,
+} from './backup';
+import { DEFAULT_RIDER } from '../data/bodyProportions';
+
+const photo = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAP//';
+
+const data = {
+  bikes: {
+    vstrom: {
+      id: 'vstrom',
+      label: 'V-Strom 1050 SE',
+      img: 'https://example.com/vstrom.jpg',
+      isDefault: true,
+    },
+    bike_a: {
+      id: 'bike_a',
+      label: 'My bike',
+      img: photo,
+      markers: { seat: { x: 10, y: 20 } },
+    },
+  },
+  activeSlots: ['bike_a', 'vstrom'],
+  profiles: { rider_1: { id: 'rider_1', ...DEFAULT_RIDER, name: 'Sam' } },
+  activeProfileId: 'rider_1',
+  sessions: { Commute: { state: { activeSlots: ['bike_a'] }, savedAt: '2026-01-01T00:00:00Z' } },
+};
+
+// Rebuild an archive with a changed manifest
+function withManifest(archive, change) {
+  const files = unzipSync(archive);
+  const manifest = JSON.parse(strFromU8(files['backup.json']));
+  files['backup.json'] = strToU8(JSON.stringify(change(manifest)));
+  return zipSync(files);
+}
+
+describe('backup archive', () => {
+  it('round-trips bikes, photos, profiles and sessions', async () => {
+    const archive = await createBackupArchive(data);
+    const { backup, error } = readBackupArchive(archive);
+
+    expect(error).toBeNull();
+    expect(backup.version).toBe(BACKUP_FORMAT_VERSION);
+    expect(backup.bikes).toEqual(data.bikes);
+    expect(backup.activeSlots).toEqual(data.activeSlots);
+    expect(backup.profiles).toEqual(data.profiles);
+    expect(backup.activeProfileId).toBe('rider_1');
+    expect(backup.sessions).toEqual(data.sessions);
+  });
+
+  it('stores photos as image files rather than inline', async () => {
+    const files = unzipSync(await createBackupArchive(data));
+    const manifest = JSON.parse(strFromU8(files['backup.json']));
+
+    expect(Object.keys(files).sort()).toEqual(['backup.json', 'images/bike_a.jpg']);
+    expect(manifest.bikes.bike_a.img).toBeNull();
+    expect(manifest.bikes.vstrom.img).toBe('https://example.com/vstrom.jpg');
+  });
+
+  it('rejects files that are not backups', async () => {
+    expect(readBackupArchive(strToU8('hello')).error).toMatch(/not a Rider Triangle backup/);
+    expect(readBackupArchive(zipSync({ 'other.txt': strToU8('x') })).error).toMatch(
+      /not a Rider Triangle backup/
+    );
+
+    const archive = await createBackupArchive(data);
+    const foreign = withManifest(archive, (m) => ({ ...m, app: 'something-else' }));
+    expect(readBackupArchive(foreign).error).toMatch(/not a Rider Triangle backup/);
+  });
+
+  it('rejects damaged, incomplete and newer backups', async () => {
+    const archive = await createBackupArchive(data);
+
+    const badProfile = withManifest(archive, (m) => ({
+      ...m,
+      profiles: { rider_1: { id: 'rider_1', name: 'No height' } },
+    }));
+    expect(readBackupArchive(badProfile).error).toMatch(/damaged/);
+
+    const files = unzipSync(archive);
+    delete files['images/bike_a.jpg'];
+    expect(readBackupArchive(zipSync(files)).error).toMatch(/incomplete/);
+
+    const newer = withManifest(archive, (m) => ({ ...m, version: BACKUP_FORMAT_VERSION + 1 }));
+    expect(readBackupArchive(newer).error).toMatch(/newer version/);
+  });
+});
+
+describe('planBackupImport', () => {
+  const current = {
+    bikes: {
+      bike_a: { id: 'bike_a', label: 'Old name' },
+      bike_b: { id: 'bike_b', label: 'Local only' },
+    },
+    profiles: { rider_2: { id: 'rider_2', name: 'Alex' } },
+    sessions: { Commute: { state: {} } },
+  };
+
+  it('lists what a merge adds and replaces', () => {
+    const plan = planBackupImport(data, current, 'merge');
+
+    expect(plan.bikes).toEqual({
+      added: ['V-Strom 1050 SE'],
+      replaced: ['My bike'],
+      removed: [],
+    });
+    expect(plan.profiles).toEqual({ added: ['Sam'], replaced: [], removed: [] });
+    expect(plan.sessions).toEqual({ added: [], replaced: ['Commute'], removed: [] });
+  });
+
+  it('also lists what an overwrite removes', () => {
+    const plan = planBackupImport(data, current, 'overwrite');
+
+    expect(plan.bikes.removed).toEqual(['Local only']);
+    expect(plan.profiles.removed).toEqual(['Alex']);
+    expect(plan.sessions.removed).toEqual([]);
+  });
+});
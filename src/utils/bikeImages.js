@@ -0,0 +1,159 @@
+/**
+ * Bike photo storage.
+ *
+ * Uploaded photos are kept in IndexedDB as Blobs and bike records only hold
+ * their key (`imageKey`). `img` is left for external URLs (default bikes) and,
+ * when IndexedDB isn't available, an inline data URL as a fallback.
+ */
+
+import * as imageDB from './indexedDB';
+import { isDataURL } from './storage';
+
+/**
+ * Convert a base64 data URL to a Blob.
+ *
+ * @param {string} dataURL - Data URL
+ * @returns {Blob}
+ */
+export function dataURLToBlob(dataURL) {
+  const [header, data] = dataURL.split(',');
+  const mime = /^data:([^;,]+)/.exec(header)?.[1] || 'application/octet-stream';
+  const binary = header.includes(';base64') ? atob(data) : decodeURIComponent(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type: mime });
+}
+
+/**
+ * Read a Blob as a data URL.
+ *
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Key for a new photo. Each upload gets its own key, so a changed photo is
+ * never served from a stale object URL.
+ */
+function newImageKey(bikeId) {
+  return `img_${bikeId}_${Date.now().toString(36)}`;
+}
+
+/**
+ * Store a bike photo.
+ *
+ * @param {string} bikeId - Bike the photo belongs to
+ * @param {string|Blob} image - Data URL or Blob
+ * @param {string} key - IndexedDB key (default: a new key for this upload)
+ * @returns {Promise<Object>} Fields to set on the bike record: `{ imageKey, img: null }`,
+ *   or `{ imageKey: null, img }` with an inline data URL if IndexedDB failed
+ */
+export async function storeBikeImage(bikeId, image, key = newImageKey(bikeId)) {
+  if (imageDB.isSupported()) {
+    try {
+      await imageDB.setItem(key, typeof image === 'string' ? dataURLToBlob(image) : image);
+      return { imageKey: key, img: null };
+    } catch (e) {
+      console.warn('IndexedDB storage failed, using inline:', e);
+    }
+  }
+  return {
+    imageKey: null,
+    img: typeof image === 'string' ? image : await blobToDataURL(image),
+  };
+}
+
+/**
+ * Load a stored bike photo.
+ *
+ * @param {string} imageKey - Key from the bike record
+ * @returns {Promise<Blob|null>} Photo, or null if missing
+ */
+export async function loadBikeImage(imageKey) {
+  if (!imageKey || !imageDB.isSupported()) return null;
+  try {
+    const stored = await imageDB.getItem(imageKey);
+    // Older versions stored data URLs
+    if (isDataURL(stored)) return dataURLToBlob(stored);
+    return stored instanceof Blob ? stored : null;
+  } catch (e) {
+    console.warn('Failed to load image from IndexedDB:', e);
+    return null;
+  }
+}
+
+/**
+ * Delete a stored bike photo.
+ *
+ * @param {string} imageKey - Key from the bike record
+ */
+export async function removeBikeImage(imageKey) {
+  if (!imageKey || !imageDB.isSupported()) return;
+  try {
+    await imageDB.removeItem(imageKey);
+  } catch (e) {
+    console.warn('Failed to remove image from IndexedDB:', e);
+  }
+}
+
+/**
+ * List the photos stored in IndexedDB.
+ *
+ * @returns {Promise<Array<{key: string, size: number}>>} Stored photos with their size in bytes
+ */
+export async function listStoredImages() {
+  if (!imageDB.isSupported()) return [];
+  try {
+    const keys = (await imageDB.getAllKeys()).filter(
+      (key) => typeof key === 'string' && key.startsWith('img_')
+    );
+    return Promise.all(
+      keys.map(async (key) => {
+        const stored = await imageDB.getItem(key);
+        const size = stored instanceof Blob ? stored.size : isDataURL(stored) ? stored.length : 0;
+        return { key, size };
+      })
+    );
+  } catch (e) {
+    console.warn('Failed to list images in IndexedDB:', e);
+    return [];
+  }
+}
+
+/**
+ * Move inline photos on bike records into IndexedDB.
+ *
+ * Used to migrate records saved by older versions, which kept every photo as a
+ * data URL in localStorage, and for imported backups.
+ *
+ * @param {Object} bikes - Bike records by ID
+ * @param {Object} options
+ * @param {boolean} options.legacyKeys - Store under the old `img_<id>` key, which older
+ *   versions already wrote the same photo to
+ * @returns {Promise<Object>} Updated records of the bikes that were moved, by ID
+ */
+export async function moveInlineImages(bikes, { legacyKeys = false } = {}) {
+  const moved = {};
+  if (!imageDB.isSupported()) return moved;
+
+  for (const bike of Object.values(bikes)) {
+    if (!isDataURL(bike.img)) continue;
+    const stored = await storeBikeImage(
+      bike.id,
+      bike.img,
+      legacyKeys ? `img_${bike.id}` : undefined
+    );
+    if (stored.imageKey) {
+      moved[bike.id] = { ...bike, ...stored };
+    }
+  }
+  return moved;
+}
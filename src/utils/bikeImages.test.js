@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  dataURLToBlob,
+  blobToDataURL,
+  storeBikeImage,
+  loadBikeImage,
+  moveInlineImages,
+} from './bikeImages';
+import * as imageDB from './indexedDB';
+
+// In-memory stand-in for the IndexedDB store
+const store = new Map();
+let supported = true;
+vi.mock('./indexedDB', () => ({
+  isSupported: () => supported,
+  setItem: async (key, value) => {
+    store.set(key, value);
+  },
+  getItem: async (key) => store.get(key),
+  removeItem: async (key) => {
+    store.delete(key);
+  },
+}));
+
+const photo = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAP//';
+
+describe('bike photo storage', () => {
+  beforeEach(() => {
+    store.clear();
+    supported = true;
+  });
+
+  it('converts data URLs to Blobs and back', async () => {
+    const blob = dataURLToBlob(photo);
+
+    expect(blob.type).toBe('image/jpeg');
+    expect(await blobToDataURL(blob)).toBe(photo);
+  });
+
+  it('stores photos as Blobs and returns only a key for the record', async () => {
+    const fields = await storeBikeImage('bike_a', photo);
+
+    expect(fields.img).toBeNull();
+    expect(fields.imageKey).toMatch(/^img_bike_a_/);
+    expect(store.get(fields.imageKey)).toBeInstanceOf(Blob);
+    expect(await blobToDataURL(await loadBikeImage(fields.imageKey))).toBe(photo);
+  });
+
+  it('keeps the photo inline when IndexedDB is unavailable', async () => {
+    supported = false;
+    expect(await storeBikeImage('bike_a', photo)).toEqual({ imageKey: null, img: photo });
+  });
+
+  it('reads data URLs stored by older versions', async () => {
+    await imageDB.setItem('img_bike_a', photo);
+    expect(await blobToDataURL(await loadBikeImage('img_bike_a'))).toBe(photo);
+  });
+
+  it('moves inline photos out of bike records', async () => {
+    const bikes = {
+      bike_a: { id: 'bike_a', label: 'A', img: photo },
+      vstrom: { id: 'vstrom', label: 'V', img: 'https://example.com/v.jpg' },
+      bike_b: { id: 'bike_b', label: 'B', img: null },
+    };
+    const moved = await moveInlineImages(bikes, { legacyKeys: true });
+
+    expect(Object.keys(moved)).toEqual(['bike_a']);
+    expect(moved.bike_a).toMatchObject({ label: 'A', img: null, imageKey: 'img_bike_a' });
+    expect(store.get('img_bike_a')).toBeInstanceOf(Blob);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Image scale from wheel calibration, with cross-checks.
+ *
+ * With one wheel marked, px/mm comes from that tire's outer diameter. With both
+ * wheels marked (`wheelChoice` 'both': `top`/`bot` on the rear tire, `frontTop`/
+ * `frontBot` on the front), the two estimates are averaged and their
+ * disagreement reported. When both axles and the bike's wheelbase are known,
+ * the measured wheelbase is compared too. Large differences point to
+ * perspective distortion or wrong tire specs.
+ */
+
+import { calculatePxPerMM, calculatePxPerMMUncertainty, distance } from './geometry';
+import { outerDiameterMM } from './tire';
+import { CALIBRATION } from '../constants';
+
+const percent = (ratio) => `${(Math.abs(ratio) * 100).toFixed(1)}%`;
+
+/**
+ * Compute px/mm for a bike and check it against everything else that's known.
+ *
+ * @param {Object} input
+ * @param {string} input.wheelChoice - 'front', 'rear' or 'both'
+ * @param {Object} input.calibPts - { top, bot, frontTop?, frontBot?, frontAxle? }
+ * @param {{x: number, y: number}|null} input.axle - Rear axle
+ * @param {Object} input.tires - { front, rear } tire specs
+ * @param {number|null} input.wheelbase - Known wheelbase in mm
+ * @returns {Object} { pxPerMM, estimates, diameters, disagreement, wheelbase, warnings }
+ *   `estimates` and `diameters` (outer tire diameter in mm) are keyed by wheel;
+ *   `disagreement` is the front/rear difference as a share of their mean (null with one wheel);
+ *   `wheelbase` is { measured, expected } in mm with the relative `error`
+ *   (null unless calibrating on both wheels with both axles marked)
+ */
+export function checkCalibration({ wheelChoice, calibPts = {}, axle, tires = {}, wheelbase }) {
+  const diameter = (wheel) => (tires[wheel] ? (outerDiameterMM(tires[wheel]) ?? 0) : 0);
+
+  let estimates;
+  if (wheelChoice === 'both') {
+    estimates = {
+      rear: calculatePxPerMM(calibPts, diameter('rear')),
+      front: calculatePxPerMM(
+        { top: calibPts.frontTop, bot: calibPts.frontBot },
+        diameter('front')
+      ),
+    };
+  } else {
+    estimates = { [wheelChoice]: calculatePxPerMM(calibPts, diameter(wheelChoice)) };
+  }
+
+  const valid = Object.values(estimates).filter((value) => value > 0);
+  const pxPerMM = valid.length ? valid.reduce((sum, value) => sum + value, 0) / valid.length : 0;
+  const disagreement = valid.length === 2 ? Math.abs(valid[0] - valid[1]) / pxPerMM : null;
+
+  let wheelbaseCheck = null;
+  if (wheelChoice === 'both' && pxPerMM && axle && calibPts.frontAxle) {
+    const measured = distance(axle, calibPts.frontAxle) / pxPerMM;
+    const expected = wheelbase > 0 ? wheelbase : null;
+    wheelbaseCheck = {
+      measured,
+      expected,
+      error: expected ? (measured - expected) / expected : null,
+    };
+  }
+
+  const warnings = [];
+  if (disagreement !== null && disagreement > CALIBRATION.WHEEL_DISAGREEMENT_WARN) {
+    warnings.push(
+      `Front and rear wheels give scales ${percent(disagreement)} apart. Check the tire specs and that the photo is square to the bike.`
+    );
+  }
+  if (
+    wheelbaseCheck?.error != null &&
+    Math.abs(wheelbaseCheck.error) > CALIBRATION.WHEELBASE_ERROR_WARN
+  ) {
+    warnings.push(
+      `Measured wheelbase is ${Math.round(wheelbaseCheck.measured)} mm, ${percent(wheelbaseCheck.error)} ${wheelbaseCheck.error > 0 ? 'over' : 'under'} the expected ${Math.round(wheelbaseCheck.expected)} mm.`
+    );
+  }
+
+  return {
+    pxPerMM,
+    estimates,
+    diameters: { front: diameter('front'), rear: diameter('rear') },
+    disagreement,
+    wheelbase: wheelbaseCheck,
+    warnings,
+  };
+}
+
+/**
+ * Standard uncertainty of a calibration's px/mm from point placement error.
+ * Averaging two wheels halves the variance.
+ *
+ * @param {Object} check - Result of checkCalibration()
+ * @param {number} placementPx - Placement error per axis, in px
+ * @returns {number} Uncertainty in px/mm, 0 when there's no scale
+ */
+export function scaleUncertainty(check, placementPx) {
+  const wheels = Object.keys(check.estimates).filter((wheel) => check.estimates[wheel] > 0);
+  if (!wheels.length) return 0;
+  const variance = wheels.reduce(
+    (sum, wheel) => sum + calculatePxPerMMUncertainty(check.diameters[wheel], placementPx) ** 2,
+    0
+  );
+  return Math.sqrt(variance) / wheels.length;
+}
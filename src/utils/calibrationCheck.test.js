@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { checkCalibration, scaleUncertainty } from './calibrationCheck';
+import { outerDiameterMM } from './tire';
+
+const tires = { front: '120/70 ZR17', rear: '190/50 ZR17' };
+const FRONT_MM = outerDiameterMM(tires.front);
+const REAR_MM = outerDiameterMM(tires.rear);
+
+// Vertical wheel diameter at a given px/mm, centred on an axle
+const wheel = (axle, diameterMM, pxPerMM) => ({
+  top: { x: axle.x, y: axle.y - (diameterMM * pxPerMM) / 2 },
+  bot: { x: axle.x, y: axle.y + (diameterMM * pxPerMM) / 2 },
+});
+
+const rearAxle = { x: 100, y: 400 };
+const frontAxle = { x: 850, y: 400 }; // 1500 mm at 0.5 px/mm
+
+describe('checkCalibration', () => {
+  it('uses the chosen wheel alone', () => {
+    const result = checkCalibration({
+      wheelChoice: 'rear',
+      calibPts: wheel(rearAxle, REAR_MM, 0.5),
+      axle: rearAxle,
+      tires,
+    });
+    expect(result.pxPerMM).toBeCloseTo(0.5, 6);
+    expect(result.disagreement).toBeNull();
+    expect(result.wheelbase).toBeNull();
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('averages both wheels and reports their disagreement', () => {
+    const front = wheel(frontAxle, FRONT_MM, 0.52);
+    const result = checkCalibration({
+      wheelChoice: 'both',
+      calibPts: { ...wheel(rearAxle, REAR_MM, 0.48), frontTop: front.top, frontBot: front.bot },
+      axle: rearAxle,
+      tires,
+    });
+    expect(result.estimates.rear).toBeCloseTo(0.48, 6);
+    expect(result.estimates.front).toBeCloseTo(0.52, 6);
+    expect(result.pxPerMM).toBeCloseTo(0.5, 6);
+    expect(result.disagreement).toBeCloseTo(0.08, 6);
+    expect(result.warnings[0]).toMatch(/8\.0% apart/);
+  });
+
+  it('falls back to one wheel until the other is marked', () => {
+    const result = checkCalibration({
+      wheelChoice: 'both',
+      calibPts: wheel(rearAxle, REAR_MM, 0.5),
+      axle: rearAxle,
+      tires,
+    });
+    expect(result.pxPerMM).toBeCloseTo(0.5, 6);
+    expect(result.disagreement).toBeNull();
+  });
+
+  it('compares the measured wheelbase with the known one', () => {
+    const front = wheel(frontAxle, FRONT_MM, 0.5);
+    const calibPts = {
+      ...wheel(rearAxle, REAR_MM, 0.5),
+      frontTop: front.top,
+      frontBot: front.bot,
+      frontAxle,
+    };
+
+    const good = checkCalibration({
+      wheelChoice: 'both',
+      calibPts,
+      axle: rearAxle,
+      tires,
+      wheelbase: 1510,
+    });
+    expect(good.wheelbase.measured).toBeCloseTo(1500, 6);
+    expect(good.wheelbase.error).toBeCloseTo(-10 / 1510, 6);
+    expect(good.warnings).toEqual([]);
+
+    const off = checkCalibration({
+      wheelChoice: 'both',
+      calibPts,
+      axle: rearAxle,
+      tires,
+      wheelbase: 1600,
+    });
+    expect(off.warnings).toHaveLength(1);
+    expect(off.warnings[0]).toMatch(/1500 mm, 6\.3% under the expected 1600 mm/);
+
+    const unknown = checkCalibration({ wheelChoice: 'both', calibPts, axle: rearAxle, tires });
+    expect(unknown.wheelbase).toEqual({
+      measured: expect.any(Number),
+      expected: null,
+      error: null,
+    });
+  });
+});
+
+describe('scaleUncertainty', () => {
+  it('follows from the placement error over the tire diameter', () => {
+    const rear = checkCalibration({
+      wheelChoice: 'rear',
+      calibPts: wheel(rearAxle, REAR_MM, 0.5),
+      axle: rearAxle,
+      tires,
+    });
+    expect(scaleUncertainty(rear, 2)).toBeCloseTo((Math.SQRT2 * 2) / REAR_MM, 9);
+    expect(scaleUncertainty(rear, 0)).toBe(0);
+  });
+
+  it('is smaller when both wheels are averaged', () => {
+    const front = wheel(frontAxle, FRONT_MM, 0.5);
+    const rearOnly = checkCalibration({
+      wheelChoice: 'rear',
+      calibPts: wheel(rearAxle, REAR_MM, 0.5),
+      axle: rearAxle,
+      tires,
+    });
+    const both = checkCalibration({
+      wheelChoice: 'both',
+      calibPts: { ...wheel(rearAxle, REAR_MM, 0.5), frontTop: front.top, frontBot: front.bot },
+      axle: rearAxle,
+      tires,
+    });
+    expect(scaleUncertainty(both, 2)).toBeLessThan(scaleUncertainty(rearOnly, 2));
+  });
+
+  it('is zero without a scale', () => {
+    const none = checkCalibration({ wheelChoice: 'rear', calibPts: {}, tires });
+    expect(scaleUncertainty(none, 2)).toBe(0);
+  });
+});
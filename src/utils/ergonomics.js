@@ -4,31 +4,39 @@
  * These calculations estimate body angles based on:
  * - Bike marker positions (seat, peg, bar) in mm
  * - Rider body measurements (inseam, torso, arm length) in mm
+ *
+ * Full angle sets come from the kinematic pose in kinematics.js, the same
+ * model the skeleton overlay draws. The single-angle helpers below are
+ * chord-based approximations for partial data.
  */
 
-import { distance } from './geometry';
+import { solveRiderPose } from './kinematics';
+
+export { getHipPosition } from './kinematics';
 
 /**
  * Calculate knee angle using law of cosines.
  *
- * The knee angle is formed by thigh (hip-to-knee) and lower leg (knee-to-ankle).
- * We approximate using the seat-to-peg distance as the "leg extension".
+ * The knee angle is formed by thigh (hip-to-knee) and lower leg (knee-to-ankle),
+ * so the distance should be the hip-to-ankle chord. The full rider model
+ * (solveRiderPose) places those joints; this is the fallback when only the
+ * seat-to-peg distance is known.
  *
- * @param {number} seatPegDistance - Distance from seat to footpeg in mm
+ * @param {number} hipAnkleDistance - Distance from hip joint to ankle joint in mm
  * @param {number} thighLength - Thigh length (hip to knee) in mm
  * @param {number} lowerLegLength - Lower leg length (knee to ankle) in mm
  * @returns {number|null} Knee angle in degrees, or null if invalid
  */
-export function calculateKneeAngle(seatPegDistance, thighLength, lowerLegLength) {
-  if (!seatPegDistance || !thighLength || !lowerLegLength) return null;
+export function calculateKneeAngle(hipAnkleDistance, thighLength, lowerLegLength) {
+  if (!hipAnkleDistance || !thighLength || !lowerLegLength) return null;
 
   // Law of cosines: c² = a² + b² - 2ab·cos(C)
   // Solving for angle C: cos(C) = (a² + b² - c²) / (2ab)
-  // Where: a = thigh, b = lower leg, c = seat-peg distance
+  // Where: a = thigh, b = lower leg, c = hip-ankle distance
 
   const a = thighLength;
   const b = lowerLegLength;
-  const c = seatPegDistance;
+  const c = hipAnkleDistance;
 
   // Check triangle inequality
   if (c > a + b) {
@@ -162,44 +170,116 @@ export function calculateArmAngle(
   return angleRad * (180 / Math.PI);
 }
 
+const EMPTY_ANGLES = {
+  knee: null,
+  hip: null,
+  back: null,
+  arm: null,
+};
+
 /**
  * Calculate all ergonomic angles for a bike/rider combination.
  *
- * @param {Object} markers - Bike markers {seat, peg, bar} with {x, y} in mm
+ * @param {Object} markers - Bike markers {seat, peg, bar} with {x, y} in pixels
  * @param {Object} measurements - Rider measurements from getEffectiveMeasurements()
  * @param {number} pxPerMM - Pixels per mm for distance conversion
  * @returns {Object} All calculated angles
  */
 export function calculateAllAngles(markers, measurements, pxPerMM) {
   if (!markers || !measurements || !pxPerMM) {
-    return {
-      knee: null,
-      hip: null,
-      back: null,
-      arm: null,
-    };
+    return { ...EMPTY_ANGLES };
   }
 
-  const { seat, peg, bar } = markers;
+  const pose = solveRiderPose(markers, measurements, pxPerMM);
+  return pose ? pose.angles : { ...EMPTY_ANGLES };
+}
+
+/**
+ * Propagate placement uncertainty to the angles, to first order.
+ *
+ * Each marker coordinate is nudged by ±placementPx and the scale by
+ * ±pxPerMMUncertainty; the independent changes in each angle add in quadrature.
+ *
+ * @param {Object} markers - Bike markers {seat, peg, bar} with {x, y} in pixels
+ * @param {Object} measurements - Rider measurements from getEffectiveMeasurements()
+ * @param {number} pxPerMM - Pixels per mm for distance conversion
+ * @param {Object} uncertainty
+ * @param {number} uncertainty.placementPx - Marker placement error per axis, in px
+ * @param {number} uncertainty.pxPerMMUncertainty - Scale error, in px/mm
+ * @returns {Object} Standard uncertainty in degrees per angle, null where there's no angle
+ */
+export function calculateAngleUncertainty(
+  markers,
+  measurements,
+  pxPerMM,
+  { placementPx = 0, pxPerMMUncertainty = 0 } = {}
+) {
+  const angles = calculateAllAngles(markers, measurements, pxPerMM);
+  const types = Object.keys(EMPTY_ANGLES);
+  const variance = { knee: 0, hip: 0, back: 0, arm: 0 };
+
+  // Half the change between the two nudges is the effect of one standard deviation
+  const addEffect = (plus, minus) => {
+    types.forEach((type) => {
+      if (plus[type] == null || minus[type] == null) return;
+      variance[type] += ((plus[type] - minus[type]) / 2) ** 2;
+    });
+  };
+
+  if (placementPx > 0) {
+    ['seat', 'peg', 'bar'].forEach((point) => {
+      if (!markers?.[point]) return;
+      ['x', 'y'].forEach((axis) => {
+        const nudged = (delta) => ({
+          ...markers,
+          [point]: { ...markers[point], [axis]: markers[point][axis] + delta },
+        });
+        addEffect(
+          calculateAllAngles(nudged(placementPx), measurements, pxPerMM),
+          calculateAllAngles(nudged(-placementPx), measurements, pxPerMM)
+        );
+      });
+    });
+  }
 
-  // Calculate distances in mm
-  const seatPegMM = seat && peg ? distance(seat, peg) / pxPerMM : null;
-  const seatBarMM = seat && bar ? distance(seat, bar) / pxPerMM : null;
+  if (pxPerMMUncertainty > 0 && pxPerMMUncertainty < pxPerMM) {
+    addEffect(
+      calculateAllAngles(markers, measurements, pxPerMM + pxPerMMUncertainty),
+      calculateAllAngles(markers, measurements, pxPerMM - pxPerMMUncertainty)
+    );
+  }
 
-  // Get body segment lengths
-  const { thigh, lowerLeg, torso, upperArm, forearm } = measurements;
+  return Object.fromEntries(
+    types.map((type) => [type, angles[type] == null ? null : Math.sqrt(variance[type])])
+  );
+}
 
-  // Calculate angles
-  const knee = calculateKneeAngle(seatPegMM, thigh, lowerLeg);
-  const hip = calculateHipAngle(seat, peg, bar, torso);
-  const back = calculateBackAngle(seat, bar);
-  const arm = calculateArmAngle(seatBarMM, upperArm, forearm, 100); // 100mm shoulder offset estimate
+/**
+ * Build seat-relative virtual markers in mm from manual measurements.
+ * Screen-style axes: x forward, y down.
+ *
+ * @param {Object} manualMeasurements - Manual input measurements
+ * @returns {Object|null} { seat, peg, bar } or null if incomplete
+ */
+export function manualMeasurementsToMarkers(manualMeasurements) {
+  if (!manualMeasurements) return null;
+
+  const { seatToPegHorizontal, seatToPegVertical, seatToBarHorizontal, seatToBarVertical } =
+    manualMeasurements;
+
+  if (
+    seatToPegHorizontal == null ||
+    seatToPegVertical == null ||
+    seatToBarHorizontal == null ||
+    seatToBarVertical == null
+  ) {
+    return null;
+  }
 
   return {
-    knee,
-    hip,
-    back,
-    arm,
+    seat: { x: 0, y: 0 },
+    peg: { x: -seatToPegHorizontal, y: seatToPegVertical },
+    bar: { x: seatToBarHorizontal, y: -seatToBarVertical },
   };
 }
 
@@ -207,6 +287,8 @@ export function calculateAllAngles(markers, measurements, pxPerMM) {
  * Calculate all ergonomic angles from direct distance measurements.
  *
  * Used for manual measurement mode where user inputs distances directly.
+ * With complete manual inputs the pose is solved like in photo mode; with
+ * only distances, knee and arm fall back to chord approximations.
  *
  * @param {Object} distances - Direct distances in mm {seatPeg, seatBar, pegBar}
  * @param {Object} manualMeasurements - Manual input measurements
@@ -215,53 +297,21 @@ export function calculateAllAngles(markers, measurements, pxPerMM) {
  */
 export function calculateAllAnglesFromDistances(distances, manualMeasurements, riderMeasurements) {
   if (!distances || !riderMeasurements) {
-    return {
-      knee: null,
-      hip: null,
-      back: null,
-      arm: null,
-    };
+    return { ...EMPTY_ANGLES };
   }
 
-  const { seatPeg, seatBar } = distances;
-  const { thigh, lowerLeg, torso, upperArm, forearm } = riderMeasurements;
-
-  // Calculate knee angle from seat-peg distance
-  const knee = calculateKneeAngle(seatPeg, thigh, lowerLeg);
-
-  // Calculate arm angle from seat-bar distance
-  const arm = calculateArmAngle(seatBar, upperArm, forearm, 100);
-
-  // For hip and back angles, we need the actual geometry
-  // Reconstruct virtual markers from manual measurements
-  let hip = null;
-  let back = null;
-
-  if (manualMeasurements) {
-    const { seatToPegHorizontal, seatToPegVertical, seatToBarHorizontal, seatToBarVertical } =
-      manualMeasurements;
-
-    if (
-      seatToPegHorizontal != null &&
-      seatToPegVertical != null &&
-      seatToBarHorizontal != null &&
-      seatToBarVertical != null
-    ) {
-      // Virtual markers (seat at origin)
-      const seat = { x: 0, y: 0 };
-      const peg = { x: -seatToPegHorizontal, y: seatToPegVertical };
-      const bar = { x: seatToBarHorizontal, y: -seatToBarVertical };
-
-      hip = calculateHipAngle(seat, peg, bar, torso);
-      back = calculateBackAngle(seat, bar);
-    }
+  const markers = manualMeasurementsToMarkers(manualMeasurements);
+  if (markers) {
+    return solveRiderPose(markers, riderMeasurements, 1).angles;
   }
 
+  const { seatPeg, seatBar } = distances;
+  const { thigh, lowerLeg, upperArm, forearm } = riderMeasurements;
+
   return {
-    knee,
-    hip,
-    back,
-    arm,
+    ...EMPTY_ANGLES,
+    knee: calculateKneeAngle(seatPeg, thigh, lowerLeg),
+    arm: calculateArmAngle(seatBar, upperArm, forearm, 100),
   };
 }
 
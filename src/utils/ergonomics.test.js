@@ -6,6 +6,8 @@ import {
   calculateArmAngle,
   calculateAllAngles,
   calculateAllAnglesFromDistances,
+  calculateAngleUncertainty,
+  getHipPosition,
 } from './ergonomics';
 
 describe('calculateKneeAngle', () => {
@@ -118,6 +120,45 @@ describe('calculateAllAngles', () => {
   });
 });
 
+describe('calculateAngleUncertainty', () => {
+  const markers = {
+    seat: { x: 100, y: 100 },
+    peg: { x: 50, y: 200 },
+    bar: { x: 200, y: 80 },
+  };
+  const measurements = { thigh: 400, lowerLeg: 380, torso: 500, upperArm: 320, forearm: 250 };
+
+  it('is zero without placement or scale error', () => {
+    const result = calculateAngleUncertainty(markers, measurements, 0.5);
+    expect(result).toEqual({ knee: 0, hip: 0, back: 0, arm: 0 });
+  });
+
+  it('grows in proportion to the placement error', () => {
+    const small = calculateAngleUncertainty(markers, measurements, 0.5, { placementPx: 1 });
+    const large = calculateAngleUncertainty(markers, measurements, 0.5, { placementPx: 2 });
+    // Back sits at a clamped 0° here, so only the unclamped angles respond
+    expect(small.back).toBe(0);
+    ['knee', 'hip', 'arm'].forEach((type) => {
+      expect(small[type]).toBeGreaterThan(0);
+      expect(large[type] / small[type]).toBeCloseTo(2, 0);
+    });
+  });
+
+  it('adds the scale error', () => {
+    const placement = calculateAngleUncertainty(markers, measurements, 0.5, { placementPx: 2 });
+    const both = calculateAngleUncertainty(markers, measurements, 0.5, {
+      placementPx: 2,
+      pxPerMMUncertainty: 0.005,
+    });
+    expect(both.knee).toBeGreaterThan(placement.knee);
+  });
+
+  it('has no uncertainty where there is no angle', () => {
+    const result = calculateAngleUncertainty(null, measurements, 0.5, { placementPx: 2 });
+    expect(result).toEqual({ knee: null, hip: null, back: null, arm: null });
+  });
+});
+
 describe('calculateAllAnglesFromDistances', () => {
   it('returns null angles when missing data', () => {
     const result = calculateAllAnglesFromDistances(null, null, null);
@@ -153,3 +194,75 @@ describe('calculateAllAnglesFromDistances', () => {
     expect(result.arm).not.toBeNull();
   });
 });
+
+describe('getHipPosition', () => {
+  it('returns the seat when there is no offset', () => {
+    const seat = { x: 100, y: 100 };
+    expect(getHipPosition(seat, { x: 200, y: 80 }, 0)).toEqual(seat);
+  });
+
+  it('moves toward the bar for a positive offset', () => {
+    expect(getHipPosition({ x: 100, y: 100 }, { x: 200, y: 80 }, 30, 0.5)).toEqual({
+      x: 115,
+      y: 100,
+    });
+  });
+
+  it('follows the bar direction when the bike faces left', () => {
+    expect(getHipPosition({ x: 100, y: 100 }, { x: 0, y: 80 }, 30, 0.5)).toEqual({
+      x: 85,
+      y: 100,
+    });
+  });
+});
+
+describe('seat offset', () => {
+  const riderMeasurements = {
+    thigh: 400,
+    lowerLeg: 380,
+    torso: 500,
+    upperArm: 320,
+    forearm: 250,
+  };
+
+  it('changes photo-based angles when the rider sits further back', () => {
+    const markers = {
+      seat: { x: 100, y: 100 },
+      peg: { x: 150, y: 300 },
+      bar: { x: 650, y: 80 },
+    };
+    const center = calculateAllAngles(markers, { ...riderMeasurements, seatOffset: 0 }, 1);
+    const back = calculateAllAngles(markers, { ...riderMeasurements, seatOffset: -50 }, 1);
+
+    // Further from the bar: more lean to reach it, straighter leg
+    expect(back.knee).toBeGreaterThan(center.knee);
+    expect(back.back).toBeGreaterThan(center.back);
+  });
+
+  it('changes manual-mode angles the same way', () => {
+    const manualMeasurements = {
+      seatToPegHorizontal: -50,
+      seatToPegVertical: 200,
+      seatToBarHorizontal: 250,
+      seatToBarVertical: 80,
+    };
+    const distances = {
+      seatPeg: Math.hypot(-50, 200),
+      seatBar: Math.hypot(250, 80),
+    };
+    const photo = calculateAllAngles(
+      { seat: { x: 100, y: 100 }, peg: { x: 150, y: 300 }, bar: { x: 350, y: 20 } },
+      { ...riderMeasurements, seatOffset: -50 },
+      1
+    );
+    const manual = calculateAllAnglesFromDistances(distances, manualMeasurements, {
+      ...riderMeasurements,
+      seatOffset: -50,
+    });
+
+    expect(manual.knee).toBeCloseTo(photo.knee, 6);
+    expect(manual.hip).toBeCloseTo(photo.hip, 6);
+    expect(manual.back).toBeCloseTo(photo.back, 6);
+    expect(manual.arm).toBeCloseTo(photo.arm, 6);
+  });
+});
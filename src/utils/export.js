@@ -4,6 +4,8 @@ import html2canvas from 'html2canvas';
  * Export utilities for saving and sharing comparisons.
  */
 
+import { encodeShareState, decodeShareState } from './shareCodec';
+
 /**
  * Export an element as PNG image.
  *
@@ -28,44 +30,51 @@ export async function exportAsPNG(element, filename = 'rider-triangle-comparison
     if (!blob) {
       throw new Error('Failed to create image blob');
     }
-
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `${filename}.png`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    downloadBlob(blob, `${filename}.png`);
   }, 'image/png');
 }
 
 /**
- * Encode state to URL-safe string.
+ * Download a blob as a file.
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Download filename (with extension)
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Encode state to a compact, URL-safe string (see shareCodec.js for the format).
  *
  * @param {Object} state - State object to encode
- * @returns {string} Base64 encoded string
+ * @param {Object} options - { compress } (default true)
+ * @returns {string} Encoded state
  */
-export function encodeState(state) {
-  const json = JSON.stringify(state);
-  // Use btoa for base64 encoding (URL-safe with encodeURIComponent)
-  return encodeURIComponent(btoa(json));
+export function encodeState(state, options) {
+  return encodeShareState(state, options);
 }
 
 /**
- * Decode state from URL string.
+ * Decode state from URL string. Older link formats are migrated.
  *
- * @param {string} encoded - Base64 encoded string
- * @returns {Object|null} Decoded state object or null if invalid
+ * @param {string} encoded - Encoded state
+ * @returns {{ state: Object|null, error: string|null }} Decoded state, or an error message
+ *   if the link is corrupt or from an unsupported version
  */
 export function decodeState(encoded) {
-  try {
-    const json = atob(decodeURIComponent(encoded));
-    return JSON.parse(json);
-  } catch (e) {
-    console.error('Failed to decode state:', e);
-    return null;
+  const result = decodeShareState(encoded);
+  if (result.error) {
+    console.warn('Failed to decode shared state:', result.error);
   }
+  return result;
 }
 
 /**
@@ -83,7 +92,8 @@ export function generateShareableURL(state) {
 /**
  * Parse state from current URL.
  *
- * @returns {Object|null} Decoded state or null if not present
+ * @returns {{ state: Object|null, error: string|null }|null} Decoded state or error,
+ *   or null if the URL has no shared state
  */
 export function parseURLState() {
   const params = new URLSearchParams(window.location.search);
@@ -92,6 +102,65 @@ export function parseURLState() {
   return decodeState(encoded);
 }
 
+/**
+ * Remove the shared state parameter from the current URL.
+ * Keeps the rest of the URL intact and does not add a history entry.
+ */
+export function clearURLState() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('s')) return;
+  params.delete('s');
+  const query = params.toString();
+  const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+  window.history.replaceState(window.history.state, '', url);
+}
+
+// Share state fields that are keyed by bike ID
+const SHARED_BIKE_FIELDS = [
+  'markers',
+  'calibPts',
+  'axle',
+  'wheelChoice',
+  'perspective',
+  'manualMeasurements',
+  'modes',
+];
+
+/**
+ * Fit a shared state to the recipient's bikes.
+ *
+ * Markers, calibration and modes are in the pixel space of the sender's photos,
+ * so they only apply to the same bike. Fields for bikes the recipient doesn't
+ * have are dropped, leaving the rider and riding style. If the recipient has
+ * every shared bike, the shared slots are returned so the caller can activate them.
+ *
+ * @param {Object} state - Decoded share state
+ * @param {Object} bikes - Recipient's bike collection keyed by ID
+ * @returns {{ slots: string[]|null, state: Object }} Slots to activate (or null) and the kept state
+ */
+export function remapSharedState(state, bikes) {
+  const sharedSlots = (
+    state.activeSlots?.length ? state.activeSlots : Object.keys(state.markers || {})
+  ).filter(Boolean);
+  const allKnown = sharedSlots.length > 0 && sharedSlots.every((id) => bikes[id]);
+
+  const remapped = {
+    rider: state.rider || null,
+    ridingStyle: state.ridingStyle || null,
+  };
+
+  SHARED_BIKE_FIELDS.forEach((field) => {
+    const source = state[field];
+    if (!source || typeof source !== 'object') return;
+    remapped[field] = Object.entries(source).reduce((acc, [id, value]) => {
+      if (bikes[id]) acc[id] = value;
+      return acc;
+    }, {});
+  });
+
+  return { slots: allKnown ? sharedSlots : null, state: remapped };
+}
+
 /**
  * Copy text to clipboard.
  *
@@ -108,29 +177,66 @@ export async function copyToClipboard(text) {
   }
 }
 
+const SESSIONS_KEY = 'rider-triangle-sessions';
+
+/**
+ * Render a small JPEG thumbnail of an element.
+ *
+ * @param {HTMLElement} element - DOM element to capture
+ * @param {number} width - Thumbnail width in pixels
+ * @returns {Promise<string|null>} JPEG data URL, or null if capture failed
+ */
+export async function createThumbnail(element, width = 240) {
+  if (!element?.offsetWidth) return null;
+
+  try {
+    const canvas = await html2canvas(element, {
+      backgroundColor: '#f9fafb',
+      scale: width / element.offsetWidth,
+      useCORS: true,
+      logging: false,
+    });
+    return canvas.toDataURL('image/jpeg', 0.7);
+  } catch (e) {
+    console.warn('Failed to create thumbnail:', e);
+    return null;
+  }
+}
+
+/**
+ * Write the session map to localStorage.
+ *
+ * @param {Object} sessions - Map of session name to session record
+ */
+function writeSessions(sessions) {
+  localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+}
+
 /**
  * Save session to localStorage.
  *
  * @param {string} name - Session name
  * @param {Object} state - State to save
+ * @param {string|null} thumbnail - Optional preview image data URL
  */
-export function saveSession(name, state) {
+export function saveSession(name, state, thumbnail = null) {
   const sessions = getSavedSessions();
   sessions[name] = {
     state,
+    thumbnail,
     savedAt: new Date().toISOString(),
   };
-  localStorage.setItem('rider-triangle-sessions', JSON.stringify(sessions));
+  writeSessions(sessions);
 }
 
 /**
  * Get all saved sessions.
  *
- * @returns {Object} Map of session name to {state, savedAt}
+ * @returns {Object} Map of session name to {state, thumbnail, savedAt}
  */
 export function getSavedSessions() {
   try {
-    const stored = localStorage.getItem('rider-triangle-sessions');
+    const stored = localStorage.getItem(SESSIONS_KEY);
     return stored ? JSON.parse(stored) : {};
   } catch {
     return {};
@@ -148,6 +254,41 @@ export function loadSession(name) {
   return sessions[name]?.state || null;
 }
 
+/**
+ * Rename a saved session.
+ *
+ * @param {string} name - Current session name
+ * @param {string} newName - New session name
+ * @returns {boolean} True if renamed, false if missing or the new name is taken
+ */
+export function renameSession(name, newName) {
+  const sessions = getSavedSessions();
+  if (!sessions[name] || sessions[newName]) return false;
+  sessions[newName] = sessions[name];
+  delete sessions[name];
+  writeSessions(sessions);
+  return true;
+}
+
+/**
+ * Duplicate a saved session under a free "(copy)" name.
+ *
+ * @param {string} name - Session name to duplicate
+ * @returns {string|null} Name of the copy, or null if not found
+ */
+export function duplicateSession(name) {
+  const sessions = getSavedSessions();
+  if (!sessions[name]) return null;
+
+  let copyName = `${name} (copy)`;
+  for (let i = 2; sessions[copyName]; i++) {
+    copyName = `${name} (copy ${i})`;
+  }
+  sessions[copyName] = { ...sessions[name], savedAt: new Date().toISOString() };
+  writeSessions(sessions);
+  return copyName;
+}
+
 /**
  * Delete a saved session.
  *
@@ -156,5 +297,16 @@ export function loadSession(name) {
 export function deleteSession(name) {
   const sessions = getSavedSessions();
   delete sessions[name];
-  localStorage.setItem('rider-triangle-sessions', JSON.stringify(sessions));
+  writeSessions(sessions);
+}
+
+/**
+ * Import sessions, e.g. from a backup. Sessions with the same name are replaced.
+ *
+ * @param {Object} sessions - Map of session name to session record
+ * @param {Object} options
+ * @param {boolean} options.overwrite - Drop all existing sessions first
+ */
+export function importSessions(sessions, { overwrite = false } = {}) {
+  writeSessions(overwrite ? { ...sessions } : { ...getSavedSessions(), ...sessions });
 }
@@ -0,0 +1,210 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import html2canvas from 'html2canvas';
+import {
+  remapSharedState,
+  clearURLState,
+  createThumbnail,
+  saveSession,
+  loadSession,
+  getSavedSessions,
+  renameSession,
+  duplicateSession,
+} from './export';
+
+vi.mock('html2canvas', () => ({
+  default: vi.fn(async (element, { scale }) => ({
+    width: Math.round(element.offsetWidth * scale),
+    height: Math.round(element.offsetHeight * scale),
+    toDataURL: (type) => `data:${type};base64,thumb`,
+  })),
+}));
+
+const shared = {
+  activeSlots: ['vstrom', 'mt07'],
+  markers: {
+    vstrom: { seat: { x: 410, y: 300 }, peg: { x: 460, y: 520 }, bar: { x: 640, y: 210 } },
+    mt07: { seat: { x: 380, y: 320 }, peg: { x: 420, y: 540 }, bar: { x: 590, y: 260 } },
+  },
+  calibPts: { vstrom: { front: { x: 700, y: 600 } }, mt07: { rear: { x: 100, y: 620 } } },
+  axle: { vstrom: { x: 120, y: 610 } },
+  wheelChoice: { vstrom: 'front', mt07: 'rear' },
+  modes: { vstrom: 'photo', mt07: 'manual' },
+  manualMeasurements: { mt07: { seatHeight: 805 } },
+  rider: { name: 'Sam', height: 1780 },
+  ridingStyle: 'touring',
+};
+
+describe('remapSharedState', () => {
+  it('keeps bike IDs and activates the shared slots when every bike exists locally', () => {
+    const { slots, state } = remapSharedState(shared, { vstrom: {}, mt07: {}, r1: {} });
+
+    expect(slots).toEqual(['vstrom', 'mt07']);
+    expect(state.markers).toEqual(shared.markers);
+    expect(state.calibPts).toEqual(shared.calibPts);
+    expect(state.axle).toEqual(shared.axle);
+    expect(state.wheelChoice).toEqual(shared.wheelChoice);
+    expect(state.modes).toEqual(shared.modes);
+    expect(state.manualMeasurements).toEqual(shared.manualMeasurements);
+    expect(state.rider).toEqual(shared.rider);
+    expect(state.ridingStyle).toBe('touring');
+  });
+
+  it("drops bike fields for bikes the recipient doesn't have", () => {
+    const { slots, state } = remapSharedState(shared, { vstrom: {}, r1: {} });
+
+    expect(slots).toBeNull();
+    expect(Object.keys(state.markers)).toEqual(['vstrom']);
+    expect(state.calibPts).toEqual({ vstrom: shared.calibPts.vstrom });
+    expect(state.wheelChoice).toEqual({ vstrom: 'front' });
+    expect(state.modes).toEqual({ vstrom: 'photo' });
+    expect(state.manualMeasurements).toEqual({});
+    // Nothing is moved onto the recipient's own bikes
+    expect(state.markers.r1).toBeUndefined();
+  });
+
+  it('keeps only the rider and riding style when no shared bike exists locally', () => {
+    const { slots, state } = remapSharedState(shared, { r1: {}, goldwing: {} });
+
+    expect(slots).toBeNull();
+    expect(state.rider).toEqual(shared.rider);
+    expect(state.ridingStyle).toBe('touring');
+    ['markers', 'calibPts', 'axle', 'wheelChoice', 'modes', 'manualMeasurements'].forEach((field) =>
+      expect(state[field]).toEqual({})
+    );
+  });
+
+  it('falls back to the marker keys when the state has no active slots', () => {
+    const { slots } = remapSharedState(
+      { markers: { vstrom: shared.markers.vstrom } },
+      { vstrom: {} }
+    );
+    expect(slots).toEqual(['vstrom']);
+    expect(remapSharedState({}, { vstrom: {} })).toEqual({
+      slots: null,
+      state: { rider: null, ridingStyle: null },
+    });
+  });
+});
+
+describe('clearURLState', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('removes the shared state parameter and keeps the rest of the URL', () => {
+    window.history.replaceState({ page: 1 }, '', '/compare?s=abc123&lang=en#angles');
+    const entries = window.history.length;
+
+    clearURLState();
+
+    expect(window.location.pathname).toBe('/compare');
+    expect(window.location.search).toBe('?lang=en');
+    expect(window.location.hash).toBe('#angles');
+    expect(window.history.state).toEqual({ page: 1 });
+    expect(window.history.length).toBe(entries);
+  });
+
+  it('drops the query string when the shared state was the only parameter', () => {
+    window.history.replaceState(null, '', '/?s=abc123');
+    clearURLState();
+    expect(window.location.search).toBe('');
+    expect(window.location.href).toMatch(/\/$/);
+  });
+
+  it('leaves URLs without shared state alone', () => {
+    window.history.replaceState(null, '', '/?lang=en');
+    clearURLState();
+    expect(window.location.search).toBe('?lang=en');
+  });
+});
+
+describe('sessions', () => {
+  const state = {
+    activeSlots: ['vstrom'],
+    markers: { vstrom: { seat: { x: 410, y: 300 } } },
+    ridingStyle: 'touring',
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('renames a session and keeps its contents', () => {
+    saveSession('Commute', state, 'data:image/jpeg;base64,thumb');
+    const saved = getSavedSessions().Commute;
+
+    expect(renameSession('Commute', 'Daily ride')).toBe(true);
+    expect(getSavedSessions()).toEqual({ 'Daily ride': saved });
+  });
+
+  it('refuses to rename a missing session or onto a taken name', () => {
+    saveSession('Commute', state);
+    saveSession('Touring', state);
+
+    expect(renameSession('Weekend', 'Sunday')).toBe(false);
+    expect(renameSession('Commute', 'Touring')).toBe(false);
+    expect(Object.keys(getSavedSessions()).sort()).toEqual(['Commute', 'Touring']);
+  });
+
+  it('duplicates a session under a new name', () => {
+    saveSession('Commute', state);
+
+    expect(duplicateSession('Commute')).toBe('Commute (copy)');
+    expect(duplicateSession('Commute')).toBe('Commute (copy 2)');
+    expect(loadSession('Commute (copy)')).toEqual(state);
+    expect(duplicateSession('Weekend')).toBeNull();
+  });
+
+  it('keeps the original unchanged when the copy is edited', () => {
+    saveSession('Commute', state);
+    const copyName = duplicateSession('Commute');
+
+    const copy = loadSession(copyName);
+    copy.markers.vstrom.seat.x = 500;
+    copy.ridingStyle = 'sport';
+    saveSession(copyName, copy);
+
+    expect(loadSession('Commute')).toEqual(state);
+    expect(loadSession(copyName).markers.vstrom.seat.x).toBe(500);
+  });
+});
+
+describe('createThumbnail', () => {
+  const element = (width, height) => {
+    const el = document.createElement('div');
+    Object.defineProperty(el, 'offsetWidth', { value: width });
+    Object.defineProperty(el, 'offsetHeight', { value: height });
+    return el;
+  };
+
+  beforeEach(() => {
+    html2canvas.mockClear();
+  });
+
+  it('captures the element scaled to the thumbnail width as a JPEG', async () => {
+    const thumbnail = await createThumbnail(element(960, 540));
+
+    expect(thumbnail).toBe('data:image/jpeg;base64,thumb');
+    const canvas = await html2canvas.mock.results[0].value;
+    expect(canvas.width).toBe(240);
+    expect(canvas.height).toBe(135);
+  });
+
+  it('honours a custom width', async () => {
+    await createThumbnail(element(800, 600), 120);
+    const canvas = await html2canvas.mock.results[0].value;
+    expect(canvas.width).toBe(120);
+    expect(canvas.height).toBe(90);
+  });
+
+  it('returns null for hidden elements and failed captures', async () => {
+    expect(await createThumbnail(element(0, 0))).toBeNull();
+    expect(await createThumbnail(null)).toBeNull();
+    expect(html2canvas).not.toHaveBeenCalled();
+
+    html2canvas.mockRejectedValueOnce(new Error('tainted canvas'));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(await createThumbnail(element(960, 540))).toBeNull();
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Fit range: which riders a bike suits, not only how it fits one profile.
+ *
+ * The rider profile is swept over a range of heights, or over stature percentiles
+ * of its anthropometric dataset. Each height gets its segments estimated afresh
+ * (the profile's own overrides belong to one rider and are dropped), keeping the
+ * profile's dataset, seat offset and boot sole, and the angles are solved against
+ * the same bike.
+ */
+
+import { FIT_RANGE } from '../constants';
+import { getDataset, getEffectiveMeasurements } from '../data/bodyProportions';
+import { getAngleZone } from '../data/comfortZones';
+import { percentileValue, segmentPercentile } from './anthropometry';
+
+const ANGLE_TYPES = ['knee', 'hip', 'back', 'arm'];
+
+/**
+ * Riders to sweep.
+ *
+ * @param {Object} profile - Rider profile the sweep is based on
+ * @param {string} mode - 'height' for evenly spaced heights, 'percentile' for stature
+ *   percentiles of the profile's dataset
+ * @returns {Array<{heightCm: number, percentile: number|null}>} Sorted by height
+ */
+export function sweepRiders(profile, mode = 'height') {
+  const dataset = getDataset(profile?.dataset);
+
+  if (mode === 'percentile') {
+    return FIT_RANGE.PERCENTILES.map((percentile) => ({
+      heightCm: Math.round(percentileValue(dataset, 'height', percentile)) / 10,
+      percentile,
+    }));
+  }
+
+  const riders = [];
+  for (
+    let heightCm = FIT_RANGE.MIN_HEIGHT_CM;
+    heightCm <= FIT_RANGE.MAX_HEIGHT_CM;
+    heightCm += FIT_RANGE.HEIGHT_STEP_CM
+  ) {
+    riders.push({ heightCm, percentile: segmentPercentile(dataset, 'height', heightCm * 10) });
+  }
+  return riders;
+}
+
+/**
+ * Measurements for a swept rider: the profile at another height, without overrides.
+ *
+ * @param {Object} profile - Rider profile
+ * @param {number} heightCm - Height of the swept rider
+ * @returns {Object} Effective measurements in mm
+ */
+export function sweepMeasurements(profile, heightCm) {
+  return getEffectiveMeasurements({ ...profile, heightCm, weightKg: null, overrides: {} });
+}
+
+/**
+ * Solve the angles for each swept rider.
+ *
+ * @param {Object} options
+ * @param {Object} options.profile - Rider profile
+ * @param {Array<{heightCm: number, percentile: number|null}>} options.riders - From sweepRiders()
+ * @param {Function} options.calculateAngles - (measurements) => {knee, hip, back, arm} for one
+ *   bike, e.g. calculateAllAngles with the bike's markers
+ * @param {string} options.ridingStyle - Riding style for the comfort zones
+ * @returns {Array<Object>} { heightCm, percentile, angles, fits } per rider; `fits` is true when
+ *   all four angles are in comfort
+ */
+export function sweepFit({ profile, riders, calculateAngles, ridingStyle = 'commute' }) {
+  return riders.map(({ heightCm, percentile }) => {
+    const angles = calculateAngles(sweepMeasurements(profile, heightCm));
+    const fits = ANGLE_TYPES.every(
+      (type) => getAngleZone(type, angles?.[type], ridingStyle).status === 'comfort'
+    );
+    return { heightCm, percentile, angles, fits };
+  });
+}
+
+/**
+ * Height ranges where every angle stays in comfort.
+ *
+ * @param {Array<Object>} rows - From sweepFit(), sorted by height
+ * @returns {Array<{fromCm: number, toCm: number}>} Runs of consecutive fitting riders
+ */
+export function comfortRanges(rows) {
+  const ranges = [];
+  let current = null;
+  rows.forEach((row) => {
+    if (!row.fits) {
+      current = null;
+      return;
+    }
+    if (current) {
+      current.toCm = row.heightCm;
+    } else {
+      current = { fromCm: row.heightCm, toCm: row.heightCm };
+      ranges.push(current);
+    }
+  });
+  return ranges;
+}
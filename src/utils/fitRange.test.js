@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { sweepRiders, sweepMeasurements, sweepFit, comfortRanges } from './fitRange';
+import { calculateAllAngles } from './ergonomics';
+import { DEFAULT_RIDER } from '../data/bodyProportions';
+import { FIT_RANGE } from '../constants';
+
+const profile = {
+  ...DEFAULT_RIDER,
+  heightCm: 180,
+  overrides: { ...DEFAULT_RIDER.overrides, inseam: 900 },
+};
+
+// A sport-touring position in mm, comfortable for average riders
+const markers = {
+  seat: { x: 0, y: 0 },
+  peg: { x: 200, y: 760 },
+  bar: { x: 720, y: -50 },
+};
+const calculateAngles = (measurements) => calculateAllAngles(markers, measurements, 1);
+
+describe('sweepRiders', () => {
+  it('spaces heights evenly', () => {
+    const riders = sweepRiders(profile);
+    expect(riders[0].heightCm).toBe(FIT_RANGE.MIN_HEIGHT_CM);
+    expect(riders.at(-1).heightCm).toBe(FIT_RANGE.MAX_HEIGHT_CM);
+    expect(riders[1].heightCm - riders[0].heightCm).toBe(FIT_RANGE.HEIGHT_STEP_CM);
+  });
+
+  it('puts the median at the mean stature of the dataset', () => {
+    const riders = sweepRiders({ ...profile, dataset: 'ansur-male' }, 'percentile');
+    expect(riders.find((rider) => rider.percentile === 50).heightCm).toBeCloseTo(175.6, 1);
+    expect(riders.map((rider) => rider.heightCm)).toEqual(
+      [...riders.map((rider) => rider.heightCm)].sort((a, b) => a - b)
+    );
+  });
+});
+
+describe('sweepMeasurements', () => {
+  it('estimates each height without the profile overrides', () => {
+    const measurements = sweepMeasurements(profile, 160);
+    expect(measurements.height).toBe(1600);
+    expect(measurements.inseam).toBe(Math.round(1600 * 0.47));
+    expect(measurements.bootSole).toBe(profile.bootSole);
+  });
+});
+
+describe('sweepFit', () => {
+  const rows = sweepFit({ profile, riders: sweepRiders(profile), calculateAngles });
+
+  it('solves the angles for every rider', () => {
+    expect(rows).toHaveLength(sweepRiders(profile).length);
+    // Taller riders fold their legs more on the same pegs
+    expect(rows.at(-1).angles.knee).toBeLessThan(rows[0].angles.knee);
+  });
+
+  it('finds the heights where all four angles are in comfort', () => {
+    const ranges = comfortRanges(rows);
+    expect(ranges).toHaveLength(1);
+    expect(ranges[0].fromCm).toBeLessThanOrEqual(170);
+    expect(ranges[0].toCm).toBeGreaterThanOrEqual(170);
+    expect(ranges[0].toCm).toBeLessThan(FIT_RANGE.MAX_HEIGHT_CM);
+    rows.forEach((row) => {
+      const inRange = ranges.some((r) => row.heightCm >= r.fromCm && row.heightCm <= r.toCm);
+      expect(inRange).toBe(row.fits);
+    });
+  });
+});
+
+describe('comfortRanges', () => {
+  it('splits at riders that do not fit', () => {
+    const rows = [150, 152, 154, 156, 158].map((heightCm, i) => ({ heightCm, fits: i !== 2 }));
+    expect(comfortRanges(rows)).toEqual([
+      { fromCm: 150, toCm: 152 },
+      { fromCm: 156, toCm: 158 },
+    ]);
+  });
+});
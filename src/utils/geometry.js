@@ -27,6 +27,19 @@ export function calculatePxPerMM(calibPts, tireDiameterMM) {
   return d / tireDiameterMM;
 }
 
+/**
+ * Standard uncertainty of calculatePxPerMM() when each calibration point is off by
+ * placementPx per axis. Only the error along the diameter changes its length, so the
+ * two points add up to √2 · placementPx.
+ * @param {number} tireDiameterMM
+ * @param {number} placementPx
+ * @returns {number}
+ */
+export function calculatePxPerMMUncertainty(tireDiameterMM, placementPx) {
+  if (!tireDiameterMM || !placementPx) return 0;
+  return (Math.SQRT2 * placementPx) / tireDiameterMM;
+}
+
 /**
  * Calculate scale factor to normalize bikeB to bikeA's px/mm ratio
  * @param {number} pxPerMM_A
@@ -39,22 +52,93 @@ export function calculateScale(pxPerMM_A, pxPerMM_B) {
 }
 
 /**
- * Calculate translation to align bikeB's axle with bikeA's axle after scaling
+ * Calculate translation to align bikeB's axle with bikeA's axle after rotating and scaling
+ * (about bikeB's top-left corner, like CSS `rotate() scale()` with origin top left)
  * @param {{ x: number, y: number } | null} axleA
  * @param {{ x: number, y: number } | null} axleB
  * @param {number} scale
+ * @param {number} rotation - Clockwise rotation of bikeB in degrees (default 0)
  * @returns {{ x: number, y: number }}
  */
-export function calculateTranslation(axleA, axleB, scale) {
+export function calculateTranslation(axleA, axleB, scale, rotation = 0) {
   if (!axleA || !axleB) return { x: 0, y: 0 };
-  const scaledBx = axleB.x * scale;
-  const scaledBy = axleB.y * scale;
+  const rotated = rotatePoint(axleB, rotation);
+  const scaledBx = rotated.x * scale;
+  const scaledBy = rotated.y * scale;
   return {
     x: axleA.x - scaledBx,
     y: axleA.y - scaledBy,
   };
 }
 
+/**
+ * Rotate a point clockwise on screen (y down), like CSS `rotate()`
+ * @param {{ x: number, y: number }} point
+ * @param {number} degrees
+ * @param {{ x: number, y: number }} center - Pivot (default origin)
+ * @returns {{ x: number, y: number }}
+ */
+export function rotatePoint(point, degrees, center = { x: 0, y: 0 }) {
+  if (!degrees) return { x: point.x, y: point.y };
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  return {
+    x: center.x + dx * cos - dy * sin,
+    y: center.y + dx * sin + dy * cos,
+  };
+}
+
+/**
+ * Tilt of a line from screen horizontal, in degrees (positive = clockwise)
+ * Either point can come first; the result is always within ±90°.
+ * @param {{ x: number, y: number } | null} from
+ * @param {{ x: number, y: number } | null} to
+ * @returns {number} 0 when either point is missing or they coincide
+ */
+export function lineTilt(from, to) {
+  if (!from || !to) return 0;
+  let dx = to.x - from.x;
+  let dy = to.y - from.y;
+  if (!dx && !dy) return 0;
+  if (dx < 0) {
+    dx = -dx;
+    dy = -dy;
+  }
+  return Math.atan2(dy, dx) * (180 / Math.PI);
+}
+
+/**
+ * Map a point through a similarity transform: rotate and scale about the origin, then
+ * translate (CSS `translate() rotate() scale()` with origin top left)
+ * @param {{ scale: number, rotation: number, translation: { x: number, y: number } }} transform
+ * @param {{ x: number, y: number }} point
+ * @returns {{ x: number, y: number }}
+ */
+export function applySimilarity({ scale = 1, rotation = 0, translation }, point) {
+  const rotated = rotatePoint(point, rotation);
+  return {
+    x: translation.x + rotated.x * scale,
+    y: translation.y + rotated.y * scale,
+  };
+}
+
+/**
+ * Inverse of applySimilarity(): the local point shown at a stage point
+ * @param {{ scale: number, rotation: number, translation: { x: number, y: number } }} transform
+ * @param {{ x: number, y: number }} point
+ * @returns {{ x: number, y: number }}
+ */
+export function invertSimilarity({ scale = 1, rotation = 0, translation }, point) {
+  const unscaled = {
+    x: (point.x - translation.x) / (scale || 1),
+    y: (point.y - translation.y) / (scale || 1),
+  };
+  return rotatePoint(unscaled, -rotation);
+}
+
 /**
  * Calculate distance in millimeters between two marker points
  * @param {{ x: number, y: number } | null} pointA
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applySimilarity,
+  calculateTranslation,
+  invertSimilarity,
+  lineTilt,
+  rotatePoint,
+} from './geometry';
+
+describe('rotatePoint', () => {
+  it('turns clockwise on screen, like CSS rotate()', () => {
+    const turned = rotatePoint({ x: 10, y: 0 }, 90);
+    expect(turned.x).toBeCloseTo(0, 9);
+    expect(turned.y).toBeCloseTo(10, 9);
+    expect(lineTilt({ x: 0, y: 0 }, turned)).toBeCloseTo(90, 9);
+  });
+});
+
+describe('similarity transforms', () => {
+  const axleA = { x: 200, y: 400 };
+  const axleB = { x: 150, y: 380 };
+  const scale = 1.2;
+  const rotation = -3;
+  const transform = {
+    scale,
+    rotation,
+    translation: calculateTranslation(axleA, axleB, scale, rotation),
+  };
+
+  it('lands the overlay axle on the reference axle', () => {
+    const placed = applySimilarity(transform, axleB);
+    expect(placed.x).toBeCloseTo(axleA.x, 9);
+    expect(placed.y).toBeCloseTo(axleA.y, 9);
+  });
+
+  it('maps a stage point back to the overlay image', () => {
+    const local = { x: 820, y: 95 };
+    const back = invertSimilarity(transform, applySimilarity(transform, local));
+    expect(back.x).toBeCloseTo(local.x, 9);
+    expect(back.y).toBeCloseTo(local.y, 9);
+  });
+});
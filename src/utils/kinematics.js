@@ -0,0 +1,220 @@
+/**
+ * Kinematic rider model shared by the angle calculations and the skeleton overlay.
+ *
+ * Places the rider's joints from the bike touch points (seat, peg, bar) and
+ * body segment lengths, then measures every angle from those joints, so the
+ * displayed angles and the drawn skeleton always agree.
+ *
+ * The hip joint sits above the seat surface and the ball of the foot (not the
+ * ankle) rests on the peg, so the leg is solved between hip and ankle joints.
+ *
+ * Coordinates are screen-style (y down) in any unit; pxPerMM converts the
+ * body lengths (given in mm) into that unit.
+ */
+
+// Torso lean from vertical in degrees: upright to nearly flat on the tank
+export const TORSO_LEAN_LIMITS = { min: 0, max: 80 };
+
+// Elbow angle riders settle into when the bars allow it (middle of the comfort zone)
+export const PREFERRED_ELBOW_ANGLE = 160;
+
+// Fallback segment lengths in mm when a measurement is missing
+const DEFAULT_SEGMENTS = {
+  thigh: 400,
+  lowerLeg: 380,
+  torso: 500,
+  upperArm: 320,
+  forearm: 250,
+};
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Get the hip position, shifted from the seat marker by the rider's seat offset.
+ * The shift is horizontal, toward the handlebar for positive offsets, so it
+ * works whichever way the bike faces in the photo.
+ *
+ * @param {Object} seat - Seat marker {x, y}
+ * @param {Object} bar - Handlebar marker {x, y}, gives the forward direction
+ * @param {number} seatOffsetMM - Offset in mm, forward positive
+ * @param {number} pxPerMM - Pixels per mm (1 when coordinates are in mm)
+ * @returns {Object|null} Hip position {x, y}
+ */
+export function getHipPosition(seat, bar, seatOffsetMM = 0, pxPerMM = 1) {
+  if (!seat) return null;
+  if (!seatOffsetMM || !bar) return seat;
+
+  const forward = bar.x >= seat.x ? 1 : -1;
+  return { x: seat.x + forward * seatOffsetMM * pxPerMM, y: seat.y };
+}
+
+/**
+ * Interior angle at a vertex between two points, in degrees.
+ *
+ * @returns {number|null} Angle in degrees, or null if a segment has no length
+ */
+export function jointAngle(vertex, a, b) {
+  if (!vertex || !a || !b) return null;
+
+  const va = { x: a.x - vertex.x, y: a.y - vertex.y };
+  const vb = { x: b.x - vertex.x, y: b.y - vertex.y };
+  const magA = Math.hypot(va.x, va.y);
+  const magB = Math.hypot(vb.x, vb.y);
+  if (magA === 0 || magB === 0) return null;
+
+  const cosAngle = (va.x * vb.x + va.y * vb.y) / (magA * magB);
+  return Math.acos(Math.max(-1, Math.min(1, cosAngle))) * RAD_TO_DEG;
+}
+
+/**
+ * Place the middle joint of a two-segment limb (knee or elbow).
+ *
+ * Uses the two-circle intersection and picks the solution that bends toward
+ * `bendDir`. Out-of-reach limbs are straightened along the root-end line;
+ * limbs too short to fold that far are folded as much as possible.
+ *
+ * @param {Object} root - Root joint {x, y} (hip or shoulder)
+ * @param {Object} end - End point {x, y} (foot or hand)
+ * @param {number} lenA - Root segment length
+ * @param {number} lenB - End segment length
+ * @param {Object} bendDir - Preferred bend direction {x, y}
+ * @returns {Object} Middle joint {x, y}
+ */
+function solveLimb(root, end, lenA, lenB, bendDir) {
+  const dx = end.x - root.x;
+  const dy = end.y - root.y;
+  const dist = Math.hypot(dx, dy);
+
+  if (dist === 0) {
+    return { x: root.x + bendDir.x * lenA, y: root.y + bendDir.y * lenA };
+  }
+
+  const ux = dx / dist;
+  const uy = dy / dist;
+  const c = Math.max(Math.abs(lenA - lenB), Math.min(lenA + lenB, dist));
+
+  // Distance along the root-end line, then perpendicular offset
+  const along = (lenA * lenA - lenB * lenB + c * c) / (2 * c);
+  const offset = Math.sqrt(Math.max(0, lenA * lenA - along * along));
+
+  // Perpendicular that points toward the preferred bend
+  const side = -uy * bendDir.x + ux * bendDir.y >= 0 ? 1 : -1;
+
+  return {
+    x: root.x + ux * along - uy * offset * side,
+    y: root.y + uy * along + ux * offset * side,
+  };
+}
+
+/**
+ * Find the torso lean that puts the shoulder at the preferred arm reach from the bar.
+ *
+ * Leaning toward the bar shortens the reach, so the lean is searched between
+ * upright and the smaller of the lean limit and the hip-to-bar direction.
+ *
+ * @param {Object} hip - Hip position {x, y}
+ * @param {Object} hand - Hand position {x, y}
+ * @param {number} torso - Torso length
+ * @param {number} reach - Preferred shoulder-to-hand distance
+ * @param {number} forward - 1 if the bike faces right, -1 if left
+ * @returns {number} Lean from vertical in radians
+ */
+function solveTorsoLean(hip, hand, torso, reach, forward) {
+  const shoulderAt = (lean) => ({
+    x: hip.x + forward * torso * Math.sin(lean),
+    y: hip.y - torso * Math.cos(lean),
+  });
+  const reachAt = (lean) => {
+    const s = shoulderAt(lean);
+    return Math.hypot(hand.x - s.x, hand.y - s.y);
+  };
+
+  const minLean = TORSO_LEAN_LIMITS.min / RAD_TO_DEG;
+  const barDirection = Math.atan2(forward * (hand.x - hip.x), hip.y - hand.y);
+  const maxLean = Math.max(minLean, Math.min(TORSO_LEAN_LIMITS.max / RAD_TO_DEG, barDirection));
+
+  // Bars close enough while upright, or too far even at full lean
+  if (reachAt(minLean) <= reach) return minLean;
+  if (reachAt(maxLean) >= reach) return maxLean;
+
+  let lo = minLean;
+  let hi = maxLean;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (reachAt(mid) > reach) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Solve the rider's pose on a bike.
+ *
+ * @param {Object} markers - Touch points {seat, peg, bar} with {x, y}
+ * @param {Object} measurements - Rider measurements in mm from getEffectiveMeasurements()
+ * @param {number} pxPerMM - Coordinate units per mm (1 for coordinates in mm)
+ * @returns {Object|null} { joints: {hip, knee, ankle, foot, shoulder, elbow, hand, head}, angles: {knee, hip, back, arm} }
+ */
+export function solveRiderPose(markers, measurements, pxPerMM = 1) {
+  if (!markers?.seat || !markers?.peg || !markers?.bar || !measurements || !pxPerMM) {
+    return null;
+  }
+
+  const { seat, peg, bar } = markers;
+  const toUnits = (key) => (measurements[key] || DEFAULT_SEGMENTS[key]) * pxPerMM;
+  // Foot and hip offsets are left out (zero) when not provided
+  const optional = (key) => (measurements[key] || 0) * pxPerMM;
+  const thigh = toUnits('thigh');
+  const lowerLeg = toUnits('lowerLeg');
+  const upperArm = toUnits('upperArm');
+  const forearm = toUnits('forearm');
+  const hipAboveSeat = optional('hipAboveSeat');
+  // Torso length is measured from the seat (crotch), the solver works from the hip joint
+  const torso = Math.max(toUnits('torso') - hipAboveSeat, toUnits('torso') * 0.5);
+
+  const forward = bar.x >= seat.x ? 1 : -1;
+  const seatPoint = getHipPosition(seat, bar, measurements.seatOffset, pxPerMM);
+  const hip = { x: seatPoint.x, y: seatPoint.y - hipAboveSeat };
+  const foot = { ...peg };
+  const hand = { ...bar };
+
+  // Ball of the foot on the peg, ankle behind it and raised by ankle height plus boot sole
+  const ankle = {
+    x: foot.x - forward * optional('ankleToBall'),
+    y: foot.y - optional('ankleHeight') - optional('bootSole'),
+  };
+
+  // Knee bends forward
+  const knee = solveLimb(hip, ankle, thigh, lowerLeg, { x: forward, y: 0 });
+
+  // Shoulder on the torso circle around the hip, at a comfortable arm reach
+  const preferredReach = Math.sqrt(
+    upperArm * upperArm +
+      forearm * forearm -
+      2 * upperArm * forearm * Math.cos(PREFERRED_ELBOW_ANGLE / RAD_TO_DEG)
+  );
+  const lean = solveTorsoLean(hip, hand, torso, preferredReach, forward);
+  const torsoDir = { x: forward * Math.sin(lean), y: -Math.cos(lean) };
+  const shoulder = { x: hip.x + torsoDir.x * torso, y: hip.y + torsoDir.y * torso };
+
+  // Elbow bends down
+  const elbow = solveLimb(shoulder, hand, upperArm, forearm, { x: 0, y: 1 });
+
+  // Head continues the torso line
+  const headRadius = torso * 0.2;
+  const head = {
+    x: shoulder.x + torsoDir.x * headRadius * 1.5,
+    y: shoulder.y + torsoDir.y * headRadius * 1.5,
+    radius: headRadius,
+  };
+
+  return {
+    joints: { hip, knee, ankle, foot, shoulder, elbow, hand, head },
+    angles: {
+      knee: jointAngle(knee, hip, ankle),
+      hip: jointAngle(hip, shoulder, knee),
+      back: lean * RAD_TO_DEG,
+      arm: jointAngle(elbow, shoulder, hand),
+    },
+  };
+}
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { solveRiderPose, jointAngle, TORSO_LEAN_LIMITS, PREFERRED_ELBOW_ANGLE } from './kinematics';
+import { calculateAllAngles } from './ergonomics';
+import { calculateSkeletonJoints } from './skeleton';
+import { DEFAULT_RIDER, getEffectiveMeasurements } from '../data/bodyProportions';
+
+const measurements = {
+  thigh: 430,
+  lowerLeg: 395,
+  torso: 525,
+  upperArm: 325,
+  forearm: 255,
+};
+
+const length = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+describe('jointAngle', () => {
+  it('returns 90 for a right angle', () => {
+    expect(jointAngle({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 })).toBeCloseTo(90);
+  });
+
+  it('returns null for zero-length segments', () => {
+    expect(jointAngle({ x: 0, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 1 })).toBeNull();
+  });
+});
+
+describe('solveRiderPose', () => {
+  const markers = {
+    seat: { x: 0, y: 0 },
+    peg: { x: 120, y: 420 },
+    bar: { x: 560, y: -60 },
+  };
+
+  it('returns null when markers are incomplete', () => {
+    expect(solveRiderPose({ seat: { x: 0, y: 0 } }, measurements, 1)).toBeNull();
+  });
+
+  it('keeps segment lengths', () => {
+    const { joints } = solveRiderPose(markers, measurements, 1);
+    expect(length(joints.hip, joints.knee)).toBeCloseTo(measurements.thigh);
+    expect(length(joints.knee, joints.ankle)).toBeCloseTo(measurements.lowerLeg);
+    expect(length(joints.hip, joints.shoulder)).toBeCloseTo(measurements.torso);
+    expect(length(joints.shoulder, joints.elbow)).toBeCloseTo(measurements.upperArm);
+    expect(length(joints.elbow, joints.hand)).toBeCloseTo(measurements.forearm);
+  });
+
+  it('places the ankle behind and above the peg', () => {
+    const feet = { ...measurements, ankleToBall: 135, ankleHeight: 68, bootSole: 20 };
+    const { joints } = solveRiderPose(markers, feet, 1);
+    expect(joints.foot).toEqual(markers.peg);
+    expect(joints.ankle.x).toBeCloseTo(markers.peg.x - 135);
+    expect(joints.ankle.y).toBeCloseTo(markers.peg.y - 88);
+  });
+
+  it('closes the knee with a thicker boot sole', () => {
+    const feet = { ...measurements, ankleToBall: 135, ankleHeight: 68 };
+    const thin = solveRiderPose(markers, { ...feet, bootSole: 0 }, 1).angles;
+    const thick = solveRiderPose(markers, { ...feet, bootSole: 40 }, 1).angles;
+    expect(thick.knee).toBeLessThan(thin.knee);
+  });
+
+  it('closes the knee for a longer measured inseam', () => {
+    const rider = { ...DEFAULT_RIDER, heightCm: 175 };
+    const estimated = getEffectiveMeasurements(rider);
+    const longLegs = getEffectiveMeasurements({
+      ...rider,
+      overrides: { ...rider.overrides, inseam: estimated.inseam + 60 },
+    });
+    const short = solveRiderPose(markers, estimated, 1).angles;
+    const long = solveRiderPose(markers, longLegs, 1).angles;
+    expect(long.knee).toBeLessThan(short.knee);
+  });
+
+  it('measures the torso from the seat when the hip sits above it', () => {
+    const { joints } = solveRiderPose(markers, { ...measurements, hipAboveSeat: 85 }, 1);
+    expect(joints.hip.y).toBeCloseTo(markers.seat.y - 85);
+    expect(length(joints.hip, joints.shoulder)).toBeCloseTo(measurements.torso - 85);
+  });
+
+  it('leans forward to the preferred elbow angle when the bar is reachable', () => {
+    const { angles } = solveRiderPose(markers, measurements, 1);
+    expect(angles.arm).toBeCloseTo(PREFERRED_ELBOW_ANGLE, 3);
+    expect(angles.back).toBeGreaterThan(TORSO_LEAN_LIMITS.min);
+    expect(angles.back).toBeLessThan(TORSO_LEAN_LIMITS.max);
+  });
+
+  it('sits upright with bent arms when the bar is close', () => {
+    const { angles } = solveRiderPose({ ...markers, bar: { x: 350, y: -350 } }, measurements, 1);
+    expect(angles.back).toBe(TORSO_LEAN_LIMITS.min);
+    expect(angles.arm).toBeLessThan(PREFERRED_ELBOW_ANGLE);
+  });
+
+  it('gives mirrored angles for a bike facing left', () => {
+    const right = solveRiderPose(markers, measurements, 1).angles;
+    const mirrored = {
+      seat: { x: 0, y: 0 },
+      peg: { x: -120, y: 420 },
+      bar: { x: -560, y: -60 },
+    };
+    const left = solveRiderPose(mirrored, measurements, 1).angles;
+    Object.keys(right).forEach((key) => expect(left[key]).toBeCloseTo(right[key]));
+  });
+
+  it('is scale independent', () => {
+    const scaled = {
+      seat: { x: 0, y: 0 },
+      peg: { x: 60, y: 210 },
+      bar: { x: 280, y: -30 },
+    };
+    const mm = solveRiderPose(markers, measurements, 1).angles;
+    const px = solveRiderPose(scaled, measurements, 0.5).angles;
+    Object.keys(mm).forEach((key) => expect(px[key]).toBeCloseTo(mm[key]));
+  });
+
+  it('matches the angles measured on the drawn skeleton', () => {
+    const angles = calculateAllAngles(markers, measurements, 1);
+    const joints = calculateSkeletonJoints(markers, measurements, 1);
+    expect(jointAngle(joints.knee, joints.hip, joints.ankle)).toBeCloseTo(angles.knee);
+    expect(jointAngle(joints.hip, joints.shoulder, joints.knee)).toBeCloseTo(angles.hip);
+    expect(jointAngle(joints.elbow, joints.shoulder, joints.hand)).toBeCloseTo(angles.arm);
+  });
+});
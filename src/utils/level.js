@@ -0,0 +1,84 @@
+/**
+ * Level reference for tilted photos.
+ *
+ * A photo shot slightly nose-up, or of a bike on a slope, turns the whole bike,
+ * so every angle measured against screen vertical (back lean, the skeleton's
+ * upright torso) is off by the tilt. A level line fixes that: either a line the
+ * user marks along the ground or any horizon (`levelStart`/`levelEnd` in
+ * calibPts), or the two tire contact patches of a two-wheel calibration.
+ */
+
+import { distance, lineTilt, rotatePoint } from './geometry';
+
+/**
+ * The line that should be horizontal for a bike.
+ *
+ * @param {Object} calibPts - Calibration points; `levelStart`/`levelEnd` for a marked line,
+ *   `bot`/`frontBot` are the contact patches with wheel choice 'both'
+ * @param {string} wheelChoice - 'front', 'rear' or 'both'
+ * @returns {{from: Object, to: Object, source: string}|null} source is 'line' or 'wheels'
+ */
+export function levelLine(calibPts = {}, wheelChoice) {
+  if (calibPts.levelStart && calibPts.levelEnd) {
+    return { from: calibPts.levelStart, to: calibPts.levelEnd, source: 'line' };
+  }
+  if (wheelChoice === 'both' && calibPts.bot && calibPts.frontBot) {
+    return { from: calibPts.bot, to: calibPts.frontBot, source: 'wheels' };
+  }
+  return null;
+}
+
+/**
+ * Photo tilt from both axles. The line between them isn't level when the wheels
+ * differ in size, so the incline that gives (rear axle higher for a smaller
+ * front wheel) is taken off.
+ *
+ * @param {Object} input
+ * @param {{x: number, y: number}|null} input.axle - Rear axle
+ * @param {{x: number, y: number}|null} input.frontAxle
+ * @param {{front: number, rear: number}} input.diameters - Outer tire diameters in mm
+ * @param {number} input.pxPerMM - Calibrated scale
+ * @returns {number|null} Tilt in degrees, clockwise, or null without both axles
+ */
+export function axleLineTilt({ axle, frontAxle, diameters = {}, pxPerMM }) {
+  if (!axle || !frontAxle || !pxPerMM) return null;
+  const span = distance(axle, frontAxle) / pxPerMM;
+  if (!span) return null;
+
+  const drop = ((diameters.rear || 0) - (diameters.front || 0)) / 2;
+  const incline = (Math.atan2(drop, span) * 180) / Math.PI;
+  // lineTilt() reads the line left to right, so a bike facing left sees the incline mirrored
+  const facing = frontAxle.x >= axle.x ? 1 : -1;
+  return lineTilt(axle, frontAxle) - facing * incline;
+}
+
+/**
+ * Rotate markers so a level line becomes horizontal, about the line's start.
+ *
+ * @param {Object} markers - { seat, peg, bar } in px
+ * @param {{from: Object, to: Object}|null} line - From levelLine(), in the same px as the markers
+ * @returns {Object} Levelled markers; unchanged without a line
+ */
+export function levelMarkers(markers, line) {
+  const tilt = line ? lineTilt(line.from, line.to) : 0;
+  if (!markers || !tilt) return markers;
+  return Object.fromEntries(
+    Object.entries(markers).map(([type, point]) => [
+      type,
+      point ? rotatePoint(point, -tilt, line.from) : point,
+    ])
+  );
+}
+
+/**
+ * Turn a levelled point back onto the photo, the inverse of levelMarkers().
+ *
+ * @param {{x: number, y: number}} point - Levelled point in px
+ * @param {{from: Object, to: Object}|null} line - The line the markers were levelled with
+ * @returns {{x: number, y: number}} Point in photo px; unchanged without a line
+ */
+export function unlevelPoint(point, line) {
+  const tilt = line ? lineTilt(line.from, line.to) : 0;
+  if (!point || !tilt) return point;
+  return rotatePoint(point, tilt, line.from);
+}
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { levelLine, levelMarkers, unlevelPoint, axleLineTilt } from './level';
+import { calculateAllAngles } from './ergonomics';
+import { calculateSkeletonJoints } from './skeleton';
+import { lineTilt, rotatePoint } from './geometry';
+
+const measurements = { thigh: 430, lowerLeg: 420, torso: 560, upperArm: 300, forearm: 270 };
+const markers = { seat: { x: 300, y: 200 }, peg: { x: 330, y: 350 }, bar: { x: 520, y: 150 } };
+const pxPerMM = 0.5;
+
+// The same bike photographed 4° nose-down (turned clockwise about the rear contact patch)
+const pivot = { x: 100, y: 420 };
+const turn = (points, degrees) =>
+  Object.fromEntries(
+    Object.entries(points).map(([type, p]) => [type, rotatePoint(p, degrees, pivot)])
+  );
+const tilted = turn(markers, 4);
+const ground = turn({ from: pivot, to: { x: 850, y: 420 } }, 4);
+
+describe('lineTilt', () => {
+  it('measures clockwise tilt either way round', () => {
+    expect(lineTilt(ground.from, ground.to)).toBeCloseTo(4, 9);
+    expect(lineTilt(ground.to, ground.from)).toBeCloseTo(4, 9);
+    expect(lineTilt(null, ground.to)).toBe(0);
+  });
+});
+
+describe('levelLine', () => {
+  it('prefers a marked line over the contact patches', () => {
+    const calibPts = {
+      bot: { x: 100, y: 420 },
+      frontBot: { x: 850, y: 440 },
+      levelStart: { x: 0, y: 500 },
+      levelEnd: { x: 900, y: 480 },
+    };
+    expect(levelLine(calibPts, 'both').source).toBe('line');
+    expect(levelLine({ ...calibPts, levelEnd: null }, 'both').source).toBe('wheels');
+    expect(levelLine({ ...calibPts, levelEnd: null }, 'rear')).toBeNull();
+  });
+});
+
+describe('levelMarkers', () => {
+  it('recovers the angles of the untilted photo', () => {
+    const upright = calculateAllAngles(markers, measurements, pxPerMM);
+    const skewed = calculateAllAngles(tilted, measurements, pxPerMM);
+    const levelled = calculateAllAngles(levelMarkers(tilted, ground), measurements, pxPerMM);
+
+    expect(Math.abs(skewed.back - upright.back)).toBeGreaterThan(2);
+    ['knee', 'hip', 'back', 'arm'].forEach((type) => {
+      expect(levelled[type]).toBeCloseTo(upright[type], 6);
+    });
+  });
+
+  it('leaves markers alone without a line', () => {
+    expect(levelMarkers(markers, null)).toBe(markers);
+  });
+
+  it('is undone by unlevelPoint', () => {
+    const levelled = levelMarkers(tilted, ground);
+    Object.keys(tilted).forEach((type) => {
+      expect(unlevelPoint(levelled[type], ground).x).toBeCloseTo(tilted[type].x, 9);
+      expect(unlevelPoint(levelled[type], ground).y).toBeCloseTo(tilted[type].y, 9);
+    });
+    expect(unlevelPoint(markers.seat, null)).toBe(markers.seat);
+  });
+});
+
+describe('calculateSkeletonJoints with a tilt', () => {
+  it('turns the upright skeleton with the photo', () => {
+    const upright = calculateSkeletonJoints(markers, measurements, pxPerMM);
+    const joints = calculateSkeletonJoints(tilted, measurements, pxPerMM, 4);
+    const expected = turn({ shoulder: upright.shoulder, head: upright.head }, 4);
+
+    expect(joints.shoulder.x).toBeCloseTo(expected.shoulder.x, 6);
+    expect(joints.shoulder.y).toBeCloseTo(expected.shoulder.y, 6);
+    expect(joints.head.x).toBeCloseTo(expected.head.x, 6);
+    expect(joints.head.radius).toBe(upright.head.radius);
+  });
+});
+
+describe('axleLineTilt', () => {
+  // Rear 640 mm, front 700 mm: the front axle sits 30 mm higher on a level photo
+  const diameters = { rear: 640, front: 700 };
+  const level = { axle: { x: 200, y: 400 }, frontAxle: { x: 950, y: 385 } };
+
+  it('allows for different wheel sizes', () => {
+    expect(axleLineTilt({ ...level, diameters, pxPerMM })).toBeCloseTo(0, 1);
+  });
+
+  it('finds the photo tilt', () => {
+    const tiltedAxles = turn(level, 3);
+    expect(
+      axleLineTilt({ axle: tiltedAxles.axle, frontAxle: tiltedAxles.frontAxle, diameters, pxPerMM })
+    ).toBeCloseTo(3, 1);
+  });
+
+  it('needs both axles', () => {
+    expect(axleLineTilt({ axle: level.axle, diameters, pxPerMM })).toBeNull();
+  });
+});
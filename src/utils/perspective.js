@@ -0,0 +1,227 @@
+/**
+ * Perspective correction for bike photos.
+ *
+ * A photo taken from close up or off to one side is not a true side elevation:
+ * the far wheel looks smaller, the ground line tilts, and distances across the
+ * frame are stretched unevenly. With both wheels calibrated we know four points
+ * of the bike's plane exactly, given the tire diameters and wheelbase:
+ *
+ *   rear contact patch   (0, 0)        front contact patch   (W, 0)
+ *   rear axle            (0, Dr / 2)   front axle            (W, Df / 2)
+ *
+ * The homography that sends the marked points there rectifies every other
+ * point on the bike's plane (seat, peg, bar). Corrected points are expressed
+ * in the image's own px, with the rear axle kept in place, the ground level
+ * and the calibrated px/mm, so they can be used anywhere image markers are.
+ */
+
+import { distance } from './geometry';
+
+/**
+ * Solve a small dense linear system with Gauss-Jordan elimination.
+ *
+ * @param {number[][]} a - Square matrix (modified)
+ * @param {number[]} b - Right-hand side (modified)
+ * @returns {number[]|null} Solution, or null if the system is singular
+ */
+function solveLinear(a, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k < n; k++) a[row][k] -= factor * a[col][k];
+      b[row] -= factor * b[col];
+    }
+  }
+  return b.map((value, i) => value / a[i][i]);
+}
+
+/**
+ * Homography mapping four source points onto four destination points.
+ *
+ * @param {Array<{x: number, y: number}>} src - Four points, no three collinear
+ * @param {Array<{x: number, y: number}>} dst - Their images
+ * @returns {number[]|null} Row-major 3x3 matrix, or null if the points are degenerate
+ */
+export function solveHomography(src, dst) {
+  const a = [];
+  const b = [];
+  src.forEach(({ x, y }, i) => {
+    const { x: u, y: v } = dst[i];
+    a.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    b.push(u);
+    a.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    b.push(v);
+  });
+  const h = solveLinear(a, b);
+  return h && [...h, 1];
+}
+
+/**
+ * Map a point through a homography.
+ *
+ * @param {number[]} h - Row-major 3x3 matrix
+ * @param {{x: number, y: number}} point
+ * @returns {{x: number, y: number}|null} Null for points on or beyond the horizon
+ */
+export function applyHomography(h, { x, y }) {
+  const w = h[6] * x + h[7] * y + h[8];
+  if (!(w > 1e-9)) return null;
+  return {
+    x: (h[0] * x + h[1] * y + h[2]) / w,
+    y: (h[3] * x + h[4] * y + h[5]) / w,
+  };
+}
+
+/**
+ * Inverse of a homography.
+ *
+ * @param {number[]} h - Row-major 3x3 matrix
+ * @returns {number[]|null}
+ */
+export function invertHomography(h) {
+  const [a, b, c, d, e, f, g, k, l] = h;
+  const det = a * (e * l - f * k) - b * (d * l - f * g) + c * (d * k - e * g);
+  if (Math.abs(det) < 1e-12) return null;
+  const inverse = [
+    e * l - f * k,
+    c * k - b * l,
+    b * f - c * e,
+    f * g - d * l,
+    a * l - c * g,
+    c * d - a * f,
+    d * k - e * g,
+    b * g - a * k,
+    a * e - b * d,
+  ].map((value) => value / det);
+  // Normalise so the bottom-right entry is 1, which keeps w positive on the image side
+  return inverse.map((value) => value / inverse[8]);
+}
+
+/**
+ * Build the perspective correction for a bike calibrated on both wheels.
+ *
+ * @param {Object} input
+ * @param {Object} input.calibPts - { top, bot, frontTop, frontBot, frontAxle }; `bot` and
+ *   `frontBot` are the contact patches
+ * @param {{x: number, y: number}} input.axle - Rear axle
+ * @param {{front: number, rear: number}} input.diameters - Outer tire diameters in mm
+ * @param {number} input.pxPerMM - Calibrated scale
+ * @param {number|null} input.wheelbase - Known wheelbase in mm; the measured one is used otherwise
+ * @returns {Object|null} { toCorrected, toImage, wheelbase, ground } or null if points are missing
+ *   or degenerate. `toCorrected`/`toImage` are homographies between image and corrected px;
+ *   `ground` is the corrected y of the ground line.
+ */
+export function perspectiveCorrection({ calibPts = {}, axle, diameters = {}, pxPerMM, wheelbase }) {
+  const { bot, frontBot, frontAxle } = calibPts;
+  if (!bot || !frontBot || !frontAxle || !axle || !pxPerMM) return null;
+  if (!(diameters.front > 0) || !(diameters.rear > 0)) return null;
+
+  // Wheelbase is measured along the ground, between the contact patches
+  const span = wheelbase > 0 ? wheelbase : distance(bot, frontBot) / pxPerMM;
+  const rearRadius = (diameters.rear / 2) * pxPerMM;
+  const frontRadius = (diameters.front / 2) * pxPerMM;
+  const ground = axle.y + rearRadius;
+  const frontX = axle.x + span * pxPerMM;
+
+  const toCorrected = solveHomography(
+    [axle, bot, frontAxle, frontBot],
+    [
+      { x: axle.x, y: axle.y },
+      { x: axle.x, y: ground },
+      { x: frontX, y: ground - frontRadius },
+      { x: frontX, y: ground },
+    ]
+  );
+  const toImage = toCorrected && invertHomography(toCorrected);
+  if (!toImage) return null;
+
+  return { toCorrected, toImage, wheelbase: span, ground };
+}
+
+/**
+ * Rectify markers with a perspective correction.
+ *
+ * @param {Object} markers - { seat, peg, bar } in image px
+ * @param {Object|null} correction - From perspectiveCorrection(); markers pass through without one
+ * @returns {Object} Markers in corrected px
+ */
+export function correctMarkers(markers, correction) {
+  if (!markers || !correction) return markers;
+  return Object.fromEntries(
+    Object.entries(markers).map(([type, point]) => [
+      type,
+      point ? applyHomography(correction.toCorrected, point) : point,
+    ])
+  );
+}
+
+/**
+ * Map a corrected point back onto the photo, the inverse of correctMarkers().
+ *
+ * @param {{x: number, y: number}} point - Point in corrected px
+ * @param {Object|null} correction - From perspectiveCorrection(); points pass through without one
+ * @returns {{x: number, y: number}|null} Point in image px
+ */
+export function uncorrectPoint(point, correction) {
+  if (!point || !correction) return point;
+  return applyHomography(correction.toImage, point);
+}
+
+/**
+ * Grid on the bike's plane, drawn back onto the photo, so the correction can be checked
+ * by eye: its lines should follow the ground and stand upright through the axles.
+ *
+ * @param {Object} correction - From perspectiveCorrection()
+ * @param {{x: number, y: number}} axle - Rear axle in image px
+ * @param {number} pxPerMM - Calibrated scale
+ * @param {Object} options
+ * @param {number} options.stepMM - Grid spacing (default 100 mm)
+ * @param {number} options.marginMM - Grid extent beyond the axles (default 700 mm)
+ * @param {number} options.heightMM - Grid height above the ground (default 1500 mm)
+ * @returns {Array<{x1: number, y1: number, x2: number, y2: number, major: boolean}>}
+ *   Lines in image px; `major` marks the ground and the verticals through the axles
+ */
+export function perspectiveGrid(
+  correction,
+  axle,
+  pxPerMM,
+  { stepMM = 100, marginMM = 700, heightMM = 1500 } = {}
+) {
+  if (!correction || !axle || !pxPerMM) return [];
+
+  const step = stepMM * pxPerMM;
+  const left = axle.x - marginMM * pxPerMM;
+  const right = axle.x + (correction.wheelbase + marginMM) * pxPerMM;
+  const bottom = correction.ground;
+  const top = bottom - heightMM * pxPerMM;
+  const frontX = axle.x + correction.wheelbase * pxPerMM;
+
+  const lines = [];
+  const addLine = (from, to, major) => {
+    const a = applyHomography(correction.toImage, from);
+    const b = applyHomography(correction.toImage, to);
+    if (a && b) lines.push({ x1: a.x, y1: a.y, x2: b.x, y2: b.y, major });
+  };
+
+  // Verticals every step, aligned on the rear axle, plus one through the front axle
+  for (let x = axle.x - Math.floor((axle.x - left) / step) * step; x <= right; x += step) {
+    addLine({ x, y: top }, { x, y: bottom }, Math.abs(x - axle.x) < 1e-6);
+  }
+  addLine({ x: frontX, y: top }, { x: frontX, y: bottom }, true);
+
+  // Horizontals every step up from the ground
+  for (let y = bottom; y >= top - 1e-6; y -= step) {
+    addLine({ x: left, y }, { x: right, y }, y === bottom);
+  }
+
+  return lines;
+}
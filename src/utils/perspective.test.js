@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import {
+  solveHomography,
+  applyHomography,
+  invertHomography,
+  perspectiveCorrection,
+  correctMarkers,
+  uncorrectPoint,
+  perspectiveGrid,
+} from './perspective';
+
+const diameters = { rear: 640, front: 620 };
+const pxPerMM = 0.5;
+
+// A true side elevation in image px: rear axle at (200, 300), 1500 mm wheelbase, level ground
+const axle = { x: 200, y: 300 };
+const ground = axle.y + (diameters.rear / 2) * pxPerMM;
+const side = {
+  axle,
+  calibPts: {
+    bot: { x: 200, y: ground },
+    frontAxle: { x: 950, y: ground - (diameters.front / 2) * pxPerMM },
+    frontBot: { x: 950, y: ground },
+  },
+  markers: { seat: { x: 480, y: 120 }, peg: { x: 520, y: 260 }, bar: { x: 700, y: 60 } },
+};
+
+// Camera looking slightly from the front and above: a projective distortion
+const camera = [1.05, 0.04, -12, 0.02, 0.97, 8, 0.00012, -0.00004, 1];
+
+const photographed = (point) => applyHomography(camera, point);
+
+const close = (actual, expected, digits = 6) => {
+  expect(actual.x).toBeCloseTo(expected.x, digits);
+  expect(actual.y).toBeCloseTo(expected.y, digits);
+};
+
+describe('homography', () => {
+  it('maps four points exactly and inverts', () => {
+    const src = [
+      { x: 0, y: 0 },
+      { x: 100, y: 0 },
+      { x: 100, y: 80 },
+      { x: 0, y: 80 },
+    ];
+    const dst = src.map(photographed);
+    const h = solveHomography(src, dst);
+    src.forEach((p, i) => close(applyHomography(h, p), dst[i]));
+
+    const inverse = invertHomography(h);
+    close(applyHomography(inverse, dst[2]), src[2]);
+  });
+
+  it('rejects collinear points', () => {
+    const line = [0, 1, 2, 3].map((i) => ({ x: i, y: i }));
+    expect(solveHomography(line, line)).toBeNull();
+  });
+});
+
+describe('perspectiveCorrection', () => {
+  it('changes nothing for a true side elevation', () => {
+    const correction = perspectiveCorrection({ ...side, diameters, pxPerMM });
+    expect(correction.wheelbase).toBeCloseTo(1500, 6);
+    close(correctMarkers(side.markers, correction).bar, side.markers.bar);
+  });
+
+  it('recovers the side elevation from a distorted photo', () => {
+    const correction = perspectiveCorrection({
+      axle: photographed(side.axle),
+      calibPts: {
+        bot: photographed(side.calibPts.bot),
+        frontAxle: photographed(side.calibPts.frontAxle),
+        frontBot: photographed(side.calibPts.frontBot),
+      },
+      diameters,
+      pxPerMM,
+      wheelbase: 1500,
+    });
+
+    const distorted = Object.fromEntries(
+      Object.entries(side.markers).map(([type, p]) => [type, photographed(p)])
+    );
+    const corrected = correctMarkers(distorted, correction);
+    Object.entries(distorted).forEach(([type, p]) => {
+      close(uncorrectPoint(corrected[type], correction), p, 6);
+    });
+
+    // Rectified about the photographed rear axle, so compare relative to it
+    const offset = {
+      x: photographed(side.axle).x - side.axle.x,
+      y: photographed(side.axle).y - side.axle.y,
+    };
+    Object.entries(side.markers).forEach(([type, p]) => {
+      close(corrected[type], { x: p.x + offset.x, y: p.y + offset.y }, 4);
+    });
+  });
+
+  it('needs both contact patches and axles', () => {
+    expect(
+      perspectiveCorrection({ axle, calibPts: { bot: side.calibPts.bot }, diameters, pxPerMM })
+    ).toBeNull();
+  });
+});
+
+describe('perspectiveGrid', () => {
+  it('draws the ground and the axle verticals through the marked points', () => {
+    const correction = perspectiveCorrection({ ...side, diameters, pxPerMM });
+    const lines = perspectiveGrid(correction, axle, pxPerMM);
+    const major = lines.filter((line) => line.major);
+
+    expect(major).toHaveLength(3);
+    expect(
+      major.some((line) => Math.abs(line.x1 - 200) < 1e-6 && Math.abs(line.x2 - 200) < 1e-6)
+    ).toBe(true);
+    expect(major.some((line) => Math.abs(line.y1 - ground) < 1e-6)).toBe(true);
+    expect(lines.length).toBeGreaterThan(20);
+  });
+});
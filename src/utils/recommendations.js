@@ -0,0 +1,142 @@
+/**
+ * Fit recommendations: small seat, peg and bar moves that bring the rider's angles
+ * towards the middle of their comfort zones.
+ *
+ * Moves are offsets in mm like the adjuster ranges (see utils/adjusters.js): x forward,
+ * y up. The search is a local pattern search on a grid of STEPS_MM, so suggestions come
+ * out in round numbers and stay within MAX_OFFSET_MM of the current position.
+ */
+
+import { FIT_RECOMMENDATION, MARKER_TYPES } from '../constants';
+import { getComfortCentreDistance } from '../data/comfortZones';
+import { offsetMarkers } from './adjusters';
+
+const ANGLE_TYPES = ['knee', 'hip', 'back', 'arm'];
+
+// Names used in suggestions
+const TOUCH_POINT_NOUNS = { seat: 'seat', peg: 'pegs', bar: 'bars' };
+
+const isKnown = (value) => value != null && !isNaN(value);
+
+/**
+ * Total distance moved, in mm.
+ */
+function movement(offsets) {
+  return MARKER_TYPES.reduce((sum, type) => sum + Math.hypot(offsets[type].x, offsets[type].y), 0);
+}
+
+/**
+ * Find small touch point moves that centre the rider's angles in their comfort zones.
+ *
+ * @param {Object} options
+ * @param {Object} options.markers - Levelled { seat, peg, bar } in px
+ * @param {number} options.pxPerMM - Scale of the markers
+ * @param {Function} options.calculateAngles - (markers) => {knee, hip, back, arm}
+ * @param {string} options.ridingStyle - Riding style for the comfort zones
+ * @param {number} options.maxOffsetMM - Furthest a touch point may move each way
+ * @param {number[]} options.stepsMM - Search step sizes, coarse to fine
+ * @returns {{offsets: Object, before: Object, after: Object, markers: Object}|null}
+ *   `offsets` holds a { x, y } move in mm per touch point, `markers` the moved markers;
+ *   null when the angles can't be solved
+ */
+export function recommendFit({
+  markers,
+  pxPerMM,
+  calculateAngles,
+  ridingStyle = 'commute',
+  maxOffsetMM = FIT_RECOMMENDATION.MAX_OFFSET_MM,
+  stepsMM = FIT_RECOMMENDATION.STEPS_MM,
+}) {
+  if (!markers?.seat || !markers?.peg || !markers?.bar || !pxPerMM) return null;
+  const before = calculateAngles(markers);
+  const solved = ANGLE_TYPES.filter((type) => isKnown(before?.[type]));
+  if (solved.length === 0) return null;
+
+  // A move that loses an angle (the rider can no longer reach) is never better
+  const evaluate = (offsets) => {
+    const moved = offsetMarkers(markers, offsets, { pxPerMM });
+    const angles = calculateAngles(moved);
+    if (!solved.every((type) => isKnown(angles?.[type]))) return null;
+    const cost =
+      getComfortCentreDistance(angles, ridingStyle) +
+      FIT_RECOMMENDATION.MOVEMENT_COST * movement(offsets);
+    return { offsets, angles, markers: moved, cost };
+  };
+
+  let best = evaluate(Object.fromEntries(MARKER_TYPES.map((type) => [type, { x: 0, y: 0 }])));
+  if (!best) return null;
+
+  stepsMM.forEach((step) => {
+    // Take the best single-coordinate step until none improves
+    for (let improved = true; improved; ) {
+      improved = false;
+      let next = best;
+      MARKER_TYPES.forEach((type) => {
+        ['x', 'y'].forEach((axis) => {
+          [-step, step].forEach((delta) => {
+            const value = best.offsets[type][axis] + delta;
+            if (Math.abs(value) > maxOffsetMM) return;
+            const candidate = evaluate({
+              ...best.offsets,
+              [type]: { ...best.offsets[type], [axis]: value },
+            });
+            if (candidate && candidate.cost < next.cost - 1e-9) next = candidate;
+          });
+        });
+      });
+      if (next !== best) {
+        best = next;
+        improved = true;
+      }
+    }
+  });
+
+  return { offsets: best.offsets, before, after: best.angles, markers: best.markers };
+}
+
+/**
+ * Whether a recommendation moves anything.
+ *
+ * @param {Object|null} recommendation - From recommendFit()
+ * @returns {boolean}
+ */
+export function hasChanges(recommendation) {
+  return MARKER_TYPES.some((type) => {
+    const offset = recommendation?.offsets?.[type];
+    return offset && (offset.x !== 0 || offset.y !== 0);
+  });
+}
+
+/**
+ * Describe a touch point move, e.g. "Raise bars 25 mm, move back 15 mm".
+ *
+ * @param {string} type - 'seat', 'peg' or 'bar'
+ * @param {{x: number, y: number}} offset - Move in mm, x forward, y up
+ * @returns {string|null} Null when the touch point stays put
+ */
+export function describeMove(type, { x, y }) {
+  const noun = TOUCH_POINT_NOUNS[type];
+  const parts = [];
+  if (Math.round(y)) {
+    parts.push(`${y > 0 ? 'Raise' : 'Lower'} ${noun} ${Math.abs(Math.round(y))} mm`);
+  }
+  if (Math.round(x)) {
+    const direction = `${x > 0 ? 'forward' : 'back'} ${Math.abs(Math.round(x))} mm`;
+    parts.push(parts.length ? `move ${direction}` : `Move ${noun} ${direction}`);
+  }
+  return parts.length ? parts.join(', ') : null;
+}
+
+/**
+ * Suggestions for a recommendation, one per touch point that moves.
+ *
+ * @param {Object|null} recommendation - From recommendFit()
+ * @returns {Array<{type: string, text: string}>}
+ */
+export function describeRecommendation(recommendation) {
+  if (!recommendation) return [];
+  return MARKER_TYPES.map((type) => ({
+    type,
+    text: describeMove(type, recommendation.offsets[type]),
+  })).filter(({ text }) => text);
+}
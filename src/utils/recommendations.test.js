@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { recommendFit, hasChanges, describeMove, describeRecommendation } from './recommendations';
+import { calculateAllAngles } from './ergonomics';
+import { getComfortCentreDistance } from '../data/comfortZones';
+import { DEFAULT_RIDER, getEffectiveMeasurements } from '../data/bodyProportions';
+import { FIT_RECOMMENDATION } from '../constants';
+
+const pxPerMM = 0.5;
+// Bike facing right, in px; the default rider's knee is too bent on it
+const markers = {
+  seat: { x: 0, y: 0 },
+  peg: { x: 100, y: 380 },
+  bar: { x: 360, y: -25 },
+};
+const measurements = getEffectiveMeasurements(DEFAULT_RIDER);
+const calculateAngles = (m) => calculateAllAngles(m, measurements, pxPerMM);
+
+describe('getComfortCentreDistance', () => {
+  it('is 0 at the centre and 1 per angle at the comfort edge', () => {
+    expect(getComfortCentreDistance({ knee: 147.5, hip: 105, back: 30, arm: 160 })).toBe(0);
+    expect(getComfortCentreDistance({ knee: 155, hip: 90, back: null, arm: NaN })).toBe(2);
+    expect(getComfortCentreDistance({})).toBeNull();
+  });
+});
+
+describe('recommendFit', () => {
+  it('moves towards the comfort centres within the search bounds', () => {
+    const result = recommendFit({ markers, pxPerMM, calculateAngles });
+
+    expect(hasChanges(result)).toBe(true);
+    expect(getComfortCentreDistance(result.after)).toBeLessThan(
+      getComfortCentreDistance(result.before)
+    );
+    expect(result.after.knee).toBeGreaterThan(result.before.knee);
+    Object.values(result.offsets).forEach(({ x, y }) => {
+      expect(Math.abs(x)).toBeLessThanOrEqual(FIT_RECOMMENDATION.MAX_OFFSET_MM);
+      expect(Math.abs(y)).toBeLessThanOrEqual(FIT_RECOMMENDATION.MAX_OFFSET_MM);
+      expect(Math.abs(x % 5)).toBe(0);
+      expect(Math.abs(y % 5)).toBe(0);
+    });
+    expect(result.after).toEqual(calculateAngles(result.markers));
+  });
+
+  it('keeps moves within a smaller bound', () => {
+    const result = recommendFit({ markers, pxPerMM, calculateAngles, maxOffsetMM: 10 });
+    Object.values(result.offsets).forEach(({ x, y }) => {
+      expect(Math.abs(x)).toBeLessThanOrEqual(10);
+      expect(Math.abs(y)).toBeLessThanOrEqual(10);
+    });
+  });
+
+  it('suggests nothing when the angles are already centred', () => {
+    const centred = () => ({ knee: 147.5, hip: 105, back: 30, arm: 160 });
+    const result = recommendFit({ markers, pxPerMM, calculateAngles: centred });
+    expect(hasChanges(result)).toBe(false);
+    expect(describeRecommendation(result)).toEqual([]);
+  });
+
+  it('returns null when the angles cannot be solved', () => {
+    const unsolved = () => ({ knee: null, hip: null, back: null, arm: null });
+    expect(recommendFit({ markers, pxPerMM, calculateAngles: unsolved })).toBeNull();
+    expect(recommendFit({ markers: { seat: markers.seat }, pxPerMM, calculateAngles })).toBeNull();
+  });
+});
+
+describe('describeMove', () => {
+  it('describes height first, then fore and aft', () => {
+    expect(describeMove('bar', { x: -15, y: 25 })).toBe('Raise bars 25 mm, move back 15 mm');
+    expect(describeMove('peg', { x: 0, y: -10 })).toBe('Lower pegs 10 mm');
+    expect(describeMove('seat', { x: 20, y: 0 })).toBe('Move seat forward 20 mm');
+    expect(describeMove('seat', { x: 0, y: 0 })).toBeNull();
+  });
+});
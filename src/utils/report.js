@@ -0,0 +1,370 @@
+/**
+ * Ergonomics report for dealers and fitters.
+ *
+ * The comparison is first collected into plain data (buildReportData), then
+ * rendered client-side into a multi-page PDF (exportAsPDF).
+ */
+
+import { COMFORT_ZONES, RIDING_STYLES, getAngleZone } from '../data/comfortZones';
+import { OVERRIDABLE_MEASUREMENTS, estimateFromHeight, getDataset } from '../data/bodyProportions';
+import { solveRiderPose } from './kinematics';
+import { formatAngle } from './ergonomics';
+
+const ANGLE_TYPES = ['knee', 'hip', 'back', 'arm'];
+
+// Cell fill per comfort zone status
+const ZONE_FILLS = {
+  comfort: '#dcfce7',
+  warning: '#fef3c7',
+  extreme: '#fee2e2',
+  unknown: '#f3f4f6',
+};
+
+const PAGE_MARGIN = 15;
+const LINE_HEIGHT = 5;
+
+/**
+ * Collect everything the report shows into plain data.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.bikes - Bikes in comparison order:
+ *   { label, color, angles, distances, markers, pxPerMM }. Markers may be null.
+ * @param {Object} options.profile - Active rider profile
+ * @param {Object} options.measurements - Effective rider measurements in mm
+ * @param {string} options.ridingStyle - Riding style key
+ * @param {Date} options.createdAt - Report timestamp (defaults to now)
+ * @returns {Object} Report data
+ */
+export function buildReportData({
+  bikes,
+  profile,
+  measurements,
+  ridingStyle = 'commute',
+  createdAt = new Date(),
+}) {
+  const estimated = profile ? estimateFromHeight(profile.heightCm, profile) : {};
+
+  const measurementRows = OVERRIDABLE_MEASUREMENTS.map(([key, label]) => {
+    const override = profile?.overrides?.[key];
+    const value = measurements?.[key] ?? override ?? estimated[key] ?? null;
+    return {
+      key,
+      label,
+      estimated: estimated[key] ?? null,
+      value,
+      overridden: override != null,
+      // Segments follow a measured overall length
+      scaled: override == null && estimated[key] != null && value !== estimated[key],
+    };
+  });
+
+  return {
+    createdAt: createdAt.toISOString(),
+    ridingStyle: RIDING_STYLES[ridingStyle]?.label || ridingStyle,
+    rider: {
+      name: profile?.name || 'Rider',
+      heightCm: profile?.heightCm ?? null,
+      weightKg: profile?.weightKg ?? null,
+      // Anthropometric dataset the estimates come from
+      dataset: getDataset(profile?.dataset).label,
+      seatOffset: measurements?.seatOffset ?? 0,
+      bootSole: measurements?.bootSole ?? null,
+      measurements: measurementRows,
+    },
+    bikes: bikes.map((bike) => ({
+      label: bike.label,
+      color: bike.color,
+      distances: bike.distances || {},
+      angles: ANGLE_TYPES.map((type) => {
+        const value = bike.angles?.[type] ?? null;
+        const zone = getAngleZone(type, value, ridingStyle);
+        return {
+          type,
+          label: COMFORT_ZONES[type].label,
+          value,
+          status: zone.status,
+          message: zone.message,
+        };
+      }),
+      joints: solveRiderPose(bike.markers, measurements, bike.pxPerMM)?.joints ?? null,
+    })),
+  };
+}
+
+/**
+ * Format a distance in mm for the report.
+ */
+function formatMM(value) {
+  return value ? `${Math.round(value)} mm` : '–';
+}
+
+/**
+ * Draw one bike's skeleton, scaled to fit a box.
+ */
+function drawSkeleton(doc, bike, x, y, width, height) {
+  doc.setDrawColor('#d1d5db');
+  doc.setLineWidth(0.2);
+  doc.rect(x, y, width, height);
+
+  doc.setFontSize(9);
+  doc.setTextColor('#111827');
+  doc.text(doc.splitTextToSize(bike.label, width - 4)[0], x + 2, y + 4);
+
+  const { joints } = bike;
+  if (!joints) {
+    doc.setTextColor('#6b7280');
+    doc.text('Markers incomplete', x + width / 2, y + height / 2, { align: 'center' });
+    return;
+  }
+
+  const { hip, knee, ankle, foot, shoulder, elbow, hand, head } = joints;
+  const points = [hip, knee, ankle, foot, shoulder, elbow, hand];
+  const minX = Math.min(...points.map((p) => p.x), head.x - head.radius);
+  const maxX = Math.max(...points.map((p) => p.x), head.x + head.radius);
+  const minY = Math.min(...points.map((p) => p.y), head.y - head.radius);
+  const maxY = Math.max(...points.map((p) => p.y));
+
+  // Leave room for the label at the top
+  const pad = 4;
+  const boxTop = y + 6;
+  const boxHeight = height - 6 - pad;
+  const scale = Math.min((width - 2 * pad) / (maxX - minX || 1), boxHeight / (maxY - minY || 1));
+  const offsetX = x + (width - (maxX - minX) * scale) / 2;
+  const offsetY = boxTop + (boxHeight - (maxY - minY) * scale) / 2;
+  const toPage = (p) => [offsetX + (p.x - minX) * scale, offsetY + (p.y - minY) * scale];
+
+  doc.setDrawColor(bike.color || '#374151');
+  doc.setLineWidth(0.8);
+  [
+    [hip, knee],
+    [knee, ankle],
+    [ankle, foot],
+    [hip, shoulder],
+    [shoulder, elbow],
+    [elbow, hand],
+  ].forEach(([from, to]) => doc.line(...toPage(from), ...toPage(to)));
+  doc.circle(...toPage(head), head.radius * scale, 'S');
+
+  doc.setFillColor(bike.color || '#374151');
+  points.forEach((p) => doc.circle(...toPage(p), 0.7, 'F'));
+}
+
+/**
+ * Export the report as a PDF download.
+ *
+ * @param {Object} report - Report data from buildReportData()
+ * @param {HTMLElement|null} stageElement - Overlay stage to capture, skipped if null
+ * @param {string} filename - Download filename (without extension)
+ * @returns {Promise<void>}
+ */
+export async function exportAsPDF(report, stageElement, filename = 'rider-triangle-report') {
+  // jsPDF and html2canvas are heavy, load them only when exporting
+  const [{ jsPDF }, { default: html2canvas }] = await Promise.all([
+    import('jspdf'),
+    import('html2canvas'),
+  ]);
+
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - 2 * PAGE_MARGIN;
+  let y = PAGE_MARGIN;
+
+  // Start a new page if the next block doesn't fit
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE_MARGIN) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+  };
+
+  const heading = (text) => {
+    ensureSpace(12);
+    y += 4;
+    doc.setFontSize(13);
+    doc.setTextColor('#111827');
+    doc.text(text, PAGE_MARGIN, y);
+    y += 6;
+  };
+
+  // Table with equal-width value columns after a wider first column
+  const table = (header, rows, fills = []) => {
+    const firstWidth = 40;
+    const columnWidth = (contentWidth - firstWidth) / (header.length - 1);
+    const columnX = (i) => PAGE_MARGIN + (i === 0 ? 0 : firstWidth + (i - 1) * columnWidth);
+    const rowHeight = 7;
+
+    doc.setFontSize(9);
+    ensureSpace(rowHeight * 2);
+    doc.setTextColor('#6b7280');
+    header.forEach((cell, i) => {
+      const width = i === 0 ? firstWidth : columnWidth;
+      doc.text(doc.splitTextToSize(cell, width - 2)[0], columnX(i) + 1, y + 5);
+    });
+    y += rowHeight;
+
+    rows.forEach((row, r) => {
+      ensureSpace(rowHeight);
+      row.forEach((cell, i) => {
+        const width = i === 0 ? firstWidth : columnWidth;
+        const fill = fills[r]?.[i];
+        if (fill) {
+          doc.setFillColor(fill);
+          doc.rect(columnX(i), y, width, rowHeight, 'F');
+        }
+        doc.setTextColor('#111827');
+        doc.text(doc.splitTextToSize(String(cell), width - 2)[0], columnX(i) + 1, y + 5);
+      });
+      doc.setDrawColor('#e5e7eb');
+      doc.setLineWidth(0.2);
+      doc.line(PAGE_MARGIN, y + rowHeight, PAGE_MARGIN + contentWidth, y + rowHeight);
+      y += rowHeight;
+    });
+  };
+
+  // Title
+  doc.setFontSize(18);
+  doc.setTextColor('#111827');
+  doc.text('Rider Triangle ergonomics report', PAGE_MARGIN, y + 4);
+  y += 11;
+  doc.setFontSize(10);
+  doc.setTextColor('#4b5563');
+  doc.text(`Generated ${new Date(report.createdAt).toLocaleString()}`, PAGE_MARGIN, y);
+  y += LINE_HEIGHT;
+  doc.text(
+    `Rider: ${report.rider.name}${report.rider.heightCm ? `, ${report.rider.heightCm} cm` : ''}` +
+      ` · Riding style: ${report.ridingStyle}`,
+    PAGE_MARGIN,
+    y
+  );
+  y += LINE_HEIGHT;
+
+  // Overlay image
+  if (stageElement?.offsetWidth) {
+    try {
+      const canvas = await html2canvas(stageElement, {
+        backgroundColor: '#f9fafb',
+        scale: 2,
+        useCORS: true,
+        logging: false,
+      });
+      const maxHeight = 120;
+      let width = contentWidth;
+      let height = (canvas.height / canvas.width) * width;
+      if (height > maxHeight) {
+        width *= maxHeight / height;
+        height = maxHeight;
+      }
+      heading('Overlay');
+      ensureSpace(height);
+      doc.addImage(canvas.toDataURL('image/jpeg', 0.85), 'JPEG', PAGE_MARGIN, y, width, height);
+      y += height + 2;
+    } catch (e) {
+      console.warn('Failed to capture overlay for report:', e);
+    }
+  }
+
+  // Angles with comfort-zone colours
+  heading('Ergonomic angles');
+  table(
+    ['Angle', ...report.bikes.map((bike) => bike.label)],
+    ANGLE_TYPES.map((type, a) => [
+      COMFORT_ZONES[type].label,
+      ...report.bikes.map((bike) => formatAngle(bike.angles[a].value)),
+    ]),
+    ANGLE_TYPES.map((_, a) => [
+      null,
+      ...report.bikes.map((bike) => ZONE_FILLS[bike.angles[a].status]),
+    ])
+  );
+
+  // Zone messages per bike
+  report.bikes.forEach((bike) => {
+    ensureSpace(LINE_HEIGHT * 2);
+    y += 3;
+    doc.setFontSize(10);
+    doc.setTextColor('#111827');
+    doc.text(bike.label, PAGE_MARGIN, y + 3);
+    y += LINE_HEIGHT;
+    doc.setFontSize(9);
+    bike.angles.forEach((angle) => {
+      const lines = doc.splitTextToSize(
+        `${angle.label} ${formatAngle(angle.value)}: ${angle.message}`,
+        contentWidth - 4
+      );
+      ensureSpace(lines.length * 4);
+      doc.setTextColor('#4b5563');
+      doc.text(lines, PAGE_MARGIN + 4, y + 3);
+      y += lines.length * 4;
+    });
+  });
+
+  // Skeletons, two per row
+  heading('Rider position');
+  const boxWidth = (contentWidth - 5) / 2;
+  const boxHeight = 60;
+  report.bikes.forEach((bike, i) => {
+    const column = i % 2;
+    if (column === 0) ensureSpace(boxHeight);
+    drawSkeleton(doc, bike, PAGE_MARGIN + column * (boxWidth + 5), y, boxWidth, boxHeight);
+    if (column === 1 || i === report.bikes.length - 1) y += boxHeight + 3;
+  });
+
+  // Rider measurements
+  heading('Rider measurements');
+  table(
+    ['Measurement', 'Estimated', 'Used', 'Source'],
+    report.rider.measurements.map((row) => [
+      row.label,
+      formatMM(row.estimated),
+      formatMM(row.value),
+      row.overridden ? 'Measured' : row.scaled ? 'Scaled' : 'Estimated',
+    ])
+  );
+  ensureSpace(LINE_HEIGHT * 3);
+  y += 4;
+  doc.setFontSize(9);
+  doc.setTextColor('#4b5563');
+  const { seatOffset, bootSole, weightKg, dataset } = report.rider;
+  doc.text(
+    `Seat offset: ${seatOffset > 0 ? '+' : ''}${seatOffset} mm (+ forward)` +
+      (bootSole != null ? ` · Boot sole: ${bootSole} mm` : ''),
+    PAGE_MARGIN,
+    y
+  );
+  y += LINE_HEIGHT;
+  doc.text(
+    `Estimates: ${dataset}` + (weightKg != null ? ` · Weight: ${weightKg} kg` : ''),
+    PAGE_MARGIN,
+    y
+  );
+  y += LINE_HEIGHT;
+
+  // Triangle distances
+  heading('Triangle distances');
+  table(
+    ['Bike', 'Seat-Peg', 'Seat-Bar', 'Peg-Bar'],
+    report.bikes.map((bike) => [
+      bike.label,
+      formatMM(bike.distances.seatPeg),
+      formatMM(bike.distances.seatBar),
+      formatMM(bike.distances.pegBar),
+    ])
+  );
+
+  // Footer on every page
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFontSize(8);
+    doc.setTextColor('#9ca3af');
+    doc.text(
+      `Rider Triangle · ${report.createdAt.slice(0, 10)} · Page ${page} of ${pageCount}`,
+      pageWidth / 2,
+      pageHeight - 8,
+      { align: 'center' }
+    );
+  }
+
+  doc.save(`${filename}.pdf`);
+}
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { buildReportData } from './report';
+import { DEFAULT_RIDER, getEffectiveMeasurements } from '../data/bodyProportions';
+
+const profile = {
+  ...DEFAULT_RIDER,
+  name: 'Test rider',
+  heightCm: 180,
+  overrides: { inseam: 850, torso: null, armLength: null },
+};
+const measurements = getEffectiveMeasurements(profile);
+
+const bike = {
+  label: 'Bike A',
+  color: '#ef6c00',
+  angles: { knee: 145, hip: 60, back: 30, arm: null },
+  distances: { seatPeg: 520, seatBar: 640, pegBar: 700 },
+  markers: {
+    seat: { x: 0, y: 0 },
+    peg: { x: 60, y: 210 },
+    bar: { x: 280, y: -30 },
+  },
+  pxPerMM: 0.5,
+};
+
+describe('getEffectiveMeasurements', () => {
+  it('rescales the leg segments with an inseam override', () => {
+    const estimated = getEffectiveMeasurements({ ...profile, overrides: {} });
+    const factor = 850 / estimated.inseam;
+
+    expect(measurements.thigh).toBe(Math.round(estimated.thigh * factor));
+    expect(measurements.lowerLeg).toBe(Math.round(estimated.lowerLeg * factor));
+    expect(measurements.upperArm).toBe(estimated.upperArm);
+  });
+
+  it('prefers a segment override over the scaled value', () => {
+    const own = getEffectiveMeasurements({
+      ...profile,
+      overrides: { ...profile.overrides, thigh: 400, armLength: 850 },
+    });
+    expect(own.thigh).toBe(400);
+    expect(own.lowerLeg).toBe(measurements.lowerLeg);
+    expect(own.upperArm + own.forearm).toBeGreaterThan(
+      measurements.upperArm + measurements.forearm
+    );
+  });
+
+  it('moves the ankle with the foot length', () => {
+    const bigFeet = getEffectiveMeasurements({ ...profile, overrides: { footLength: 320 } });
+    expect(bigFeet.footLength).toBe(320);
+    expect(bigFeet.ankleToBall).toBeGreaterThan(measurements.ankleToBall);
+  });
+});
+
+describe('buildReportData', () => {
+  it('marks overridden measurements and keeps the estimate', () => {
+    const report = buildReportData({ bikes: [bike], profile, measurements });
+    const inseam = report.rider.measurements.find((row) => row.key === 'inseam');
+    const torso = report.rider.measurements.find((row) => row.key === 'torso');
+
+    expect(inseam).toMatchObject({ value: 850, overridden: true });
+    expect(inseam.estimated).not.toBe(850);
+    expect(torso.overridden).toBe(false);
+    expect(torso.value).toBe(torso.estimated);
+  });
+
+  it('shows segments scaled with a measured inseam', () => {
+    const report = buildReportData({ bikes: [bike], profile, measurements });
+    const thigh = report.rider.measurements.find((row) => row.key === 'thigh');
+    const forearm = report.rider.measurements.find((row) => row.key === 'forearm');
+
+    expect(thigh).toMatchObject({ value: measurements.thigh, overridden: false, scaled: true });
+    expect(forearm).toMatchObject({ scaled: false });
+    expect(forearm.value).toBe(forearm.estimated);
+  });
+
+  it('classifies each angle into its comfort zone', () => {
+    const [reportBike] = buildReportData({ bikes: [bike], profile, measurements }).bikes;
+    const status = Object.fromEntries(reportBike.angles.map((a) => [a.type, a.status]));
+
+    expect(status).toEqual({ knee: 'comfort', hip: 'extreme', back: 'comfort', arm: 'unknown' });
+    reportBike.angles.forEach((angle) => expect(angle.message).toBeTruthy());
+  });
+
+  it('solves a skeleton only for bikes with all markers', () => {
+    const report = buildReportData({
+      bikes: [bike, { ...bike, label: 'Bike B', markers: { seat: { x: 0, y: 0 } } }],
+      profile,
+      measurements,
+    });
+
+    expect(report.bikes[0].joints.ankle).toBeDefined();
+    expect(report.bikes[1].joints).toBeNull();
+  });
+
+  it('records the timestamp and riding style label', () => {
+    const createdAt = new Date('2026-03-01T10:00:00Z');
+    const report = buildReportData({
+      bikes: [bike],
+      profile,
+      measurements,
+      ridingStyle: 'touring',
+      createdAt,
+    });
+
+    expect(report.createdAt).toBe('2026-03-01T10:00:00.000Z');
+    expect(report.ridingStyle).toBe('Touring');
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * Share-link codec.
+ *
+ * Current links (format 2) are a small binary frame, base64url encoded:
+ *
+ *   byte 0     format version
+ *   byte 1     flags (bit 0: body is deflate-compressed)
+ *   bytes 2-5  CRC-32 of the uncompressed body, big-endian
+ *   bytes 6-   body: UTF-8 JSON of the compact state
+ *
+ * The compact state uses short keys, lists bike IDs once and stores
+ * coordinates as integers in tenths of a pixel.
+ *
+ * Format 1 links are `encodeURIComponent(btoa(JSON))` of the full state; they
+ * always start with "ey" (base64 of `{"`) and are upgraded through MIGRATIONS.
+ */
+
+import { deflateSync, inflateSync, strToU8, strFromU8 } from 'fflate';
+
+export const SHARE_FORMAT_VERSION = 2;
+
+const FLAG_DEFLATE = 1;
+const HEADER_BYTES = 6;
+
+// Coordinates are kept to 0.1 px
+const COORD_SCALE = 10;
+
+// User-facing decode errors
+const ERRORS = {
+  empty: 'This shared link is empty.',
+  damaged: 'This shared link is damaged and could not be read.',
+  incomplete: 'This shared link is incomplete. Check it was copied in full.',
+};
+
+const MARKER_KEYS = { seat: 's', peg: 'p', bar: 'b' };
+const CALIB_KEYS = {
+  top: 't',
+  bot: 'b',
+  frontTop: 'ft',
+  frontBot: 'fb',
+  frontAxle: 'fx',
+  levelStart: 'ls',
+  levelEnd: 'le',
+};
+
+// Fields of the full state, see useComparisonState.getState()
+const STATE_FIELDS = [
+  'activeSlots',
+  'markers',
+  'calibPts',
+  'axle',
+  'wheelChoice',
+  'perspective',
+  'rider',
+  'ridingStyle',
+  'manualMeasurements',
+  'modes',
+];
+
+/**
+ * Upgrades from each older format to the next, applied in order.
+ * Each takes the decoded state of that version and returns the next version's.
+ */
+const MIGRATIONS = {
+  // Format 1 already used the full field names; keep only known fields
+  // and drop empty slots left by older two-bike layouts
+  1: (state) => {
+    const upgraded = {};
+    STATE_FIELDS.forEach((field) => {
+      if (state[field] != null) upgraded[field] = state[field];
+    });
+    if (Array.isArray(upgraded.activeSlots)) {
+      upgraded.activeSlots = upgraded.activeSlots.filter(Boolean);
+    }
+    return upgraded;
+  },
+};
+
+// CRC-32 (IEEE) lookup table
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 checksum of a byte array.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+const quantise = (value) => Math.round(value * COORD_SCALE);
+const toPoint = (p) => (p ? [quantise(p.x), quantise(p.y)] : null);
+const fromPoint = (p) =>
+  Array.isArray(p) ? { x: p[0] / COORD_SCALE, y: p[1] / COORD_SCALE } : null;
+
+/**
+ * Map an object's keys through a rename table, converting each value.
+ */
+function renameKeys(source, names, convert) {
+  const result = {};
+  Object.entries(names).forEach(([long, short]) => {
+    const value = source?.[long] && convert(source[long]);
+    if (value != null) result[short] = value;
+  });
+  return result;
+}
+
+function invert(names) {
+  return Object.fromEntries(Object.entries(names).map(([long, short]) => [short, long]));
+}
+
+/**
+ * Convert the full state to the compact form.
+ *
+ * @param {Object} state - Full comparison state
+ * @returns {Object} Compact state
+ */
+export function toCompactState(state) {
+  const perBike = [
+    'markers',
+    'calibPts',
+    'axle',
+    'wheelChoice',
+    'perspective',
+    'manualMeasurements',
+    'modes',
+  ];
+  const ids = [
+    ...new Set([
+      ...(state.activeSlots || []).filter(Boolean),
+      ...perBike.flatMap((field) => Object.keys(state[field] || {})),
+    ]),
+  ];
+
+  // Per-bike maps are keyed by position in the ID list
+  const byIndex = (field, convert) => {
+    const result = {};
+    Object.entries(state[field] || {}).forEach(([id, value]) => {
+      const converted = value != null ? convert(value) : null;
+      if (converted != null) result[ids.indexOf(id)] = converted;
+    });
+    return Object.keys(result).length ? result : undefined;
+  };
+
+  return {
+    i: ids,
+    a: (state.activeSlots || []).filter(Boolean).map((id) => ids.indexOf(id)),
+    m: byIndex('markers', (m) => renameKeys(m, MARKER_KEYS, toPoint)),
+    c: byIndex('calibPts', (c) => renameKeys(c, CALIB_KEYS, toPoint)),
+    x: byIndex('axle', toPoint),
+    w: byIndex('wheelChoice', (w) => w),
+    q: byIndex('perspective', (q) => q),
+    n: byIndex('manualMeasurements', (n) => n),
+    o: byIndex('modes', (o) => o),
+    r: state.rider || undefined,
+    s: state.ridingStyle || undefined,
+  };
+}
+
+/**
+ * Convert the compact form back to the full state.
+ *
+ * @param {Object} compact - Compact state
+ * @returns {Object} Full comparison state
+ */
+export function fromCompactState(compact) {
+  const ids = compact.i || [];
+  const byId = (map, convert) => {
+    const result = {};
+    Object.entries(map || {}).forEach(([index, value]) => {
+      if (ids[index] != null) result[ids[index]] = convert(value);
+    });
+    return result;
+  };
+  const markerNames = invert(MARKER_KEYS);
+  const calibNames = invert(CALIB_KEYS);
+
+  return {
+    activeSlots: (compact.a || []).map((index) => ids[index]).filter(Boolean),
+    markers: byId(compact.m, (m) => renameKeys(m, markerNames, fromPoint)),
+    calibPts: byId(compact.c, (c) => renameKeys(c, calibNames, fromPoint)),
+    axle: byId(compact.x, fromPoint),
+    wheelChoice: byId(compact.w, (w) => w),
+    perspective: byId(compact.q, (q) => q),
+    manualMeasurements: byId(compact.n, (n) => n),
+    modes: byId(compact.o, (o) => o),
+    rider: compact.r || null,
+    ridingStyle: compact.s || null,
+  };
+}
+
+/**
+ * Apply migrations from an older format up to the current one.
+ *
+ * @param {Object} state - Decoded state
+ * @param {number} version - Format the state was decoded from
+ * @returns {Object} State in the current format
+ */
+export function migrateState(state, version) {
+  let migrated = state;
+  for (let v = version; v < SHARE_FORMAT_VERSION; v++) {
+    migrated = MIGRATIONS[v](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Encode a comparison state for a share link.
+ *
+ * @param {Object} state - Full comparison state
+ * @param {Object} options
+ * @param {boolean} options.compress - Deflate the body when that makes it smaller (default true)
+ * @returns {string} URL-safe encoded state
+ */
+export function encodeShareState(state, { compress = true } = {}) {
+  const json = strToU8(JSON.stringify(toCompactState(state)));
+  const deflated = compress ? deflateSync(json, { level: 9 }) : null;
+  const useDeflate = deflated && deflated.length < json.length;
+  const body = useDeflate ? deflated : json;
+
+  const bytes = new Uint8Array(HEADER_BYTES + body.length);
+  const view = new DataView(bytes.buffer);
+  bytes[0] = SHARE_FORMAT_VERSION;
+  bytes[1] = useDeflate ? FLAG_DEFLATE : 0;
+  view.setUint32(2, crc32(json));
+  bytes.set(body, HEADER_BYTES);
+
+  return toBase64Url(bytes);
+}
+
+/**
+ * Decode a format 1 (legacy) link.
+ */
+function decodeLegacy(encoded) {
+  let state;
+  try {
+    state = JSON.parse(atob(decodeURIComponent(encoded)));
+  } catch {
+    return { state: null, error: ERRORS.damaged };
+  }
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    return { state: null, error: ERRORS.damaged };
+  }
+  return { state: migrateState(state, 1), error: null, version: 1 };
+}
+
+/**
+ * Decode a share link.
+ *
+ * @param {string} encoded - Encoded state from the URL
+ * @returns {{ state: Object|null, error: string|null, version?: number }} Decoded state,
+ *   or a user-facing error message if the link is corrupt or unsupported
+ */
+export function decodeShareState(encoded) {
+  if (!encoded) {
+    return { state: null, error: ERRORS.empty };
+  }
+  if (encoded.startsWith('ey')) {
+    return decodeLegacy(encoded);
+  }
+
+  let bytes;
+  try {
+    bytes = fromBase64Url(encoded);
+  } catch {
+    return { state: null, error: ERRORS.damaged };
+  }
+  if (bytes.length < HEADER_BYTES) {
+    return { state: null, error: ERRORS.incomplete };
+  }
+
+  const version = bytes[0];
+  if (version > SHARE_FORMAT_VERSION) {
+    return {
+      state: null,
+      error: `This link was made with a newer version of the app (format ${version}). Update the app to open it.`,
+    };
+  }
+  if (version !== SHARE_FORMAT_VERSION) {
+    return { state: null, error: `Unsupported shared link format (${version}).` };
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const checksum = view.getUint32(2);
+  let json;
+  try {
+    const body = bytes.subarray(HEADER_BYTES);
+    json = bytes[1] & FLAG_DEFLATE ? inflateSync(body) : body;
+  } catch {
+    return { state: null, error: ERRORS.incomplete };
+  }
+  if (crc32(json) !== checksum) {
+    return { state: null, error: ERRORS.incomplete };
+  }
+
+  try {
+    return { state: fromCompactState(JSON.parse(strFromU8(json))), error: null, version };
+  } catch {
+    return { state: null, error: ERRORS.damaged };
+  }
+}
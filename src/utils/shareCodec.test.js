@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import { encodeShareState, decodeShareState, crc32, SHARE_FORMAT_VERSION } from './shareCodec';
+import { strToU8 } from 'fflate';
+
+const state = {
+  activeSlots: ['vstrom', 'bike_lx2k9_ab12c'],
+  markers: {
+    vstrom: {
+      seat: { x: 412.33333, y: 201.6666 },
+      peg: { x: 455.1, y: 330.25 },
+      bar: { x: 602.98765, y: 140.4 },
+    },
+    bike_lx2k9_ab12c: { seat: { x: 398, y: 210 }, peg: null, bar: null },
+  },
+  calibPts: {
+    vstrom: { top: { x: 700.123, y: 180.5 }, bot: { x: 701.9, y: 470.01 } },
+    bike_lx2k9_ab12c: {},
+  },
+  axle: { vstrom: { x: 180.44, y: 330.55 }, bike_lx2k9_ab12c: null },
+  wheelChoice: { vstrom: 'rear', bike_lx2k9_ab12c: 'front' },
+  rider: {
+    id: 'p1',
+    name: 'José Müller 🏍️',
+    heightCm: 178,
+    overrides: { inseam: 820, torso: null, armLength: null },
+    seatOffset: -20,
+    bootSole: 25,
+  },
+  ridingStyle: 'touring',
+  manualMeasurements: { bike_lx2k9_ab12c: { seatToPegHorizontal: 110, seatToPegVertical: 420 } },
+  modes: { vstrom: 'photo', bike_lx2k9_ab12c: 'manual' },
+};
+
+// How links were encoded before format 2
+const legacyEncode = (value) => encodeURIComponent(btoa(JSON.stringify(value)));
+
+describe('share link codec', () => {
+  it('round-trips the state with coordinates quantised to 0.1 px', () => {
+    const { state: decoded, error, version } = decodeShareState(encodeShareState(state));
+
+    expect(error).toBeNull();
+    expect(version).toBe(SHARE_FORMAT_VERSION);
+    expect(decoded.activeSlots).toEqual(state.activeSlots);
+    expect(decoded.markers.vstrom.seat).toEqual({ x: 412.3, y: 201.7 });
+    expect(decoded.markers.bike_lx2k9_ab12c).toEqual({ seat: { x: 398, y: 210 } });
+    expect(decoded.calibPts.vstrom.bot).toEqual({ x: 701.9, y: 470 });
+    expect(decoded.axle).toEqual({ vstrom: { x: 180.4, y: 330.6 } });
+    expect(decoded.wheelChoice).toEqual(state.wheelChoice);
+    expect(decoded.manualMeasurements).toEqual(state.manualMeasurements);
+    expect(decoded.modes).toEqual(state.modes);
+    expect(decoded.ridingStyle).toBe('touring');
+  });
+
+  it('keeps front wheel points of a two-wheel calibration', () => {
+    const twoWheel = {
+      ...state,
+      calibPts: {
+        vstrom: {
+          ...state.calibPts.vstrom,
+          frontTop: { x: 1300, y: 190 },
+          frontBot: { x: 1301, y: 468 },
+          frontAxle: { x: 1300.5, y: 329 },
+        },
+      },
+      wheelChoice: { vstrom: 'both' },
+    };
+    const { state: decoded } = decodeShareState(encodeShareState(twoWheel));
+    expect(decoded.calibPts.vstrom).toEqual({
+      top: { x: 700.1, y: 180.5 },
+      bot: { x: 701.9, y: 470 },
+      frontTop: { x: 1300, y: 190 },
+      frontBot: { x: 1301, y: 468 },
+      frontAxle: { x: 1300.5, y: 329 },
+    });
+    expect(decoded.wheelChoice).toEqual({ vstrom: 'both' });
+  });
+
+  it('keeps a perspective correction that was switched off', () => {
+    const { state: decoded } = decodeShareState(
+      encodeShareState({ ...state, perspective: { vstrom: false } })
+    );
+    expect(decoded.perspective).toEqual({ vstrom: false });
+  });
+
+  it('handles non-Latin-1 rider names', () => {
+    const { state: decoded } = decodeShareState(encodeShareState(state));
+    expect(decoded.rider).toEqual(state.rider);
+  });
+
+  it('produces URL-safe links much shorter than the old format', () => {
+    const encoded = encodeShareState(state);
+    const legacyState = { ...state, rider: { ...state.rider, name: 'Jose' } };
+
+    expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(encoded.length).toBeLessThan(legacyEncode(legacyState).length / 2);
+  });
+
+  it('can skip compression', () => {
+    const encoded = encodeShareState(state, { compress: false });
+    expect(decodeShareState(encoded).state.markers.vstrom.peg).toEqual({ x: 455.1, y: 330.3 });
+  });
+
+  it('decodes old links through the migration path', () => {
+    const old = { ...state, activeSlots: ['vstrom', null], rider: { name: 'Jose' }, extra: 1 };
+    const { state: decoded, error, version } = decodeShareState(legacyEncode(old));
+
+    expect(error).toBeNull();
+    expect(version).toBe(1);
+    expect(decoded.activeSlots).toEqual(['vstrom']);
+    expect(decoded.markers.vstrom.seat).toEqual(state.markers.vstrom.seat);
+    expect(decoded.extra).toBeUndefined();
+  });
+
+  it('reports a checksum mismatch for altered links', () => {
+    const encoded = encodeShareState(state, { compress: false });
+    // Flip a character in the body, well past the header
+    const index = 40;
+    const altered =
+      encoded.slice(0, index) + (encoded[index] === 'A' ? 'B' : 'A') + encoded.slice(index + 1);
+
+    const result = decodeShareState(altered);
+    expect(result.state).toBeNull();
+    expect(result.error).toMatch(/incomplete/);
+  });
+
+  it('reports truncated links', () => {
+    const encoded = encodeShareState(state);
+    const result = decodeShareState(encoded.slice(0, encoded.length - 10));
+    expect(result.state).toBeNull();
+    expect(result.error).toBeTruthy();
+  });
+
+  it('reports links from a newer format', () => {
+    const bytes = new Uint8Array([SHARE_FORMAT_VERSION + 1, 0, 0, 0, 0, 0]);
+    const encoded = btoa(String.fromCharCode(...bytes)).replace(/=+$/, '');
+
+    const result = decodeShareState(encoded);
+    expect(result.state).toBeNull();
+    expect(result.error).toMatch(/newer version/);
+  });
+
+  it('reports garbage input', () => {
+    expect(decodeShareState('not a link!').error).toBeTruthy();
+    expect(decodeShareState('eyJub3QganNvbg').error).toBeTruthy();
+    expect(decodeShareState('').error).toBeTruthy();
+  });
+});
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(strToU8('123456789'))).toBe(0xcbf43926);
+  });
+});
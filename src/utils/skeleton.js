@@ -1,223 +1,93 @@
 /**
  * Skeleton positioning calculations.
  *
- * Calculates joint positions for a stick figure rider based on:
- * - Bike marker positions (seat, peg, bar)
- * - Rider body measurements (thigh, lowerLeg, torso, upperArm, forearm)
+ * Joint positions come from the shared kinematic model (kinematics.js), so
+ * the drawn skeleton matches the displayed angles.
  */
 
-/**
- * Calculate the knee position given hip, foot, and leg segment lengths.
- * Uses the "two-circle intersection" method.
- *
- * @param {Object} hip - Hip position {x, y}
- * @param {Object} foot - Foot position {x, y}
- * @param {number} thighLength - Thigh length in pixels
- * @param {number} lowerLegLength - Lower leg length in pixels
- * @returns {Object|null} Knee position {x, y} or null if impossible
- */
-function calculateKneePosition(hip, foot, thighLength, lowerLegLength) {
-  if (!hip || !foot) return null;
-
-  const dx = foot.x - hip.x;
-  const dy = foot.y - hip.y;
-  const dist = Math.hypot(dx, dy);
-
-  // Check if leg can reach
-  if (dist > thighLength + lowerLegLength) {
-    // Leg fully extended - place knee on line
-    const ratio = thighLength / (thighLength + lowerLegLength);
-    return {
-      x: hip.x + dx * ratio,
-      y: hip.y + dy * ratio,
-    };
-  }
-
-  if (dist < Math.abs(thighLength - lowerLegLength)) {
-    // Too close - shouldn't happen in normal riding
-    return {
-      x: hip.x + dx * 0.5,
-      y: hip.y + dy * 0.5,
-    };
-  }
-
-  // Two-circle intersection
-  // Circle 1: center=hip, radius=thighLength
-  // Circle 2: center=foot, radius=lowerLegLength
-  const a = thighLength;
-  const b = lowerLegLength;
-  const c = dist;
-
-  // Distance from hip to the line connecting intersection points
-  const x = (a * a - b * b + c * c) / (2 * c);
-  // Distance from that line to intersection point
-  const y = Math.sqrt(Math.max(0, a * a - x * x));
-
-  // Unit vector from hip to foot
-  const ux = dx / c;
-  const uy = dy / c;
-
-  // Perpendicular unit vector (pointing forward/outward for natural knee bend)
-  // We want knee to be in front of the hip-foot line
-  const px = -uy;
-  const py = ux;
-
-  // Knee position (choose the "forward" solution)
-  return {
-    x: hip.x + ux * x + px * y,
-    y: hip.y + uy * x + py * y,
-  };
-}
+import { solveRiderPose } from './kinematics';
+import { rotatePoint } from './geometry';
 
 /**
- * Calculate the elbow position given shoulder, hand, and arm segment lengths.
+ * Calculate all skeleton joint positions.
  *
- * @param {Object} shoulder - Shoulder position {x, y}
- * @param {Object} hand - Hand position {x, y}
- * @param {number} upperArmLength - Upper arm length in pixels
- * @param {number} forearmLength - Forearm length in pixels
- * @returns {Object|null} Elbow position {x, y} or null if impossible
+ * With a tilt, the pose is solved on the levelled bike, so "upright" follows the
+ * level reference rather than the screen, and turned back onto the photo.
+ *
+ * @param {Object} markers - Bike markers {seat, peg, bar} in pixels
+ * @param {Object} measurements - Rider measurements in mm
+ * @param {number} pxPerMM - Pixels per millimeter for conversion
+ * @param {number} tilt - Photo tilt in degrees, clockwise (default 0)
+ * @returns {Object|null} Joint positions or null if incomplete
  */
-function calculateElbowPosition(shoulder, hand, upperArmLength, forearmLength) {
-  if (!shoulder || !hand) return null;
-
-  const dx = hand.x - shoulder.x;
-  const dy = hand.y - shoulder.y;
-  const dist = Math.hypot(dx, dy);
-
-  // Check if arm can reach
-  if (dist > upperArmLength + forearmLength) {
-    // Arm fully extended
-    const ratio = upperArmLength / (upperArmLength + forearmLength);
-    return {
-      x: shoulder.x + dx * ratio,
-      y: shoulder.y + dy * ratio,
-    };
-  }
-
-  if (dist < Math.abs(upperArmLength - forearmLength)) {
-    return {
-      x: shoulder.x + dx * 0.5,
-      y: shoulder.y + dy * 0.5,
-    };
+export function calculateSkeletonJoints(markers, measurements, pxPerMM, tilt = 0) {
+  if (!tilt || !markers?.seat) {
+    return solveRiderPose(markers, measurements, pxPerMM)?.joints ?? null;
   }
 
-  const a = upperArmLength;
-  const b = forearmLength;
-  const c = dist;
-
-  const x = (a * a - b * b + c * c) / (2 * c);
-  const y = Math.sqrt(Math.max(0, a * a - x * x));
-
-  const ux = dx / c;
-  const uy = dy / c;
-
-  // Perpendicular - elbow typically bends downward/outward
-  const px = uy;
-  const py = -ux;
-
-  return {
-    x: shoulder.x + ux * x + px * y,
-    y: shoulder.y + uy * x + py * y,
-  };
+  const pivot = markers.seat;
+  const turn = (points, degrees) =>
+    Object.fromEntries(
+      Object.entries(points).map(([name, point]) => [
+        name,
+        point ? { ...point, ...rotatePoint(point, degrees, pivot) } : point,
+      ])
+    );
+
+  const joints = solveRiderPose(turn(markers, -tilt), measurements, pxPerMM)?.joints;
+  return joints ? turn(joints, tilt) : null;
 }
 
 /**
- * Calculate shoulder position from hip, given torso length and lean angle.
+ * Map skeleton joints into another space, such as from measured (perspective-corrected,
+ * levelled) px back onto the photo.
  *
- * @param {Object} hip - Hip position {x, y}
- * @param {Object} hand - Hand/bar position {x, y} for lean direction
- * @param {number} torsoLength - Torso length in pixels
- * @returns {Object} Shoulder position {x, y}
+ * @param {Object|null} joints - From calculateSkeletonJoints()
+ * @param {Function} map - (point) => point
+ * @returns {Object|null} Mapped joints; the head keeps its radius
  */
-function calculateShoulderPosition(hip, hand, torsoLength) {
-  if (!hip || !hand) return null;
-
-  // Calculate lean direction from hip toward bar
-  const dx = hand.x - hip.x;
-  const dy = hand.y - hip.y;
-  const dist = Math.hypot(dx, dy);
-
-  if (dist === 0) {
-    // Straight up if no horizontal offset
-    return { x: hip.x, y: hip.y - torsoLength };
-  }
-
-  // Lean angle - torso leans toward bar but not all the way
-  // Shoulder is roughly 60-80% of the way toward the bar direction from vertical
-  const leanFactor = 0.7;
-
-  // Vertical component (up)
-  const verticalY = -torsoLength * 0.85; // Mostly upward
-
-  // Horizontal component (toward bar)
-  const horizontalX = (dx / dist) * torsoLength * 0.5 * leanFactor;
-
-  return {
-    x: hip.x + horizontalX,
-    y: hip.y + verticalY,
-  };
+export function mapJoints(joints, map) {
+  if (!joints) return null;
+  return Object.fromEntries(
+    Object.entries(joints).map(([name, point]) => [
+      name,
+      point ? { ...point, ...map({ x: point.x, y: point.y }) } : point,
+    ])
+  );
 }
 
 /**
- * Calculate all skeleton joint positions.
+ * Geometry of an angle arc drawn around a joint, from point1 to point2 clockwise.
  *
- * @param {Object} markers - Bike markers {seat, peg, bar} in pixels
- * @param {Object} measurements - Rider measurements in mm
- * @param {number} pxPerMM - Pixels per millimeter for conversion
- * @returns {Object|null} Joint positions or null if incomplete
+ * @param {Object} vertex - Joint at the angle {x, y}
+ * @param {Object} point1 - Arc start direction {x, y}
+ * @param {Object} point2 - Arc end direction {x, y}
+ * @param {number} radius - Arc radius
+ * @returns {Object|null} { path, labelX, labelY } with an SVG path string
  */
-export function calculateSkeletonJoints(markers, measurements, pxPerMM) {
-  if (!markers?.seat || !markers?.peg || !markers?.bar || !measurements || !pxPerMM) {
-    return null;
-  }
-
-  const { seat, peg, bar } = markers;
-  const { thigh, lowerLeg, torso, upperArm, forearm } = measurements;
-
-  // Convert measurements from mm to pixels
-  const thighPx = (thigh || 400) * pxPerMM;
-  const lowerLegPx = (lowerLeg || 380) * pxPerMM;
-  const torsoPx = (torso || 500) * pxPerMM;
-  const upperArmPx = (upperArm || 320) * pxPerMM;
-  const forearmPx = (forearm || 250) * pxPerMM;
-
-  // Hip is at seat position
-  const hip = { ...seat };
-
-  // Foot is at peg position
-  const foot = { ...peg };
-
-  // Hand is at bar position
-  const hand = { ...bar };
+export function getAngleArc(vertex, point1, point2, radius) {
+  if (!vertex || !point1 || !point2) return null;
 
-  // Calculate knee
-  const knee = calculateKneePosition(hip, foot, thighPx, lowerLegPx);
+  const angle1 = Math.atan2(point1.y - vertex.y, point1.x - vertex.x);
+  const angle2 = Math.atan2(point2.y - vertex.y, point2.x - vertex.x);
 
-  // Calculate shoulder
-  const shoulder = calculateShoulderPosition(hip, hand, torsoPx);
+  const startX = vertex.x + radius * Math.cos(angle1);
+  const startY = vertex.y + radius * Math.sin(angle1);
+  const endX = vertex.x + radius * Math.cos(angle2);
+  const endY = vertex.y + radius * Math.sin(angle2);
 
-  // Calculate elbow
-  const elbow = shoulder ? calculateElbowPosition(shoulder, hand, upperArmPx, forearmPx) : null;
+  // Determine if large arc
+  let angleDiff = angle2 - angle1;
+  if (angleDiff < 0) angleDiff += 2 * Math.PI;
+  const largeArc = angleDiff > Math.PI ? 1 : 0;
 
-  // Head is above shoulder
-  const headRadius = torsoPx * 0.2;
-  const head = shoulder
-    ? {
-        x: shoulder.x,
-        y: shoulder.y - headRadius * 1.5,
-        radius: headRadius,
-      }
-    : null;
+  // Label just outside the middle of the arc
+  const midAngle = angle1 + angleDiff / 2;
 
   return {
-    hip,
-    knee,
-    foot,
-    shoulder,
-    elbow,
-    hand,
-    head,
+    path: `M ${startX} ${startY} A ${radius} ${radius} 0 ${largeArc} 1 ${endX} ${endY}`,
+    labelX: vertex.x + (radius + 12) * Math.cos(midAngle),
+    labelY: vertex.y + (radius + 12) * Math.sin(midAngle),
   };
 }
 
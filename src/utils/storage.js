@@ -1,6 +1,6 @@
 /**
  * Storage utility for persisting app state in localStorage.
- * Handles bike configurations, images (as base64), and calibration data.
+ * Handles bike configurations and calibration data; photos live in IndexedDB (see bikeImages.js).
  */
 
 const STORAGE_KEY = 'rider-triangle-state';
@@ -83,6 +83,43 @@ export function estimateStorageUsage() {
   }
 }
 
+// All app keys share this prefix
+const APP_KEY_PREFIX = 'rider-triangle-';
+
+/**
+ * Measure the app's localStorage entries
+ * @returns {Object} Map of key to size in bytes
+ */
+export function getLocalStorageUsage() {
+  const usage = {};
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key?.startsWith(APP_KEY_PREFIX)) {
+        usage[key] = new Blob([localStorage.getItem(key) || '']).size;
+      }
+    }
+  } catch (e) {
+    console.warn('Failed to measure localStorage:', e);
+  }
+  return usage;
+}
+
+/**
+ * Ask the browser how much storage the app uses and may use
+ * @returns {Promise<{usage: number, quota: number}|null>} Estimate, or null if unsupported
+ */
+export async function estimateQuota() {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (e) {
+    console.warn('Failed to estimate storage quota:', e);
+    return null;
+  }
+}
+
 /**
  * Format bytes to human readable string
  * @param {number} bytes - Bytes
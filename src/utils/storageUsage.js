@@ -0,0 +1,69 @@
+/**
+ * Storage usage summary for the storage settings screen.
+ */
+
+import { getBase64Size } from './imageCompression';
+import { isDataURL } from './storage';
+import { STORAGE } from '../constants';
+
+/**
+ * Combine storage measurements into a per-bike and per-store summary.
+ *
+ * @param {Object} input
+ * @param {Object} input.bikes - Bike records by ID
+ * @param {Object} input.localUsage - localStorage key to size in bytes (see getLocalStorageUsage)
+ * @param {Array<Object>} input.storedImages - IndexedDB photos { key, size } (see listStoredImages)
+ * @param {Object|null} input.quota - Browser estimate { usage, quota } (see estimateQuota)
+ * @returns {Object} { bikes, orphans, localStorage, indexedDB, quota, warnings }
+ */
+export function summarizeStorage({ bikes, localUsage = {}, storedImages = [], quota = null }) {
+  const sizes = Object.fromEntries(storedImages.map(({ key, size }) => [key, size]));
+  const referenced = new Set(
+    Object.values(bikes)
+      .map((bike) => bike.imageKey)
+      .filter(Boolean)
+  );
+
+  const bikeRows = Object.values(bikes).map((bike) => {
+    if (bike.imageKey) {
+      const stored = bike.imageKey in sizes;
+      return {
+        id: bike.id,
+        label: bike.label,
+        location: stored ? 'indexedDB' : 'missing',
+        size: stored ? sizes[bike.imageKey] : 0,
+      };
+    }
+    if (isDataURL(bike.img)) {
+      return { id: bike.id, label: bike.label, location: 'inline', size: getBase64Size(bike.img) };
+    }
+    return { id: bike.id, label: bike.label, location: bike.img ? 'external' : 'none', size: 0 };
+  });
+
+  // Photos no bike points to, e.g. left behind by older versions
+  const orphans = storedImages.filter(({ key }) => !referenced.has(key));
+
+  const localTotal = Object.values(localUsage).reduce((sum, size) => sum + size, 0);
+  const indexedTotal = storedImages.reduce((sum, { size }) => sum + size, 0);
+
+  const warnings = [];
+  if (localTotal >= STORAGE.LOCAL_STORAGE_LIMIT_BYTES * STORAGE.WARN_RATIO) {
+    warnings.push(
+      'Local storage is nearly full. Delete saved sessions or inline photos to free space.'
+    );
+  }
+  if (quota?.quota && quota.usage >= quota.quota * STORAGE.WARN_RATIO) {
+    warnings.push(
+      'This site is close to its storage quota. Delete or recompress photos before adding more bikes.'
+    );
+  }
+
+  return {
+    bikes: bikeRows,
+    orphans,
+    localStorage: { total: localTotal, byKey: localUsage },
+    indexedDB: { total: indexedTotal, count: storedImages.length },
+    quota,
+    warnings,
+  };
+}
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { summarizeStorage } from './storageUsage';
+import { STORAGE } from '../constants';
+
+const bikes = {
+  stored: { id: 'stored', label: 'Stored', imageKey: 'img_stored_1', img: null },
+  inline: { id: 'inline', label: 'Inline', img: 'data:image/jpeg;base64,AAAAAAAA' },
+  vstrom: { id: 'vstrom', label: 'Default', img: 'https://example.com/v.jpg' },
+  lost: { id: 'lost', label: 'Lost', imageKey: 'img_lost_1', img: null },
+  manual: { id: 'manual', label: 'Manual', img: null },
+};
+
+const storedImages = [
+  { key: 'img_stored_1', size: 300000 },
+  { key: 'img_gone', size: 120000 },
+];
+
+describe('summarizeStorage', () => {
+  it('sizes each bike photo by where it is kept', () => {
+    const summary = summarizeStorage({ bikes, storedImages });
+    const rows = Object.fromEntries(summary.bikes.map((row) => [row.id, row]));
+
+    expect(rows.stored).toMatchObject({ location: 'indexedDB', size: 300000 });
+    expect(rows.inline).toMatchObject({ location: 'inline', size: 6 });
+    expect(rows.vstrom).toMatchObject({ location: 'external', size: 0 });
+    expect(rows.lost).toMatchObject({ location: 'missing', size: 0 });
+    expect(rows.manual).toMatchObject({ location: 'none', size: 0 });
+  });
+
+  it('finds stored photos no bike refers to', () => {
+    const summary = summarizeStorage({ bikes, storedImages });
+    expect(summary.orphans).toEqual([{ key: 'img_gone', size: 120000 }]);
+  });
+
+  it('totals each store', () => {
+    const summary = summarizeStorage({
+      bikes,
+      storedImages,
+      localUsage: { 'rider-triangle-state': 2000, 'rider-triangle-sessions': 500 },
+    });
+
+    expect(summary.localStorage.total).toBe(2500);
+    expect(summary.indexedDB).toEqual({ total: 420000, count: 2 });
+    expect(summary.warnings).toEqual([]);
+  });
+
+  it('warns before localStorage or the quota runs out', () => {
+    const nearlyFull = STORAGE.LOCAL_STORAGE_LIMIT_BYTES * STORAGE.WARN_RATIO;
+    const summary = summarizeStorage({
+      bikes,
+      localUsage: { 'rider-triangle-state': nearlyFull },
+      quota: { usage: 90, quota: 100 },
+    });
+
+    expect(summary.warnings).toHaveLength(2);
+    expect(summary.warnings[0]).toMatch(/Local storage is nearly full/);
+    expect(summary.warnings[1]).toMatch(/quota/);
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Layered SVG export of the overlay stage.
+ *
+ * Each bike becomes a top-level layer (an Inkscape layer, and a named group in
+ * Illustrator) with the same scale and translation as on screen. Inside it the
+ * photo, calibration, markers, triangle, skeleton and angle arcs are separate
+ * named groups, so they can be edited independently.
+ */
+
+import { COMFORT_ZONES, getAngleZone } from '../data/comfortZones';
+import { calculateSkeletonJoints, getSegmentColor, getAngleArc } from './skeleton';
+import { rotatePoint } from './geometry';
+import { downloadBlob } from './export';
+import { blobToDataURL } from './bikeImages';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const INKSCAPE_NS = 'http://www.inkscape.org/namespaces/inkscape';
+
+const MARKER_LABELS = { seat: 'Seat', peg: 'Footpeg', bar: 'Handlebar' };
+
+/**
+ * Round to two decimals so files stay readable without visible loss.
+ */
+function num(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Escape text for XML attributes and content.
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Make an ID-safe slug from a label.
+ */
+function slugify(text) {
+  return (
+    String(text)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'bike'
+  );
+}
+
+/**
+ * Named group; Inkscape shows the label in its Layers panel.
+ */
+function group(id, label, children, attrs = '') {
+  const content = children.filter(Boolean).join('\n');
+  if (!content) return '';
+  return `<g id="${id}" inkscape:label="${escapeXML(label)}"${attrs}>\n${content}\n</g>`;
+}
+
+function line(id, from, to, color, width, extra = '') {
+  return `<line id="${id}" x1="${num(from.x)}" y1="${num(from.y)}" x2="${num(to.x)}" y2="${num(to.y)}" stroke="${color}" stroke-width="${width}" stroke-linecap="round"${extra}/>`;
+}
+
+function circle(id, point, radius, fill, extra = '') {
+  return `<circle id="${id}" cx="${num(point.x)}" cy="${num(point.y)}" r="${num(radius)}" fill="${fill}"${extra}/>`;
+}
+
+function label(point, text, color, dx = 10, dy = 4) {
+  return `<text x="${num(point.x + dx)}" y="${num(point.y + dy)}" fill="${color}" font-family="sans-serif" font-size="11" font-weight="bold">${escapeXML(text)}</text>`;
+}
+
+/**
+ * Build the layer for one bike.
+ */
+function bikeLayer(layer, { measurements, ridingStyle, showSkeleton, showAngles }) {
+  const { id, color, markers = {}, calibPts = {}, axle, pxPerMM, angles, tilt = 0 } = layer;
+  const prefix = slugify(id);
+  const { x: tx, y: ty } = layer.translation || { x: 0, y: 0 };
+  const scale = layer.scale ?? 1;
+  const rotation = layer.rotation ?? 0;
+
+  const image =
+    layer.image &&
+    `<image id="${prefix}-photo" href="${escapeXML(layer.image.href)}" x="0" y="0" width="${num(layer.image.width)}" height="${num(layer.image.height)}" preserveAspectRatio="none"/>`;
+
+  const calibration = [
+    calibPts.top &&
+      calibPts.bot &&
+      line(
+        `${prefix}-wheel-diameter`,
+        calibPts.top,
+        calibPts.bot,
+        color,
+        2,
+        ' stroke-dasharray="4 3"'
+      ),
+    calibPts.top && circle(`${prefix}-wheel-top`, calibPts.top, 4, color),
+    calibPts.bot && circle(`${prefix}-wheel-bottom`, calibPts.bot, 4, color),
+    axle && circle(`${prefix}-rear-axle`, axle, 6, color, ' stroke="#ffffff" stroke-width="2"'),
+    // Front wheel of a two-wheel calibration
+    calibPts.frontTop &&
+      calibPts.frontBot &&
+      line(
+        `${prefix}-front-wheel-diameter`,
+        calibPts.frontTop,
+        calibPts.frontBot,
+        color,
+        2,
+        ' stroke-dasharray="4 3"'
+      ),
+    calibPts.frontTop && circle(`${prefix}-front-wheel-top`, calibPts.frontTop, 4, color),
+    calibPts.frontBot && circle(`${prefix}-front-wheel-bottom`, calibPts.frontBot, 4, color),
+    calibPts.frontAxle &&
+      circle(
+        `${prefix}-front-axle`,
+        calibPts.frontAxle,
+        6,
+        color,
+        ' stroke="#ffffff" stroke-width="2"'
+      ),
+    calibPts.levelStart &&
+      calibPts.levelEnd &&
+      line(
+        `${prefix}-level-line`,
+        calibPts.levelStart,
+        calibPts.levelEnd,
+        color,
+        1.5,
+        ' stroke-dasharray="8 4"'
+      ),
+  ];
+
+  const markerShapes = Object.entries(MARKER_LABELS).map(
+    ([key, text]) =>
+      markers[key] &&
+      group(`${prefix}-marker-${key}`, text, [
+        circle(
+          `${prefix}-marker-${key}-point`,
+          markers[key],
+          8,
+          color,
+          ' stroke="#ffffff" stroke-width="2"'
+        ),
+        label(markers[key], text, color, 12),
+      ])
+  );
+
+  const hasTriangle = markers.seat && markers.peg && markers.bar;
+  const triangle =
+    hasTriangle &&
+    `<polygon id="${prefix}-triangle-outline" points="${[markers.seat, markers.peg, markers.bar]
+      .map((p) => `${num(p.x)},${num(p.y)}`)
+      .join(' ')}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>`;
+
+  // Skeleton and arcs, coloured by comfort zone like SkeletonOverlay
+  const joints =
+    hasTriangle && showSkeleton
+      ? calculateSkeletonJoints(markers, measurements, pxPerMM, tilt)
+      : null;
+  let skeleton = [];
+  let arcs = [];
+  if (joints) {
+    const { hip, knee, ankle, foot, shoulder, elbow, hand, head } = joints;
+    const zoneColor = (type) =>
+      getSegmentColor(getAngleZone(type, angles?.[type], ridingStyle).status);
+    const legColor = zoneColor('knee');
+    const torsoColor = zoneColor('hip');
+    const armColor = zoneColor('arm');
+
+    skeleton = [
+      line(`${prefix}-thigh`, hip, knee, legColor, 4),
+      line(`${prefix}-lower-leg`, knee, ankle, legColor, 4),
+      line(`${prefix}-foot`, ankle, foot, legColor, 3),
+      line(`${prefix}-torso`, hip, shoulder, torsoColor, 5),
+      line(`${prefix}-upper-arm`, shoulder, elbow, armColor, 3),
+      line(`${prefix}-forearm`, elbow, hand, armColor, 3),
+      group(`${prefix}-joints`, 'Joints', [
+        circle(`${prefix}-hip`, hip, 6, color),
+        circle(`${prefix}-knee`, knee, 5, legColor),
+        circle(`${prefix}-ankle`, ankle, 4, legColor),
+        circle(`${prefix}-ball-of-foot`, foot, 3, legColor),
+        circle(`${prefix}-shoulder`, shoulder, 5, torsoColor),
+        circle(`${prefix}-elbow`, elbow, 4, armColor),
+        circle(`${prefix}-hand`, hand, 4, armColor),
+      ]),
+      circle(`${prefix}-head`, head, head.radius, 'none', ` stroke="${color}" stroke-width="2"`),
+    ];
+
+    if (showAngles) {
+      arcs = [
+        ['knee', knee, hip, ankle, 15],
+        ['hip', hip, shoulder, knee, 20],
+      ].map(([type, vertex, p1, p2, radius]) => {
+        const arc = angles?.[type] && getAngleArc(vertex, p1, p2, radius);
+        if (!arc) return null;
+        const arcColor = zoneColor(type);
+        return group(`${prefix}-${type}-angle`, `${COMFORT_ZONES[type].label} angle`, [
+          `<path d="${arc.path}" fill="none" stroke="${arcColor}" stroke-width="2" stroke-dasharray="3 2"/>`,
+          `<text x="${num(arc.labelX)}" y="${num(arc.labelY)}" fill="${arcColor}" font-family="sans-serif" font-size="10" font-weight="bold" text-anchor="middle" dominant-baseline="middle">${Math.round(angles[type])}°</text>`,
+        ]);
+      });
+    }
+  }
+
+  const rotate = rotation ? ` rotate(${num(rotation)})` : '';
+  const transform =
+    tx || ty || rotation || scale !== 1
+      ? ` transform="translate(${num(tx)} ${num(ty)})${rotate} scale(${scale})"`
+      : '';
+  const opacity = layer.opacity != null && layer.opacity !== 1 ? ` opacity="${layer.opacity}"` : '';
+  const hidden = layer.visible === false ? ' style="display:none"' : '';
+
+  return group(
+    `bike-${prefix}`,
+    layer.label || 'Bike',
+    [
+      group(`${prefix}-image`, 'Photo', [image]),
+      group(`${prefix}-calibration`, 'Calibration', calibration),
+      group(`${prefix}-markers`, 'Markers', markerShapes),
+      group(`${prefix}-triangle`, 'Triangle', [triangle]),
+      group(`${prefix}-skeleton`, 'Skeleton', skeleton, ' opacity="0.85"'),
+      group(`${prefix}-angle-arcs`, 'Angle arcs', arcs),
+    ],
+    ` inkscape:groupmode="layer"${transform}${opacity}${hidden}`
+  );
+}
+
+/**
+ * Build a layered SVG document of the overlay.
+ *
+ * Coordinates are the stage's local pixels; each layer carries its on-screen
+ * rotation, scale and translation, so positions are not resampled.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.layers - Bikes bottom to top: { id, label, color, opacity,
+ *   visible, scale, rotation, translation, image: {href, width, height}|null, calibPts, axle,
+ *   markers, pxPerMM, tilt, angles }
+ * @param {Object} options.measurements - Rider measurements in mm
+ * @param {string} options.ridingStyle - Riding style for zone colours
+ * @param {boolean} options.showSkeleton - Include the skeleton
+ * @param {boolean} options.showAngles - Include angle arcs
+ * @returns {string} SVG document
+ */
+export function buildOverlaySVG({
+  layers,
+  measurements,
+  ridingStyle = 'commute',
+  showSkeleton = true,
+  showAngles = true,
+}) {
+  // Document bounds cover every transformed image
+  let minX = 0;
+  let minY = 0;
+  let maxX = 0;
+  let maxY = 0;
+  layers.forEach(({ image, scale = 1, rotation = 0, translation = { x: 0, y: 0 } }) => {
+    if (!image) return;
+    [
+      { x: 0, y: 0 },
+      { x: image.width, y: 0 },
+      { x: 0, y: image.height },
+      { x: image.width, y: image.height },
+    ].forEach((corner) => {
+      const { x, y } = rotatePoint({ x: corner.x * scale, y: corner.y * scale }, rotation);
+      minX = Math.min(minX, translation.x + x);
+      minY = Math.min(minY, translation.y + y);
+      maxX = Math.max(maxX, translation.x + x);
+      maxY = Math.max(maxY, translation.y + y);
+    });
+  });
+  const width = num(maxX - minX || 1);
+  const height = num(maxY - minY || 1);
+
+  const body = layers
+    .map((layer) => bikeLayer(layer, { measurements, ridingStyle, showSkeleton, showAngles }))
+    .filter(Boolean)
+    .join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="${SVG_NS}" xmlns:inkscape="${INKSCAPE_NS}" width="${width}" height="${height}" viewBox="${num(minX)} ${num(minY)} ${width} ${height}">`,
+    '<title>Rider Triangle overlay</title>',
+    body,
+    '</svg>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Embed photos shown from object URLs, which don't outlive the page.
+ */
+async function embedImages(layers) {
+  return Promise.all(
+    layers.map(async (layer) => {
+      if (!layer.image?.href.startsWith('blob:')) return layer;
+      const blob = await (await fetch(layer.image.href)).blob();
+      return { ...layer, image: { ...layer.image, href: await blobToDataURL(blob) } };
+    })
+  );
+}
+
+/**
+ * Export the overlay as an SVG download.
+ *
+ * @param {Object} options - See buildOverlaySVG()
+ * @param {string} filename - Download filename (without extension)
+ * @returns {Promise<void>}
+ */
+export async function exportAsSVG(options, filename = 'rider-triangle-overlay') {
+  const svg = buildOverlaySVG({ ...options, layers: await embedImages(options.layers) });
+  downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${filename}.svg`);
+}
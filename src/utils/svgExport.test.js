@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { buildOverlaySVG } from './svgExport';
+import { DEFAULT_RIDER, getEffectiveMeasurements } from '../data/bodyProportions';
+
+const measurements = getEffectiveMeasurements(DEFAULT_RIDER);
+
+const baseLayer = {
+  id: 'bike-a',
+  label: 'Bike A & Co',
+  color: '#ef6c00',
+  opacity: 1,
+  visible: true,
+  scale: 1,
+  translation: { x: 0, y: 0 },
+  image: { href: 'data:image/jpeg;base64,AAAA', width: 800, height: 500 },
+  calibPts: { top: { x: 600, y: 200 }, bot: { x: 600, y: 460 } },
+  axle: { x: 150, y: 330 },
+  markers: { seat: { x: 350, y: 180 }, peg: { x: 380, y: 290 }, bar: { x: 520, y: 120 } },
+  pxPerMM: 0.4,
+  angles: { knee: 120, hip: 95, back: 30, arm: 160 },
+};
+
+const overlayLayer = {
+  ...baseLayer,
+  id: 'bike-b',
+  label: 'Bike B',
+  color: '#1976d2',
+  opacity: 0.5,
+  scale: 1.25,
+  translation: { x: -40, y: 12.345 },
+};
+
+const parse = (svg) => new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+describe('buildOverlaySVG', () => {
+  it('produces a well-formed document with one layer per bike', () => {
+    const doc = parse(buildOverlaySVG({ layers: [baseLayer, overlayLayer], measurements }));
+
+    expect(doc.querySelector('parsererror')).toBeNull();
+    const layers = [...doc.documentElement.children].filter((el) => el.tagName === 'g');
+    expect(layers.map((el) => el.getAttribute('id'))).toEqual(['bike-bike-a', 'bike-bike-b']);
+    expect(layers[0].getAttribute('inkscape:label')).toBe('Bike A & Co');
+  });
+
+  it('keeps markers, triangle, skeleton and arcs in separate named groups', () => {
+    const doc = parse(buildOverlaySVG({ layers: [baseLayer], measurements }));
+
+    ['image', 'calibration', 'markers', 'triangle', 'skeleton', 'angle-arcs'].forEach((name) => {
+      expect(doc.getElementById(`bike-a-${name}`)).not.toBeNull();
+    });
+    expect(doc.getElementById('bike-a-marker-seat')).not.toBeNull();
+    expect(doc.getElementById('bike-a-knee-angle')).not.toBeNull();
+  });
+
+  it('applies the overlay scale, translation and opacity to the layer', () => {
+    const doc = parse(buildOverlaySVG({ layers: [baseLayer, overlayLayer], measurements }));
+    const layer = doc.getElementById('bike-bike-b');
+
+    expect(layer.getAttribute('transform')).toBe('translate(-40 12.35) scale(1.25)');
+    expect(layer.getAttribute('opacity')).toBe('0.5');
+    expect(doc.getElementById('bike-bike-a').getAttribute('transform')).toBeNull();
+  });
+
+  it('grows the view box to fit translated layers', () => {
+    const doc = parse(buildOverlaySVG({ layers: [baseLayer, overlayLayer], measurements }));
+
+    expect(doc.documentElement.getAttribute('viewBox')).toBe('-40 0 1000 637.35');
+  });
+
+  it('rotates a tilted overlay and draws its level line', () => {
+    const tilted = {
+      ...overlayLayer,
+      rotation: -2.5,
+      calibPts: {
+        ...overlayLayer.calibPts,
+        levelStart: { x: 100, y: 480 },
+        levelEnd: { x: 700, y: 506 },
+      },
+    };
+    const doc = parse(buildOverlaySVG({ layers: [baseLayer, tilted], measurements }));
+
+    expect(doc.getElementById('bike-bike-b').getAttribute('transform')).toBe(
+      'translate(-40 12.35) rotate(-2.5) scale(1.25)'
+    );
+    expect(doc.getElementById('bike-b-level-line')).not.toBeNull();
+    // The rotated corner at the top right now lies above the document origin
+    expect(Number(doc.documentElement.getAttribute('viewBox').split(' ')[1])).toBeLessThan(0);
+  });
+
+  it('leaves out the skeleton and arcs when turned off', () => {
+    const doc = parse(buildOverlaySVG({ layers: [baseLayer], measurements, showSkeleton: false }));
+
+    expect(doc.getElementById('bike-a-skeleton')).toBeNull();
+    expect(doc.getElementById('bike-a-angle-arcs')).toBeNull();
+    expect(doc.getElementById('bike-a-triangle')).not.toBeNull();
+  });
+});
@@ -0,0 +1,420 @@
+/**
+ * Automatic wheel detection for calibration.
+ *
+ * Finds the tyre around a point the user tapped, entirely client-side:
+ *
+ *   1. Sobel edges on a blurred, downscaled greyscale copy of the photo
+ *   2. Gradient-directed Hough transform: each edge pixel votes for centres
+ *      along its gradient, which gives the wheel centre
+ *   3. Radial edge profile around that centre: the outermost strong circle
+ *      is the tyre's outer edge (rim and hub edges lie inside it)
+ *   4. Axis-aligned ellipse fit to the tyre edge, so slightly oblique photos
+ *      still give the true vertical diameter
+ *
+ * Works best on clean side shots. The ground contact patch is left out of
+ * steps 3 and 4, since shadows and the road blur the tyre edge there.
+ */
+
+// Longest side of the image the detector works on, in px
+const WORKING_SIZE = 480;
+
+// Rays pointing this close to straight down are ignored (cos 35°)
+const GROUND_SECTOR_COS = 0.82;
+
+const PROFILE_RAYS = 180;
+const FIT_RAYS = 72;
+
+// Minimum share of fit rays that must find the tyre edge
+const MIN_CONFIDENCE = 0.35;
+
+/**
+ * Convert RGBA pixels to luminance.
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - ImageData-like
+ * @returns {Float32Array} Luminance per pixel, 0-255
+ */
+export function toGrayscale({ data, width, height }) {
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+/**
+ * 5x5 Gaussian blur, which steadies gradient directions on jagged or noisy edges.
+ *
+ * @param {Float32Array} gray - Luminance per pixel
+ * @param {number} width
+ * @param {number} height
+ * @returns {Float32Array}
+ */
+export function blur(gray, width, height) {
+  const kernel = [1, 4, 6, 4, 1];
+  const pass = (src, dx, dy) => {
+    const out = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        for (let k = -2; k <= 2; k++) {
+          const sx = Math.min(width - 1, Math.max(0, x + k * dx));
+          const sy = Math.min(height - 1, Math.max(0, y + k * dy));
+          sum += src[sy * width + sx] * kernel[k + 2];
+        }
+        out[y * width + x] = sum / 16;
+      }
+    }
+    return out;
+  };
+  return pass(pass(gray, 1, 0), 0, 1);
+}
+
+/**
+ * Sobel gradients of a greyscale image.
+ *
+ * @param {Float32Array} gray - Luminance per pixel
+ * @param {number} width
+ * @param {number} height
+ * @returns {{gx: Float32Array, gy: Float32Array, magnitude: Float32Array}}
+ */
+export function sobel(gray, width, height) {
+  const gx = new Float32Array(width * height);
+  const gy = new Float32Array(width * height);
+  const magnitude = new Float32Array(width * height);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const tl = gray[i - width - 1];
+      const t = gray[i - width];
+      const tr = gray[i - width + 1];
+      const l = gray[i - 1];
+      const r = gray[i + 1];
+      const bl = gray[i + width - 1];
+      const b = gray[i + width];
+      const br = gray[i + width + 1];
+
+      gx[i] = tr + 2 * r + br - tl - 2 * l - bl;
+      gy[i] = bl + 2 * b + br - tl - 2 * t - tr;
+      magnitude[i] = Math.hypot(gx[i], gy[i]);
+    }
+  }
+  return { gx, gy, magnitude };
+}
+
+/**
+ * Edge strength threshold for a region: the stronger of the 85th percentile
+ * and a fifth of the strongest edge.
+ */
+function edgeThreshold(magnitude, indices) {
+  const values = Float32Array.from(indices, (i) => magnitude[i]).sort();
+  const max = values[values.length - 1] || 0;
+  const percentile = values[Math.floor(values.length * 0.85)] || 0;
+  return Math.max(percentile, max * 0.2, 1);
+}
+
+/**
+ * Radial edge at a point: the gradient component along the ray. Positive where
+ * the image gets brighter going outwards.
+ */
+function radialEdge(edges, width, height, cx, cy, ux, uy, r) {
+  const x = Math.round(cx + ux * r);
+  const y = Math.round(cy + uy * r);
+  if (x < 1 || y < 1 || x >= width - 1 || y >= height - 1) return 0;
+  const i = y * width + x;
+  return edges.gx[i] * ux + edges.gy[i] * uy;
+}
+
+/**
+ * Unit ray directions around a circle, without the ground sector.
+ */
+function rays(count) {
+  const result = [];
+  for (let k = 0; k < count; k++) {
+    const angle = (k / count) * Math.PI * 2;
+    const ux = Math.cos(angle);
+    const uy = Math.sin(angle);
+    if (uy < GROUND_SECTOR_COS) result.push([ux, uy]);
+  }
+  return result;
+}
+
+/**
+ * Find the wheel centre with a gradient-directed Hough transform.
+ */
+function findCenter(edges, width, height, seed, minRadius, maxRadius) {
+  // Edge pixels of a wheel whose centre is within maxRadius of the seed
+  const reach = maxRadius * 2;
+  const x0 = Math.max(1, Math.floor(seed.x - reach));
+  const x1 = Math.min(width - 2, Math.ceil(seed.x + reach));
+  const y0 = Math.max(1, Math.floor(seed.y - reach));
+  const y1 = Math.min(height - 2, Math.ceil(seed.y + reach));
+  const region = [];
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) region.push(y * width + x);
+  }
+  if (region.length === 0) return null;
+
+  const threshold = edgeThreshold(edges.magnitude, region);
+  const votes = new Float32Array(width * height);
+
+  region.forEach((i) => {
+    const mag = edges.magnitude[i];
+    if (mag < threshold) return;
+    const x = i % width;
+    const y = (i - x) / width;
+    const ux = edges.gx[i] / mag;
+    const uy = edges.gy[i] / mag;
+    for (let r = minRadius; r <= maxRadius; r++) {
+      // Dark tyre on light ground or the reverse: vote both ways
+      for (const sign of [1, -1]) {
+        const cx = Math.round(x + sign * ux * r);
+        const cy = Math.round(y + sign * uy * r);
+        if (cx >= 0 && cy >= 0 && cx < width && cy < height) votes[cy * width + cx] += 1;
+      }
+    }
+  });
+
+  // Best 5x5 neighbourhood within maxRadius of the seed
+  let best = null;
+  let bestScore = 0;
+  const cx0 = Math.max(2, Math.floor(seed.x - maxRadius));
+  const cx1 = Math.min(width - 3, Math.ceil(seed.x + maxRadius));
+  const cy0 = Math.max(2, Math.floor(seed.y - maxRadius));
+  const cy1 = Math.min(height - 3, Math.ceil(seed.y + maxRadius));
+  for (let y = cy0; y <= cy1; y++) {
+    for (let x = cx0; x <= cx1; x++) {
+      if (Math.hypot(x - seed.x, y - seed.y) > maxRadius) continue;
+      let score = 0;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) score += votes[(y + dy) * width + x + dx];
+      }
+      if (score > bestScore) {
+        bestScore = score;
+        best = { x, y };
+      }
+    }
+  }
+  return best && { ...best, threshold };
+}
+
+/**
+ * Find the tyre's outer radius: the outermost strong peak of the radial edge
+ * profile. Also returns the edge's polarity (+1 for a dark tyre on a lighter
+ * background), which tells the tyre edge apart from the rim edge inside it.
+ */
+function findOuterRadius(edges, width, height, center, minRadius, maxRadius) {
+  const directions = rays(PROFILE_RAYS);
+  const profile = [];
+  for (let r = minRadius; r <= maxRadius; r++) {
+    let sum = 0;
+    directions.forEach(([ux, uy]) => {
+      sum += radialEdge(edges, width, height, center.x, center.y, ux, uy, r);
+    });
+    profile.push(sum / directions.length);
+  }
+
+  const strength = profile.map(Math.abs);
+  const peak = Math.max(...strength);
+  if (!(peak > 0)) return null;
+
+  // Outermost local maximum strong enough to be a full circle
+  let k = strength.length - 2;
+  while (
+    k >= 1 &&
+    !(strength[k] >= peak * 0.6 && strength[k] >= strength[k - 1] && strength[k] >= strength[k + 1])
+  ) {
+    k--;
+  }
+  if (k < 1) k = strength.indexOf(peak);
+  return { radius: minRadius + k, polarity: Math.sign(profile[k]) };
+}
+
+/**
+ * Points on the tyre edge: along each ray, the strongest radial edge of the
+ * tyre's polarity near the current ellipse estimate.
+ */
+function sampleTyreEdge(edges, width, height, ellipse, polarity, threshold) {
+  const points = [];
+  rays(FIT_RAYS).forEach(([ux, uy]) => {
+    // Ellipse radius along this ray
+    const expected = 1 / Math.hypot(ux / ellipse.rx, uy / ellipse.ry);
+    let bestR = null;
+    let bestEdge = threshold;
+    for (let r = Math.round(expected * 0.8); r <= Math.round(expected * 1.25); r++) {
+      const edge = polarity * radialEdge(edges, width, height, ellipse.cx, ellipse.cy, ux, uy, r);
+      if (edge >= bestEdge) {
+        bestEdge = edge;
+        bestR = r;
+      }
+    }
+    if (bestR !== null) points.push({ x: ellipse.cx + ux * bestR, y: ellipse.cy + uy * bestR });
+  });
+  return points;
+}
+
+/**
+ * Least-squares fit of an axis-aligned ellipse A·x² + C·y² + D·x + E·y = 1.
+ *
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{cx: number, cy: number, rx: number, ry: number}|null}
+ */
+export function fitAxisAlignedEllipse(points) {
+  if (points.length < 5) return null;
+
+  // Work relative to the centroid, which keeps the origin inside the ellipse
+  const mx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const my = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+
+  // Normal equations for [A, C, D, E]
+  const n = 4;
+  const m = Array.from({ length: n }, () => new Array(n + 1).fill(0));
+  points.forEach((p) => {
+    const x = p.x - mx;
+    const y = p.y - my;
+    const row = [x * x, y * y, x, y];
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) m[i][j] += row[i] * row[j];
+      m[i][n] += row[i];
+    }
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+  const [A, C, D, E] = m.map((row, i) => row[n] / row[i]);
+  if (!(A > 0 && C > 0)) return null;
+
+  const k = 1 + (D * D) / (4 * A) + (E * E) / (4 * C);
+  if (!(k > 0)) return null;
+  return {
+    cx: mx - D / (2 * A),
+    cy: my - E / (2 * C),
+    rx: Math.sqrt(k / A),
+    ry: Math.sqrt(k / C),
+  };
+}
+
+/**
+ * Detect the wheel around a seed point in an image.
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - ImageData-like
+ * @param {{x: number, y: number}} seed - Point on or inside the wheel, in image px
+ * @param {Object} options
+ * @param {number} options.minRadius - Smallest tyre radius to consider (default 6% of the longest side)
+ * @param {number} options.maxRadius - Largest tyre radius to consider (default 30% of the longest side)
+ * @returns {Object|null} { top, bot, axle, radiusX, radiusY, confidence } in image px,
+ *   or null if no wheel was found
+ */
+export function detectWheel(image, seed, options = {}) {
+  const { width, height } = image;
+  const longest = Math.max(width, height);
+  const minRadius = Math.round(options.minRadius ?? longest * 0.06);
+  const maxRadius = Math.round(options.maxRadius ?? longest * 0.3);
+
+  const edges = sobel(blur(toGrayscale(image), width, height), width, height);
+  const center = findCenter(edges, width, height, seed, minRadius, maxRadius);
+  if (!center) return null;
+
+  const outer = findOuterRadius(edges, width, height, center, minRadius, maxRadius);
+  if (!outer) return null;
+  const { radius, polarity } = outer;
+
+  // Fit the tyre edge, then refit from the fitted centre in case the Hough centre was off
+  let ellipse = { cx: center.x, cy: center.y, rx: radius, ry: radius };
+  let confidence = 0;
+  for (let pass = 0; pass < 2 && ellipse; pass++) {
+    const points = sampleTyreEdge(edges, width, height, ellipse, polarity, center.threshold);
+    confidence = points.length / rays(FIT_RAYS).length;
+    if (confidence < MIN_CONFIDENCE) return null;
+    ellipse = fitAxisAlignedEllipse(points);
+  }
+
+  if (
+    !ellipse ||
+    Math.hypot(ellipse.cx - center.x, ellipse.cy - center.y) > radius * 0.25 ||
+    ellipse.ry < minRadius ||
+    ellipse.ry > maxRadius * 1.2
+  ) {
+    return null;
+  }
+
+  return {
+    top: { x: ellipse.cx, y: ellipse.cy - ellipse.ry },
+    bot: { x: ellipse.cx, y: ellipse.cy + ellipse.ry },
+    axle: { x: ellipse.cx, y: ellipse.cy },
+    radiusX: ellipse.rx,
+    radiusY: ellipse.ry,
+    confidence,
+  };
+}
+
+/**
+ * Calibration points a detected wheel fills in. `top`/`bot` are the calibrated tire
+ * unless calibrating on both wheels, where the front tire has its own points; the rear
+ * axle (`axle`) is only set from the rear wheel, since overlays align on it.
+ *
+ * @param {string} wheelChoice - 'front', 'rear' or 'both'
+ * @param {string} wheel - Wheel that was tapped, 'front' or 'rear'; only asked for with 'both'
+ * @returns {{top: string, bot: string, axle: string}} Point keys, e.g. 'frontTop', or 'axle'
+ *   for the rear axle
+ */
+export function detectedWheelPoints(wheelChoice, wheel = wheelChoice) {
+  if (wheelChoice === 'both' && wheel === 'front') {
+    return { top: 'frontTop', bot: 'frontBot', axle: 'frontAxle' };
+  }
+  return { top: 'top', bot: 'bot', axle: wheel === 'front' ? 'frontAxle' : 'axle' };
+}
+
+/**
+ * Detect the wheel in a displayed bike photo.
+ *
+ * @param {HTMLImageElement} img - Loaded image element
+ * @param {{x: number, y: number}} seed - Tapped point in the image's local (layout) px
+ * @returns {Object|null} See detectWheel(), in the image's local px
+ */
+export function detectWheelInImage(img, seed) {
+  const displayWidth = img.offsetWidth || img.naturalWidth;
+  const displayHeight = img.offsetHeight || img.naturalHeight;
+  if (!displayWidth || !displayHeight) return null;
+
+  const scale = Math.min(1, WORKING_SIZE / Math.max(displayWidth, displayHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(displayWidth * scale);
+  canvas.height = Math.round(displayHeight * scale);
+
+  let image;
+  try {
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  } catch (e) {
+    // External photos without CORS headers can't be read back
+    console.warn('Wheel detection could not read the image:', e);
+    return null;
+  }
+
+  const result = detectWheel(image, { x: seed.x * scale, y: seed.y * scale });
+  if (!result) return null;
+
+  const toLocal = (p) => ({ x: p.x / scale, y: p.y / scale });
+  return {
+    ...result,
+    top: toLocal(result.top),
+    bot: toLocal(result.bot),
+    axle: toLocal(result.axle),
+    radiusX: result.radiusX / scale,
+    radiusY: result.radiusY / scale,
+  };
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { detectWheel, detectedWheelPoints, fitAxisAlignedEllipse } from './wheelDetection';
+
+/**
+ * Draw a side-on wheel: dark tyre, grey rim and a dark hub on a light
+ * background, standing on a grey road.
+ */
+function drawWheel({ width = 400, height = 300, cx, cy, rx, ry }) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const d = Math.hypot((x - cx) / rx, (y - cy) / ry);
+      let value = y > cy + ry ? 170 : 235;
+      if (d <= 1) value = 30;
+      if (d <= 0.7) value = 150;
+      if (d <= 0.15) value = 60;
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+describe('fitAxisAlignedEllipse', () => {
+  it('recovers an ellipse from points on it', () => {
+    const points = Array.from({ length: 20 }, (_, k) => {
+      const angle = (k / 20) * Math.PI * 2;
+      return { x: 50 + 30 * Math.cos(angle), y: 40 + 20 * Math.sin(angle) };
+    });
+    const ellipse = fitAxisAlignedEllipse(points);
+    expect(ellipse.cx).toBeCloseTo(50, 5);
+    expect(ellipse.cy).toBeCloseTo(40, 5);
+    expect(ellipse.rx).toBeCloseTo(30, 5);
+    expect(ellipse.ry).toBeCloseTo(20, 5);
+  });
+
+  it('rejects too few points', () => {
+    expect(fitAxisAlignedEllipse([{ x: 0, y: 0 }])).toBeNull();
+  });
+});
+
+describe('detectWheel', () => {
+  it('finds tyre top, bottom and axle from a tap on the tyre', () => {
+    const image = drawWheel({ cx: 150, cy: 140, rx: 80, ry: 80 });
+    const result = detectWheel(image, { x: 90, y: 100 });
+
+    expect(result).not.toBeNull();
+    expect(result.axle.x).toBeCloseTo(150, -0.5);
+    expect(result.axle.y).toBeCloseTo(140, -0.5);
+    expect(Math.abs(result.top.y - 60)).toBeLessThan(3);
+    expect(Math.abs(result.bot.y - 220)).toBeLessThan(3);
+    expect(result.confidence).toBeGreaterThan(0.8);
+  });
+
+  it('fits the vertical diameter of an oblique wheel', () => {
+    const image = drawWheel({ cx: 200, cy: 150, rx: 60, ry: 75 });
+    const result = detectWheel(image, { x: 200, y: 150 });
+
+    expect(result).not.toBeNull();
+    expect(Math.abs(result.radiusY - 75)).toBeLessThan(3);
+    expect(Math.abs(result.radiusX - 60)).toBeLessThan(3);
+  });
+
+  it('returns null when there is no wheel', () => {
+    const blank = drawWheel({ cx: -1000, cy: -1000, rx: 1, ry: 1 });
+    expect(detectWheel(blank, { x: 200, y: 150 })).toBeNull();
+  });
+});
+
+describe('detectedWheelPoints', () => {
+  it('fills the rear points and axle for the rear wheel', () => {
+    expect(detectedWheelPoints('rear')).toEqual({ top: 'top', bot: 'bot', axle: 'axle' });
+  });
+
+  it('keeps the rear axle off the front hub when calibrating on the front wheel', () => {
+    expect(detectedWheelPoints('front')).toEqual({ top: 'top', bot: 'bot', axle: 'frontAxle' });
+  });
+
+  it('fills the tapped wheel when calibrating on both', () => {
+    expect(detectedWheelPoints('both', 'rear')).toEqual({ top: 'top', bot: 'bot', axle: 'axle' });
+    expect(detectedWheelPoints('both', 'front')).toEqual({
+      top: 'frontTop',
+      bot: 'frontBot',
+      axle: 'frontAxle',
+    });
+  });
+});